@@ -1,7 +1,22 @@
 import { PrismaClient } from '@prisma/client';
 
+// The audit log is append-only: entries can be created and read, never changed or removed
+const rejectAuditLogChange = () => {
+  throw new Error('Audit log entries cannot be modified');
+};
+
 const prisma = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
+}).$extends({
+  query: {
+    auditLog: {
+      update: rejectAuditLogChange,
+      updateMany: rejectAuditLogChange,
+      upsert: rejectAuditLogChange,
+      delete: rejectAuditLogChange,
+      deleteMany: rejectAuditLogChange,
+    },
+  },
 });
 
 export default prisma;
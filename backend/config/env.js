@@ -0,0 +1,5 @@
+/**
+ * True in local development (NODE_ENV=development) and tests, the only places where defaults that
+ * would leak or weaken secrets in production (console mail, a built-in signing key) are allowed
+ */
+export const isDevelopmentEnv = () => ['development', 'test'].includes(process.env.NODE_ENV);
@@ -0,0 +1,168 @@
+import prisma from '../config/database.js';
+
+/**
+ * Course-scoped authorization.
+ * requireRole() only checks the global role; these helpers also check that the user belongs to the
+ * course that owns the resource: admins always do, instructors when they created or co-teach the
+ * course (CourseInstructor), students when they have an ACTIVE enrollment. Students never get
+ * "manage" access and can only read the submissions, quiz answers and excuse requests they own.
+ */
+
+// Find the course (and, for student-owned resources, the owner) behind a resource id
+const resolvers = {
+  course: async (id) => {
+    const course = await prisma.course.findUnique({ where: { id }, select: { id: true } });
+    return course && { courseId: course.id };
+  },
+  session: (id) => prisma.session.findUnique({ where: { id }, select: { courseId: true } }),
+  assignment: (id) => prisma.assignment.findUnique({ where: { id }, select: { courseId: true } }),
+  quiz: (id) => prisma.quiz.findUnique({ where: { id }, select: { courseId: true } }),
+  exam: (id) => prisma.exam.findUnique({ where: { id }, select: { courseId: true } }),
+  submission: async (id) => {
+    const submission = await prisma.submission.findUnique({
+      where: { id },
+      select: { studentId: true, assignment: { select: { courseId: true } } },
+    });
+    return submission && { courseId: submission.assignment.courseId, ownerId: submission.studentId };
+  },
+  asset: async (id) => {
+    const asset = await prisma.submissionAsset.findUnique({
+      where: { id },
+      select: { submission: { select: { studentId: true, assignment: { select: { courseId: true } } } } },
+    });
+    return asset && { courseId: asset.submission.assignment.courseId, ownerId: asset.submission.studentId };
+  },
+  quizAnswer: async (id) => {
+    const answer = await prisma.quizAnswer.findUnique({
+      where: { id },
+      select: { attempt: { select: { studentId: true, quiz: { select: { courseId: true } } } } },
+    });
+    return answer && { courseId: answer.attempt.quiz.courseId, ownerId: answer.attempt.studentId };
+  },
+  excuse: async (id) => {
+    const excuse = await prisma.attendanceExcuse.findUnique({
+      where: { id },
+      select: { studentId: true, session: { select: { courseId: true } } },
+    });
+    return excuse && { courseId: excuse.session.courseId, ownerId: excuse.studentId };
+  },
+};
+
+const NOT_FOUND = {
+  course: 'Course not found',
+  session: 'Session not found',
+  assignment: 'Assignment not found',
+  quiz: 'Quiz not found',
+  exam: 'Exam not found',
+  submission: 'Submission not found',
+  asset: 'File not found',
+  quizAnswer: 'Answer not found',
+  excuse: 'Excuse request not found',
+};
+
+/**
+ * { courseId, ownerId? } for a resource, or null when it doesn't exist
+ */
+export async function resolveCourseTarget(resource, id) {
+  const resolve = resolvers[resource];
+  if (!resolve) {
+    throw new Error(`Unknown course resource: ${resource}`);
+  }
+  return id ? resolve(id) : null;
+}
+
+/**
+ * The access rule itself, kept free of database calls.
+ * `teaches`/`enrolled` describe the user's membership, `ownerId` the resource owner (if any).
+ */
+export function decideCourseAccess(user, { teaches, enrolled, ownerId }, { manage = false } = {}) {
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+  if (user.role === 'INSTRUCTOR') {
+    return teaches;
+  }
+  if (user.role === 'STUDENT' && !manage) {
+    return enrolled && (ownerId === undefined || ownerId === user.id);
+  }
+  return false;
+}
+
+/**
+ * Ids of the courses an instructor created or co-teaches
+ */
+export async function getTaughtCourseIds(userId) {
+  const [created, coTaught] = await Promise.all([
+    prisma.course.findMany({ where: { createdBy: userId }, select: { id: true } }),
+    prisma.courseInstructor.findMany({ where: { instructorId: userId }, select: { courseId: true } }),
+  ]);
+  return [...new Set([...created.map((c) => c.id), ...coTaught.map((c) => c.courseId)])];
+}
+
+/**
+ * Whether `user` may read (or, with manage, change) a course resolved by resolveCourseTarget
+ */
+export async function canAccessCourse(user, { courseId, ownerId }, { manage = false } = {}) {
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+
+  let teaches = false;
+  let enrolled = false;
+
+  if (user.role === 'INSTRUCTOR') {
+    const [created, coTeaching] = await Promise.all([
+      prisma.course.count({ where: { id: courseId, createdBy: user.id } }),
+      prisma.courseInstructor.count({ where: { courseId, instructorId: user.id } }),
+    ]);
+    teaches = created + coTeaching > 0;
+  } else if (user.role === 'STUDENT') {
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { userId_courseId: { userId: user.id, courseId } },
+      select: { status: true },
+    });
+    enrolled = enrollment?.status === 'ACTIVE';
+  }
+
+  return decideCourseAccess(user, { teaches, enrolled, ownerId }, { manage });
+}
+
+/**
+ * Middleware: resolve the course behind req[source][param] (a `resource` id) and check the
+ * user's access to it. Sets req.courseId for the handler.
+ *   requireCourseAccess('session')                                   -> read, id from req.params.id
+ *   requireCourseAccess('course', { source: 'body', param: 'courseId', manage: true })
+ */
+export const requireCourseAccess = (resource, { param = 'id', source = 'params', manage = false } = {}) => {
+  if (!resolvers[resource]) {
+    throw new Error(`Unknown course resource: ${resource}`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const id = req[source]?.[param];
+      if (!id) {
+        return res.status(400).json({ error: `${param} is required` });
+      }
+
+      const target = await resolveCourseTarget(resource, id);
+      if (!target) {
+        return res.status(404).json({ error: NOT_FOUND[resource] });
+      }
+
+      if (!(await canAccessCourse(req.user, target, { manage }))) {
+        return res.status(403).json({ error: 'Not authorized for this course' });
+      }
+
+      req.courseId = target.courseId;
+      next();
+    } catch (error) {
+      console.error('Course access check error:', error);
+      res.status(500).json({ error: 'Failed to check course access' });
+    }
+  };
+};
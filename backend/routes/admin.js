@@ -2,7 +2,12 @@ import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { computeStudentCourseMetrics } from '../utils/metrics.js';
+import { REVIEWS_WITH_VERSION, getLatestScoredReview } from '../utils/submissionVersions.js';
 import { generateStudentReportPDF, generateSubscribersPDF } from '../utils/pdf.js';
+import { MESSAGE_LANGUAGES, alertCodes, resolveLanguage } from '../utils/messages.js';
+import { auditLogQuerySchema } from '../utils/validation.js';
+import { listAuditLogs } from '../utils/audit.js';
+import { getJobStates, getRegisteredJobNames, runJob } from '../utils/scheduler.js';
 
 const router = express.Router();
 
@@ -154,8 +159,8 @@ router.get('/students', async (req, res) => {
             }
           }
 
-          // Collect all alerts from all courses
-          const allAlerts = courseMetrics.flatMap((m) => m?.alerts || []).filter(Boolean);
+          // Collect the alert codes from all courses
+          const allAlerts = alertCodes(courseMetrics.flatMap((m) => m?.alerts || []).filter(Boolean));
           const uniqueAlerts = [...new Set(allAlerts)];
 
           // Check for no activity in last 14 days (global check, not per course)
@@ -328,7 +333,7 @@ router.get('/students', async (req, res) => {
               }
             }
 
-            const allAlerts = courseMetrics.flatMap((m) => m?.alerts || []).filter(Boolean);
+            const allAlerts = alertCodes(courseMetrics.flatMap((m) => m?.alerts || []).filter(Boolean));
             const uniqueAlerts = [...new Set(allAlerts)];
 
             // Check for no activity
@@ -477,7 +482,7 @@ router.get('/students/:studentId/report', async (req, res) => {
             submissions: {
               where: { studentId },
               include: {
-                reviews: true,
+                reviews: REVIEWS_WITH_VERSION,
               },
             },
           },
@@ -496,8 +501,8 @@ router.get('/students/:studentId/report', async (req, res) => {
         assignments.forEach((assignment) => {
           const submission = assignment.submissions[0];
           if (submission) {
-            const review = submission.reviews[0];
-            if (review && review.score !== null) {
+            const review = getLatestScoredReview(submission.reviews);
+            if (review) {
               totalScore += review.score;
               scoredCount += 1;
             }
@@ -720,8 +725,9 @@ router.get('/students/:studentId/report.pdf', async (req, res) => {
       return res.status(404).json({ error: 'Student not found' });
     }
 
-    // Generate PDF
-    const pdfBuffer = await generateStudentReportPDF(student);
+    // Generate PDF in the requested language (?lang=ar|en, else Accept-Language, else Arabic)
+    const lang = resolveLanguage(req.query.lang || req.acceptsLanguages(...MESSAGE_LANGUAGES));
+    const pdfBuffer = await generateStudentReportPDF(student, lang);
 
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="student-report-${studentId}.pdf"`);
@@ -732,6 +738,56 @@ router.get('/students/:studentId/report.pdf', async (req, res) => {
   }
 });
 
+// Audit log of attendance, grade, status and enrollment changes (filters: userId, courseId, entityType, from, to)
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const filters = auditLogQuerySchema.parse(req.query);
+
+    // A date-only "to" includes that whole day
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      filters.to = new Date(filters.to.getTime() + 24 * 60 * 60 * 1000 - 1);
+    }
+
+    res.json(await listAuditLogs(filters));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+// Background jobs (reminder and digest emails) with their last run and next scheduled run
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await getJobStates() });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run a job now; emails it already sent are not sent again
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!getRegisteredJobNames().includes(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await runJob(name, { force: true });
+    if (!job) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
 // Get subscribers list with filters and search
 router.get('/subscribers', async (req, res) => {
   try {
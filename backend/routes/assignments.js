@@ -1,12 +1,19 @@
 import express from 'express';
+import { Prisma } from '@prisma/client';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { validateAssignment } from '../utils/validation.js';
+import { requireCourseAccess } from '../middleware/courseAccess.js';
+import { validateAssignment, extensionSchema, rubricSchema } from '../utils/validation.js';
+import { CURRENT_VERSION_INCLUDE, withCurrentAssets } from '../utils/submissionVersions.js';
+import { refreshSubmissionLateness } from '../utils/latePolicy.js';
+import { computeStudentCourseMetrics, recomputeCourseMetrics } from '../utils/metrics.js';
+import { notifyAssignmentPublished } from '../utils/notifications.js';
+import { normalizeTags } from '../utils/skills.js';
 
 const router = express.Router();
 
 // Get assignments by course
-router.get('/course/:courseId', authenticateToken, async (req, res) => {
+router.get('/course/:courseId', authenticateToken, requireCourseAccess('course', { param: 'courseId' }), async (req, res) => {
   try {
     const { courseId } = req.params;
     const { role, id: userId } = req.user;
@@ -68,13 +75,26 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
             orderBy: { submittedAt: 'desc' },
           });
 
+          const extension = await prisma.assignmentExtension.findUnique({
+            where: {
+              assignmentId_studentId: {
+                assignmentId: assignment.id,
+                studentId: userId,
+              },
+            },
+            select: { dueDate: true },
+          });
+
           return {
             ...assignment,
+            myExtension: extension,
             mySubmission: submission
               ? {
                   id: submission.id,
                   status: submission.status,
                   submittedAt: submission.submittedAt,
+                  late: submission.late,
+                  latePenalty: submission.latePenalty,
                 }
               : null,
           };
@@ -98,7 +118,7 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
 });
 
 // Get assignment by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireCourseAccess('assignment'), async (req, res) => {
   try {
     const { id } = req.params;
     const { role, id: userId } = req.user;
@@ -132,6 +152,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
               },
             },
             assets: true,
+            versions: CURRENT_VERSION_INCLUDE,
             reviews: {
               include: {
                 reviewer: {
@@ -165,6 +186,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         },
         include: {
           assets: true,
+          versions: CURRENT_VERSION_INCLUDE,
           reviews: {
             include: {
               reviewer: {
@@ -174,20 +196,37 @@ router.get('/:id', authenticateToken, async (req, res) => {
                 },
               },
             },
+            orderBy: { updatedAt: 'desc' },
           },
         },
         orderBy: { submittedAt: 'desc' },
       });
 
+      const myExtension = await prisma.assignmentExtension.findUnique({
+        where: {
+          assignmentId_studentId: {
+            assignmentId: id,
+            studentId: userId,
+          },
+        },
+        select: { dueDate: true, reason: true },
+      });
+
       return res.json({
         assignment: {
           ...assignment,
-          mySubmission,
+          myExtension,
+          mySubmission: mySubmission && withCurrentAssets(mySubmission),
         },
       });
     }
 
-    res.json({ assignment });
+    res.json({
+      assignment: {
+        ...assignment,
+        submissions: assignment.submissions.map(withCurrentAssets),
+      },
+    });
   } catch (error) {
     console.error('Get assignment error:', error);
     res.status(500).json({ error: 'Failed to fetch assignment' });
@@ -195,9 +234,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create assignment
-router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateAssignment, async (req, res) => {
+router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateAssignment, requireCourseAccess('course', { source: 'body', param: 'courseId', manage: true }), async (req, res) => {
   try {
-    const { courseId, title, description, dueDate, maxScore, rubric, isPublished } = req.body;
+    const {
+      courseId, title, description, dueDate, maxScore, rubric, tags, isPublished,
+      latePolicy, latePenaltyPerDay, latePenaltyMax,
+    } = req.body;
 
     const assignment = await prisma.assignment.create({
       data: {
@@ -206,8 +248,12 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validate
         description,
         dueDate: new Date(dueDate),
         maxScore: maxScore || 100,
-        rubric: rubric || null,
+        rubric: rubric ? rubricSchema.parse(rubric) : Prisma.DbNull,
+        tags: normalizeTags(tags),
         isPublished: isPublished === true,
+        ...(latePolicy && { latePolicy }),
+        ...(latePenaltyPerDay !== undefined && { latePenaltyPerDay: Number(latePenaltyPerDay) }),
+        ...(latePenaltyMax !== undefined && { latePenaltyMax: Number(latePenaltyMax) }),
       },
       include: {
         course: {
@@ -219,18 +265,31 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validate
       },
     });
 
+    await notifyAssignmentPublished(assignment);
+
     res.status(201).json({ assignment });
   } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid rubric', details: error.errors });
+    }
     console.error('Create assignment error:', error);
     res.status(500).json({ error: 'Failed to create assignment' });
   }
 });
 
 // Update assignment
-router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateAssignment, async (req, res) => {
+router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateAssignment, requireCourseAccess('assignment', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, dueDate, maxScore, rubric, isPublished } = req.body;
+    const {
+      title, description, dueDate, maxScore, rubric, tags, isPublished,
+      latePolicy, latePenaltyPerDay, latePenaltyMax,
+    } = req.body;
+
+    const previous = await prisma.assignment.findUnique({
+      where: { id },
+      select: { rubric: true, tags: true },
+    });
 
     const assignment = await prisma.assignment.update({
       where: { id },
@@ -239,8 +298,13 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
         description,
         dueDate: new Date(dueDate),
         maxScore,
-        rubric,
+        // null removes the rubric, undefined leaves it untouched
+        rubric: rubric ? rubricSchema.parse(rubric) : rubric === null ? Prisma.DbNull : undefined,
+        ...(tags !== undefined && { tags: normalizeTags(tags) }),
         ...(isPublished !== undefined && { isPublished: isPublished === true }),
+        ...(latePolicy && { latePolicy }),
+        ...(latePenaltyPerDay !== undefined && { latePenaltyPerDay: Number(latePenaltyPerDay) }),
+        ...(latePenaltyMax !== undefined && { latePenaltyMax: Number(latePenaltyMax) }),
       },
       include: {
         course: {
@@ -252,15 +316,153 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
       },
     });
 
+    await notifyAssignmentPublished(assignment);
+
+    // The due date or late policy may have changed: re-evaluate existing submissions.
+    // Changed skill tags move mastery and recommendations.
+    const updated = await refreshSubmissionLateness(id, { actorId: req.user.id });
+    const skillsChanged = JSON.stringify([previous.rubric, previous.tags]) !== JSON.stringify([assignment.rubric, assignment.tags]);
+    if (updated > 0 || skillsChanged) {
+      await recomputeCourseMetrics(assignment.courseId).catch((err) => {
+        console.error('Error recomputing course metrics:', err);
+      });
+    }
+
     res.json({ assignment });
   } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid rubric', details: error.errors });
+    }
     console.error('Update assignment error:', error);
     res.status(500).json({ error: 'Failed to update assignment' });
   }
 });
 
+// List due-date extensions of an assignment
+router.get('/:id/extensions', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const extensions = await prisma.assignmentExtension.findMany({
+      where: { assignmentId: id },
+      include: {
+        student: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        granter: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { dueDate: 'asc' },
+    });
+
+    res.json({ extensions });
+  } catch (error) {
+    console.error('Get extensions error:', error);
+    res.status(500).json({ error: 'Failed to fetch extensions' });
+  }
+});
+
+// Grant or change a student's due-date extension
+router.put('/:id/extensions/:studentId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { manage: true }), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const data = extensionSchema.parse(req.body);
+
+    const enrollment = await prisma.enrollment.findUnique({
+      where: {
+        userId_courseId: {
+          userId: studentId,
+          courseId: req.courseId,
+        },
+      },
+    });
+
+    if (!enrollment) {
+      return res.status(400).json({ error: 'Student is not enrolled in this course' });
+    }
+
+    const extension = await prisma.assignmentExtension.upsert({
+      where: {
+        assignmentId_studentId: {
+          assignmentId: id,
+          studentId,
+        },
+      },
+      update: {
+        dueDate: new Date(data.dueDate),
+        reason: data.reason || null,
+        grantedBy: req.user.id,
+      },
+      create: {
+        assignmentId: id,
+        studentId,
+        dueDate: new Date(data.dueDate),
+        reason: data.reason || null,
+        grantedBy: req.user.id,
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+      },
+    });
+
+    if (await refreshSubmissionLateness(id, { studentId, actorId: req.user.id })) {
+      await computeStudentCourseMetrics(studentId, req.courseId).catch((err) => {
+        console.error('Error computing metrics:', err);
+      });
+    }
+
+    res.json({ extension });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Save extension error:', error);
+    res.status(500).json({ error: 'Failed to save extension' });
+  }
+});
+
+// Revoke a student's due-date extension
+router.delete('/:id/extensions/:studentId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { manage: true }), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const { count } = await prisma.assignmentExtension.deleteMany({
+      where: { assignmentId: id, studentId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Extension not found' });
+    }
+
+    if (await refreshSubmissionLateness(id, { studentId, actorId: req.user.id })) {
+      await computeStudentCourseMetrics(studentId, req.courseId).catch((err) => {
+        console.error('Error computing metrics:', err);
+      });
+    }
+
+    res.json({ message: 'Extension removed successfully' });
+  } catch (error) {
+    console.error('Delete extension error:', error);
+    res.status(500).json({ error: 'Failed to remove extension' });
+  }
+});
+
 // Publish/Unpublish assignment
-router.patch('/:id/publish', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.patch('/:id/publish', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { isPublished } = req.body;
@@ -278,6 +480,8 @@ router.patch('/:id/publish', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR
       },
     });
 
+    await notifyAssignmentPublished(assignment);
+
     res.json({ assignment });
   } catch (error) {
     console.error('Publish assignment error:', error);
@@ -286,7 +490,7 @@ router.patch('/:id/publish', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR
 });
 
 // Delete assignment
-router.delete('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.delete('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
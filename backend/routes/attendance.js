@@ -1,17 +1,42 @@
 import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { attendanceBulkSchema } from '../utils/validation.js';
+import { requireCourseAccess, canAccessCourse, getTaughtCourseIds } from '../middleware/courseAccess.js';
+import {
+  attendanceBulkSchema,
+  checkInOpenSchema,
+  checkInSchema,
+  excuseRequestSchema,
+  excuseReviewSchema,
+} from '../utils/validation.js';
+import { uploadAttachment, storeUploadedFile, removeStoredFiles } from '../utils/uploads.js';
+import { getStorage, getApiBaseUrl, DOWNLOAD_URL_TTL_SECONDS } from '../utils/storage.js';
+import { computeStudentCourseMetrics } from '../utils/metrics.js';
+import { buildAuditEntry, recordAudit, sessionLabel } from '../utils/audit.js';
+import {
+  CHECKIN_LATE_AFTER_MINUTES,
+  CHECKIN_WINDOW_MINUTES,
+  createCheckInSecret,
+  getCurrentCheckInCode,
+  verifyCheckInCode,
+  isCheckInOpen,
+  getLateCutoff,
+  getCheckInStatus,
+} from '../utils/checkIn.js';
 
 const router = express.Router();
 
-// Get attendance for a session
-router.get('/session/:sessionId', authenticateToken, async (req, res) => {
+// Get attendance for a session (students only get their own record)
+router.get('/session/:sessionId', authenticateToken, requireCourseAccess('session', { param: 'sessionId' }), async (req, res) => {
   try {
     const { sessionId } = req.params;
+    const { role, id: userId } = req.user;
 
     const attendances = await prisma.attendance.findMany({
-      where: { sessionId },
+      where: {
+        sessionId,
+        ...(role === 'STUDENT' && { studentId: userId }),
+      },
       include: {
         student: {
           select: {
@@ -43,24 +68,25 @@ router.get('/session/:sessionId', authenticateToken, async (req, res) => {
 });
 
 // Bulk upsert attendance for a session
-router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('session', { source: 'body', param: 'sessionId', manage: true }), async (req, res) => {
   try {
     const data = attendanceBulkSchema.parse(req.body);
     const { sessionId, attendances } = data;
 
-    // Verify session exists
     const session = await prisma.session.findUnique({
       where: { id: sessionId },
+      select: { date: true, topic: true },
     });
 
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+    // Upsert all attendances, logging status/note changes
+    const results = await prisma.$transaction(async (tx) => {
+      const previous = await tx.attendance.findMany({
+        where: { sessionId, studentId: { in: attendances.map((att) => att.studentId) } },
+      });
+      const previousByStudent = new Map(previous.map((att) => [att.studentId, att]));
 
-    // Upsert all attendances
-    const results = await Promise.all(
-      attendances.map((att) =>
-        prisma.attendance.upsert({
+      const updated = await Promise.all(attendances.map((att) =>
+        tx.attendance.upsert({
           where: {
             sessionId_studentId: {
               sessionId,
@@ -87,8 +113,21 @@ router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), asyn
             },
           },
         })
-      )
-    );
+      ));
+
+      await recordAudit(updated.map((att) => buildAuditEntry({
+        actorId: req.user.id,
+        entityType: 'ATTENDANCE',
+        entityId: att.id,
+        courseId: req.courseId,
+        studentId: att.studentId,
+        label: sessionLabel(session),
+        before: previousByStudent.get(att.studentId),
+        after: att,
+      })), tx);
+
+      return updated;
+    });
 
     res.json({ attendances: results });
   } catch (error) {
@@ -100,17 +139,425 @@ router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), asyn
   }
 });
 
+// Check-in window as shown to the instructor: the current code only while it is open
+const describeCheckIn = async (session, window) => {
+  if (!window) {
+    return null;
+  }
+
+  const open = isCheckInOpen(window);
+  const checkedIn = await prisma.attendance.count({
+    where: { sessionId: session.id, checkedInAt: { gte: window.opensAt } },
+  });
+
+  return {
+    id: window.id,
+    open,
+    lateAfterMinutes: window.lateAfterMinutes,
+    lateAt: getLateCutoff(session, window),
+    opensAt: window.opensAt,
+    closesAt: window.closesAt,
+    closedAt: window.closedAt,
+    checkedIn,
+    ...(open && getCurrentCheckInCode(window)),
+  };
+};
+
+// Get the session's self check-in window (polled by the instructor screen for the rotating code)
+router.get('/session/:sessionId/check-in', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('session', { param: 'sessionId', manage: true }), async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.sessionId },
+      include: { checkInWindow: true },
+    });
+
+    res.json({ checkIn: await describeCheckIn(session, session.checkInWindow) });
+  } catch (error) {
+    console.error('Get check-in error:', error);
+    res.status(500).json({ error: 'Failed to fetch check-in' });
+  }
+});
+
+// Open (or reopen) self check-in for a session; reopening issues a new secret so old codes stop working
+router.post('/session/:sessionId/check-in', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('session', { param: 'sessionId', manage: true }), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const data = checkInOpenSchema.parse(req.body);
+
+    const now = new Date();
+    const windowData = {
+      secret: createCheckInSecret(),
+      lateAfterMinutes: data.lateAfterMinutes ?? CHECKIN_LATE_AFTER_MINUTES,
+      openedBy: req.user.id,
+      opensAt: now,
+      closesAt: new Date(now.getTime() + (data.durationMinutes ?? CHECKIN_WINDOW_MINUTES) * 60 * 1000),
+      closedAt: null,
+    };
+
+    const window = await prisma.checkInWindow.upsert({
+      where: { sessionId },
+      update: windowData,
+      create: { sessionId, ...windowData },
+      include: { session: true },
+    });
+
+    res.json({ checkIn: await describeCheckIn(window.session, window) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Open check-in error:', error);
+    res.status(500).json({ error: 'Failed to open check-in' });
+  }
+});
+
+// Close self check-in early
+router.post('/session/:sessionId/check-in/close', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('session', { param: 'sessionId', manage: true }), async (req, res) => {
+  try {
+    const existing = await prisma.checkInWindow.findUnique({ where: { sessionId: req.params.sessionId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Check-in is not open for this session' });
+    }
+
+    const window = await prisma.checkInWindow.update({
+      where: { id: existing.id },
+      data: { closedAt: existing.closedAt || new Date() },
+      include: { session: true },
+    });
+
+    res.json({ checkIn: await describeCheckIn(window.session, window) });
+  } catch (error) {
+    console.error('Close check-in error:', error);
+    res.status(500).json({ error: 'Failed to close check-in' });
+  }
+});
+
+// Student self check-in with the code shown in class. Marks the student PRESENT, or LATE after the
+// window's cutoff. Statuses already set by the instructor (other than ABSENT) are not overwritten.
+router.post('/check-in', authenticateToken, requireRole('STUDENT'), async (req, res) => {
+  try {
+    const { code, sessionId } = checkInSchema.parse(req.body);
+    const studentId = req.user.id;
+    const now = new Date();
+
+    const windows = await prisma.checkInWindow.findMany({
+      where: {
+        ...(sessionId && { sessionId }),
+        closedAt: null,
+        opensAt: { lte: now },
+        closesAt: { gt: now },
+        session: {
+          course: {
+            enrollments: { some: { userId: studentId, status: 'ACTIVE' } },
+          },
+        },
+      },
+      include: {
+        session: {
+          include: { course: { select: { id: true, title: true } } },
+        },
+      },
+    });
+
+    const window = windows.find((w) => verifyCheckInCode(w, code, now));
+    if (!window) {
+      return res.status(400).json({ error: 'Invalid or expired check-in code' });
+    }
+
+    const { session } = window;
+    const existing = await prisma.attendance.findUnique({
+      where: { sessionId_studentId: { sessionId: session.id, studentId } },
+    });
+
+    if (existing && (existing.checkedInAt || existing.status !== 'ABSENT')) {
+      return res.status(409).json({ error: 'Attendance already recorded', attendance: existing });
+    }
+
+    const status = getCheckInStatus(session, window, now);
+    const attendance = await prisma.$transaction(async (tx) => {
+      const checkedIn = await tx.attendance.upsert({
+        where: { sessionId_studentId: { sessionId: session.id, studentId } },
+        update: { status, checkedInAt: now },
+        create: { sessionId: session.id, studentId, status, checkedInAt: now },
+      });
+
+      await recordAudit(buildAuditEntry({
+        actorId: studentId,
+        entityType: 'ATTENDANCE',
+        entityId: checkedIn.id,
+        courseId: session.course.id,
+        studentId,
+        label: sessionLabel(session),
+        before: existing,
+        after: checkedIn,
+      }), tx);
+
+      return checkedIn;
+    });
+
+    res.json({
+      attendance,
+      session: {
+        id: session.id,
+        topic: session.topic,
+        date: session.date,
+        startTime: session.startTime,
+        course: session.course,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: 'Failed to check in' });
+  }
+});
+
+const EXCUSE_INCLUDE = {
+  student: {
+    select: { id: true, name: true, email: true },
+  },
+  session: {
+    select: {
+      id: true,
+      date: true,
+      startTime: true,
+      topic: true,
+      course: { select: { id: true, title: true } },
+    },
+  },
+  reviewer: {
+    select: { id: true, name: true },
+  },
+};
+
+// File (or re-file after a rejection) an excuse request for a session, with an optional attachment
+router.post('/excuses', authenticateToken, requireRole('STUDENT'), uploadAttachment, requireCourseAccess('session', { source: 'body', param: 'sessionId' }), async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    const { sessionId, reason } = excuseRequestSchema.parse(req.body);
+    const studentId = req.user.id;
+
+    const [existing, attendance] = await Promise.all([
+      prisma.attendanceExcuse.findUnique({ where: { sessionId_studentId: { sessionId, studentId } } }),
+      prisma.attendance.findUnique({ where: { sessionId_studentId: { sessionId, studentId } } }),
+    ]);
+
+    if (existing?.status === 'APPROVED') {
+      return res.status(409).json({ error: 'Excuse already approved' });
+    }
+    if (attendance && ['PRESENT', 'EXCUSED'].includes(attendance.status)) {
+      return res.status(400).json({ error: 'Only absences and late arrivals can be excused' });
+    }
+
+    let attachment = {};
+    if (req.file) {
+      const stored = await storeUploadedFile(req.file, `excuses/${sessionId}/${studentId}`);
+      storedKeys.push(stored.url);
+      attachment = { attachmentKey: stored.url, attachmentName: stored.name };
+    }
+
+    const excuse = await prisma.attendanceExcuse.upsert({
+      where: { sessionId_studentId: { sessionId, studentId } },
+      update: {
+        reason,
+        ...attachment,
+        status: 'PENDING',
+        reviewedBy: null,
+        reviewedAt: null,
+        reviewNote: null,
+      },
+      create: { sessionId, studentId, reason, ...attachment },
+      include: EXCUSE_INCLUDE,
+    });
+
+    // A new attachment replaces the previous one
+    if (req.file && existing?.attachmentKey) {
+      await removeStoredFiles([existing.attachmentKey]);
+    }
+
+    res.status(existing ? 200 : 201).json({ excuse });
+  } catch (error) {
+    await removeStoredFiles(storedKeys);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Create excuse request error:', error);
+    res.status(500).json({ error: 'Failed to submit excuse request' });
+  }
+});
+
+// The current student's excuse requests (optionally for one course)
+router.get('/excuses/mine', authenticateToken, requireRole('STUDENT'), async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    const excuses = await prisma.attendanceExcuse.findMany({
+      where: {
+        studentId: req.user.id,
+        ...(courseId && { session: { courseId } }),
+      },
+      include: EXCUSE_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ excuses });
+  } catch (error) {
+    console.error('Get my excuse requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch excuse requests' });
+  }
+});
+
+// Excuse request queue (PENDING by default, ?status=ALL for every request) of the courses the user teaches
+router.get('/excuses', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+  try {
+    const { courseId, status = 'PENDING' } = req.query;
+
+    if (status !== 'ALL' && !['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    let courseFilter;
+    if (courseId) {
+      if (!(await canAccessCourse(req.user, { courseId }, { manage: true }))) {
+        return res.status(403).json({ error: 'Not authorized for this course' });
+      }
+      courseFilter = courseId;
+    } else if (req.user.role === 'INSTRUCTOR') {
+      courseFilter = { in: await getTaughtCourseIds(req.user.id) };
+    }
+
+    const excuses = await prisma.attendanceExcuse.findMany({
+      where: {
+        ...(status !== 'ALL' && { status }),
+        ...(courseFilter && { session: { courseId: courseFilter } }),
+      },
+      include: EXCUSE_INCLUDE,
+      orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+    });
+
+    res.json({ excuses });
+  } catch (error) {
+    console.error('Get excuse requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch excuse requests' });
+  }
+});
+
+// Approve or reject a pending excuse request; approval marks the session EXCUSED with the student's reason
+router.patch('/excuses/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('excuse', { manage: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reviewNote } = excuseReviewSchema.parse(req.body);
+
+    const existing = await prisma.attendanceExcuse.findUnique({ where: { id } });
+
+    const excuse = await prisma.$transaction(async (tx) => {
+      // Only a pending request is reviewed, so two reviewers can't both decide it
+      const { count } = await tx.attendanceExcuse.updateMany({
+        where: { id, status: 'PENDING' },
+        data: {
+          status,
+          reviewNote: reviewNote || null,
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+        },
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Excuse request already reviewed'), { status: 409 });
+      }
+
+      const updated = await tx.attendanceExcuse.findUnique({ where: { id }, include: EXCUSE_INCLUDE });
+
+      if (status === 'APPROVED') {
+        const where = { sessionId_studentId: { sessionId: existing.sessionId, studentId: existing.studentId } };
+        const previous = await tx.attendance.findUnique({ where });
+        const attendance = await tx.attendance.upsert({
+          where,
+          update: { status: 'EXCUSED', note: existing.reason },
+          create: {
+            sessionId: existing.sessionId,
+            studentId: existing.studentId,
+            status: 'EXCUSED',
+            note: existing.reason,
+          },
+        });
+
+        await recordAudit(buildAuditEntry({
+          actorId: req.user.id,
+          entityType: 'ATTENDANCE',
+          entityId: attendance.id,
+          courseId: req.courseId,
+          studentId: existing.studentId,
+          label: sessionLabel(updated.session),
+          before: previous,
+          after: attendance,
+        }), tx);
+      }
+
+      return updated;
+    });
+
+    if (status === 'APPROVED') {
+      await computeStudentCourseMetrics(existing.studentId, req.courseId).catch((err) => {
+        console.error('Failed to recompute metrics after excuse approval:', err);
+      });
+    }
+
+    res.json({ excuse });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Review excuse request error:', error);
+    res.status(500).json({ error: 'Failed to review excuse request' });
+  }
+});
+
+// Short-lived download URL for an excuse attachment (the student who filed it or the course's instructors)
+router.get('/excuses/:id/attachment', authenticateToken, requireCourseAccess('excuse'), async (req, res) => {
+  try {
+    const excuse = await prisma.attendanceExcuse.findUnique({ where: { id: req.params.id } });
+    if (!excuse.attachmentKey) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const url = await getStorage().getDownloadUrl(excuse.attachmentKey, {
+      fileName: excuse.attachmentName,
+      baseUrl: getApiBaseUrl(req),
+    });
+
+    res.json({ url, expiresIn: DOWNLOAD_URL_TTL_SECONDS });
+  } catch (error) {
+    console.error('Get excuse attachment error:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
 // Get attendance summary for a student in a course
-router.get('/student/:studentId/course/:courseId', authenticateToken, async (req, res) => {
+router.get('/student/:studentId/course/:courseId', authenticateToken, requireCourseAccess('course', { param: 'courseId' }), async (req, res) => {
   try {
     const { studentId, courseId } = req.params;
 
+    if (req.user.role === 'STUDENT' && studentId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to view this attendance' });
+    }
+
     const sessions = await prisma.session.findMany({
       where: { courseId },
       include: {
         attendances: {
           where: { studentId },
         },
+        excuses: {
+          where: { studentId },
+          select: { id: true, status: true, reason: true, reviewNote: true, updatedAt: true },
+        },
       },
       orderBy: { date: 'asc' },
     });
@@ -146,6 +593,7 @@ router.get('/student/:studentId/course/:courseId', authenticateToken, async (req
         topic: s.topic,
         status: s.attendances[0]?.status || 'ABSENT',
         note: s.attendances[0]?.note,
+        excuse: s.excuses[0] || null,
       })),
     });
   } catch (error) {
@@ -155,7 +603,7 @@ router.get('/student/:studentId/course/:courseId', authenticateToken, async (req
 });
 
 // Get all students attendance summary for a course
-router.get('/course/:courseId/summary', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.get('/course/:courseId/summary', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { param: 'courseId', manage: true }), async (req, res) => {
   try {
     const { courseId } = req.params;
 
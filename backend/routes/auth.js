@@ -1,23 +1,45 @@
 import express from 'express';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import rateLimit from 'express-rate-limit';
 import prisma from '../config/database.js';
-import { validateRegister, validateLogin } from '../utils/validation.js';
-import { validateAdminPassword } from '../utils/password.js';
+import { authenticateToken } from '../middleware/auth.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+} from '../utils/validation.js';
+import { validatePassword } from '../utils/password.js';
+import { requestPasswordReset, findValidResetToken, consumeResetToken } from '../utils/passwordReset.js';
+import { findInvite, assertInviteUsable, joinCourseWithInvite } from '../utils/courseInvites.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserTokens,
+  hashToken,
+} from '../utils/tokens.js';
 
 const router = express.Router();
 
+// Stricter limit for password reset requests to avoid email flooding
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many password reset requests, please try again later.' },
+});
+
 // Register
 router.post('/register', validateRegister, async (req, res) => {
   try {
-    const { name, email, password, phone, role = 'STUDENT' } = req.body;
+    const { name, email, password, phone, inviteCode } = req.body;
 
-    // Enforce strong password for ADMIN role
-    if (role === 'ADMIN') {
-      const passwordValidation = validateAdminPassword(password);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({ error: passwordValidation.error });
-      }
+    // Check the course invite first so a bad code doesn't leave a half-finished signup
+    if (inviteCode) {
+      assertInviteUsable(await findInvite(inviteCode));
     }
 
     const existingUser = await prisma.user.findUnique({
@@ -28,14 +50,15 @@ router.post('/register', validateRegister, async (req, res) => {
       return res.status(400).json({ error: 'Email already registered' });
     }
 
-    const passwordHash = await bcrypt.hash(password, role === 'ADMIN' ? 12 : 10);
+    const passwordHash = await bcrypt.hash(password, 10);
 
+    // Self-registration always creates a student; staff accounts are created by admins
     const user = await prisma.user.create({
       data: {
         name,
         email,
         phone,
-        role,
+        role: 'STUDENT',
         passwordHash,
       },
       select: {
@@ -48,24 +71,27 @@ router.post('/register', validateRegister, async (req, res) => {
       },
     });
 
-    const accessToken = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
-    );
+    const { accessToken, refreshToken } = await issueTokens(user, req);
 
-    const refreshToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
+    // The account exists at this point; a join that fails now is reported, not fatal
+    let courseInvite;
+    if (inviteCode) {
+      courseInvite = await joinCourseWithInvite(user.id, inviteCode).catch((error) => {
+        console.error('Register invite join error:', error);
+        return { status: 'FAILED', error: error.message };
+      });
+    }
 
     res.status(201).json({
       user,
       accessToken,
       refreshToken,
+      ...(courseInvite && { courseInvite }),
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Register error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
@@ -104,17 +130,7 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    const accessToken = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
+    const { accessToken, refreshToken } = await issueTokens(user, req);
 
     console.log('Tokens generated successfully');
 
@@ -140,7 +156,7 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// Refresh token
+// Refresh token (rotates the refresh token on every call)
 router.post('/refresh', async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -149,31 +165,124 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Refresh token required' });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.json(tokens);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Refresh token expired' });
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(403).json({ error: 'Invalid refresh token' });
+    }
+    console.error('Refresh token error:', error);
+    return res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Logout current session (revokes the refresh token family)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: hashToken(refreshToken) },
+        select: { familyId: true },
+      });
+
+      if (stored) {
+        await revokeTokenFamily(stored.familyId);
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Logout from all devices (revokes every refresh token of the current user)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserTokens(req.user.id);
+
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { email },
       select: {
         id: true,
-        role: true,
+        name: true,
+        email: true,
       },
     });
 
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+    // Same response whether or not the email exists (or the email could be sent), so accounts can't be enumerated
+    if (user) {
+      await requestPasswordReset(user).catch((error) => {
+        console.error('Password reset email error:', error);
+      });
     }
 
-    const accessToken = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
-    );
-
-    res.json({ accessToken });
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Refresh token expired' });
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Reset password with a single-use token
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await findValidResetToken(token);
+
+    if (!resetToken) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: passwordValidation.errors[0],
+        errors: passwordValidation.errors,
+      });
     }
-    return res.status(403).json({ error: 'Invalid refresh token' });
+
+    if (!(await consumeResetToken(resetToken.id))) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, resetToken.user.role === 'ADMIN' ? 12 : 10);
+
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { passwordHash },
+    });
+
+    // Sign out every existing session after a reset
+    await revokeUserTokens(resetToken.userId);
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
@@ -0,0 +1,94 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { canAccessCourse } from '../middleware/courseAccess.js';
+import { getApiBaseUrl } from '../utils/storage.js';
+import {
+  getCalendarToken,
+  resetCalendarToken,
+  findUserByCalendarToken,
+  getFeedUrl,
+  getFeedCourseIds,
+  getCalendarEvents,
+  renderCalendar,
+} from '../utils/calendarFeed.js';
+
+const router = express.Router();
+
+const sendCalendar = (res, fileName, body) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Cache-Control': 'private, max-age=300',
+  });
+  res.send(body);
+};
+
+// Get the current user's feed URL (optionally for one course)
+router.get('/feed-url', authenticateToken, async (req, res) => {
+  try {
+    const { courseId } = req.query;
+
+    if (courseId && !(await canAccessCourse(req.user, { courseId }))) {
+      return res.status(403).json({ error: 'Not authorized for this course' });
+    }
+
+    const token = await getCalendarToken(req.user.id);
+    res.json({ url: getFeedUrl(getApiBaseUrl(req), token, courseId) });
+  } catch (error) {
+    console.error('Get calendar feed URL error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed URL' });
+  }
+});
+
+// Replace the feed token, e.g. after the URL was shared by mistake
+router.post('/feed-url/reset', authenticateToken, async (req, res) => {
+  try {
+    const token = await resetCalendarToken(req.user.id);
+    res.json({ url: getFeedUrl(getApiBaseUrl(req), token) });
+  } catch (error) {
+    console.error('Reset calendar feed URL error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar feed URL' });
+  }
+});
+
+// Personal feed: every course the token's owner is enrolled in or teaches (no login, the token is the secret)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await findUserByCalendarToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const events = await getCalendarEvents(user, await getFeedCourseIds(user));
+    sendCalendar(res, 'calendar.ics', renderCalendar(`BatTechno - ${user.name}`, events));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to generate calendar' });
+  }
+});
+
+// Course feed for the token's owner
+router.get('/feed/:token/courses/:courseId.ics', async (req, res) => {
+  try {
+    const { token, courseId } = req.params;
+
+    const user = await findUserByCalendarToken(token);
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const course = await prisma.course.findUnique({ where: { id: courseId }, select: { id: true, title: true } });
+    if (!course || !(await canAccessCourse(user, { courseId }))) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const events = await getCalendarEvents(user, [courseId]);
+    sendCalendar(res, `course-${courseId}.ics`, renderCalendar(course.title, events));
+  } catch (error) {
+    console.error('Course calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to generate calendar' });
+  }
+});
+
+export default router;
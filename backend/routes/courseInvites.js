@@ -0,0 +1,56 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { findInvite, getInviteState, joinCourseWithInvite } from '../utils/courseInvites.js';
+
+const router = express.Router();
+
+// Invite codes are short, so limit how fast they can be tried
+const inviteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many invite attempts, please try again later.' },
+});
+
+// Public preview of an invite (course and whether it can still be used), for the join and register pages
+router.get('/:code', inviteLimiter, async (req, res) => {
+  try {
+    const invite = await findInvite(req.params.code);
+
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({
+      invite: {
+        code: invite.code,
+        kind: invite.kind,
+        requiresApproval: invite.requiresApproval,
+        expiresAt: invite.expiresAt,
+        state: getInviteState(invite),
+        course: invite.course,
+      },
+    });
+  } catch (error) {
+    console.error('Get course invite error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Join the invite's course as the logged-in student (enrolled now, or pending approval)
+router.post('/:code/join', inviteLimiter, authenticateToken, requireRole('STUDENT'), async (req, res) => {
+  try {
+    const result = await joinCourseWithInvite(req.user.id, req.params.code);
+    res.status(result.status === 'ENROLLED' ? 201 : 200).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Join course error:', error);
+    res.status(500).json({ error: 'Failed to join course' });
+  }
+});
+
+export default router;
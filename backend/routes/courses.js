@@ -1,7 +1,32 @@
 import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { validateCourse } from '../utils/validation.js';
+import { requireCourseAccess, getTaughtCourseIds } from '../middleware/courseAccess.js';
+import {
+  validateCourse,
+  gradingPolicySchema,
+  skillCatalogSchema,
+  courseInviteSchema,
+  joinRequestReviewSchema,
+  metricHistoryQuerySchema,
+  interventionSchema,
+  interventionUpdateSchema,
+  interventionQuerySchema,
+} from '../utils/validation.js';
+import { resolveGradingPolicy } from '../utils/gradingPolicy.js';
+import { recomputeCourseMetrics } from '../utils/metrics.js';
+import { parseRubric, summarizeRubricResults, RUBRIC_FAIL_RATIO } from '../utils/rubric.js';
+import { REVIEWS_WITH_VERSION, getLatestScoredReview } from '../utils/submissionVersions.js';
+import { enrollStudents } from '../utils/enrollments.js';
+import { listCourseInvites, createCourseInvite, formatInvite, reviewJoinRequest } from '../utils/courseInvites.js';
+import { buildSkillRecommendations, getCourseSkillSummary, getCourseTags, parseSkillCatalog } from '../utils/skills.js';
+import { getMetricHistory } from '../utils/metricSnapshots.js';
+import {
+  getCourseRiskCohort,
+  listInterventions,
+  createIntervention,
+  updateInterventionOutcome,
+} from '../utils/interventions.js';
 
 const router = express.Router();
 
@@ -74,7 +99,11 @@ router.get('/', authenticateToken, async (req, res) => {
         console.log(`Courses: ${courses.map(c => c.title).join(', ')}`);
       }
     } else {
+      // Instructors only see the courses they created or co-teach
+      const where = role === 'INSTRUCTOR' ? { id: { in: await getTaughtCourseIds(userId) } } : undefined;
+
       courses = await prisma.course.findMany({
+        where,
         include: {
           creator: {
             select: {
@@ -126,10 +155,9 @@ router.get('/instructors', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR')
 });
 
 // Get course by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireCourseAccess('course'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { role, id: userId } = req.user;
 
     // Base include without instructors
     const baseInclude = {
@@ -190,21 +218,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       course.instructors = [];
     }
 
-    // Check if student is enrolled
-    if (role === 'STUDENT') {
-      const enrollment = await prisma.enrollment.findUnique({
-        where: {
-          userId_courseId: {
-            userId,
-            courseId: id,
-          },
-        },
-      });
-
-      if (!enrollment || enrollment.status !== 'ACTIVE') {
-        return res.status(403).json({ error: 'Not enrolled in this course' });
-      }
-    }
+    // Always expose the effective grading policy (defaults merged in)
+    course.gradingPolicy = resolveGradingPolicy(course.gradingPolicy);
 
     res.json({ course });
   } catch (error) {
@@ -248,7 +263,7 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validate
 router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateCourse, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, startDate, endDate, createdBy, instructorIds } = req.body;
+    const { title, description, startDate, endDate, createdBy, instructorIds, gradingPolicy, skillCatalog } = req.body;
 
     const course = await prisma.course.findUnique({
       where: { id },
@@ -270,6 +285,28 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
       endDate: new Date(endDate),
     };
 
+    // Update grading policy if provided; metrics are recomputed only when it actually changes
+    let metricsChanged = false;
+    if (gradingPolicy !== undefined) {
+      const parsedPolicy = gradingPolicySchema.safeParse(gradingPolicy);
+      if (!parsedPolicy.success) {
+        return res.status(400).json({ error: 'Invalid grading policy', details: parsedPolicy.error.errors });
+      }
+      const currentPolicy = resolveGradingPolicy(course.gradingPolicy);
+      metricsChanged = JSON.stringify(currentPolicy) !== JSON.stringify(resolveGradingPolicy(parsedPolicy.data));
+      updateData.gradingPolicy = parsedPolicy.data;
+    }
+
+    // The skill catalogue feeds the stored recommendations, so a change recomputes them too
+    if (skillCatalog !== undefined) {
+      const parsedCatalog = skillCatalogSchema.safeParse(skillCatalog);
+      if (!parsedCatalog.success) {
+        return res.status(400).json({ error: 'Invalid skill catalog', details: parsedCatalog.error.errors });
+      }
+      metricsChanged ||= JSON.stringify(parseSkillCatalog(course.skillCatalog)) !== JSON.stringify(parsedCatalog.data);
+      updateData.skillCatalog = parsedCatalog.data;
+    }
+
     // Update createdBy if provided and user is ADMIN
     if (createdBy && req.user.role === 'ADMIN') {
       // Verify the new creator is ADMIN or INSTRUCTOR
@@ -357,7 +394,15 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
       updatedCourse.instructors = [];
     }
 
-    res.json({ course: updatedCourse });
+    updatedCourse.gradingPolicy = resolveGradingPolicy(updatedCourse.gradingPolicy);
+
+    let metricsRecomputed;
+    if (metricsChanged) {
+      const result = await recomputeCourseMetrics(id);
+      metricsRecomputed = result.recomputed;
+    }
+
+    res.json({ course: updatedCourse, metricsRecomputed });
   } catch (error) {
     console.error('Update course error:', error);
     res.status(500).json({ error: 'Failed to update course' });
@@ -393,7 +438,7 @@ router.delete('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), asy
 });
 
 // Enroll students
-router.post('/:id/enrollments', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.post('/:id/enrollments', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
   try {
     const { id: courseId } = req.params;
     const { studentIds } = req.body;
@@ -402,35 +447,8 @@ router.post('/:id/enrollments', authenticateToken, requireRole('ADMIN', 'INSTRUC
       return res.status(400).json({ error: 'Student IDs array is required' });
     }
 
-    const enrollments = await Promise.all(
-      studentIds.map((studentId) =>
-        prisma.enrollment.upsert({
-          where: {
-            userId_courseId: {
-              userId: studentId,
-              courseId,
-            },
-          },
-          update: {
-            status: 'ACTIVE',
-          },
-          create: {
-            userId: studentId,
-            courseId,
-            status: 'ACTIVE',
-          },
-          include: {
-            user: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-                phone: true,
-              },
-            },
-          },
-        })
-      )
+    const enrollments = await prisma.$transaction((tx) =>
+      enrollStudents(tx, { courseId, studentIds, actorId: req.user.id })
     );
 
     res.json({ enrollments });
@@ -440,8 +458,264 @@ router.post('/:id/enrollments', authenticateToken, requireRole('ADMIN', 'INSTRUC
   }
 });
 
+// Enrollment codes and invite links of a course, with their join requests
+router.get('/:id/invites', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    res.json({ invites: await listCourseInvites(req.params.id) });
+  } catch (error) {
+    console.error('Get course invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Create an enrollment code (kind CODE) or invite link (kind LINK)
+router.post('/:id/invites', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const data = courseInviteSchema.parse(req.body);
+    const invite = await createCourseInvite(req.params.id, data, req.user.id);
+    res.status(201).json({ invite });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Create course invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Revoke an invite; students who already joined stay enrolled
+router.delete('/:id/invites/:inviteId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const { id: courseId, inviteId } = req.params;
+
+    const { count } = await prisma.courseInvite.updateMany({
+      where: { id: inviteId, courseId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    const invite = await prisma.courseInvite.findFirst({ where: { id: inviteId, courseId } });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ invite: formatInvite(invite), revoked: count > 0 });
+  } catch (error) {
+    console.error('Revoke course invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Approve (enrolls the student) or reject a pending join request
+router.patch('/:id/join-requests/:requestId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const { id: courseId, requestId } = req.params;
+    const { status } = joinRequestReviewSchema.parse(req.body);
+
+    const joinRequest = await prisma.courseJoinRequest.findFirst({
+      where: { id: requestId, invite: { courseId } },
+      include: { invite: { select: { courseId: true } } },
+    });
+
+    if (!joinRequest) {
+      return res.status(404).json({ error: 'Join request not found' });
+    }
+
+    const updated = await reviewJoinRequest(joinRequest, { status, reviewerId: req.user.id });
+    res.json({ joinRequest: updated });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Review join request error:', error);
+    res.status(500).json({ error: 'Failed to review join request' });
+  }
+});
+
+// Rubric analytics: which criteria students fail most across the course's rubric-scored assignments
+router.get('/:id/rubric-analytics', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const { id: courseId } = req.params;
+
+    const assignments = await prisma.assignment.findMany({
+      where: { courseId },
+      select: {
+        id: true,
+        title: true,
+        rubric: true,
+        submissions: {
+          select: {
+            reviews: REVIEWS_WITH_VERSION,
+          },
+        },
+      },
+      orderBy: { dueDate: 'asc' },
+    });
+
+    // One result per student: the rubric of the review that counts for their score
+    const rubricAssignments = assignments
+      .map((assignment) => ({
+        id: assignment.id,
+        title: assignment.title,
+        rubric: parseRubric(assignment.rubric),
+        results: assignment.submissions
+          .map((submission) => getLatestScoredReview(submission.reviews)?.rubricResult)
+          .filter(Boolean),
+      }))
+      .filter((assignment) => assignment.rubric);
+
+    res.json({
+      failRatio: RUBRIC_FAIL_RATIO,
+      assignments: rubricAssignments.map((a) => ({ id: a.id, title: a.title, reviewed: a.results.length })),
+      criteria: summarizeRubricResults(rubricAssignments),
+    });
+  } catch (error) {
+    console.error('Get rubric analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch rubric analytics' });
+  }
+});
+
+// Skill mastery: students get their own skills and recommendations; staff get the class average per tag,
+// every tag used in the course and the skill catalogue
+router.get('/:id/skills', authenticateToken, requireCourseAccess('course'), async (req, res) => {
+  try {
+    const { id: courseId } = req.params;
+
+    const course = await prisma.course.findUnique({
+      where: { id: courseId },
+      select: { gradingPolicy: true, skillCatalog: true },
+    });
+    const threshold = resolveGradingPolicy(course.gradingPolicy).thresholds.lowMastery;
+
+    if (req.user.role === 'STUDENT') {
+      const [skills, sessions] = await Promise.all([
+        prisma.studentSkillMastery.findMany({
+          where: { studentId: req.user.id, courseId },
+          select: { tag: true, mastery: true, evidence: true, updatedAt: true },
+          orderBy: [{ mastery: 'asc' }, { tag: 'asc' }],
+        }),
+        prisma.session.findMany({
+          where: { courseId },
+          select: { id: true, date: true, topic: true, tags: true },
+          orderBy: { date: 'asc' },
+        }),
+      ]);
+
+      return res.json({
+        threshold,
+        skills,
+        recommendations: buildSkillRecommendations(skills, { threshold, catalog: course.skillCatalog, sessions }),
+      });
+    }
+
+    const [skills, tags] = await Promise.all([
+      getCourseSkillSummary(courseId, threshold),
+      getCourseTags(courseId),
+    ]);
+
+    res.json({
+      threshold,
+      skills,
+      tags,
+      catalog: parseSkillCatalog(course.skillCatalog),
+    });
+  } catch (error) {
+    console.error('Get course skills error:', error);
+    res.status(500).json({ error: 'Failed to fetch skills' });
+  }
+});
+
+// Weekly metric snapshots, oldest first: students get their own; staff pass ?studentId= (weeks: 1..52, default 12)
+router.get('/:id/metrics/history', authenticateToken, requireCourseAccess('course'), async (req, res) => {
+  try {
+    const { id: courseId } = req.params;
+    const { studentId, weeks } = metricHistoryQuerySchema.parse(req.query);
+
+    if (req.user.role !== 'STUDENT' && !studentId) {
+      return res.status(400).json({ error: 'studentId is required' });
+    }
+
+    const snapshots = await getMetricHistory(req.user.role === 'STUDENT' ? req.user.id : studentId, courseId, weeks);
+
+    res.json({ weeks, snapshots });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Get metric history error:', error);
+    res.status(500).json({ error: 'Failed to fetch metric history' });
+  }
+});
+
+// Early-warning cohort: active students with their risk score, level, per-factor breakdown and
+// interventions, riskiest first
+router.get('/:id/at-risk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    res.json(await getCourseRiskCohort(req.params.id));
+  } catch (error) {
+    console.error('Get at-risk students error:', error);
+    res.status(500).json({ error: 'Failed to fetch at-risk students' });
+  }
+});
+
+// Intervention log of a student (?studentId=), newest first
+router.get('/:id/interventions', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const { studentId } = interventionQuerySchema.parse(req.query);
+    res.json({ interventions: await listInterventions(req.params.id, studentId) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Get interventions error:', error);
+    res.status(500).json({ error: 'Failed to fetch interventions' });
+  }
+});
+
+// Log an outreach to a student (kind, note and optionally its outcome)
+router.post('/:id/interventions', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const data = interventionSchema.parse(req.body);
+    const intervention = await createIntervention(req.params.id, data, req.user.id);
+
+    if (!intervention) {
+      return res.status(404).json({ error: 'Student not enrolled in this course' });
+    }
+
+    res.status(201).json({ intervention });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Create intervention error:', error);
+    res.status(500).json({ error: 'Failed to log intervention' });
+  }
+});
+
+// Record the outcome of an intervention
+router.patch('/:id/interventions/:interventionId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
+  try {
+    const data = interventionUpdateSchema.parse(req.body);
+    const intervention = await updateInterventionOutcome(req.params.id, req.params.interventionId, data);
+
+    if (!intervention) {
+      return res.status(404).json({ error: 'Intervention not found' });
+    }
+
+    res.json({ intervention });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Update intervention error:', error);
+    res.status(500).json({ error: 'Failed to update intervention' });
+  }
+});
+
 // Get enrolled students
-router.get('/:id/students', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.get('/:id/students', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { manage: true }), async (req, res) => {
   try {
     const { id: courseId } = req.params;
 
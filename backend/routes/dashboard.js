@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { getStudentDashboard, getInstructorDashboard, getAdminDashboard } from '../utils/dashboard.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Everything the student dashboard shows, in one response
+router.get('/student', requireRole('STUDENT'), async (req, res) => {
+  try {
+    res.json(await getStudentDashboard(req.user.id));
+  } catch (error) {
+    console.error('Get student dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard' });
+  }
+});
+
+// Dashboard over the courses the instructor teaches
+router.get('/instructor', requireRole('INSTRUCTOR'), async (req, res) => {
+  try {
+    res.json(await getInstructorDashboard(req.user.id));
+  } catch (error) {
+    console.error('Get instructor dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard' });
+  }
+});
+
+// Dashboard over all courses, with every student's attendance and assignment completion
+router.get('/admin', requireRole('ADMIN'), async (req, res) => {
+  try {
+    res.json(await getAdminDashboard());
+  } catch (error) {
+    console.error('Get admin dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard' });
+  }
+});
+
+export default router;
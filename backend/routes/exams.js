@@ -2,17 +2,31 @@ import express from 'express';
 import { body } from 'express-validator';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { handleValidationErrors } from '../utils/validation.js';
+import { handleValidationErrors, bankDrawRulesSchema } from '../utils/validation.js';
+import { drawBankQuestions } from '../utils/questionBank.js';
+import { normalizeTags } from '../utils/skills.js';
+import { buildAuditEntry, recordAudit } from '../utils/audit.js';
+import { notifyExamOpened } from '../utils/notifications.js';
+import {
+  computeExpiresAt,
+  getAttemptExpiry,
+  getRemainingSeconds,
+  isPastDeadline,
+  submitExamAttempt,
+} from '../utils/attemptTiming.js';
 
 const router = express.Router();
 
+// The exam's own pool excludes questions copied in by bank draw rules
+const OWN_QUESTIONS = { where: { drawnFromBank: false } };
+
 // ========== ADMIN ENDPOINTS ==========
 
 // Create exam (PRE or POST)
 router.post('/sessions/:sessionId/exams', authenticateToken, requireRole('ADMIN'), [
   body('type').isIn(['PRE', 'POST']).withMessage('Type must be PRE or POST'),
   body('title').trim().notEmpty().withMessage('Title is required'),
-  body('examQuestionCount').isInt({ min: 1 }).withMessage('Exam question count must be at least 1'),
+  body('examQuestionCount').isInt({ min: 0 }).withMessage('Exam question count must be a non-negative integer'),
   body('timeLimitMinutes').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Time limit must be a positive integer'),
   body('attemptsAllowed').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Attempts allowed must be a positive integer'),
   body('availableFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Valid available from date is required'),
@@ -31,10 +45,16 @@ router.post('/sessions/:sessionId/exams', authenticateToken, requireRole('ADMIN'
       attemptsAllowed, 
       availableFrom, 
       availableTo,
-      showSolutionsAfterSubmit 
+      showSolutionsAfterSubmit,
+      bankDrawRules,
     } = req.body;
     const createdBy = req.user.id;
 
+    const parsedRules = bankDrawRulesSchema.safeParse(bankDrawRules ?? []);
+    if (!parsedRules.success) {
+      return res.status(400).json({ error: 'Invalid bank draw rules', details: parsedRules.error.errors });
+    }
+
     // Check if exam of this type already exists for this session
     const existing = await prisma.exam.findUnique({
       where: {
@@ -72,6 +92,7 @@ router.post('/sessions/:sessionId/exams', authenticateToken, requireRole('ADMIN'
         availableFrom: availableFrom ? new Date(availableFrom) : null,
         availableTo: availableTo ? new Date(availableTo) : null,
         showSolutionsAfterSubmit: showSolutionsAfterSubmit ?? false,
+        bankDrawRules: parsedRules.data,
         createdBy,
       },
       include: {
@@ -85,7 +106,7 @@ router.post('/sessions/:sessionId/exams', authenticateToken, requireRole('ADMIN'
           select: { id: true, name: true },
         },
         _count: {
-          select: { questions: true },
+          select: { questions: OWN_QUESTIONS },
         },
       },
     });
@@ -123,7 +144,7 @@ router.get('/sessions/:sessionId/exams', authenticateToken, async (req, res) =>
           select: { id: true, name: true },
         },
         _count: {
-          select: { questions: true, attempts: true },
+          select: { questions: OWN_QUESTIONS, attempts: true },
         },
       },
       orderBy: { createdAt: 'desc' },
@@ -186,10 +207,11 @@ router.get('/exams/:examId', authenticateToken, async (req, res) => {
           select: { id: true, name: true },
         },
         questions: {
+          ...OWN_QUESTIONS,
           orderBy: { orderIndex: 'asc' },
         },
         _count: {
-          select: { questions: true, attempts: true },
+          select: { questions: OWN_QUESTIONS, attempts: true },
         },
       },
     });
@@ -223,7 +245,7 @@ router.get('/exams/:examId', authenticateToken, async (req, res) => {
 // Update exam
 router.put('/exams/:examId', authenticateToken, requireRole('ADMIN'), [
   body('title').optional({ checkFalsy: true }).isString().notEmpty().withMessage('Title cannot be empty'),
-  body('examQuestionCount').optional().isInt({ min: 1 }).withMessage('Exam question count must be at least 1'),
+  body('examQuestionCount').optional().isInt({ min: 0 }).withMessage('Exam question count must be a non-negative integer'),
   body('timeLimitMinutes').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Time limit must be a positive integer'),
   body('attemptsAllowed').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Attempts allowed must be a positive integer'),
   body('availableFrom').optional({ checkFalsy: true }).isISO8601().withMessage('Valid available from date is required'),
@@ -241,7 +263,8 @@ router.put('/exams/:examId', authenticateToken, requireRole('ADMIN'), [
       attemptsAllowed, 
       availableFrom, 
       availableTo,
-      showSolutionsAfterSubmit 
+      showSolutionsAfterSubmit,
+      bankDrawRules,
     } = req.body;
     
     // Trim title and description if provided
@@ -251,7 +274,7 @@ router.put('/exams/:examId', authenticateToken, requireRole('ADMIN'), [
     // Check exam exists
     const existing = await prisma.exam.findUnique({
       where: { id: examId },
-      select: { _count: { select: { questions: true } } },
+      select: { _count: { select: { questions: OWN_QUESTIONS } } },
     });
 
     if (!existing) {
@@ -266,6 +289,13 @@ router.put('/exams/:examId', authenticateToken, requireRole('ADMIN'), [
     }
 
     const updateData = {};
+    if (bankDrawRules !== undefined) {
+      const parsedRules = bankDrawRulesSchema.safeParse(bankDrawRules ?? []);
+      if (!parsedRules.success) {
+        return res.status(400).json({ error: 'Invalid bank draw rules', details: parsedRules.error.errors });
+      }
+      updateData.bankDrawRules = parsedRules.data;
+    }
     if (trimmedTitle !== undefined) updateData.title = trimmedTitle;
     if (trimmedDescription !== undefined) updateData.description = trimmedDescription || null;
     if (examQuestionCount !== undefined) updateData.examQuestionCount = examQuestionCount;
@@ -289,7 +319,7 @@ router.put('/exams/:examId', authenticateToken, requireRole('ADMIN'), [
           select: { id: true, name: true },
         },
         _count: {
-          select: { questions: true },
+          select: { questions: OWN_QUESTIONS },
         },
       },
     });
@@ -310,19 +340,46 @@ router.put('/exams/:examId/status', authenticateToken, requireRole('ADMIN'), [
     const { examId } = req.params;
     const { status } = req.body;
 
-    const exam = await prisma.exam.update({
+    const previous = await prisma.exam.findUnique({
       where: { id: examId },
-      data: { status },
-      include: {
-        course: {
-          select: { id: true, title: true },
-        },
-        session: {
-          select: { id: true, topic: true },
+      select: { status: true },
+    });
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const exam = await prisma.$transaction(async (tx) => {
+      const updated = await tx.exam.update({
+        where: { id: examId },
+        data: { status },
+        include: {
+          course: {
+            select: { id: true, title: true },
+          },
+          session: {
+            select: { id: true, topic: true },
+          },
         },
-      },
+      });
+
+      await recordAudit(buildAuditEntry({
+        actorId: req.user.id,
+        entityType: 'EXAM',
+        entityId: examId,
+        courseId: updated.courseId,
+        label: updated.title,
+        before: previous,
+        after: updated,
+      }), tx);
+
+      return updated;
     });
 
+    if (exam.status === 'PUBLISHED') {
+      await notifyExamOpened(exam);
+    }
+
     res.json({ exam });
   } catch (error) {
     console.error('Update exam status error:', error);
@@ -347,7 +404,7 @@ router.get('/exams/:examId/questions', authenticateToken, requireRole('ADMIN'),
     }
 
     const questions = await prisma.examQuestion.findMany({
-      where: { examId },
+      where: { examId, drawnFromBank: false },
       orderBy: { orderIndex: 'asc' },
     });
 
@@ -366,11 +423,12 @@ router.post('/exams/:examId/questions', authenticateToken, requireRole('ADMIN'),
   body('correctAnswer').notEmpty().withMessage('Correct answer is required'),
   body('points').optional().isInt({ min: 1 }).withMessage('Points must be a positive integer'),
   body('explanation').optional({ checkFalsy: true }).isString().withMessage('Explanation must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const { examId } = req.params;
-    const { questionType, prompt, choices, correctAnswer, points, explanation } = req.body;
+    const { questionType, prompt, choices, correctAnswer, points, explanation, tags } = req.body;
     
     // Trim explanation if provided
     const trimmedExplanation = explanation && typeof explanation === 'string' ? explanation.trim() : null;
@@ -378,7 +436,7 @@ router.post('/exams/:examId/questions', authenticateToken, requireRole('ADMIN'),
     // Validate exam exists
     const exam = await prisma.exam.findUnique({
       where: { id: examId },
-      select: { id: true, _count: { select: { questions: true } } },
+      select: { id: true, _count: { select: { questions: OWN_QUESTIONS } } },
     });
 
     if (!exam) {
@@ -415,6 +473,7 @@ router.post('/exams/:examId/questions', authenticateToken, requireRole('ADMIN'),
           : (correctAnswer === 'true' || correctAnswer === true),
         points: points || 1,
         explanation: trimmedExplanation || null,
+        tags: normalizeTags(tags),
         orderIndex: nextOrderIndex,
       },
       include: {
@@ -438,18 +497,19 @@ router.put('/questions/:questionId', authenticateToken, requireRole('ADMIN'), [
   body('correctAnswer').optional().notEmpty().withMessage('Correct answer cannot be empty'),
   body('points').optional().isInt({ min: 1 }).withMessage('Points must be a positive integer'),
   body('explanation').optional({ checkFalsy: true }).isString().withMessage('Explanation must be a string'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const { questionId } = req.params;
-    const { prompt, choices, correctAnswer, points, explanation } = req.body;
+    const { prompt, choices, correctAnswer, points, explanation, tags } = req.body;
     
     // Trim explanation if provided
     const trimmedExplanation = explanation && typeof explanation === 'string' ? explanation.trim() : null;
 
     const existing = await prisma.examQuestion.findUnique({
       where: { id: questionId },
-      include: { exam: { select: { id: true, examQuestionCount: true, _count: { select: { questions: true } } } } },
+      include: { exam: { select: { id: true, examQuestionCount: true, _count: { select: { questions: OWN_QUESTIONS } } } } },
     });
 
     if (!existing) {
@@ -462,6 +522,7 @@ router.put('/questions/:questionId', authenticateToken, requireRole('ADMIN'), [
     if (trimmedPrompt !== undefined) updateData.prompt = trimmedPrompt;
     if (points !== undefined) updateData.points = points;
     if (explanation !== undefined) updateData.explanation = trimmedExplanation || null;
+    if (tags !== undefined) updateData.tags = normalizeTags(tags);
 
     // Handle choices and correctAnswer for MCQ
     if (existing.questionType === 'MCQ') {
@@ -625,6 +686,7 @@ router.post('/questions/:questionId/duplicate', authenticateToken, requireRole('
         correctAnswer: original.correctAnswer,
         points: original.points,
         explanation: original.explanation,
+        tags: original.tags,
         orderIndex: nextOrderIndex,
       },
       include: {
@@ -663,7 +725,7 @@ router.put('/exams/:examId/questions/bulk', authenticateToken, requireRole('ADMI
     // Update each question
     const updatedQuestions = await Promise.all(
       questions.map(async (q) => {
-        const { id, prompt, choices, correctAnswer, points, explanation, orderIndex } = q;
+        const { id, prompt, choices, correctAnswer, points, explanation, orderIndex, tags } = q;
 
         // Validate question belongs to exam
         const existing = await prisma.examQuestion.findFirst({
@@ -678,6 +740,7 @@ router.put('/exams/:examId/questions/bulk', authenticateToken, requireRole('ADMI
         if (prompt !== undefined) updateData.prompt = prompt.trim();
         if (points !== undefined) updateData.points = points;
         if (orderIndex !== undefined) updateData.orderIndex = orderIndex;
+        if (tags !== undefined) updateData.tags = normalizeTags(tags);
         if (explanation !== undefined) {
           updateData.explanation = explanation && typeof explanation === 'string' ? explanation.trim() : null;
         }
@@ -763,7 +826,7 @@ router.get('/my/exams', authenticateToken, requireRole('STUDENT'), async (req, r
           select: { id: true, topic: true, date: true },
         },
         _count: {
-          select: { questions: true },
+          select: { questions: OWN_QUESTIONS },
         },
       },
       orderBy: [
@@ -868,6 +931,14 @@ router.post('/exams/:examId/attempts/start', authenticateToken, requireRole('STU
       return res.status(403).json({ error: 'Exam is no longer available' });
     }
 
+    // Close an in-progress attempt whose time ran out before checking what is left
+    const expired = await prisma.examAttempt.findFirst({
+      where: { examId, studentId, status: 'IN_PROGRESS' },
+    });
+    if (expired && isPastDeadline(getAttemptExpiry(expired, exam.timeLimitMinutes), now)) {
+      await submitExamAttempt(expired.id, { autoSubmitted: true });
+    }
+
     // Check attempts allowed
     const existingAttempts = await prisma.examAttempt.findMany({
       where: {
@@ -876,11 +947,8 @@ router.post('/exams/:examId/attempts/start', authenticateToken, requireRole('STU
       },
     });
 
-    if (existingAttempts.length >= exam.attemptsAllowed) {
-      const latestAttempt = existingAttempts.find(a => a.status === 'IN_PROGRESS');
-      if (!latestAttempt) {
-        return res.status(403).json({ error: 'Maximum attempts reached' });
-      }
+    const latestAttempt = existingAttempts.find(a => a.status === 'IN_PROGRESS');
+    if (latestAttempt) {
       // Return existing in-progress attempt
       const attemptWithQuestions = await prisma.examAttempt.findUnique({
         where: { id: latestAttempt.id },
@@ -898,20 +966,50 @@ router.post('/exams/:examId/attempts/start', authenticateToken, requireRole('STU
         },
       });
 
-      return res.json({ attempt: attemptWithQuestions });
+      return res.json({
+        attempt: {
+          ...attemptWithQuestions,
+          exam: {
+            ...attemptWithQuestions.exam,
+            questions: attemptWithQuestions.exam.questions.map(({ correctAnswer, ...question }) => question),
+          },
+        },
+        remainingSeconds: getRemainingSeconds(getAttemptExpiry(latestAttempt, exam.timeLimitMinutes), now),
+      });
     }
 
+    if (existingAttempts.length >= exam.attemptsAllowed) {
+      return res.status(403).json({ error: 'Maximum attempts reached' });
+    }
+
+    const ownPool = exam.questions.filter((q) => !q.drawnFromBank);
+
     // Validate examQuestionCount
-    if (exam.examQuestionCount > exam.questions.length) {
+    if (exam.examQuestionCount > ownPool.length) {
       return res.status(400).json({ 
-        error: `Exam requires ${exam.examQuestionCount} questions but only ${exam.questions.length} available` 
+        error: `Exam requires ${exam.examQuestionCount} questions but only ${ownPool.length} available` 
       });
     }
 
-    // Select random questions
-    const questionCount = Math.min(exam.examQuestionCount, exam.questions.length);
-    const shuffled = [...exam.questions].sort(() => Math.random() - 0.5);
+    // Select random questions from the exam's own pool
+    const questionCount = Math.min(exam.examQuestionCount, ownPool.length);
+    const shuffled = [...ownPool].sort(() => Math.random() - 0.5);
     const selectedQuestions = shuffled.slice(0, questionCount);
+
+    // Add questions drawn from the shared bank by the exam's draw rules
+    try {
+      selectedQuestions.push(...await drawBankQuestions(exam, ownPool));
+    } catch (drawError) {
+      if (drawError.status) {
+        return res.status(drawError.status).json({ error: drawError.message });
+      }
+      throw drawError;
+    }
+
+    if (selectedQuestions.length === 0) {
+      return res.status(400).json({ error: 'Exam has no questions' });
+    }
+
     const servedQuestionIds = selectedQuestions.map(q => q.id);
 
     // Get next attempt number
@@ -925,6 +1023,8 @@ router.post('/exams/:examId/attempts/start', authenticateToken, requireRole('STU
         attemptNumber,
         servedQuestionIds,
         maxRawScore: selectedQuestions.reduce((sum, q) => sum + q.points, 0),
+        startedAt: now,
+        expiresAt: computeExpiresAt(now, exam.timeLimitMinutes),
       },
       include: {
         exam: {
@@ -954,6 +1054,7 @@ router.post('/exams/:examId/attempts/start', authenticateToken, requireRole('STU
           questions: questionsWithoutAnswers,
         },
       },
+      remainingSeconds: getRemainingSeconds(attempt.expiresAt, now),
     });
   } catch (error) {
     console.error('Start attempt error:', error);
@@ -995,6 +1096,12 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
       return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
+    const now = new Date();
+    const expiresAt = getAttemptExpiry(attempt, attempt.exam.timeLimitMinutes);
+    if (isPastDeadline(expiresAt, now)) {
+      return res.status(400).json({ error: 'Time limit exceeded', remainingSeconds: 0 });
+    }
+
     // Verify question is part of served questions
     if (!attempt.servedQuestionIds.includes(questionId)) {
       return res.status(400).json({ error: 'Question not part of this attempt' });
@@ -1043,7 +1150,10 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
       },
     });
 
-    res.json({ answer: examAnswer });
+    res.json({
+      answer: examAnswer,
+      remainingSeconds: getRemainingSeconds(expiresAt, now),
+    });
   } catch (error) {
     console.error('Submit answer error:', error);
     res.status(500).json({ error: 'Failed to save answer' });
@@ -1055,19 +1165,12 @@ router.post('/attempts/:attemptId/submit', authenticateToken, requireRole('STUDE
   try {
     const { attemptId } = req.params;
     const { id: studentId } = req.user;
-    const now = new Date();
 
     const attempt = await prisma.examAttempt.findUnique({
       where: { id: attemptId },
       include: {
         exam: {
-          include: {
-            questions: {
-              where: {
-                id: { in: [] }, // Will be populated from servedQuestionIds
-              },
-            },
-          },
+          select: { showSolutionsAfterSubmit: true },
         },
       },
     });
@@ -1084,62 +1187,12 @@ router.post('/attempts/:attemptId/submit', authenticateToken, requireRole('STUDE
       return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
-    // Check time limit
-    if (attempt.exam.timeLimitMinutes) {
-      const elapsedMinutes = (now - new Date(attempt.startedAt)) / (1000 * 60);
-      if (elapsedMinutes > attempt.exam.timeLimitMinutes) {
-        return res.status(400).json({ error: 'Time limit exceeded' });
-      }
+    // Submitting after the deadline is allowed: answers sent after it were already rejected
+    const submittedAttempt = await submitExamAttempt(attemptId);
+    if (!submittedAttempt) {
+      return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
-    // Get all answers for this attempt
-    const answers = await prisma.examAnswer.findMany({
-      where: { attemptId },
-      include: {
-        question: true,
-      },
-    });
-
-    // Calculate scores
-    const rawScore = answers.reduce((sum, a) => sum + a.earnedPoints, 0);
-    const maxRawScore = attempt.maxRawScore || attempt.exam.questions.reduce((sum, q) => sum + q.points, 0);
-    
-    // Normalize to out of 10
-    const finalScore10 = maxRawScore > 0 
-      ? Math.round((rawScore / maxRawScore) * 10 * 10) / 10 // Round to 1 decimal
-      : 0;
-    const percentage = maxRawScore > 0 ? (rawScore / maxRawScore) * 100 : 0;
-
-    // Update attempt
-    const submittedAttempt = await prisma.examAttempt.update({
-      where: { id: attemptId },
-      data: {
-        status: 'SUBMITTED',
-        submittedAt: now,
-        rawScore,
-        maxRawScore,
-        finalScore10,
-        percentage,
-      },
-      include: {
-        exam: {
-          include: {
-            questions: {
-              where: {
-                id: { in: attempt.servedQuestionIds || [] },
-              },
-              orderBy: { orderIndex: 'asc' },
-            },
-          },
-        },
-        answers: {
-          include: {
-            question: true,
-          },
-        },
-      },
-    });
-
     // Include correct answers if showSolutionsAfterSubmit is enabled
     if (attempt.exam.showSolutionsAfterSubmit) {
       res.json({ attempt: submittedAttempt });
@@ -0,0 +1,29 @@
+import express from 'express';
+import fs from 'fs';
+import { verifyDownloadToken, getLocalStorage } from '../utils/storage.js';
+
+const router = express.Router();
+
+// Download a locally stored file with a signed, short-lived token (no auth header: opened by the browser)
+router.get('/:token', async (req, res) => {
+  try {
+    const file = verifyDownloadToken(req.params.token);
+
+    if (!file) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const filePath = getLocalStorage().getFilePath(file.key);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.download(filePath, file.name || undefined);
+  } catch (error) {
+    console.error('Download file error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { notificationListSchema, notificationReadSchema } from '../utils/validation.js';
+import {
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+} from '../utils/notifications.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Current user's notifications, newest first (?unread=true, ?before=<createdAt> for the next page)
+router.get('/', async (req, res) => {
+  try {
+    const { unread, before, limit } = notificationListSchema.parse(req.query);
+    res.json(await listNotifications(req.user.id, { unreadOnly: unread === 'true', before, limit }));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Unread count only, for polling the bell
+router.get('/unread-count', async (req, res) => {
+  try {
+    res.json({ unreadCount: await countUnreadNotifications(req.user.id) });
+  } catch (error) {
+    console.error('Get unread notifications count error:', error);
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+});
+
+// Mark the given notifications (or all of them) as read
+router.post('/read', async (req, res) => {
+  try {
+    const { ids } = notificationReadSchema.parse(req.body || {});
+    const updated = await markNotificationsRead(req.user.id, ids);
+    res.json({ updated, unreadCount: await countUnreadNotifications(req.user.id) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+export default router;
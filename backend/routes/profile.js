@@ -1,8 +1,12 @@
 import express from 'express';
+import bcrypt from 'bcrypt';
 import prisma from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { upsertSuggestions } from '../utils/suggestions.js';
 import { getProfileOptions } from '../utils/defaultOptions.js';
+import { validateChangePassword, emailPreferencesSchema } from '../utils/validation.js';
+import { validatePassword } from '../utils/password.js';
+import { issueTokens, revokeUserTokens } from '../utils/tokens.js';
 
 const router = express.Router();
 
@@ -201,6 +205,89 @@ router.put('/', authenticateToken, async (req, res) => {
   }
 });
 
+const EMAIL_PREFERENCES_SELECT = { emailLanguage: true, emailReminders: true, emailDigest: true };
+
+// Current user's email preferences (defaults apply until a profile exists)
+router.get('/email-preferences', authenticateToken, async (req, res) => {
+  try {
+    const profile = await prisma.profile.findUnique({
+      where: { userId: req.user.id },
+      select: EMAIL_PREFERENCES_SELECT,
+    });
+
+    res.json({ data: profile || { emailLanguage: 'ar', emailReminders: true, emailDigest: true } });
+  } catch (error) {
+    console.error('Get email preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch email preferences' });
+  }
+});
+
+// Update email language and reminder/digest opt-outs
+router.put('/email-preferences', authenticateToken, async (req, res) => {
+  try {
+    const data = emailPreferencesSchema.parse(req.body);
+
+    const profile = await prisma.profile.upsert({
+      where: { userId: req.user.id },
+      update: data,
+      create: { userId: req.user.id, ...data },
+      select: EMAIL_PREFERENCES_SELECT,
+    });
+
+    res.json({ data: profile });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    console.error('Update email preferences error:', error);
+    res.status(500).json({ error: 'Failed to update email preferences' });
+  }
+});
+
+// Change current user's password
+router.put('/password', authenticateToken, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.passwordHash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: passwordValidation.errors[0],
+        errors: passwordValidation.errors,
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.passwordHash)) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, user.role === 'ADMIN' ? 12 : 10);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { passwordHash },
+    });
+
+    // Sign out other devices and hand this client a fresh session
+    await revokeUserTokens(user.id);
+    const { accessToken, refreshToken } = await issueTokens(user, req);
+
+    res.json({ message: 'Password changed successfully', accessToken, refreshToken });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
 // Avatar upload removed - text-only assignments only
 
 export default router;
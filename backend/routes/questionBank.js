@@ -0,0 +1,281 @@
+import express from 'express';
+import { body } from 'express-validator';
+import prisma from '../config/database.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { bankQuestionSchema, handleValidationErrors } from '../utils/validation.js';
+import { normalizeShortTextKey } from '../utils/quizGrading.js';
+import {
+  EXAM_QUESTION_TYPES,
+  buildBankQuestionWhere,
+  toQuizQuestionData,
+  toExamQuestionData,
+} from '../utils/questionBank.js';
+
+const router = express.Router();
+
+const validateImport = [
+  body('questionIds').isArray({ min: 1 }).withMessage('questionIds must be a non-empty array'),
+  handleValidationErrors,
+];
+
+// Parse and normalize a bank question payload (throws ZodError / Error)
+const parseBankQuestion = (payload) => {
+  const data = bankQuestionSchema.parse(payload);
+
+  if (data.type === 'MCQ') {
+    data.correctAnswer = Number(data.correctAnswer);
+  } else if (data.type === 'TRUE_FALSE') {
+    data.correctAnswer = data.correctAnswer === true || data.correctAnswer === 'true';
+    data.choices = null;
+  } else {
+    data.correctAnswer = normalizeShortTextKey(data.correctAnswer);
+    data.choices = null;
+  }
+
+  return {
+    ...data,
+    explanation: data.explanation || null,
+    topic: data.topic || null,
+  };
+};
+
+// List bank questions with filters, plus the tags/topics in use for filter dropdowns
+router.get('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+  try {
+    const { search, tag, topic, difficulty, type, forExam } = req.query;
+
+    const questions = await prisma.bankQuestion.findMany({
+      where: buildBankQuestionWhere({
+        search,
+        tag,
+        topic,
+        difficulty,
+        type,
+        types: forExam === 'true' ? EXAM_QUESTION_TYPES : undefined,
+      }),
+      include: {
+        creator: {
+          select: { id: true, name: true },
+        },
+        _count: {
+          select: { quizQuestions: true, examQuestions: true },
+        },
+      },
+      orderBy: { updatedAt: 'desc' },
+    });
+
+    const all = await prisma.bankQuestion.findMany({
+      select: { tags: true, topic: true },
+    });
+    const tags = [...new Set(all.flatMap((q) => (Array.isArray(q.tags) ? q.tags : [])))].sort();
+    const topics = [...new Set(all.map((q) => q.topic).filter(Boolean))].sort();
+
+    res.json({ questions, tags, topics });
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json({ error: 'Failed to fetch question bank' });
+  }
+});
+
+// Create bank question
+router.post('/', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const data = parseBankQuestion(req.body);
+
+    const question = await prisma.bankQuestion.create({
+      data: {
+        ...data,
+        createdBy: req.user.id,
+      },
+    });
+
+    res.status(201).json({ question });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    if (error.message?.startsWith('Invalid answer pattern')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create bank question error:', error);
+    res.status(500).json({ error: 'Failed to create bank question' });
+  }
+});
+
+// Update bank question (copies already imported into quizzes/exams are not changed)
+router.put('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.bankQuestion.findUnique({
+      where: { id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Bank question not found' });
+    }
+
+    const data = parseBankQuestion({
+      ...existing,
+      ...req.body,
+    });
+
+    const question = await prisma.bankQuestion.update({
+      where: { id },
+      data,
+    });
+
+    res.json({ question });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    if (error.message?.startsWith('Invalid answer pattern')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update bank question error:', error);
+    res.status(500).json({ error: 'Failed to update bank question' });
+  }
+});
+
+// Delete bank question
+router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.bankQuestion.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Bank question not found' });
+    }
+
+    await prisma.bankQuestion.delete({
+      where: { id },
+    });
+
+    res.json({ message: 'Bank question deleted successfully' });
+  } catch (error) {
+    console.error('Delete bank question error:', error);
+    res.status(500).json({ error: 'Failed to delete bank question' });
+  }
+});
+
+// Import bank questions into a quiz
+router.post('/import/quiz/:quizId', authenticateToken, requireRole('ADMIN'), validateImport, async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { questionIds } = req.body;
+
+    const quiz = await prisma.quiz.findUnique({
+      where: { id: quizId },
+      select: {
+        id: true,
+        questions: {
+          select: { bankQuestionId: true, orderIndex: true },
+        },
+      },
+    });
+
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+
+    const alreadyImported = new Set(quiz.questions.map((q) => q.bankQuestionId).filter(Boolean));
+    const bankQuestions = await prisma.bankQuestion.findMany({
+      where: {
+        id: { in: questionIds.filter((id) => !alreadyImported.has(id)) },
+      },
+    });
+
+    let nextOrderIndex = quiz.questions.reduce((max, q) => Math.max(max, q.orderIndex), -1) + 1;
+
+    const questions = await prisma.$transaction(
+      bankQuestions.map((bankQuestion) =>
+        prisma.quizQuestion.create({
+          data: {
+            ...toQuizQuestionData(bankQuestion),
+            quizId,
+            orderIndex: nextOrderIndex++,
+          },
+        })
+      )
+    );
+
+    res.status(201).json({
+      questions,
+      skipped: questionIds.length - questions.length,
+    });
+  } catch (error) {
+    console.error('Import bank questions into quiz error:', error);
+    res.status(500).json({ error: 'Failed to import questions' });
+  }
+});
+
+// Import bank questions into an exam's own pool
+router.post('/import/exam/:examId', authenticateToken, requireRole('ADMIN'), validateImport, async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const { questionIds } = req.body;
+
+    const exam = await prisma.exam.findUnique({
+      where: { id: examId },
+      select: {
+        id: true,
+        questions: {
+          select: { id: true, bankQuestionId: true, drawnFromBank: true, orderIndex: true },
+        },
+      },
+    });
+
+    if (!exam) {
+      return res.status(404).json({ error: 'Exam not found' });
+    }
+
+    const existingByBankId = new Map(
+      exam.questions.filter((q) => q.bankQuestionId).map((q) => [q.bankQuestionId, q])
+    );
+    const bankQuestions = await prisma.bankQuestion.findMany({
+      where: {
+        id: { in: questionIds },
+        type: { in: EXAM_QUESTION_TYPES },
+      },
+    });
+
+    let nextOrderIndex = exam.questions.reduce((max, q) => Math.max(max, q.orderIndex), -1) + 1;
+
+    const operations = [];
+    for (const bankQuestion of bankQuestions) {
+      const existing = existingByBankId.get(bankQuestion.id);
+      if (!existing) {
+        operations.push(prisma.examQuestion.create({
+          data: {
+            ...toExamQuestionData(bankQuestion),
+            examId,
+            orderIndex: nextOrderIndex++,
+          },
+        }));
+      } else if (existing.drawnFromBank) {
+        // Previously drawn by a rule: keep the row (answers point at it) and move it into the pool
+        operations.push(prisma.examQuestion.update({
+          where: { id: existing.id },
+          data: { drawnFromBank: false, orderIndex: nextOrderIndex++ },
+        }));
+      }
+    }
+
+    const questions = await prisma.$transaction(operations);
+
+    res.status(201).json({
+      questions,
+      skipped: questionIds.length - questions.length,
+    });
+  } catch (error) {
+    console.error('Import bank questions into exam error:', error);
+    res.status(500).json({ error: 'Failed to import questions' });
+  }
+});
+
+export default router;
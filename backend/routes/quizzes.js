@@ -2,8 +2,17 @@ import express from 'express';
 import { body } from 'express-validator';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { validateQuiz, validateQuestion, handleValidationErrors } from '../utils/validation.js';
-import { computeStudentEvaluation, recomputeSessionEvaluations } from '../utils/evaluation.js';
+import { requireCourseAccess, getTaughtCourseIds } from '../middleware/courseAccess.js';
+import { validateQuiz, validateQuestion, validateQuizAnswer, handleValidationErrors } from '../utils/validation.js';
+import { recomputeSessionEvaluations } from '../utils/evaluation.js';
+import { gradeShortTextAnswer, normalizeShortTextKey, finalizeQuizAttemptGrading } from '../utils/quizGrading.js';
+import {
+  computeExpiresAt,
+  getAttemptExpiry,
+  getRemainingSeconds,
+  isPastDeadline,
+  submitQuizAttempt,
+} from '../utils/attemptTiming.js';
 
 const router = express.Router();
 
@@ -425,6 +434,16 @@ router.post('/quizzes/:quizId/questions', authenticateToken, requireRole('ADMIN'
       }
     }
 
+    // SHORT_TEXT answer key: accepted answers, regex patterns, keywords, manual grading fallback
+    let shortTextKey = null;
+    if (type === 'SHORT_TEXT') {
+      try {
+        shortTextKey = normalizeShortTextKey(correctAnswer);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
     // Get max orderIndex to set default
     const maxOrder = await prisma.quizQuestion.findFirst({
       where: { quizId },
@@ -445,7 +464,7 @@ router.post('/quizzes/:quizId/questions', authenticateToken, requireRole('ADMIN'
       } else if (type === 'TRUE_FALSE') {
         processedCorrectAnswer = correctAnswer === 'true' || correctAnswer === true;
       } else {
-        processedCorrectAnswer = ''; // For SHORT_TEXT
+        processedCorrectAnswer = shortTextKey;
       }
     } else {
       // Set default values for initial creation
@@ -454,7 +473,7 @@ router.post('/quizzes/:quizId/questions', authenticateToken, requireRole('ADMIN'
       } else if (type === 'TRUE_FALSE') {
         processedCorrectAnswer = true; // Default to true
       } else {
-        processedCorrectAnswer = ''; // For SHORT_TEXT
+        processedCorrectAnswer = shortTextKey; // Empty SHORT_TEXT key
       }
     }
 
@@ -570,7 +589,11 @@ router.put('/questions/:questionId', authenticateToken, requireRole('ADMIN'), [
           updateData.correctAnswer = correctAnswer === 'true' || correctAnswer === true;
         }
       } else {
-        updateData.correctAnswer = correctAnswer;
+        try {
+          updateData.correctAnswer = normalizeShortTextKey(correctAnswer);
+        } catch (err) {
+          return res.status(400).json({ error: err.message });
+        }
       }
     }
 
@@ -786,6 +809,14 @@ router.post('/quizzes/:quizId/attempts/start', authenticateToken, requireRole('S
       return res.status(403).json({ error: 'Quiz expired' });
     }
 
+    // Close an in-progress attempt whose time ran out before checking what is left
+    const expired = await prisma.quizAttempt.findFirst({
+      where: { quizId, studentId, status: 'IN_PROGRESS' },
+    });
+    if (expired && isPastDeadline(getAttemptExpiry(expired, quiz.timeLimitMinutes), now)) {
+      await submitQuizAttempt(expired.id, { autoSubmitted: true });
+    }
+
     // Check attempts allowed
     const existingAttempts = await prisma.quizAttempt.findMany({
       where: {
@@ -794,14 +825,17 @@ router.post('/quizzes/:quizId/attempts/start', authenticateToken, requireRole('S
       },
     });
 
-    if (existingAttempts.length >= quiz.attemptsAllowed) {
-      return res.status(403).json({ error: 'Maximum attempts reached' });
-    }
-
     // Check for in-progress attempt
     const inProgress = existingAttempts.find((a) => a.status === 'IN_PROGRESS');
     if (inProgress) {
-      return res.json({ attempt: inProgress });
+      return res.json({
+        attempt: inProgress,
+        remainingSeconds: getRemainingSeconds(getAttemptExpiry(inProgress, quiz.timeLimitMinutes), now),
+      });
+    }
+
+    if (existingAttempts.length >= quiz.attemptsAllowed) {
+      return res.status(403).json({ error: 'Maximum attempts reached' });
     }
 
     // Create new attempt
@@ -811,6 +845,8 @@ router.post('/quizzes/:quizId/attempts/start', authenticateToken, requireRole('S
         studentId,
         attemptNumber: existingAttempts.length + 1,
         maxScore: await calculateMaxScore(quizId),
+        startedAt: now,
+        expiresAt: computeExpiresAt(now, quiz.timeLimitMinutes),
       },
       include: {
         quiz: {
@@ -832,7 +868,10 @@ router.post('/quizzes/:quizId/attempts/start', authenticateToken, requireRole('S
       },
     });
 
-    res.status(201).json({ attempt });
+    res.status(201).json({
+      attempt,
+      remainingSeconds: getRemainingSeconds(attempt.expiresAt, now),
+    });
   } catch (error) {
     console.error('Start attempt error:', error);
     res.status(500).json({ error: 'Failed to start quiz attempt' });
@@ -840,7 +879,7 @@ router.post('/quizzes/:quizId/attempts/start', authenticateToken, requireRole('S
 });
 
 // Submit answer (autosave)
-router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDENT'), async (req, res) => {
+router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDENT'), validateQuizAnswer, async (req, res, next) => {
   try {
     const { attemptId } = req.params;
     const { questionId, answer } = req.body;
@@ -857,8 +896,9 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
       },
     });
 
+    // Not a quiz attempt: the exams router serves the same path
     if (!attempt) {
-      return res.status(404).json({ error: 'Attempt not found' });
+      return next();
     }
 
     if (attempt.studentId !== studentId) {
@@ -869,6 +909,12 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
       return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
+    const now = new Date();
+    const expiresAt = getAttemptExpiry(attempt, attempt.quiz.timeLimitMinutes);
+    if (isPastDeadline(expiresAt, now)) {
+      return res.status(400).json({ error: 'Time limit exceeded', remainingSeconds: 0 });
+    }
+
     const question = attempt.quiz.questions.find((q) => q.id === questionId);
     if (!question) {
       return res.status(404).json({ error: 'Question not found' });
@@ -885,7 +931,7 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
     });
 
     // Evaluate answer
-    const { isCorrect, earnedPoints } = evaluateAnswer(question, answer);
+    const { isCorrect, earnedPoints, gradingStatus } = evaluateAnswer(question, answer);
 
     if (existingAnswer) {
       await prisma.quizAnswer.update({
@@ -894,6 +940,7 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
           answer: answer, // Prisma Json accepts JS values directly
           isCorrect,
           earnedPoints,
+          gradingStatus,
         },
       });
     } else {
@@ -904,11 +951,15 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
           answer: answer, // Prisma Json accepts JS values directly
           isCorrect,
           earnedPoints,
+          gradingStatus,
         },
       });
     }
 
-    res.json({ message: 'Answer saved' });
+    res.json({
+      message: 'Answer saved',
+      remainingSeconds: getRemainingSeconds(expiresAt, now),
+    });
   } catch (error) {
     console.error('Submit answer error:', error);
     res.status(500).json({ error: 'Failed to save answer' });
@@ -916,27 +967,19 @@ router.post('/attempts/:attemptId/answer', authenticateToken, requireRole('STUDE
 });
 
 // Submit attempt
-router.post('/attempts/:attemptId/submit', authenticateToken, requireRole('STUDENT'), async (req, res) => {
+router.post('/attempts/:attemptId/submit', authenticateToken, requireRole('STUDENT'), async (req, res, next) => {
   try {
     const { attemptId } = req.params;
     const { id: studentId } = req.user;
 
     const attempt = await prisma.quizAttempt.findUnique({
       where: { id: attemptId },
-      include: {
-        quiz: {
-          include: {
-            questions: true,
-            session: {
-              select: { id: true },
-            },
-          },
-        },
-      },
+      select: { id: true, studentId: true, status: true },
     });
 
+    // Not a quiz attempt: the exams router serves the same path
     if (!attempt) {
-      return res.status(404).json({ error: 'Attempt not found' });
+      return next();
     }
 
     if (attempt.studentId !== studentId) {
@@ -947,48 +990,12 @@ router.post('/attempts/:attemptId/submit', authenticateToken, requireRole('STUDE
       return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
-    // Check time limit
-    if (attempt.quiz.timeLimitMinutes) {
-      const elapsed = (new Date() - attempt.startedAt) / 1000 / 60;
-      if (elapsed > attempt.quiz.timeLimitMinutes) {
-        return res.status(400).json({ error: 'Time limit exceeded' });
-      }
+    // Submitting after the deadline is allowed: answers sent after it were already rejected
+    const updatedAttempt = await submitQuizAttempt(attemptId);
+    if (!updatedAttempt) {
+      return res.status(400).json({ error: 'Attempt already submitted' });
     }
 
-    // Calculate total score
-    const answers = await prisma.quizAnswer.findMany({
-      where: { attemptId },
-      include: { question: true },
-    });
-
-    const totalScore = answers.reduce((sum, a) => sum + a.earnedPoints, 0);
-    const maxScore = attempt.maxScore || await calculateMaxScore(attempt.quizId);
-    const percentage = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
-
-    // Update attempt
-    const updatedAttempt = await prisma.quizAttempt.update({
-      where: { id: attemptId },
-      data: {
-        status: 'SUBMITTED',
-        submittedAt: new Date(),
-        totalScore,
-        maxScore,
-        percentage,
-      },
-      include: {
-        answers: {
-          include: {
-            question: true,
-          },
-        },
-      },
-    });
-
-    // Compute evaluation
-    await computeStudentEvaluation(attempt.quiz.session.id, studentId).catch((err) => {
-      console.error('Error computing evaluation:', err);
-    });
-
     res.json({ attempt: updatedAttempt });
   } catch (error) {
     console.error('Submit attempt error:', error);
@@ -1354,6 +1361,137 @@ router.get('/courses/:courseId/evaluations/export', authenticateToken, requireRo
   }
 });
 
+// ========== MANUAL GRADING ==========
+
+// Queue of SHORT_TEXT answers waiting for manual grading (optionally filtered by course or quiz);
+// instructors only see the courses they teach
+router.get('/quiz-answers/pending', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+  try {
+    const { courseId, quizId } = req.query;
+
+    const taughtCourseIds = req.user.role === 'ADMIN' ? null : await getTaughtCourseIds(req.user.id);
+    if (courseId && taughtCourseIds && !taughtCourseIds.includes(courseId)) {
+      return res.status(403).json({ error: 'Not authorized for this course' });
+    }
+
+    const answers = await prisma.quizAnswer.findMany({
+      where: {
+        gradingStatus: 'PENDING',
+        attempt: {
+          status: 'SUBMITTED',
+          ...(quizId && { quizId }),
+          ...((courseId || taughtCourseIds) && { quiz: { courseId: courseId || { in: taughtCourseIds } } }),
+        },
+      },
+      include: {
+        question: {
+          select: { id: true, prompt: true, points: true, correctAnswer: true, tags: true },
+        },
+        attempt: {
+          select: {
+            id: true,
+            attemptNumber: true,
+            submittedAt: true,
+            student: {
+              select: { id: true, name: true, email: true },
+            },
+            quiz: {
+              select: {
+                id: true,
+                title: true,
+                type: true,
+                course: {
+                  select: { id: true, title: true },
+                },
+                session: {
+                  select: { id: true, topic: true, date: true },
+                },
+              },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    res.json({ answers });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch grading queue' });
+  }
+});
+
+// Grade a SHORT_TEXT answer manually (partial points allowed)
+router.put('/quiz-answers/:answerId/grade', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('quizAnswer', { param: 'answerId', manage: true }), [
+  body('earnedPoints').isFloat({ min: 0 }).withMessage('Earned points must be a non-negative number'),
+  body('feedback').optional({ nullable: true }).isString().withMessage('Feedback must be a string'),
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { answerId } = req.params;
+    const earnedPoints = parseFloat(req.body.earnedPoints);
+    const feedback = req.body.feedback?.trim() || null;
+
+    const existing = await prisma.quizAnswer.findUnique({
+      where: { id: answerId },
+      include: {
+        question: {
+          select: { type: true, points: true },
+        },
+        attempt: {
+          select: { status: true },
+        },
+      },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Answer not found' });
+    }
+
+    if (existing.question.type !== 'SHORT_TEXT') {
+      return res.status(400).json({ error: 'Only SHORT_TEXT answers can be graded manually' });
+    }
+
+    if (existing.attempt.status !== 'SUBMITTED') {
+      return res.status(400).json({ error: 'Attempt has not been submitted yet' });
+    }
+
+    if (earnedPoints > existing.question.points) {
+      return res.status(400).json({ error: `Earned points cannot exceed ${existing.question.points}` });
+    }
+
+    const answer = await prisma.quizAnswer.update({
+      where: { id: answerId },
+      data: {
+        earnedPoints,
+        isCorrect: earnedPoints >= existing.question.points,
+        gradingStatus: 'MANUAL',
+        feedback,
+        gradedById: req.user.id,
+        gradedAt: new Date(),
+      },
+    });
+
+    // Totals always refresh; evaluation and metrics refresh once the attempt is fully graded
+    const { attempt, gradingComplete } = await finalizeQuizAttemptGrading(answer.attemptId);
+
+    res.json({
+      answer,
+      attempt: {
+        id: attempt.id,
+        totalScore: attempt.totalScore,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        pendingGradingCount: attempt.pendingGradingCount,
+      },
+      gradingComplete,
+    });
+  } catch (error) {
+    console.error('Grade answer error:', error);
+    res.status(500).json({ error: 'Failed to grade answer' });
+  }
+});
+
 // ========== HELPER FUNCTIONS ==========
 
 async function calculateMaxScore(quizId) {
@@ -1369,6 +1507,11 @@ function evaluateAnswer(question, studentAnswer) {
   let isCorrect = false;
   let earnedPoints = 0;
 
+  // SHORT_TEXT can match several ways or be queued for manual grading
+  if (question.type === 'SHORT_TEXT') {
+    return gradeShortTextAnswer(question, studentAnswer);
+  }
+
   // Prisma Json fields return JS values directly, no parsing needed
   const correctAnswer = question.correctAnswer;
 
@@ -1405,15 +1548,11 @@ function evaluateAnswer(question, studentAnswer) {
         isCorrect = !isNaN(studentIndex) && !isNaN(correctIndex) && studentIndex === correctIndex;
       }
       break;
-    case 'SHORT_TEXT':
-      // Simple string comparison (case-insensitive, trimmed)
-      isCorrect = String(studentAnswer).trim().toLowerCase() === String(correctAnswer).trim().toLowerCase();
-      break;
   }
 
   earnedPoints = isCorrect ? question.points : 0;
 
-  return { isCorrect, earnedPoints };
+  return { isCorrect, earnedPoints, gradingStatus: 'AUTO' };
 }
 
 export default router;
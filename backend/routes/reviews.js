@@ -1,65 +1,134 @@
 import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { requireCourseAccess } from '../middleware/courseAccess.js';
 import { reviewSchema } from '../utils/validation.js';
+import { ensureSubmissionVersions } from '../utils/submissionVersions.js';
+import { parseRubric, validateRubricResult, computeRubricScore } from '../utils/rubric.js';
+import { buildAuditEntry, recordAudit } from '../utils/audit.js';
+import { notifyReviewReceived } from '../utils/notifications.js';
 
 const router = express.Router();
 
-// Create or update review
-router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+// Create or update review of a submission version (defaults to the latest version).
+// With a rubricResult the score is computed from the selected rubric levels.
+router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('submission', { source: 'body', param: 'submissionId', manage: true }), async (req, res) => {
   try {
-    const { submissionId, score, rubricResult, feedback } = req.body;
+    const { submissionId, versionId, score, rubricResult, feedback } = req.body;
     const reviewerId = req.user.id;
 
     const data = reviewSchema.parse({ score, rubricResult, feedback });
 
-    const review = await prisma.review.upsert({
-      where: {
-        submissionId_reviewerId: {
+    const latestVersion = await ensureSubmissionVersions(submissionId);
+    if (!latestVersion) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const { assignment } = await prisma.submission.findUnique({
+      where: { id: submissionId },
+      select: {
+        assignment: {
+          select: { maxScore: true, rubric: true },
+        },
+      },
+    });
+
+    let reviewScore = data.score;
+    if (data.rubricResult) {
+      const rubric = parseRubric(assignment.rubric);
+      if (!rubric) {
+        return res.status(400).json({ error: 'Assignment has no rubric' });
+      }
+
+      const errors = validateRubricResult(rubric, data.rubricResult);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid rubric result', details: errors });
+      }
+
+      reviewScore = computeRubricScore(rubric, data.rubricResult, assignment.maxScore);
+    } else if (reviewScore != null && reviewScore > assignment.maxScore) {
+      return res.status(400).json({ error: `Score cannot exceed ${assignment.maxScore}` });
+    }
+
+    let version = latestVersion;
+    if (versionId && versionId !== latestVersion.id) {
+      version = await prisma.submissionVersion.findFirst({
+        where: { id: versionId, submissionId },
+      });
+      if (!version) {
+        return res.status(400).json({ error: 'Version does not belong to this submission' });
+      }
+    }
+
+    const reviewKey = { versionId_reviewerId: { versionId: version.id, reviewerId } };
+
+    const review = await prisma.$transaction(async (tx) => {
+      const previous = await tx.review.findUnique({ where: reviewKey });
+      const saved = await tx.review.upsert({
+        where: reviewKey,
+        update: {
+          score: reviewScore,
+          rubricResult: data.rubricResult,
+          feedback: data.feedback,
+        },
+        create: {
           submissionId,
+          versionId: version.id,
           reviewerId,
+          score: reviewScore,
+          rubricResult: data.rubricResult,
+          feedback: data.feedback,
         },
-      },
-      update: {
-        score: data.score,
-        rubricResult: data.rubricResult,
-        feedback: data.feedback,
-      },
-      create: {
-        submissionId,
-        reviewerId,
-        score: data.score,
-        rubricResult: data.rubricResult,
-        feedback: data.feedback,
-      },
-      include: {
-        reviewer: {
-          select: {
-            id: true,
-            name: true,
+        include: {
+          reviewer: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
-        },
-        submission: {
-          include: {
-            student: {
-              select: {
-                id: true,
-                name: true,
-                email: true,
-              },
+          version: {
+            select: {
+              id: true,
+              versionNumber: true,
             },
-            assignment: {
-              select: {
-                id: true,
-                title: true,
-                maxScore: true,
+          },
+          submission: {
+            include: {
+              student: {
+                select: {
+                  id: true,
+                  name: true,
+                  email: true,
+                },
+              },
+              assignment: {
+                select: {
+                  id: true,
+                  title: true,
+                  maxScore: true,
+                },
               },
             },
           },
         },
-      },
+      });
+
+      await recordAudit(buildAuditEntry({
+        actorId: reviewerId,
+        entityType: 'REVIEW',
+        entityId: saved.id,
+        courseId: req.courseId,
+        studentId: saved.submission.student.id,
+        label: saved.submission.assignment.title,
+        before: previous,
+        after: saved,
+      }), tx);
+
+      return saved;
     });
 
+    await notifyReviewReceived(review);
+
     res.status(201).json({ review });
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -71,7 +140,7 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (r
 });
 
 // Get reviews for a submission
-router.get('/submission/:submissionId', authenticateToken, async (req, res) => {
+router.get('/submission/:submissionId', authenticateToken, requireCourseAccess('submission', { param: 'submissionId' }), async (req, res) => {
   try {
     const { submissionId } = req.params;
 
@@ -85,6 +154,12 @@ router.get('/submission/:submissionId', authenticateToken, async (req, res) => {
             email: true,
           },
         },
+        version: {
+          select: {
+            id: true,
+            versionNumber: true,
+          },
+        },
       },
       orderBy: { createdAt: 'desc' },
     });
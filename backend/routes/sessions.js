@@ -1,12 +1,23 @@
 import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
-import { validateSession } from '../utils/validation.js';
+import { requireCourseAccess } from '../middleware/courseAccess.js';
+import { validateSession, sessionScheduleSchema } from '../utils/validation.js';
+import {
+  planSchedule,
+  getScheduleSessions,
+  applySchedulePlan,
+  summarizePlan,
+  listPlan,
+  toDateKey,
+} from '../utils/sessionSchedule.js';
+import { normalizeTags } from '../utils/skills.js';
+import { recomputeCourseMetrics } from '../utils/metrics.js';
 
 const router = express.Router();
 
 // Get sessions by course
-router.get('/course/:courseId', authenticateToken, async (req, res) => {
+router.get('/course/:courseId', authenticateToken, requireCourseAccess('course', { param: 'courseId' }), async (req, res) => {
   try {
     const { courseId } = req.params;
 
@@ -29,6 +40,79 @@ router.get('/course/:courseId', authenticateToken, async (req, res) => {
   }
 });
 
+// Parse a schedule rule and plan it against the course's sessions; sends a 400 and returns null when invalid
+const buildSchedulePlan = async (req, res) => {
+  const parsed = sessionScheduleSchema.safeParse(req.body);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Invalid request data', details: parsed.error.errors });
+    return null;
+  }
+
+  const course = await prisma.course.findUnique({
+    where: { id: req.courseId },
+    select: { startDate: true, endDate: true },
+  });
+  const sessions = await getScheduleSessions(req.courseId);
+
+  try {
+    return { rule: parsed.data, plan: planSchedule(parsed.data, course, sessions) };
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+};
+
+// Get the course's recurring schedule rule (null when none was applied yet) and its default date range
+router.get('/course/:courseId/schedule', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { param: 'courseId', manage: true }), async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: req.courseId },
+      select: { startDate: true, endDate: true, sessionSchedule: true },
+    });
+
+    res.json({
+      schedule: course.sessionSchedule,
+      defaults: {
+        startDate: toDateKey(course.startDate),
+        endDate: toDateKey(course.endDate),
+      },
+    });
+  } catch (error) {
+    console.error('Get session schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch session schedule' });
+  }
+});
+
+// Preview what applying a schedule rule would create, update, remove and preserve (nothing is saved)
+router.post('/course/:courseId/schedule/preview', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { param: 'courseId', manage: true }), async (req, res) => {
+  try {
+    const result = await buildSchedulePlan(req, res);
+    if (!result) return;
+
+    res.json({ summary: summarizePlan(result.plan), sessions: listPlan(result.plan) });
+  } catch (error) {
+    console.error('Preview session schedule error:', error);
+    res.status(500).json({ error: 'Failed to preview session schedule' });
+  }
+});
+
+// Save the schedule rule and (re)generate the course's sessions from it.
+// Generated sessions with attendance, quizzes, exams or evaluations are never deleted;
+// manually created sessions are left untouched.
+router.put('/course/:courseId/schedule', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { param: 'courseId', manage: true }), async (req, res) => {
+  try {
+    const result = await buildSchedulePlan(req, res);
+    if (!result) return;
+
+    await applySchedulePlan(req.courseId, result.rule, result.plan);
+
+    res.json({ schedule: result.rule, summary: summarizePlan(result.plan) });
+  } catch (error) {
+    console.error('Apply session schedule error:', error);
+    res.status(500).json({ error: 'Failed to apply session schedule' });
+  }
+});
+
 // Get all sessions (Admin only)
 router.get('/all', authenticateToken, requireRole('ADMIN'), async (req, res) => {
   try {
@@ -57,7 +141,7 @@ router.get('/all', authenticateToken, requireRole('ADMIN'), async (req, res) =>
 });
 
 // Get session by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireCourseAccess('session'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -118,9 +202,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create session
-router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateSession, async (req, res) => {
+router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateSession, requireCourseAccess('course', { source: 'body', param: 'courseId', manage: true }), async (req, res) => {
   try {
-    const { courseId, date, startTime, endTime, topic, notes } = req.body;
+    const { courseId, date, startTime, endTime, topic, notes, tags } = req.body;
 
     const session = await prisma.session.create({
       data: {
@@ -130,6 +214,7 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validate
         endTime,
         topic,
         notes,
+        tags: normalizeTags(tags),
       },
       include: {
         course: {
@@ -149,7 +234,7 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validate
 });
 
 // Bulk create sessions
-router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('course', { source: 'body', param: 'courseId', manage: true }), async (req, res) => {
   try {
     const { courseId, sessions } = req.body;
 
@@ -167,6 +252,7 @@ router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), asyn
             endTime: s.endTime,
             topic: s.topic,
             notes: s.notes,
+            tags: normalizeTags(s.tags),
           },
         })
       )
@@ -180,10 +266,15 @@ router.post('/bulk', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), asyn
 });
 
 // Update session
-router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateSession, async (req, res) => {
+router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), validateSession, requireCourseAccess('session', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, startTime, endTime, topic, notes } = req.body;
+    const { date, startTime, endTime, topic, notes, tags } = req.body;
+
+    const previous = await prisma.session.findUnique({
+      where: { id },
+      select: { tags: true },
+    });
 
     const session = await prisma.session.update({
       where: { id },
@@ -193,6 +284,7 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
         endTime,
         topic,
         notes,
+        ...(tags !== undefined && { tags: normalizeTags(tags) }),
       },
       include: {
         course: {
@@ -204,6 +296,13 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
       },
     });
 
+    // Untagged quiz/exam questions of the session inherit its tags
+    if (JSON.stringify(previous.tags) !== JSON.stringify(session.tags)) {
+      await recomputeCourseMetrics(session.courseId).catch((err) => {
+        console.error('Error recomputing course metrics:', err);
+      });
+    }
+
     res.json({ session });
   } catch (error) {
     console.error('Update session error:', error);
@@ -212,7 +311,7 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), valida
 });
 
 // Delete session
-router.delete('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.delete('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('session', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
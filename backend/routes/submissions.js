@@ -1,12 +1,23 @@
 import express from 'express';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { requireCourseAccess } from '../middleware/courseAccess.js';
 import { submissionSchema } from '../utils/validation.js';
+import { uploadSubmissionFiles, storeUploadedFile, removeStoredFiles } from '../utils/uploads.js';
+import { getStorage, getApiBaseUrl, DOWNLOAD_URL_TTL_SECONDS } from '../utils/storage.js';
+import {
+  VERSIONS_INCLUDE,
+  CURRENT_VERSION_INCLUDE,
+  withCurrentAssets,
+  ensureSubmissionVersions,
+} from '../utils/submissionVersions.js';
+import { getEffectiveDueDate, isSubmissionClosed, computeLateness } from '../utils/latePolicy.js';
+import { buildAuditEntry, recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
 // Get submissions for an assignment
-router.get('/assignment/:assignmentId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.get('/assignment/:assignmentId', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('assignment', { param: 'assignmentId', manage: true }), async (req, res) => {
   try {
     const { assignmentId } = req.params;
 
@@ -21,6 +32,7 @@ router.get('/assignment/:assignmentId', authenticateToken, requireRole('ADMIN',
           },
         },
         assets: true,
+        versions: CURRENT_VERSION_INCLUDE,
         reviews: {
           include: {
             reviewer: {
@@ -30,12 +42,13 @@ router.get('/assignment/:assignmentId', authenticateToken, requireRole('ADMIN',
               },
             },
           },
+          orderBy: { updatedAt: 'desc' },
         },
       },
       orderBy: { submittedAt: 'desc' },
     });
 
-    res.json({ submissions });
+    res.json({ submissions: submissions.map(withCurrentAssets) });
   } catch (error) {
     console.error('Get submissions error:', error);
     res.status(500).json({ error: 'Failed to fetch submissions' });
@@ -43,10 +56,9 @@ router.get('/assignment/:assignmentId', authenticateToken, requireRole('ADMIN',
 });
 
 // Get submission by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requireCourseAccess('submission'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { role, id: userId } = req.user;
 
     const submission = await prisma.submission.findUnique({
       where: { id },
@@ -69,6 +81,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
           },
         },
         assets: true,
+        versions: VERSIONS_INCLUDE,
         reviews: {
           include: {
             reviewer: {
@@ -78,6 +91,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
               },
             },
           },
+          orderBy: { updatedAt: 'desc' },
         },
       },
     });
@@ -86,40 +100,172 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    // Check permissions
-    if (role === 'STUDENT' && submission.studentId !== userId) {
-      return res.status(403).json({ error: 'Not authorized to view this submission' });
-    }
-
-    res.json({ submission });
+    res.json({ submission: withCurrentAssets(submission) });
   } catch (error) {
     console.error('Get submission error:', error);
     res.status(500).json({ error: 'Failed to fetch submission' });
   }
 });
 
-// Create submission (text-only)
-router.post('/', authenticateToken, requireRole('STUDENT'), async (req, res) => {
+// Multipart forms send links as a JSON string, JSON bodies as an array
+const parseLinks = (links) => {
+  if (links === undefined || links === '') return undefined;
+  return typeof links === 'string' ? JSON.parse(links) : links;
+};
+
+// Create submission, or a new version of the student's existing submission (text, uploaded files and/or links)
+router.post('/', authenticateToken, requireRole('STUDENT'), uploadSubmissionFiles, requireCourseAccess('assignment', { source: 'body', param: 'assignmentId' }), async (req, res) => {
+  const storedKeys = [];
+
   try {
-    const { assignmentId, note } = req.body;
     const studentId = req.user.id;
+    const files = req.files || [];
+
+    let links;
+    try {
+      links = parseLinks(req.body.links);
+    } catch {
+      return res.status(400).json({ error: 'Invalid links' });
+    }
+
+    const { assignmentId, note, links: parsedLinks = [] } = submissionSchema.parse({
+      assignmentId: req.body.assignmentId,
+      note: req.body.note,
+      links,
+    });
 
-    if (!note || note.trim().length === 0) {
-      return res.status(400).json({ error: 'Submission text is required' });
+    if (!note && files.length === 0 && parsedLinks.length === 0) {
+      return res.status(400).json({ error: 'Submission text, a file or a link is required' });
     }
 
+    const assignment = await prisma.assignment.findUnique({
+      where: { id: assignmentId },
+      select: {
+        id: true,
+        title: true,
+        courseId: true,
+        dueDate: true,
+        latePolicy: true,
+        latePenaltyPerDay: true,
+        latePenaltyMax: true,
+        extensions: { where: { studentId } },
+      },
+    });
+
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const existing = await prisma.submission.findFirst({
+      where: { assignmentId, studentId },
+      orderBy: { submittedAt: 'desc' },
+      // Every audited field (see AUDITED_FIELDS), so the audit entry only lists real changes
+      select: { id: true, status: true, statusNote: true, late: true, latePenalty: true },
+    });
+
+    if (existing?.status === 'APPROVED') {
+      return res.status(400).json({ error: 'Submission already approved' });
+    }
+
+    // Changes asked for by a reviewer are always accepted and keep the original lateness
+    const requested = existing?.status === 'NEEDS_CHANGES';
+    const dueDate = getEffectiveDueDate(assignment, assignment.extensions[0]);
+    const submittedAt = new Date();
+
+    if (!requested && isSubmissionClosed(assignment, dueDate, submittedAt)) {
+      return res.status(400).json({ error: 'Submission deadline has passed', dueDate });
+    }
+
+    const lateness = requested ? {} : computeLateness(assignment, dueDate, submittedAt);
+
+    const previousVersion = existing ? await ensureSubmissionVersions(existing.id) : null;
+    const versionNumber = previousVersion ? previousVersion.versionNumber + 1 : 1;
+
     console.log('Create submission request:', { 
       assignmentId, 
       studentId,
-      noteLength: note?.length || 0
+      noteLength: note?.length || 0,
+      files: files.length,
+      links: parsedLinks.length,
+      versionNumber,
+      requested,
+      late: lateness.late,
     });
 
-    const submission = await prisma.submission.create({
-      data: {
-        assignmentId,
+    const fileAssets = [];
+    for (const file of files) {
+      const asset = await storeUploadedFile(file, `submissions/${assignmentId}/${studentId}`);
+      storedKeys.push(asset.url);
+      fileAssets.push(asset);
+    }
+
+    const assets = [
+      ...fileAssets,
+      ...parsedLinks.map((link) => ({
+        type: 'LINK',
+        url: link.url,
+        name: link.name || link.url,
+      })),
+    ];
+
+    const submissionId = await prisma.$transaction(async (tx) => {
+      const target = existing
+        ? await tx.submission.update({
+            where: { id: existing.id },
+            data: {
+              note: note || null,
+              status: 'SUBMITTED',
+              submittedAt,
+              currentVersion: versionNumber,
+              ...(!requested && { late: lateness.late, latePenalty: lateness.latePenalty }),
+            },
+          })
+        : await tx.submission.create({
+            data: {
+              assignmentId,
+              studentId,
+              note: note || null,
+              submittedAt,
+              late: lateness.late,
+              latePenalty: lateness.latePenalty,
+            },
+          });
+
+      const version = await tx.submissionVersion.create({
+        data: {
+          submissionId: target.id,
+          versionNumber,
+          note: note || null,
+          submittedAt,
+          requested,
+        },
+      });
+
+      await tx.submissionAsset.createMany({
+        data: assets.map((asset) => ({
+          ...asset,
+          submissionId: target.id,
+          versionId: version.id,
+        })),
+      });
+
+      // Resubmitting after NEEDS_CHANGES moves the status back to SUBMITTED
+      await recordAudit(buildAuditEntry({
+        actorId: studentId,
+        entityType: 'SUBMISSION',
+        entityId: target.id,
+        courseId: assignment.courseId,
         studentId,
-        note: note.trim(),
-      },
+        label: assignment.title,
+        before: existing,
+        after: target,
+      }), tx);
+
+      return target.id;
+    });
+
+    const submission = await prisma.submission.findUnique({
+      where: { id: submissionId },
       include: {
         assignment: {
           select: {
@@ -128,12 +274,18 @@ router.post('/', authenticateToken, requireRole('STUDENT'), async (req, res) =>
           },
         },
         assets: true,
+        versions: CURRENT_VERSION_INCLUDE,
       },
     });
 
-    console.log('Submission created successfully:', submission.id);
-    res.status(201).json({ submission });
+    console.log('Submission saved successfully:', submission.id, `v${versionNumber}`);
+    res.status(201).json({ submission: withCurrentAssets(submission) });
   } catch (error) {
+    await removeStoredFiles(storedKeys);
+
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
     console.error('Create submission error:', error);
     console.error('Error details:', {
       message: error.message,
@@ -147,8 +299,38 @@ router.post('/', authenticateToken, requireRole('STUDENT'), async (req, res) =>
   }
 });
 
+// Get a short-lived download URL for a submission asset
+router.get('/assets/:assetId/download', authenticateToken, requireCourseAccess('asset', { param: 'assetId' }), async (req, res) => {
+  try {
+    const { assetId } = req.params;
+
+    const asset = await prisma.submissionAsset.findUnique({
+      where: { id: assetId },
+    });
+
+    if (!asset) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Links, and files stored before the storage layer (full URLs or /uploads paths), are returned as-is
+    if (asset.type === 'LINK' || /^(https?:)?\/\//i.test(asset.url) || asset.url.startsWith('/')) {
+      return res.json({ url: asset.url });
+    }
+
+    const url = await getStorage().getDownloadUrl(asset.url, {
+      fileName: asset.name,
+      baseUrl: getApiBaseUrl(req),
+    });
+
+    res.json({ url, expiresIn: DOWNLOAD_URL_TTL_SECONDS });
+  } catch (error) {
+    console.error('Get download URL error:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
 // Update submission status (instructor)
-router.patch('/:id/status', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
+router.patch('/:id/status', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), requireCourseAccess('submission', { manage: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { status, note } = req.body;
@@ -157,22 +339,43 @@ router.patch('/:id/status', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    const submission = await prisma.submission.update({
+    const previous = await prisma.submission.findUnique({
       where: { id },
-      data: {
-        status,
-        note,
-      },
-      include: {
-        student: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
+      select: { status: true, statusNote: true, late: true, latePenalty: true, assignment: { select: { title: true } } },
+    });
+
+    // The reviewer's note is kept apart from the student's text, which belongs to the versions
+    const submission = await prisma.$transaction(async (tx) => {
+      const updated = await tx.submission.update({
+        where: { id },
+        data: {
+          status,
+          ...(note !== undefined && { statusNote: note }),
+        },
+        include: {
+          student: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
           },
+          assets: true,
         },
-        assets: true,
-      },
+      });
+
+      await recordAudit(buildAuditEntry({
+        actorId: req.user.id,
+        entityType: 'SUBMISSION',
+        entityId: id,
+        courseId: req.courseId,
+        studentId: updated.studentId,
+        label: previous.assignment.title,
+        before: previous,
+        after: updated,
+      }), tx);
+
+      return updated;
     });
 
     res.json({ submission });
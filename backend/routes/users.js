@@ -3,6 +3,11 @@ import bcrypt from 'bcrypt';
 import prisma from '../config/database.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import { validateAdminPassword } from '../utils/password.js';
+import { revokeUserTokens } from '../utils/tokens.js';
+import { resolveCourseTarget, canAccessCourse } from '../middleware/courseAccess.js';
+import { uploadSpreadsheet } from '../utils/uploads.js';
+import { studentImportOptionsSchema } from '../utils/validation.js';
+import { readImportFile, previewImport, commitImport, summarizeImport } from '../utils/studentImport.js';
 
 const router = express.Router();
 
@@ -122,6 +127,55 @@ router.post('/', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (r
   }
 });
 
+// Bulk-import students from a CSV/XLSX "file"; dryRun (default) only reports what would happen
+router.post('/import', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A .csv or .xlsx file is required' });
+    }
+
+    const { dryRun, passwordMode, courseId } = studentImportOptionsSchema.parse(req.body);
+
+    if (courseId) {
+      const target = await resolveCourseTarget('course', courseId);
+      if (!target) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      if (!(await canAccessCourse(req.user, target, { manage: true }))) {
+        return res.status(403).json({ error: 'Not authorized for this course' });
+      }
+    }
+
+    const { rows: sheetRows, unknownColumns } = await readImportFile(req.file);
+    const preview = await previewImport(sheetRows);
+
+    const rows = dryRun
+      ? preview.map(({ data, ...row }) => row)
+      : await commitImport(preview, { passwordMode, courseId, actorId: req.user.id });
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      passwordMode,
+      courseId: courseId || null,
+      unknownColumns,
+      summary: summarizeImport(rows),
+      rows,
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({ error: 'Invalid request data', details: error.errors });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'An email in the file was registered in the meantime; run the preview again' });
+    }
+    console.error('Import students error:', error);
+    res.status(500).json({ error: 'Failed to import students' });
+  }
+});
+
 // Update user
 router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async (req, res) => {
   try {
@@ -168,6 +222,58 @@ router.put('/:id', authenticateToken, requireRole('ADMIN', 'INSTRUCTOR'), async
   }
 });
 
+// Get active login sessions of a user (admin only)
+router.get('/:id/sessions', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const sessions = await prisma.refreshToken.findMany({
+      where: {
+        userId: id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: {
+        id: true,
+        familyId: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        expiresAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch user sessions' });
+  }
+});
+
+// Revoke all login sessions of a user (admin only)
+router.post('/:id/sessions/revoke', authenticateToken, requireRole('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await revokeUserTokens(id);
+
+    res.json({ message: 'All sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
 // Delete user
 router.delete('/:id', authenticateToken, requireRole('ADMIN'), async (req, res) => {
   try {
@@ -19,6 +19,10 @@ import authRoutes from './routes/auth.js';
 import usersRoutes from './routes/users.js';
 import coursesRoutes from './routes/courses.js';
 import sessionsRoutes from './routes/sessions.js';
+import calendarRoutes from './routes/calendar.js';
+import notificationsRoutes from './routes/notifications.js';
+import courseInvitesRoutes from './routes/courseInvites.js';
+import dashboardRoutes from './routes/dashboard.js';
 import attendanceRoutes from './routes/attendance.js';
 import assignmentsRoutes from './routes/assignments.js';
 import submissionsRoutes from './routes/submissions.js';
@@ -26,11 +30,19 @@ import reviewsRoutes from './routes/reviews.js';
 import assignmentResourcesRoutes from './routes/assignment-resources.js';
 import quizzesRoutes from './routes/quizzes.js';
 import examsRoutes from './routes/exams.js';
+import questionBankRoutes from './routes/questionBank.js';
 import profileRoutes from './routes/profile.js';
 import suggestionsRoutes from './routes/suggestions.js';
 import adminRoutes from './routes/admin.js';
+import filesRoutes from './routes/files.js';
 import prisma from './config/database.js';
 import { seedDefaultSuggestions } from './utils/seedDefaults.js';
+import { startAttemptSweeper } from './utils/attemptTiming.js';
+import { startScheduler } from './utils/scheduler.js';
+import { registerReminderJobs } from './utils/reminders.js';
+import { registerMetricJobs } from './utils/metrics.js';
+import { getMailTransport } from './utils/mailer.js';
+import { checkStorageConfig } from './utils/storage.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -100,7 +112,8 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('combined'));
 }
 
-// Text-only assignments - no file uploads needed
+// Legacy uploads (avatars, older files). Submission files go through utils/storage.js
+// and are only reachable with signed download URLs (/api/v1/files/:token or presigned S3 URLs).
 const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
@@ -199,11 +212,17 @@ app.use('/api/v1/assignments', assignmentsRoutes);
 app.use('/api/v1/submissions', submissionsRoutes);
 app.use('/api/v1/reviews', reviewsRoutes);
 app.use('/api/v1/assignment-resources', assignmentResourcesRoutes);
+app.use('/api/v1/question-bank', questionBankRoutes);
 app.use('/api/v1', quizzesRoutes);
 app.use('/api/v1', examsRoutes);
 app.use('/api/v1/profile', profileRoutes);
 app.use('/api/v1/suggestions', suggestionsRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/files', filesRoutes);
+app.use('/api/v1/calendar', calendarRoutes);
+app.use('/api/v1/notifications', notificationsRoutes);
+app.use('/api/v1/course-invites', courseInvitesRoutes);
+app.use('/api/v1/dashboard', dashboardRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -219,11 +238,25 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Refuse to start without a mail transport or storage settings rather than on the first email or upload
+getMailTransport();
+checkStorageConfig();
+
 // Seed default suggestions on startup (non-blocking)
 seedDefaultSuggestions().catch((error) => {
   console.error('Failed to seed default suggestions:', error);
 });
 
+// Auto-submit quiz/exam attempts left open past their time limit
+startAttemptSweeper();
+
+// Reminder and digest emails and weekly metric snapshots (jobs can also be run from the admin API when the scheduler is off)
+registerReminderJobs();
+registerMetricJobs();
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler();
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
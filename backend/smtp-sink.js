@@ -0,0 +1,104 @@
+/**
+ * Local SMTP stand-in for development: accepts every message and saves it as an .eml file in
+ * MAIL_DIR/smtp (default backend/mail-outbox/smtp) instead of delivering it.
+ *
+ * Usage: npm run mail:sink, then start the backend with MAIL_TRANSPORT=smtp (SMTP_PORT defaults to 2525).
+ */
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = parseInt(process.env.SMTP_PORT || '2525', 10);
+const outDir = path.join(process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox'), 'smtp');
+
+fs.mkdirSync(outDir, { recursive: true });
+
+const headerValue = (raw, name) => raw.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'))?.[1] || '';
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const saveMessage = (raw) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    fs.writeFileSync(path.join(outDir, `${id}.eml`), raw);
+    console.log(`📨 ${id}.eml  to: ${envelope.to.join(', ')}  subject: ${headerValue(raw, 'Subject')}`);
+  };
+
+  const handleCommand = (line) => {
+    const command = line.slice(0, 4).toUpperCase();
+    switch (command) {
+      case 'EHLO':
+      case 'HELO':
+        reply('250 smtp-sink');
+        break;
+      case 'MAIL':
+        envelope = { from: line.slice(10).trim(), to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT':
+        envelope.to.push(line.slice(8).trim().replace(/^<|>$/g, ''));
+        reply('250 OK');
+        break;
+      case 'DATA':
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    for (;;) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        // Undo dot-stuffing of lines that start with "."
+        saveMessage(buffer.slice(0, end).replace(/\r\n\.\./g, '\r\n.'));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        reply('250 OK: saved');
+        continue;
+      }
+
+      const newline = buffer.indexOf('\r\n');
+      if (newline === -1) {
+        return;
+      }
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      handleCommand(line);
+    }
+  });
+
+  socket.on('error', (error) => console.error('SMTP sink socket error:', error.message));
+  reply('220 smtp-sink ready');
+});
+
+server.listen(PORT, () => {
+  console.log(`📭 SMTP sink listening on port ${PORT}, saving messages to ${outDir}`);
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessRisk } from '../utils/atRisk.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const POLICY = { thresholds: { lowExams: 0.6 } };
+
+const assess = (overrides) =>
+  assessRisk({
+    sessions: [],
+    assignments: [],
+    quizAttempts: [],
+    examAttempts: [],
+    trend: null,
+    lastActivityAt: NOW,
+    enrolledAt: NOW,
+    policy: POLICY,
+    now: NOW,
+    ...overrides,
+  });
+
+const preFactor = (result) => result.riskFactors.find((f) => f.code === 'LOW_PRE_SCORE');
+
+// QuizAttempt.percentage is stored as 0..100 (see utils/quizGrading.js)
+const preQuiz = (percentage) => ({ quiz: { type: 'PRE' }, maxScore: 10, percentage });
+
+describe('assessRisk LOW_PRE_SCORE', () => {
+  it('adds no points for a PRE quiz above the threshold', () => {
+    const factor = preFactor(assess({ quizAttempts: [preQuiz(90)] }));
+    assert.equal(factor.points, 0);
+    assert.deepEqual(factor.params, { score: 90, threshold: 60 });
+  });
+
+  it('scales the points with how far a PRE quiz is below the threshold', () => {
+    const factor = preFactor(assess({ quizAttempts: [preQuiz(30)] }));
+    assert.equal(factor.points, 10);
+    assert.deepEqual(factor.params, { score: 30, threshold: 60 });
+  });
+
+  it('averages PRE quizzes with PRE exams on the same scale', () => {
+    const factor = preFactor(assess({
+      quizAttempts: [preQuiz(40)],
+      examAttempts: [{ exam: { type: 'PRE' }, finalScore10: 8 }],
+    }));
+    assert.deepEqual(factor.params, { score: 60, threshold: 60 });
+    assert.equal(factor.points, 0);
+  });
+
+  it('ignores POST quizzes', () => {
+    const factor = preFactor(assess({ quizAttempts: [{ quiz: { type: 'POST' }, maxScore: 10, percentage: 0 }] }));
+    assert.equal(factor.key, 'riskNoPreScore');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma, { seed } from './helpers/fakePrisma.js';
+import { startApp } from './helpers/http.js';
+import { buildAuditEntry } from '../utils/audit.js';
+import submissionsRoutes from '../routes/submissions.js';
+
+const submission = { id: 'submission1', status: 'SUBMITTED', statusNote: null, late: false, latePenalty: 0 };
+
+const entryFor = (before, after) =>
+  buildAuditEntry({
+    actorId: 'instructorA',
+    entityType: 'SUBMISSION',
+    entityId: 'submission1',
+    courseId: 'courseA',
+    studentId: 'studentA',
+    label: 'Essay',
+    before,
+    after,
+  });
+
+describe('buildAuditEntry for submissions', () => {
+  it('logs a lateness change on its own', () => {
+    const entry = entryFor(submission, { ...submission, late: true, latePenalty: 20 });
+    assert.equal(entry.action, 'UPDATE');
+    assert.deepEqual(entry.before, { late: false, latePenalty: 0 });
+    assert.deepEqual(entry.after, { late: true, latePenalty: 20 });
+  });
+
+  it('keeps status changes to the changed fields', () => {
+    const entry = entryFor(submission, { ...submission, status: 'APPROVED' });
+    assert.deepEqual(entry.after, { status: 'APPROVED' });
+  });
+
+  it('skips writes that change nothing', () => {
+    assert.equal(entryFor(submission, { ...submission }), null);
+  });
+});
+
+describe('PATCH /submissions/:id/status audit', () => {
+  const instructor = { id: 'instructorA', name: 'Instructor A', email: 'ia@test', role: 'INSTRUCTOR' };
+  let app;
+
+  before(async () => {
+    seed({
+      user: [instructor],
+      course: [{ id: 'courseA', title: 'Course A', createdBy: 'instructorA' }],
+      courseInstructor: [],
+      submission: [{
+        ...submission,
+        studentId: 'studentA',
+        assignmentId: 'assignmentA',
+        late: true,
+        latePenalty: 20,
+        assignment: { courseId: 'courseA', title: 'Essay' },
+      }],
+      auditLog: [],
+    });
+    app = await startApp({ '/submissions': submissionsRoutes });
+  });
+
+  after(() => app.close());
+
+  it('logs only the status and note of a status change', async () => {
+    const res = await app.send(instructor, {
+      method: 'PATCH',
+      path: '/submissions/submission1/status',
+      body: { status: 'NEEDS_CHANGES', note: 'Add sources' },
+    });
+    assert.equal(res.status, 200);
+
+    const [entry] = await prisma.auditLog.findMany();
+    assert.deepEqual(entry.before, { status: 'SUBMITTED', statusNote: null });
+    assert.deepEqual(entry.after, { status: 'NEEDS_CHANGES', statusNote: 'Add sources' });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { seed } from './helpers/fakePrisma.js';
+import { startApp } from './helpers/http.js';
+import { decideCourseAccess, canAccessCourse } from '../middleware/courseAccess.js';
+import sessionsRoutes from '../routes/sessions.js';
+import attendanceRoutes from '../routes/attendance.js';
+import assignmentsRoutes from '../routes/assignments.js';
+import submissionsRoutes from '../routes/submissions.js';
+import reviewsRoutes from '../routes/reviews.js';
+import quizzesRoutes from '../routes/quizzes.js';
+
+// Course A is taught by instructorA and has studentA; everything below "B" belongs to course B
+const USERS = {
+  admin: { id: 'admin', name: 'Admin', email: 'admin@test', role: 'ADMIN' },
+  instructorA: { id: 'instructorA', name: 'Instructor A', email: 'ia@test', role: 'INSTRUCTOR' },
+  instructorB: { id: 'instructorB', name: 'Instructor B', email: 'ib@test', role: 'INSTRUCTOR' },
+  studentA: { id: 'studentA', name: 'Student A', email: 'sa@test', role: 'STUDENT' },
+  studentB: { id: 'studentB', name: 'Student B', email: 'sb@test', role: 'STUDENT' },
+};
+
+const FIXTURES = {
+  user: Object.values(USERS),
+  course: [
+    { id: 'courseA', title: 'Course A', createdBy: 'instructorA' },
+    { id: 'courseB', title: 'Course B', createdBy: 'instructorB' },
+  ],
+  courseInstructor: [],
+  enrollment: [
+    { userId: 'studentA', courseId: 'courseA', status: 'ACTIVE' },
+    { userId: 'studentB', courseId: 'courseB', status: 'ACTIVE' },
+  ],
+  session: [
+    { id: 'sessionA', courseId: 'courseA' },
+    { id: 'sessionB', courseId: 'courseB' },
+  ],
+  assignment: [
+    { id: 'assignmentA', courseId: 'courseA' },
+    { id: 'assignmentB', courseId: 'courseB' },
+  ],
+  submission: [
+    { id: 'submissionB', studentId: 'studentB', assignmentId: 'assignmentB', assignment: { courseId: 'courseB' } },
+  ],
+  quizAnswer: [
+    {
+      id: 'answerA',
+      gradingStatus: 'PENDING',
+      attempt: { status: 'SUBMITTED', quizId: 'quizA', studentId: 'studentA', quiz: { courseId: 'courseA' } },
+    },
+    {
+      id: 'answerB',
+      gradingStatus: 'PENDING',
+      attempt: { status: 'SUBMITTED', quizId: 'quizB', studentId: 'studentB', quiz: { courseId: 'courseB' } },
+    },
+  ],
+};
+
+// Requests on course B resources; `student` marks the ones students are otherwise allowed to make,
+// `staff: false` the ones only students can
+const COURSE_B_REQUESTS = [
+  { area: 'sessions', method: 'GET', path: '/sessions/course/courseB', student: true },
+  { area: 'sessions', method: 'GET', path: '/sessions/sessionB', student: true },
+  { area: 'sessions', method: 'PUT', path: '/sessions/sessionB', body: { courseId: 'courseB', date: '2026-01-01', startTime: '10:00', endTime: '11:00' } },
+  { area: 'sessions', method: 'DELETE', path: '/sessions/sessionB' },
+  { area: 'attendance', method: 'GET', path: '/attendance/session/sessionB', student: true },
+  { area: 'attendance', method: 'POST', path: '/attendance/bulk', body: { sessionId: 'sessionB', attendances: [] } },
+  { area: 'attendance', method: 'GET', path: '/attendance/course/courseB/summary' },
+  { area: 'attendance', method: 'GET', path: '/attendance/student/studentB/course/courseB', student: true },
+  { area: 'assignments', method: 'GET', path: '/assignments/course/courseB', student: true },
+  { area: 'assignments', method: 'GET', path: '/assignments/assignmentB', student: true },
+  { area: 'assignments', method: 'PATCH', path: '/assignments/assignmentB/publish' },
+  { area: 'assignments', method: 'DELETE', path: '/assignments/assignmentB' },
+  { area: 'submissions', method: 'GET', path: '/submissions/assignment/assignmentB' },
+  { area: 'submissions', method: 'GET', path: '/submissions/submissionB', student: true },
+  { area: 'submissions', method: 'POST', path: '/submissions', body: { assignmentId: 'assignmentB' }, student: true, staff: false },
+  { area: 'submissions', method: 'PATCH', path: '/submissions/submissionB/status', body: { status: 'APPROVED' } },
+  { area: 'reviews', method: 'POST', path: '/reviews', body: { submissionId: 'submissionB', score: 10 } },
+  { area: 'reviews', method: 'GET', path: '/reviews/submission/submissionB', student: true },
+  { area: 'quiz grading', method: 'GET', path: '/quiz-answers/pending?courseId=courseB' },
+  { area: 'quiz grading', method: 'PUT', path: '/quiz-answers/answerB/grade', body: { earnedPoints: 1 } },
+];
+
+// Denied by requireCourseAccess, not by an earlier check (authentication and validation also answer 4xx)
+async function assertCourseDenied(res) {
+  assert.equal(res.status, 403);
+  assert.deepEqual(await res.json(), { error: 'Not authorized for this course' });
+}
+
+describe('decideCourseAccess', () => {
+  it('lets admins read and manage any course', () => {
+    assert.equal(decideCourseAccess(USERS.admin, { teaches: false, enrolled: false }, { manage: true }), true);
+  });
+
+  it('limits instructors to the courses they teach', () => {
+    assert.equal(decideCourseAccess(USERS.instructorA, { teaches: true, enrolled: false }, { manage: true }), true);
+    assert.equal(decideCourseAccess(USERS.instructorA, { teaches: false, enrolled: false }), false);
+    assert.equal(decideCourseAccess(USERS.instructorA, { teaches: false, enrolled: false }, { manage: true }), false);
+  });
+
+  it('lets enrolled students read, never manage, and only their own resources', () => {
+    assert.equal(decideCourseAccess(USERS.studentA, { teaches: false, enrolled: true }), true);
+    assert.equal(decideCourseAccess(USERS.studentA, { teaches: false, enrolled: false }), false);
+    assert.equal(decideCourseAccess(USERS.studentA, { teaches: false, enrolled: true }, { manage: true }), false);
+    assert.equal(decideCourseAccess(USERS.studentA, { teaches: false, enrolled: true, ownerId: 'studentA' }), true);
+    assert.equal(decideCourseAccess(USERS.studentA, { teaches: false, enrolled: true, ownerId: 'studentB' }), false);
+  });
+});
+
+describe('canAccessCourse', () => {
+  before(() => seed(FIXTURES));
+
+  it('allows the members of a course', async () => {
+    assert.equal(await canAccessCourse(USERS.instructorA, { courseId: 'courseA' }, { manage: true }), true);
+    assert.equal(await canAccessCourse(USERS.studentA, { courseId: 'courseA' }), true);
+  });
+
+  it('denies members of another course', async () => {
+    assert.equal(await canAccessCourse(USERS.instructorA, { courseId: 'courseB' }), false);
+    assert.equal(await canAccessCourse(USERS.studentA, { courseId: 'courseB' }), false);
+  });
+});
+
+describe('cross-course access over HTTP', () => {
+  let app;
+
+  before(async () => {
+    seed(FIXTURES);
+    app = await startApp({
+      '/sessions': sessionsRoutes,
+      '/attendance': attendanceRoutes,
+      '/assignments': assignmentsRoutes,
+      '/submissions': submissionsRoutes,
+      '/reviews': reviewsRoutes,
+      '': quizzesRoutes,
+    });
+  });
+
+  after(() => app.close());
+
+  const send = (user, request) => app.send(user, request);
+
+  for (const request of COURSE_B_REQUESTS.filter((r) => r.staff !== false)) {
+    it(`denies the instructor of course A: ${request.method} ${request.path} (${request.area})`, async () => {
+      await assertCourseDenied(await send(USERS.instructorA, request));
+    });
+  }
+
+  it('lets the instructor of course B through the access check', async () => {
+    const res = await send(USERS.instructorB, { method: 'GET', path: '/attendance/course/courseB/summary' });
+    assert.notEqual(res.status, 403);
+  });
+
+  for (const request of COURSE_B_REQUESTS.filter((r) => r.student)) {
+    it(`denies a student of course A: ${request.method} ${request.path} (${request.area})`, async () => {
+      await assertCourseDenied(await send(USERS.studentA, request));
+    });
+  }
+
+  it("leaves other courses' answers out of an instructor's grading queue", async () => {
+    const res = await send(USERS.instructorA, { method: 'GET', path: '/quiz-answers/pending' });
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).answers.map((a) => a.id), ['answerA']);
+  });
+
+  it('shows admins the grading queue of every course', async () => {
+    const res = await send(USERS.admin, { method: 'GET', path: '/quiz-answers/pending' });
+    assert.deepEqual((await res.json()).answers.map((a) => a.id), ['answerA', 'answerB']);
+  });
+
+  it('denies access to a submission of another student of the same course', async () => {
+    seed({
+      ...FIXTURES,
+      enrollment: [...FIXTURES.enrollment, { userId: 'studentA', courseId: 'courseB', status: 'ACTIVE' }],
+    });
+    try {
+      await assertCourseDenied(await send(USERS.studentA, { method: 'GET', path: '/submissions/submissionB' }));
+    } finally {
+      seed(FIXTURES);
+    }
+  });
+});
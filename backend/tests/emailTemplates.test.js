@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderEmail } from '../utils/emailTemplates.js';
+
+describe('WEEKLY_DIGEST email', () => {
+  const params = {
+    name: 'Instructor',
+    studentCount: 1,
+    url: 'https://lms.test/courses',
+    courses: [
+      {
+        title: 'Course A',
+        url: 'https://lms.test/courses/courseA',
+        students: [{ id: 'studentA', name: 'Student A', alerts: [] }],
+      },
+    ],
+  };
+
+  for (const lang of ['ar', 'en']) {
+    it(`links each course page and the course list (${lang})`, () => {
+      const { text } = renderEmail('WEEKLY_DIGEST', lang, params);
+      assert.match(text, /https:\/\/lms\.test\/courses\/courseA/);
+      assert.match(text, /https:\/\/lms\.test\/courses\n/);
+      assert.doesNotMatch(text, /\/admin\//);
+    });
+  }
+});
+
+describe('reminder subjects', () => {
+  const assignment = { name: 'Student', assignmentTitle: 'Essay', courseTitle: 'Course A', dueDate: new Date(), url: '' };
+  const exam = { name: 'Student', examTitle: 'Midterm', courseTitle: 'Course A', closesAt: new Date(), url: '' };
+
+  it('state the reminder lead time', () => {
+    assert.equal(renderEmail('ASSIGNMENT_DUE', 'en', { ...assignment, leadHours: 48 }).subject, 'Reminder: "Essay" is due within 48 hours');
+    assert.equal(renderEmail('EXAM_CLOSING', 'en', { ...exam, leadHours: 12 }).subject, 'Reminder: exam "Midterm" closes within 12 hours');
+    assert.match(renderEmail('ASSIGNMENT_DUE', 'ar', { ...assignment, leadHours: 48 }).subject, /خلال 48 ساعة/);
+    assert.match(renderEmail('EXAM_CLOSING', 'ar', { ...exam, leadHours: 6 }).subject, /خلال 6 ساعات/);
+  });
+
+  it('use the singular for one hour', () => {
+    assert.match(renderEmail('ASSIGNMENT_DUE', 'en', { ...assignment, leadHours: 1 }).subject, /within 1 hour$/);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { seed } from './helpers/fakePrisma.js';
+import { startApp } from './helpers/http.js';
+import attendanceRoutes from '../routes/attendance.js';
+
+const instructor = { id: 'instructorA', name: 'Instructor A', email: 'ia@test', role: 'INSTRUCTOR' };
+const otherInstructor = { id: 'instructorA2', name: 'Instructor A2', email: 'ia2@test', role: 'INSTRUCTOR' };
+
+const FIXTURES = {
+  user: [instructor, otherInstructor],
+  course: [{ id: 'courseA', title: 'Course A', createdBy: 'instructorA' }],
+  courseInstructor: [{ courseId: 'courseA', instructorId: 'instructorA2' }],
+  attendanceExcuse: [
+    { id: 'excuse1', sessionId: 'sessionA', studentId: 'studentA', reason: 'Sick', status: 'PENDING', session: { courseId: 'courseA' } },
+  ],
+};
+
+describe('PATCH /attendance/excuses/:id', () => {
+  let app;
+
+  before(async () => {
+    seed(FIXTURES);
+    app = await startApp({ '/attendance': attendanceRoutes });
+  });
+
+  after(() => app.close());
+
+  it('reviews a pending request once and answers 409 to a second review', async () => {
+    const first = await app.send(instructor, { method: 'PATCH', path: '/attendance/excuses/excuse1', body: { status: 'REJECTED' } });
+    assert.equal(first.status, 200);
+    assert.equal((await first.json()).excuse.status, 'REJECTED');
+
+    const second = await app.send(otherInstructor, { method: 'PATCH', path: '/attendance/excuses/excuse1', body: { status: 'APPROVED' } });
+    assert.equal(second.status, 409);
+    assert.deepEqual(await second.json(), { error: 'Excuse request already reviewed' });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * In-memory stand-in for the Prisma client. Tests seed() rows per model; reads match `where` on
+ * equal fields (a missing field matches null), `{ in: [...] }`, `{ notIn: [...] }`, relation filters
+ * (`session: { courseId }`) and compound unique keys (`userId_courseId: { ... }`). select keeps
+ * the fields it names (include is ignored), and rows carry the relations a query reads (e.g. a
+ * submission row with `assignment: { courseId }`). Writes are create, createMany, update,
+ * updateMany (e.g. a conditional review of a PENDING request) and upsert; $transaction runs its
+ * callback on the same client. Other writes (delete, ...) are not supported: a handler that gets
+ * past its access checks and makes them fails instead.
+ */
+let tables = {};
+
+/**
+ * Replace all rows: { user: [...], course: [...], ... }
+ */
+export function seed(data) {
+  tables = structuredClone(data);
+}
+
+const matches = (row, where = {}) =>
+  Object.entries(where).every(([key, value]) => {
+    if (value && Array.isArray(value.in)) {
+      return value.in.includes(row[key]);
+    }
+    if (value && Array.isArray(value.notIn)) {
+      return !value.notIn.includes(row[key]);
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      // A relation filter when the row has that relation, else a compound unique key
+      return key in row ? row[key] != null && matches(row[key], value) : matches(row, value);
+    }
+    return (row[key] ?? null) === value;
+  });
+
+const rows = (model, where) => (tables[model] || []).filter((row) => matches(row, where));
+
+// Fields of `row` named in a `select` (nested selects of relations included), or the whole row
+const project = (row, select) => {
+  if (!select || row == null) {
+    return row;
+  }
+  if (Array.isArray(row)) {
+    return row.map((item) => project(item, select));
+  }
+  return Object.fromEntries(
+    Object.entries(select)
+      .filter(([key, value]) => value && key in row)
+      .map(([key, value]) => [key, project(row[key], value.select)])
+  );
+};
+
+// Reads return copies, so later writes don't show through rows already read
+const read = (row, select) => (row ? project(structuredClone(row), select) : null);
+
+const model = (name) => ({
+  findUnique: async ({ where, select }) => read(rows(name, where)[0], select),
+  findFirst: async ({ where, select } = {}) => read(rows(name, where)[0], select),
+  findMany: async ({ where, select } = {}) => rows(name, where).map((row) => read(row, select)),
+  count: async ({ where } = {}) => rows(name, where).length,
+  create: async ({ data }) => {
+    tables[name] = [...(tables[name] || []), { ...data }];
+    return { ...data };
+  },
+  createMany: async ({ data }) => {
+    tables[name] = [...(tables[name] || []), ...data.map((row) => ({ ...row }))];
+    return { count: data.length };
+  },
+  update: async ({ where, data }) => {
+    const row = rows(name, where)[0];
+    if (!row) {
+      throw Object.assign(new Error(`No ${name} found`), { code: 'P2025' });
+    }
+    return { ...Object.assign(row, data) };
+  },
+  upsert: async ({ where, update, create }) => {
+    const row = rows(name, where)[0];
+    if (!row) {
+      tables[name] = [...(tables[name] || []), { ...create }];
+      return { ...create };
+    }
+    return { ...Object.assign(row, update) };
+  },
+  updateMany: async ({ where, data }) => {
+    const matched = rows(name, where);
+    matched.forEach((row) => Object.assign(row, data));
+    return { count: matched.length };
+  },
+});
+
+const prisma = new Proxy({}, {
+  get: (target, name) => {
+    if (name === '$transaction') {
+      return async (fn) => fn(prisma);
+    }
+    return typeof name === 'string' && !name.startsWith('$') ? model(name) : undefined;
+  },
+});
+
+export default prisma;
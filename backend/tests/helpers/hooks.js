@@ -0,0 +1,18 @@
+/**
+ * Module resolution hooks (see setup.js): config/database.js resolves to the in-memory fakePrisma.js
+ * and @prisma/client to prismaClient.js.
+ */
+const FAKE_DATABASE = new URL('./fakePrisma.js', import.meta.url).href;
+const FAKE_CLIENT = new URL('./prismaClient.js', import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  if (specifier === '@prisma/client') {
+    return { url: FAKE_CLIENT, shortCircuit: true };
+  }
+
+  const resolved = await next(specifier, context);
+  if (resolved.url.endsWith('/config/database.js')) {
+    return { url: FAKE_DATABASE, shortCircuit: true };
+  }
+  return resolved;
+}
@@ -0,0 +1,32 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+export const tokenFor = (user) => jwt.sign({ userId: user.id }, process.env.JWT_ACCESS_SECRET);
+
+/**
+ * Serve routers on a free port: { '/sessions': sessionsRoutes, ... }. Resolves to `send(user,
+ * { method, path, body })`, which calls the app as that user, and `close()`.
+ */
+export async function startApp(routers) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routers)) {
+    app.use(path, router);
+  }
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const send = (user, { method, path, body }) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${tokenFor(user)}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  return { send, close: () => new Promise((resolve) => server.close(resolve)) };
+}
@@ -0,0 +1,4 @@
+// The parts of @prisma/client the code imports directly
+export const Prisma = { DbNull: 'DbNull', JsonNull: 'JsonNull' };
+
+export class PrismaClient {}
@@ -0,0 +1,8 @@
+import { register } from 'node:module';
+
+// Tests run without a database or a generated Prisma client: swap both for in-memory stand-ins
+register('./hooks.js', import.meta.url);
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
@@ -0,0 +1,37 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMailTransport, sendMail } from '../utils/mailer.js';
+
+describe('mail transport outside development', () => {
+  const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+  const logged = [];
+  const log = console.log;
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    logged.length = 0;
+    console.log = (...args) => logged.push(args.join(' '));
+  });
+
+  afterEach(() => {
+    console.log = log;
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('requires MAIL_TRANSPORT', () => {
+    assert.throws(() => getMailTransport(), /MAIL_TRANSPORT is not configured/);
+  });
+
+  it('logs the recipient and subject of console mail but not the body', async () => {
+    process.env.MAIL_TRANSPORT = 'console';
+    await sendMail({ to: 'student@test', subject: 'Reset your password', text: 'https://lms.test/reset?token=secret' });
+    const output = logged.join('\n');
+    assert.match(output, /student@test/);
+    assert.match(output, /Reset your password/);
+    assert.doesNotMatch(output, /token=secret/);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma, { seed } from './helpers/fakePrisma.js';
+import { drawBankQuestions } from '../utils/questionBank.js';
+
+const bankQuestion = {
+  id: 'bank1',
+  type: 'MCQ',
+  prompt: 'What is 2 + 2?',
+  choices: ['3', '4'],
+  correctAnswer: 1,
+  points: 2,
+  explanation: 'Basic addition',
+  tags: ['math'],
+};
+
+const exam = { id: 'exam1', bankDrawRules: [{ count: 1 }] };
+
+describe('drawBankQuestions', () => {
+  beforeEach(() => {
+    seed({ bankQuestion: [bankQuestion], examQuestion: [] });
+  });
+
+  it('copies a drawn bank question into the exam', async () => {
+    const [drawn] = await drawBankQuestions(exam, []);
+    assert.equal(drawn.prompt, 'What is 2 + 2?');
+    assert.equal(drawn.drawnFromBank, true);
+    assert.equal((await prisma.examQuestion.findMany()).length, 1);
+  });
+
+  it('refreshes the copy from an earlier draw with the current bank question', async () => {
+    seed({
+      bankQuestion: [bankQuestion],
+      examQuestion: [{
+        id: 'examQuestion1',
+        examId: 'exam1',
+        bankQuestionId: 'bank1',
+        drawnFromBank: true,
+        orderIndex: 3,
+        questionType: 'MCQ',
+        prompt: 'What is 2 + 3?',
+        choices: ['3', '5'],
+        correctAnswer: 0,
+        points: 1,
+        explanation: null,
+        tags: [],
+      }],
+    });
+
+    const [drawn] = await drawBankQuestions(exam, []);
+    assert.equal(drawn.id, 'examQuestion1');
+    assert.equal(drawn.orderIndex, 3);
+    assert.deepEqual(
+      [drawn.prompt, drawn.choices, drawn.correctAnswer, drawn.points, drawn.explanation, drawn.tags],
+      ['What is 2 + 2?', ['3', '4'], 1, 2, 'Basic addition', ['math']]
+    );
+    assert.equal((await prisma.examQuestion.findMany()).length, 1);
+  });
+
+  it('never draws a question already in the exam pool', async () => {
+    await assert.rejects(drawBankQuestions(exam, [{ bankQuestionId: 'bank1' }]), { status: 400 });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { seed } from './helpers/fakePrisma.js';
+import { startApp } from './helpers/http.js';
+import { isSafePattern, normalizeShortTextKey, gradeShortTextAnswer } from '../utils/quizGrading.js';
+import quizzesRoutes from '../routes/quizzes.js';
+
+describe('isSafePattern', () => {
+  for (const pattern of ['^colou?r$', '(cat|dog)s?', '\\d+(\\.\\d+)?', '(\\d{2})+', '[(+*)]+', '\\(a+\\)+']) {
+    it(`accepts ${pattern}`, () => {
+      assert.equal(isSafePattern(pattern), true);
+    });
+  }
+
+  for (const pattern of ['(a+)+$', '(\\w*)*x', '((ab)+c)+', '(a|b+){2,}', 'a'.repeat(201)]) {
+    it(`rejects ${pattern.slice(0, 20)}`, () => {
+      assert.equal(isSafePattern(pattern), false);
+    });
+  }
+});
+
+describe('SHORT_TEXT patterns', () => {
+  it('are refused when saved if they can backtrack catastrophically', () => {
+    assert.throws(() => normalizeShortTextKey({ patterns: ['^(a+)+$'] }), /nested repetition/);
+  });
+
+  it('are skipped when grading a key saved before the check', () => {
+    const question = { points: 2, correctAnswer: { patterns: ['^(a+)+$'], acceptedAnswers: ['aaa'] } };
+    const started = Date.now();
+    assert.equal(gradeShortTextAnswer(question, `${'a'.repeat(40)}!`).isCorrect, false);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(gradeShortTextAnswer(question, 'aaa').isCorrect, true);
+  });
+});
+
+describe('POST /attempts/:attemptId/answer', () => {
+  const student = { id: 'studentA', name: 'Student A', email: 'sa@test', role: 'STUDENT' };
+  let app;
+
+  before(async () => {
+    seed({ user: [student], quizAttempt: [] });
+    app = await startApp({ '': quizzesRoutes });
+  });
+
+  after(() => app.close());
+
+  it('rejects answers longer than the limit before grading', async () => {
+    const res = await app.send(student, {
+      method: 'POST',
+      path: '/attempts/attempt1/answer',
+      body: { questionId: 'question1', answer: 'a'.repeat(1001) },
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /at most 1000 characters/);
+  });
+});
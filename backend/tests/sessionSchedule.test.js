@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasAttachedRecords, planSchedule, listPlan } from '../utils/sessionSchedule.js';
+
+const NO_RECORDS = { attendances: 0, excuses: 0, quizzes: 0, exams: 0, evaluations: 0 };
+
+// A generated session on a Monday (2026-01-05) that a Wednesday-only rule no longer covers
+const offRuleSession = (overrides = {}) => ({
+  id: 'session1',
+  date: new Date('2026-01-05T00:00:00Z'),
+  startTime: '10:00',
+  endTime: '11:00',
+  topic: null,
+  generated: true,
+  checkInWindow: null,
+  _count: { ...NO_RECORDS },
+  ...overrides,
+});
+
+const RULE = { weekdays: [3], startTime: '10:00', endTime: '11:00', startDate: '2026-01-05', endDate: '2026-01-11' };
+
+describe('hasAttachedRecords', () => {
+  it('is false for a session nothing references', () => {
+    assert.equal(hasAttachedRecords(offRuleSession()), false);
+  });
+
+  for (const relation of Object.keys(NO_RECORDS)) {
+    it(`is true when the session has ${relation}`, () => {
+      assert.equal(hasAttachedRecords(offRuleSession({ _count: { ...NO_RECORDS, [relation]: 1 } })), true);
+    });
+  }
+
+  it('is true when the session has a check-in window', () => {
+    assert.equal(hasAttachedRecords(offRuleSession({ checkInWindow: { id: 'window1' } })), true);
+  });
+});
+
+describe('planSchedule', () => {
+  it('removes generated sessions off the rule without attached records', () => {
+    const plan = planSchedule(RULE, {}, [offRuleSession()]);
+    assert.deepEqual(plan.remove.map((s) => s.id), ['session1']);
+    assert.equal(plan.create.length, 1);
+  });
+
+  it('preserves generated sessions off the rule with excuses or a check-in window', () => {
+    const plan = planSchedule(RULE, {}, [
+      offRuleSession({ id: 'excused', _count: { ...NO_RECORDS, excuses: 2 } }),
+      offRuleSession({ id: 'checkIn', checkInWindow: { id: 'window1' } }),
+    ]);
+    assert.deepEqual(plan.remove, []);
+    assert.deepEqual(plan.preserved.map((s) => s.id), ['excused', 'checkIn']);
+  });
+
+  it('leaves the record counts out of the listed plan', () => {
+    const [entry] = listPlan(planSchedule(RULE, {}, [offRuleSession()])).filter((s) => s.action === 'remove');
+    assert.equal('_count' in entry, false);
+    assert.equal('checkInWindow' in entry, false);
+  });
+});
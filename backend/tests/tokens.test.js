@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import prisma, { seed } from './helpers/fakePrisma.js';
+import { issueRefreshToken, rotateRefreshToken } from '../utils/tokens.js';
+
+const user = { id: 'studentA', role: 'STUDENT' };
+
+const rotationError = (message) => (error) => {
+  assert.equal(error.message, message);
+  return true;
+};
+
+const liveTokens = async () => (await prisma.refreshToken.findMany({ where: { revokedAt: null } })).length;
+
+describe('rotateRefreshToken', () => {
+  let refreshToken;
+
+  beforeEach(async () => {
+    mock.timers.reset();
+    seed({ user: [user], refreshToken: [] });
+    ({ refreshToken } = await issueRefreshToken(user.id));
+  });
+
+  it('rotates a token into the next one of its family', async () => {
+    const tokens = await rotateRefreshToken(refreshToken);
+    assert.ok(tokens.accessToken);
+    assert.notEqual(tokens.refreshToken, refreshToken);
+    assert.equal(await liveTokens(), 1);
+  });
+
+  it('lets two concurrent refreshes of the same token both through', async () => {
+    const [first, second] = await Promise.all([rotateRefreshToken(refreshToken), rotateRefreshToken(refreshToken)]);
+    assert.notEqual(first.refreshToken, second.refreshToken);
+    assert.equal(await liveTokens(), 2);
+
+    // Each tab keeps refreshing with the token it got
+    await rotateRefreshToken(first.refreshToken);
+    await rotateRefreshToken(second.refreshToken);
+  });
+
+  it('accepts the rotated token again within the grace window', async () => {
+    await rotateRefreshToken(refreshToken);
+    const again = await rotateRefreshToken(refreshToken);
+    assert.ok(again.refreshToken);
+  });
+
+  it('revokes the family when a rotated token comes back after the grace window', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    await rotateRefreshToken(refreshToken);
+    mock.timers.tick(31 * 1000);
+
+    await assert.rejects(rotateRefreshToken(refreshToken), rotationError('Refresh token reuse detected'));
+    assert.equal(await liveTokens(), 0);
+  });
+
+  it('gives no grace once the family was revoked', async () => {
+    const next = await rotateRefreshToken(refreshToken);
+    await prisma.refreshToken.updateMany({ where: { revokedAt: null }, data: { revokedAt: new Date() } });
+
+    await assert.rejects(rotateRefreshToken(refreshToken), rotationError('Refresh token reuse detected'));
+    await assert.rejects(rotateRefreshToken(next.refreshToken), rotationError('Refresh token reuse detected'));
+  });
+});
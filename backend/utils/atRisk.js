@@ -0,0 +1,137 @@
+import { getSessionStart } from './sessionTime.js';
+import { getEffectiveDueDate } from './latePolicy.js';
+
+/**
+ * Early-warning risk score (0..100) of a student in a course, computed with the metrics from
+ * leading indicators rather than averages. Each factor adds up to its maximum points:
+ * - CONSECUTIVE_ABSENCES: absences (or no attendance record) in a row up to the last session held, full at 3
+ * - MISSED_FIRST_ASSIGNMENTS: share of the first 3 assignments past their due date that were not submitted
+ * - LOW_PRE_SCORE: how far the PRE quiz/exam average is below the course's lowExams threshold
+ * - DECLINING_TREND: the DECLINING_TREND alert (see utils/metricSnapshots.js)
+ * - NO_ACTIVITY: days since the last attendance, submission or attempt, from 3 (none) to 14 (full)
+ * Every factor is stored as a message ({ code, key, params, points, maxPoints }) explaining its points.
+ * The cohort view and intervention log are in utils/interventions.js.
+ */
+
+export const RISK_FACTOR_POINTS = {
+  CONSECUTIVE_ABSENCES: 25,
+  MISSED_FIRST_ASSIGNMENTS: 20,
+  LOW_PRE_SCORE: 20,
+  DECLINING_TREND: 20,
+  NO_ACTIVITY: 15,
+};
+
+// Lowest score of each level
+export const RISK_LEVELS = { HIGH: 50, MEDIUM: 25 };
+
+const FULL_ABSENCE_STREAK = 3;
+const FIRST_ASSIGNMENTS = 3;
+const INACTIVE_FROM_DAYS = 3;
+const INACTIVE_FULL_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+const percent = (ratio) => Math.round(ratio * 100);
+
+/**
+ * HIGH, MEDIUM or LOW
+ */
+export const getRiskLevel = (score) =>
+  score >= RISK_LEVELS.HIGH ? 'HIGH' : score >= RISK_LEVELS.MEDIUM ? 'MEDIUM' : 'LOW';
+
+const factor = (code, share, key, params) => ({
+  code,
+  key,
+  params,
+  points: Math.round(RISK_FACTOR_POINTS[code] * clamp(share) * 10) / 10,
+  maxPoints: RISK_FACTOR_POINTS[code],
+});
+
+/**
+ * Absences in a row up to the last session that has started; `sessions` carry the student's
+ * attendance as attendances[0]
+ */
+export function countConsecutiveAbsences(sessions, now = new Date()) {
+  const held = sessions
+    .map((session) => ({ start: getSessionStart(session), attendance: session.attendances[0] }))
+    .filter(({ start }) => start <= now)
+    .sort((a, b) => b.start - a.start);
+
+  let count = 0;
+  for (const { attendance } of held) {
+    if (attendance && attendance.status !== 'ABSENT') {
+      break;
+    }
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * { missed, total } of the first assignments (by due date) that are past the student's due date;
+ * `assignments` carry the student's submissions and extensions
+ */
+export function countMissedFirstAssignments(assignments, now = new Date()) {
+  const due = assignments
+    .map((assignment) => ({ assignment, dueDate: getEffectiveDueDate(assignment, assignment.extensions?.[0]) }))
+    .sort((a, b) => a.dueDate - b.dueDate)
+    .slice(0, FIRST_ASSIGNMENTS)
+    .filter(({ dueDate }) => dueDate <= now);
+
+  return {
+    missed: due.filter(({ assignment }) => assignment.submissions.length === 0).length,
+    total: due.length,
+  };
+}
+
+/**
+ * Risk score and factors from what computeStudentCourseMetrics loaded:
+ * sessions, assignments, submitted quiz/exam attempts (with their quiz/exam), the declining trend
+ * (or null), the last activity (or null) and the enrollment date
+ */
+export function assessRisk({ sessions, assignments, quizAttempts, examAttempts, trend, lastActivityAt, enrolledAt, policy, now = new Date() }) {
+  const absences = countConsecutiveAbsences(sessions, now);
+  const firstAssignments = countMissedFirstAssignments(assignments, now);
+
+  // PRE scores as 0..1, like the exams average (quiz percentages are 0..100)
+  const preScores = [
+    ...quizAttempts.filter((a) => a.quiz.type === 'PRE' && a.maxScore > 0).map((a) => a.percentage / 100),
+    ...examAttempts.filter((a) => a.exam.type === 'PRE').map((a) => a.finalScore10 / 10),
+  ];
+  const preScore = preScores.length > 0 ? preScores.reduce((sum, score) => sum + score, 0) / preScores.length : null;
+  const preThreshold = policy.thresholds.lowExams;
+
+  // Students who never did anything count from their enrollment
+  const inactiveSince = lastActivityAt || enrolledAt;
+  const inactiveDays = inactiveSince ? Math.floor((now - new Date(inactiveSince)) / DAY_MS) : 0;
+
+  const riskFactors = [
+    factor('CONSECUTIVE_ABSENCES', absences / FULL_ABSENCE_STREAK, 'riskConsecutiveAbsences', { count: absences }),
+    factor(
+      'MISSED_FIRST_ASSIGNMENTS',
+      firstAssignments.total > 0 ? firstAssignments.missed / firstAssignments.total : 0,
+      'riskMissedFirstAssignments',
+      firstAssignments
+    ),
+    preScore === null
+      ? factor('LOW_PRE_SCORE', 0, 'riskNoPreScore', {})
+      : factor('LOW_PRE_SCORE', preThreshold > 0 ? (preThreshold - preScore) / preThreshold : 0, 'riskLowPreScore', {
+        score: percent(preScore),
+        threshold: percent(preThreshold),
+      }),
+    trend
+      ? factor('DECLINING_TREND', 1, 'alertDecliningTrend', trend)
+      : factor('DECLINING_TREND', 0, 'riskNoDecliningTrend', {}),
+    factor(
+      'NO_ACTIVITY',
+      (inactiveDays - INACTIVE_FROM_DAYS) / (INACTIVE_FULL_DAYS - INACTIVE_FROM_DAYS),
+      'riskDaysInactive',
+      { days: inactiveDays }
+    ),
+  ];
+
+  const riskScore = Math.round(riskFactors.reduce((sum, f) => sum + f.points, 0) * 10) / 10;
+
+  return { riskScore, riskFactors };
+}
@@ -0,0 +1,253 @@
+import prisma from '../config/database.js';
+import { computeStudentEvaluation } from './evaluation.js';
+
+// Answers arriving this long after the deadline are still accepted (network latency, autosave in flight)
+export const ATTEMPT_GRACE_SECONDS = parseInt(process.env.ATTEMPT_GRACE_SECONDS || '30', 10);
+
+const SWEEP_INTERVAL_SECONDS = parseInt(process.env.ATTEMPT_SWEEP_INTERVAL_SECONDS || '60', 10);
+
+/**
+ * Deadline for an attempt started at `startedAt`, or null when there is no time limit
+ */
+export function computeExpiresAt(startedAt, timeLimitMinutes) {
+  if (!timeLimitMinutes) {
+    return null;
+  }
+  return new Date(new Date(startedAt).getTime() + timeLimitMinutes * 60 * 1000);
+}
+
+/**
+ * Deadline of an existing attempt. Attempts started before `expiresAt` was stored
+ * fall back to the current time limit of their quiz/exam.
+ */
+export function getAttemptExpiry(attempt, timeLimitMinutes) {
+  return attempt.expiresAt ? new Date(attempt.expiresAt) : computeExpiresAt(attempt.startedAt, timeLimitMinutes);
+}
+
+/**
+ * Whole seconds left before the deadline (never negative), or null when untimed
+ */
+export function getRemainingSeconds(expiresAt, now = new Date()) {
+  if (!expiresAt) {
+    return null;
+  }
+  return Math.max(0, Math.floor((expiresAt.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * True once the deadline plus the grace window has passed
+ */
+export function isPastDeadline(expiresAt, now = new Date(), graceSeconds = ATTEMPT_GRACE_SECONDS) {
+  return Boolean(expiresAt) && now.getTime() > expiresAt.getTime() + graceSeconds * 1000;
+}
+
+/**
+ * Score and close a quiz attempt from its saved answers, then refresh the session evaluation.
+ * Returns null if the attempt was already submitted (e.g. by the sweeper in the meantime).
+ */
+export async function submitQuizAttempt(attemptId, { autoSubmitted = false } = {}) {
+  const attempt = await prisma.quizAttempt.findUnique({
+    where: { id: attemptId },
+    include: {
+      quiz: {
+        select: {
+          sessionId: true,
+          questions: { select: { points: true } },
+        },
+      },
+      answers: {
+        select: { earnedPoints: true, gradingStatus: true },
+      },
+    },
+  });
+
+  if (!attempt || attempt.status === 'SUBMITTED') {
+    return null;
+  }
+
+  const totalScore = attempt.answers.reduce((sum, a) => sum + a.earnedPoints, 0);
+  const maxScore = attempt.maxScore || attempt.quiz.questions.reduce((sum, q) => sum + q.points, 0);
+  const percentage = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
+  const pendingGradingCount = attempt.answers.filter((a) => a.gradingStatus === 'PENDING').length;
+
+  // Only the first of concurrent submitters (student, sweeper) closes the attempt
+  const { count } = await prisma.quizAttempt.updateMany({
+    where: { id: attemptId, status: 'IN_PROGRESS' },
+    data: {
+      status: 'SUBMITTED',
+      submittedAt: new Date(),
+      totalScore,
+      maxScore,
+      percentage,
+      pendingGradingCount,
+      autoSubmitted,
+    },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  await computeStudentEvaluation(attempt.quiz.sessionId, attempt.studentId).catch((err) => {
+    console.error('Error computing evaluation:', err);
+  });
+
+  return prisma.quizAttempt.findUnique({
+    where: { id: attemptId },
+    include: {
+      answers: {
+        include: {
+          question: true,
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Score and close an exam attempt from its saved answers (final score normalized out of 10).
+ * Returns null if the attempt was already submitted.
+ */
+export async function submitExamAttempt(attemptId, { autoSubmitted = false } = {}) {
+  const attempt = await prisma.examAttempt.findUnique({
+    where: { id: attemptId },
+    include: {
+      answers: {
+        select: { earnedPoints: true },
+      },
+    },
+  });
+
+  if (!attempt || attempt.status === 'SUBMITTED') {
+    return null;
+  }
+
+  let maxRawScore = attempt.maxRawScore;
+  if (!maxRawScore) {
+    const served = await prisma.examQuestion.findMany({
+      where: { id: { in: attempt.servedQuestionIds || [] } },
+      select: { points: true },
+    });
+    maxRawScore = served.reduce((sum, q) => sum + q.points, 0);
+  }
+
+  const rawScore = attempt.answers.reduce((sum, a) => sum + a.earnedPoints, 0);
+  const finalScore10 = maxRawScore > 0
+    ? Math.round((rawScore / maxRawScore) * 10 * 10) / 10 // Round to 1 decimal
+    : 0;
+  const percentage = maxRawScore > 0 ? (rawScore / maxRawScore) * 100 : 0;
+
+  const { count } = await prisma.examAttempt.updateMany({
+    where: { id: attemptId, status: 'IN_PROGRESS' },
+    data: {
+      status: 'SUBMITTED',
+      submittedAt: new Date(),
+      rawScore,
+      maxRawScore,
+      finalScore10,
+      percentage,
+      autoSubmitted,
+    },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.examAttempt.findUnique({
+    where: { id: attemptId },
+    include: {
+      exam: {
+        include: {
+          questions: {
+            where: {
+              id: { in: attempt.servedQuestionIds || [] },
+            },
+            orderBy: { orderIndex: 'asc' },
+          },
+        },
+      },
+      answers: {
+        include: {
+          question: true,
+        },
+      },
+    },
+  });
+}
+
+// IN_PROGRESS attempts whose deadline (plus grace) has passed, including ones without a stored expiresAt
+async function findExpiredAttempts(model, parentKey, now) {
+  const cutoff = new Date(now.getTime() - ATTEMPT_GRACE_SECONDS * 1000);
+
+  const stored = await prisma[model].findMany({
+    where: { status: 'IN_PROGRESS', expiresAt: { lt: cutoff } },
+    select: { id: true },
+  });
+
+  const legacy = await prisma[model].findMany({
+    where: {
+      status: 'IN_PROGRESS',
+      expiresAt: null,
+      [parentKey]: { timeLimitMinutes: { not: null } },
+    },
+    select: {
+      id: true,
+      startedAt: true,
+      expiresAt: true,
+      [parentKey]: { select: { timeLimitMinutes: true } },
+    },
+  });
+
+  return [
+    ...stored.map((a) => a.id),
+    ...legacy
+      .filter((a) => isPastDeadline(getAttemptExpiry(a, a[parentKey].timeLimitMinutes), now))
+      .map((a) => a.id),
+  ];
+}
+
+/**
+ * Auto-submit every expired IN_PROGRESS quiz and exam attempt with the answers saved so far
+ */
+export async function sweepExpiredAttempts(now = new Date()) {
+  const result = { quizzes: 0, exams: 0 };
+
+  for (const id of await findExpiredAttempts('quizAttempt', 'quiz', now)) {
+    if (await submitQuizAttempt(id, { autoSubmitted: true })) result.quizzes++;
+  }
+
+  for (const id of await findExpiredAttempts('examAttempt', 'exam', now)) {
+    if (await submitExamAttempt(id, { autoSubmitted: true })) result.exams++;
+  }
+
+  return result;
+}
+
+/**
+ * Run the expiry sweeper periodically (ATTEMPT_SWEEP_INTERVAL_SECONDS, 0 disables it)
+ */
+export function startAttemptSweeper() {
+  if (SWEEP_INTERVAL_SECONDS <= 0) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { quizzes, exams } = await sweepExpiredAttempts();
+      if (quizzes || exams) {
+        console.log(`⏱️  Auto-submitted ${quizzes} quiz and ${exams} exam attempt(s) past their time limit`);
+      }
+    } catch (error) {
+      console.error('Attempt sweeper error:', error);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+}
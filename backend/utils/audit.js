@@ -0,0 +1,116 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+
+/**
+ * Audit log of attendance, review, submission status/lateness, exam status and enrollment changes. Each entry keeps
+ * who made the change and the audited fields before and after it; unchanged writes (e.g. an upsert
+ * with the same status) are not logged. Entries are append-only (see config/database.js).
+ */
+
+export const AUDITED_FIELDS = {
+  ATTENDANCE: ['status', 'note'],
+  REVIEW: ['score', 'rubricResult', 'feedback'],
+  SUBMISSION: ['status', 'statusNote', 'late', 'latePenalty'],
+  EXAM: ['status'],
+  ENROLLMENT: ['status'],
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const pick = (record, fields) => Object.fromEntries(fields.map((field) => [field, record[field] ?? null]));
+
+/**
+ * Audit entry for a change from `before` to `after` (either may be null for a create/delete),
+ * or null when none of the audited fields changed
+ */
+export function buildAuditEntry({ actorId, entityType, entityId, courseId, studentId, label, before, after }) {
+  const fields = before && after
+    ? AUDITED_FIELDS[entityType].filter((field) => !sameValue(before[field], after[field]))
+    : AUDITED_FIELDS[entityType];
+
+  if (fields.length === 0) {
+    return null;
+  }
+
+  return {
+    actorId: actorId || null,
+    action: !before ? 'CREATE' : !after ? 'DELETE' : 'UPDATE',
+    entityType,
+    entityId,
+    courseId: courseId || null,
+    studentId: studentId || null,
+    label: label || null,
+    before: before ? pick(before, fields) : Prisma.DbNull,
+    after: after ? pick(after, fields) : Prisma.DbNull,
+  };
+}
+
+/**
+ * Append audit entries, skipping empty ones. Pass the transaction client to log with the change itself.
+ */
+export async function recordAudit(entries, client = prisma) {
+  const data = [].concat(entries).filter(Boolean);
+  if (data.length > 0) {
+    await client.auditLog.createMany({ data });
+  }
+}
+
+/**
+ * Label of a session in audit entries, e.g. "Loops (2025-03-01)"
+ */
+export function sessionLabel(session) {
+  return `${session.topic || 'Session'} (${new Date(session.date).toISOString().slice(0, 10)})`;
+}
+
+/**
+ * Audit entries matching the filters, newest first, with the actor, student and course resolved
+ */
+export async function listAuditLogs({ userId, courseId, entityType, from, to, page, limit }) {
+  const where = {
+    ...(userId && { OR: [{ actorId: userId }, { studentId: userId }] }),
+    ...(courseId && { courseId }),
+    ...(entityType && { entityType }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: from }),
+        ...(to && { lte: to }),
+      },
+    }),
+  };
+
+  const [total, entries] = await Promise.all([
+    prisma.auditLog.count({ where }),
+    prisma.auditLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+  ]);
+
+  const userIds = [...new Set(entries.flatMap((e) => [e.actorId, e.studentId]).filter(Boolean))];
+  const courseIds = [...new Set(entries.map((e) => e.courseId).filter(Boolean))];
+
+  const [users, courses] = await Promise.all([
+    prisma.user.findMany({ where: { id: { in: userIds } }, select: { id: true, name: true, role: true } }),
+    prisma.course.findMany({ where: { id: { in: courseIds } }, select: { id: true, title: true } }),
+  ]);
+
+  const usersById = new Map(users.map((u) => [u.id, u]));
+  const coursesById = new Map(courses.map((c) => [c.id, c]));
+
+  return {
+    data: entries.map((entry) => ({
+      ...entry,
+      actor: usersById.get(entry.actorId) || null,
+      student: usersById.get(entry.studentId) || null,
+      course: coursesById.get(entry.courseId) || null,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
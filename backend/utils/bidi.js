@@ -0,0 +1,118 @@
+/**
+ * Right-to-left text for pdfkit. fontkit shapes Arabic and reverses the glyphs of a run whose first
+ * letter is Arabic, but nothing orders the runs of mixed Arabic/English text or wraps right-to-left
+ * paragraphs. This is the small part of the Unicode bidi algorithm the reports need: paragraph
+ * direction from the first strong character, Arabic (R) and Latin/number (L) runs, neutrals and
+ * bracket pairs resolved from their surroundings, and mirrored brackets in right-to-left runs.
+ */
+
+const RTL_CHAR = /[\u0600-\u060B\u060D-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFC]/;
+const LTR_CHAR = /[A-Za-z0-9%\u00C0-\u024F]/;
+
+// Invisible, and of the Arabic script: leading a line with it makes fontkit shape and reverse the whole line
+const ARABIC_LETTER_MARK = '\u061C';
+
+const OPENING_BRACKETS = { ')': '(', ']': '[', '}': '{' };
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+const strongType = (char) => (RTL_CHAR.test(char) ? 'R' : LTR_CHAR.test(char) ? 'L' : null);
+const reverse = (chars) => [...chars].reverse();
+
+/**
+ * Whether `text` has right-to-left characters
+ */
+export const hasRtl = (text) => RTL_CHAR.test(text);
+
+/**
+ * Direction (R or L) of every character of a line whose paragraph direction is `base`
+ */
+function resolveTypes(chars, base) {
+  const types = chars.map(strongType);
+
+  // A bracket pair around text of the paragraph direction takes it; around only the other
+  // direction, it takes the direction that precedes the opening bracket
+  const open = [];
+  chars.forEach((char, i) => {
+    if (Object.values(OPENING_BRACKETS).includes(char)) {
+      open.push(i);
+      return;
+    }
+    const start = open.map((index) => chars[index]).lastIndexOf(OPENING_BRACKETS[char]);
+    if (start === -1) {
+      return;
+    }
+    const openIndex = open[start];
+    open.length = start;
+    const inside = types.slice(openIndex + 1, i).filter(Boolean);
+    if (inside.length > 0) {
+      const before = types.slice(0, openIndex).filter(Boolean).pop() || base;
+      types[openIndex] = inside.includes(base) ? base : before;
+      types[i] = types[openIndex];
+    }
+  });
+
+  // Other neutrals take the direction on both sides of them, else the paragraph's
+  return types.map((type, i) => {
+    if (type) {
+      return type;
+    }
+    const before = types.slice(0, i).filter(Boolean).pop() || base;
+    const after = types.slice(i + 1).find(Boolean) || base;
+    return before === after ? before : base;
+  });
+}
+
+/**
+ * A line in visual (left to right) order
+ */
+function visualOrder(line, base) {
+  const chars = [...line];
+  const types = resolveTypes(chars, base);
+
+  const runs = [];
+  chars.forEach((char, i) => {
+    const last = runs[runs.length - 1];
+    if (last?.type === types[i]) {
+      last.chars.push(char);
+    } else {
+      runs.push({ type: types[i], chars: [char] });
+    }
+  });
+
+  return (base === 'R' ? runs.reverse() : runs)
+    .map(({ type, chars: run }) => (type === 'R' ? reverse(run).map((char) => MIRRORED[char] || char) : run).join(''))
+    .join('');
+}
+
+/**
+ * A visual line as fontkit should be given it: reversed (Arabic runs back in logical order for
+ * shaping), to be reversed again as a whole
+ */
+const forFontkit = (line) => `${ARABIC_LETTER_MARK}${reverse(line).join('')}`;
+
+/**
+ * `text` wrapped to `width` (measured with `widthOf`) and ordered for pdfkit, one string per line,
+ * each to be laid out as a whole (see drawText in utils/pdf.js). Paragraphs without strong
+ * characters are right-to-left when `rtl` is set.
+ */
+export function bidiLines(text, { rtl, width, widthOf }) {
+  return String(text).split('\n').flatMap((paragraph) => {
+    const chars = [...paragraph];
+    const base = chars.map(strongType).find(Boolean) || (rtl ? 'R' : 'L');
+
+    const lines = [];
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && widthOf(candidate) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+
+    return lines.map((l) => forFontkit(visualOrder(l, base)));
+  });
+}
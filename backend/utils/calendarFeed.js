@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { getTaughtCourseIds } from '../middleware/courseAccess.js';
+import { getEffectiveDueDate } from './latePolicy.js';
+import { getFrontendUrl } from './mailer.js';
+import { buildCalendar, formatLocalDateTime } from './ical.js';
+import { SESSION_TIMEZONE } from './sessionTime.js';
+
+/**
+ * Calendar feeds: sessions, assignment deadlines and quiz/exam availability windows as iCalendar.
+ * Feeds are fetched by calendar apps without a login, so they are addressed by a per-user secret
+ * token (User.calendarToken). UIDs are derived from record ids so edits update the existing event.
+ */
+
+const UID_DOMAIN = 'calendar.battechno';
+
+const uid = (type, id, suffix) => `${type}-${id}${suffix ? `-${suffix}` : ''}@${UID_DOMAIN}`;
+
+/**
+ * The user's calendar token, created on first use
+ */
+export async function getCalendarToken(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { calendarToken: true } });
+  return user.calendarToken || resetCalendarToken(userId);
+}
+
+/**
+ * Replace the user's calendar token; previously shared feed URLs stop working
+ */
+export async function resetCalendarToken(userId) {
+  const calendarToken = crypto.randomBytes(24).toString('hex');
+  await prisma.user.update({ where: { id: userId }, data: { calendarToken } });
+  return calendarToken;
+}
+
+export function findUserByCalendarToken(token) {
+  return prisma.user.findUnique({
+    where: { calendarToken: token },
+    select: { id: true, name: true, role: true },
+  });
+}
+
+/**
+ * Feed URLs for a token: the personal feed, or a single course's feed
+ */
+export function getFeedUrl(baseUrl, token, courseId) {
+  return courseId
+    ? `${baseUrl}/calendar/feed/${token}/courses/${courseId}.ics`
+    : `${baseUrl}/calendar/feed/${token}.ics`;
+}
+
+/**
+ * Courses in a user's personal feed: active enrollments for students, taught courses otherwise
+ */
+export async function getFeedCourseIds(user) {
+  if (user.role === 'STUDENT') {
+    const enrollments = await prisma.enrollment.findMany({
+      where: { userId: user.id, status: 'ACTIVE' },
+      select: { courseId: true },
+    });
+    return enrollments.map((e) => e.courseId);
+  }
+  return getTaughtCourseIds(user.id);
+}
+
+// Quizzes and exams as events: the availability window, or a point in time when only one end is set
+const availabilityEvent = (type, item, courseTitle, url) => {
+  const start = item.availableFrom || item.availableTo;
+  if (!start) {
+    return null;
+  }
+  return {
+    uid: uid(type, item.id),
+    start: { utc: start },
+    end: { utc: item.availableTo || item.availableFrom },
+    summary: `${courseTitle}: ${item.title}`,
+    description: item.description,
+    url,
+    lastModified: item.updatedAt,
+  };
+};
+
+/**
+ * Events of the given courses as seen by `user`: students only get published assignments and
+ * non-draft quizzes/exams, and their own extended due dates
+ */
+export async function getCalendarEvents(user, courseIds) {
+  const isStudent = user.role === 'STUDENT';
+  const frontendUrl = getFrontendUrl();
+
+  const courses = await prisma.course.findMany({
+    where: { id: { in: courseIds } },
+    select: {
+      id: true,
+      title: true,
+      sessions: {
+        select: { id: true, date: true, startTime: true, endTime: true, topic: true, notes: true, updatedAt: true },
+      },
+      assignments: {
+        where: isStudent ? { isPublished: true } : undefined,
+        select: {
+          id: true,
+          title: true,
+          description: true,
+          dueDate: true,
+          updatedAt: true,
+          extensions: isStudent ? { where: { studentId: user.id } } : false,
+        },
+      },
+      quizzes: {
+        where: isStudent ? { status: { not: 'DRAFT' } } : undefined,
+        select: { id: true, title: true, description: true, availableFrom: true, availableTo: true, updatedAt: true },
+      },
+      exams: {
+        where: isStudent ? { status: { not: 'DRAFT' } } : undefined,
+        select: { id: true, title: true, description: true, availableFrom: true, availableTo: true, updatedAt: true },
+      },
+    },
+  });
+
+  const events = [];
+  for (const course of courses) {
+    for (const session of course.sessions) {
+      events.push({
+        uid: uid('session', session.id),
+        start: { local: formatLocalDateTime(session.date, session.startTime) },
+        end: { local: formatLocalDateTime(session.date, session.endTime) },
+        summary: `${course.title}: ${session.topic || 'Session'}`,
+        description: session.notes,
+        url: `${frontendUrl}/sessions/${course.id}`,
+        lastModified: session.updatedAt,
+      });
+    }
+
+    for (const assignment of course.assignments) {
+      const dueDate = getEffectiveDueDate(assignment, assignment.extensions?.[0]);
+      events.push({
+        uid: uid('assignment', assignment.id, 'due'),
+        start: { utc: dueDate },
+        summary: `${course.title}: ${assignment.title} (due)`,
+        description: assignment.description,
+        url: `${frontendUrl}/assignments/${assignment.id}`,
+        lastModified: assignment.extensions?.[0]?.updatedAt || assignment.updatedAt,
+      });
+    }
+
+    for (const quiz of course.quizzes) {
+      const event = availabilityEvent('quiz', quiz, course.title, `${frontendUrl}/quiz/${quiz.id}`);
+      if (event) events.push(event);
+    }
+
+    for (const exam of course.exams) {
+      const event = availabilityEvent('exam', exam, course.title, `${frontendUrl}/exam/${exam.id}`);
+      if (event) events.push(event);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * The .ics document for a set of events
+ */
+export function renderCalendar(name, events) {
+  return buildCalendar({ name, timezone: SESSION_TIMEZONE, events });
+}
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { getSessionStart } from './sessionTime.js';
+
+/**
+ * Session self check-in. An open CheckInWindow has a random secret; the code shown to students
+ * (as a QR code and as digits) is derived from it and the current time step, so it changes every
+ * CHECKIN_CODE_TTL_SECONDS and can't be reused later. The previous code stays valid for one more
+ * step so students who scanned just before a rotation aren't rejected.
+ */
+
+export const CHECKIN_CODE_TTL_SECONDS = parseInt(process.env.CHECKIN_CODE_TTL_SECONDS || '30', 10);
+export const CHECKIN_LATE_AFTER_MINUTES = parseInt(process.env.CHECKIN_LATE_AFTER_MINUTES || '10', 10);
+export const CHECKIN_WINDOW_MINUTES = parseInt(process.env.CHECKIN_WINDOW_MINUTES || '60', 10);
+
+const CODE_DIGITS = 6;
+
+export const createCheckInSecret = () => crypto.randomBytes(20).toString('hex');
+
+const getStep = (now) => Math.floor(now.getTime() / (CHECKIN_CODE_TTL_SECONDS * 1000));
+
+/**
+ * Numeric code for a secret and time step (HOTP-style dynamic truncation)
+ */
+export function generateCheckInCode(secret, step) {
+  const hmac = crypto.createHmac('sha256', secret).update(String(step)).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * The code to display now and how many seconds until it rotates
+ */
+export function getCurrentCheckInCode(window, now = new Date()) {
+  const step = getStep(now);
+  const nextStepAt = (step + 1) * CHECKIN_CODE_TTL_SECONDS * 1000;
+  return {
+    code: generateCheckInCode(window.secret, step),
+    expiresIn: Math.ceil((nextStepAt - now.getTime()) / 1000),
+  };
+}
+
+/**
+ * True when `code` is the current or the previous code of the window
+ */
+export function verifyCheckInCode(window, code, now = new Date()) {
+  const step = getStep(now);
+  const given = Buffer.from(String(code));
+  return [step, step - 1].some((s) => {
+    const expected = Buffer.from(generateCheckInCode(window.secret, s));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+export function isCheckInOpen(window, now = new Date()) {
+  return Boolean(window) && !window.closedAt && now >= window.opensAt && now < window.closesAt;
+}
+
+/**
+ * When check-ins start counting as LATE
+ */
+export function getLateCutoff(session, window) {
+  return new Date(getSessionStart(session).getTime() + window.lateAfterMinutes * 60 * 1000);
+}
+
+/**
+ * Attendance status for a check-in at `now`
+ */
+export function getCheckInStatus(session, window, now = new Date()) {
+  return now > getLateCutoff(session, window) ? 'LATE' : 'PRESENT';
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { getFrontendUrl } from './mailer.js';
+import { enrollStudents } from './enrollments.js';
+
+/**
+ * Course enrollment codes and invite links. Students join with either one (/join/:code); each join
+ * is recorded as a CourseJoinRequest that enrolls right away, or stays PENDING for an instructor
+ * when the invite requires approval. Pending and approved joins count towards maxUses; a rejected
+ * one frees its use again.
+ */
+
+// No look-alike characters (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const COURSE_SELECT = { id: true, title: true, description: true, startDate: true, endDate: true };
+
+const inviteError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * A new invite code: 8 characters for a CODE, a 32-character token for a LINK
+ */
+export function generateInviteCode(kind) {
+  if (kind === 'LINK') {
+    return crypto.randomBytes(16).toString('hex').toUpperCase();
+  }
+  return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+}
+
+// Codes are stored uppercase; students may type them with dashes, spaces or in lowercase
+export const normalizeInviteCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * ACTIVE, REVOKED, EXPIRED or USED_UP
+ */
+export function getInviteState(invite, now = new Date()) {
+  if (invite.revokedAt) {
+    return 'REVOKED';
+  }
+  if (invite.expiresAt && invite.expiresAt <= now) {
+    return 'EXPIRED';
+  }
+  if (invite.maxUses != null && invite.useCount >= invite.maxUses) {
+    return 'USED_UP';
+  }
+  return 'ACTIVE';
+}
+
+const STATE_ERRORS = {
+  REVOKED: 'This invite is no longer valid',
+  EXPIRED: 'This invite has expired',
+  USED_UP: 'This invite has reached its maximum number of uses',
+};
+
+/**
+ * An invite with its state and join URL
+ */
+export const formatInvite = (invite) => ({
+  ...invite,
+  state: getInviteState(invite),
+  url: `${getFrontendUrl()}/join/${invite.code}`,
+});
+
+/**
+ * The invite for a code with its course, or null
+ */
+export function findInvite(code) {
+  const normalized = normalizeInviteCode(code);
+  if (!normalized) {
+    return null;
+  }
+  return prisma.courseInvite.findUnique({
+    where: { code: normalized },
+    include: { course: { select: COURSE_SELECT } },
+  });
+}
+
+/**
+ * Throw the 404/410 error for an invite that can't be used right now
+ */
+export function assertInviteUsable(invite) {
+  if (!invite) {
+    throw inviteError(404, 'Invite not found');
+  }
+  const state = getInviteState(invite);
+  if (state !== 'ACTIVE') {
+    throw inviteError(410, STATE_ERRORS[state]);
+  }
+}
+
+/**
+ * Join the invite's course as `studentId`. Returns { status, course } with status ENROLLED,
+ * PENDING (waiting for approval) or ALREADY_ENROLLED; throws an error with an HTTP status otherwise.
+ */
+export async function joinCourseWithInvite(studentId, code) {
+  return prisma.$transaction(async (tx) => {
+    const invite = await tx.courseInvite.findUnique({
+      where: { code: normalizeInviteCode(code) },
+      include: { course: { select: COURSE_SELECT } },
+    });
+    if (!invite) {
+      throw inviteError(404, 'Invite not found');
+    }
+    const { course } = invite;
+
+    const enrollment = await tx.enrollment.findUnique({
+      where: { userId_courseId: { userId: studentId, courseId: invite.courseId } },
+      select: { status: true },
+    });
+    if (enrollment?.status === 'ACTIVE') {
+      return { status: 'ALREADY_ENROLLED', course };
+    }
+
+    const previous = await tx.courseJoinRequest.findUnique({
+      where: { inviteId_studentId: { inviteId: invite.id, studentId } },
+    });
+    if (previous?.status === 'PENDING') {
+      return { status: 'PENDING', course };
+    }
+    if (previous?.status === 'REJECTED') {
+      throw inviteError(403, 'Your request to join this course was declined');
+    }
+    if (previous) {
+      throw inviteError(409, 'You have already used this invite');
+    }
+    assertInviteUsable(invite);
+
+    // Take a use atomically so concurrent joins can't go over maxUses
+    const { count } = await tx.courseInvite.updateMany({
+      where: {
+        id: invite.id,
+        ...(invite.maxUses != null && { useCount: { lt: invite.maxUses } }),
+      },
+      data: { useCount: { increment: 1 } },
+    });
+    if (count === 0) {
+      throw inviteError(410, STATE_ERRORS.USED_UP);
+    }
+
+    await tx.courseJoinRequest.create({
+      data: {
+        inviteId: invite.id,
+        studentId,
+        status: invite.requiresApproval ? 'PENDING' : 'APPROVED',
+      },
+    });
+
+    if (invite.requiresApproval) {
+      return { status: 'PENDING', course };
+    }
+
+    await enrollStudents(tx, { courseId: invite.courseId, studentIds: [studentId], actorId: studentId });
+    return { status: 'ENROLLED', course };
+  });
+}
+
+/**
+ * Approve (and enroll) or reject a pending join request. Throws 409 if it was already reviewed.
+ */
+export async function reviewJoinRequest(joinRequest, { status, reviewerId }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.courseJoinRequest.updateMany({
+      where: { id: joinRequest.id, status: 'PENDING' },
+      data: { status, reviewedBy: reviewerId, reviewedAt: new Date() },
+    });
+    if (count === 0) {
+      throw inviteError(409, 'This request has already been reviewed');
+    }
+
+    if (status === 'APPROVED') {
+      await enrollStudents(tx, {
+        courseId: joinRequest.invite.courseId,
+        studentIds: [joinRequest.studentId],
+        actorId: reviewerId,
+      });
+    } else {
+      await tx.courseInvite.update({
+        where: { id: joinRequest.inviteId },
+        data: { useCount: { decrement: 1 } },
+      });
+    }
+
+    return tx.courseJoinRequest.findUnique({ where: { id: joinRequest.id } });
+  });
+}
+
+/**
+ * Create an invite with a fresh code (retrying in the unlikely case the code is taken)
+ */
+export async function createCourseInvite(courseId, { kind, maxUses, expiresAt, requiresApproval }, createdBy) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const invite = await prisma.courseInvite.create({
+        data: {
+          courseId,
+          kind,
+          code: generateInviteCode(kind),
+          maxUses: maxUses ?? null,
+          expiresAt: expiresAt ?? null,
+          requiresApproval,
+          createdBy,
+        },
+        include: { creator: { select: { id: true, name: true } } },
+      });
+      return formatInvite({ ...invite, joinRequests: [] });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * A course's invites, newest first, with their join requests
+ */
+export async function listCourseInvites(courseId) {
+  const invites = await prisma.courseInvite.findMany({
+    where: { courseId },
+    include: {
+      creator: { select: { id: true, name: true } },
+      joinRequests: {
+        include: {
+          student: { select: { id: true, name: true, email: true } },
+          reviewer: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+      },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  return invites.map(formatInvite);
+}
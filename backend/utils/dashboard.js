@@ -0,0 +1,351 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { getTaughtCourseIds } from '../middleware/courseAccess.js';
+import { getEffectiveDueDate, isSubmissionClosed } from './latePolicy.js';
+import { getSessionStart, getSessionDateTime } from './sessionTime.js';
+import { parseStoredList } from './metrics.js';
+import { normalizeAlert } from './messages.js';
+
+/**
+ * Role dashboards (GET /dashboard/student|instructor|admin). Each one is built from a fixed number
+ * of queries, however many courses, sessions or students there are; lists are cut to
+ * DASHBOARD_LIST_LIMIT items and `counts` holds the full totals. Attendance and submissions are
+ * counted by the database (per student, course and status), never loaded row by row.
+ */
+
+export const DASHBOARD_LIST_LIMIT = 5;
+const UPCOMING_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COURSE_SELECT = {
+  id: true,
+  title: true,
+  startDate: true,
+  endDate: true,
+  _count: { select: { enrollments: true, sessions: true, assignments: true } },
+};
+
+const COURSE_REF = { select: { id: true, title: true } };
+
+const ATTENDANCE_FIELDS = {
+  PRESENT: 'presentCount',
+  ABSENT: 'absentCount',
+  LATE: 'lateCount',
+  EXCUSED: 'excusedCount',
+};
+
+// Where clause limiting a model with a courseId to the given courses (null = all courses)
+const inCourses = (courseIds) => (courseIds ? { courseId: { in: courseIds } } : {});
+
+// Published quizzes/exams whose availability window is open at `now`
+const openWindow = (now) => ({
+  status: 'PUBLISHED',
+  AND: [
+    { OR: [{ availableFrom: null }, { availableFrom: { lte: now } }] },
+    { OR: [{ availableTo: null }, { availableTo: { gte: now } }] },
+  ],
+});
+
+const emptyAttendance = () => ({ totalSessions: 0, presentCount: 0, absentCount: 0, lateCount: 0, excusedCount: 0 });
+
+// Attendance counts plus the rate (percent of sessions attended, like /attendance/students/summary)
+const withRate = (counts) => ({
+  ...counts,
+  attendanceRate: counts.totalSessions > 0 ? Math.round((counts.presentCount / counts.totalSessions) * 100) : 0,
+});
+
+const mergeAttendance = (summaries) => withRate(summaries.reduce((total, summary) => {
+  for (const field of Object.keys(total)) {
+    total[field] += summary[field];
+  }
+  return total;
+}, emptyAttendance()));
+
+// SQL condition limiting `column` to the given ids (null = no limit)
+const sqlIn = (column, ids) => (ids ? Prisma.sql`AND ${Prisma.raw(column)} IN (${Prisma.join(ids)})` : Prisma.empty);
+
+/**
+ * Attendance counts of each enrollment ({ userId, courseId }) as Map(studentId -> Map(courseId -> counts)),
+ * for the given courses (null = all) and, when set, one student. Every session of the course counts
+ * towards totalSessions, recorded or not.
+ */
+async function countAttendance(enrollments, { courseIds, studentId } = {}) {
+  const byStudent = new Map();
+  if (enrollments.length === 0) {
+    return byStudent;
+  }
+
+  // Attendance has no courseId, so its counts per course come from a join
+  const [sessionCounts, attendanceCounts] = await Promise.all([
+    prisma.session.groupBy({
+      by: ['courseId'],
+      where: inCourses(courseIds),
+      _count: { _all: true },
+    }),
+    prisma.$queryRaw`
+      SELECT a."studentId", s."courseId", a."status", COUNT(*)::int AS "count"
+      FROM "Attendance" a
+      JOIN "Session" s ON s."id" = a."sessionId"
+      WHERE TRUE ${sqlIn('s."courseId"', courseIds)} ${sqlIn('a."studentId"', studentId ? [studentId] : null)}
+      GROUP BY a."studentId", s."courseId", a."status"
+    `,
+  ]);
+  const sessionsPerCourse = new Map(sessionCounts.map((row) => [row.courseId, row._count._all]));
+
+  for (const { userId, courseId } of enrollments) {
+    if (!byStudent.has(userId)) {
+      byStudent.set(userId, new Map());
+    }
+    byStudent.get(userId).set(courseId, { ...emptyAttendance(), totalSessions: sessionsPerCourse.get(courseId) || 0 });
+  }
+  for (const row of attendanceCounts) {
+    const counts = byStudent.get(row.studentId)?.get(row.courseId);
+    if (counts) {
+      counts[ATTENDANCE_FIELDS[row.status]] += row.count;
+    }
+  }
+
+  return byStudent;
+}
+
+/**
+ * Sessions of the given courses (null = all) that haven't ended yet and start within UPCOMING_DAYS,
+ * soonest first
+ */
+async function getUpcomingSessions(courseIds, now) {
+  const until = new Date(now.getTime() + UPCOMING_DAYS * DAY_MS);
+
+  // Session dates are stored as UTC midnight; widen by a day and filter on the real start/end times
+  const sessions = await prisma.session.findMany({
+    where: { ...inCourses(courseIds), date: { gte: new Date(now.getTime() - DAY_MS), lte: until } },
+    select: { id: true, date: true, startTime: true, endTime: true, topic: true, course: COURSE_REF },
+    orderBy: [{ date: 'asc' }, { startTime: 'asc' }],
+  });
+
+  return sessions
+    .map((session) => ({ ...session, startsAt: getSessionStart(session), endsAt: getSessionDateTime(session, session.endTime) }))
+    .filter((session) => session.endsAt > now && session.startsAt <= until)
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+// A student's open quizzes/exams: in progress, or with attempts left
+const toOpenActivity = ({ attempts, attemptsAllowed, ...activity }) => {
+  const inProgress = attempts.some((a) => a.status === 'IN_PROGRESS');
+  return { ...activity, inProgress, attemptsLeft: Math.max(attemptsAllowed - attempts.length, 0) };
+};
+
+const isOpenActivity = (activity) => activity.inProgress || activity.attemptsLeft > 0;
+
+const sortByClosing = (a, b) => (a.availableTo?.getTime() ?? Infinity) - (b.availableTo?.getTime() ?? Infinity);
+
+/**
+ * Student dashboard: enrolled courses, upcoming sessions, unsubmitted assignments still accepting
+ * submissions, open quizzes/exams, attendance totals and the metric alerts of each course
+ */
+export async function getStudentDashboard(studentId, now = new Date()) {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { userId: studentId, status: 'ACTIVE' },
+    select: { courseId: true, course: { select: COURSE_SELECT } },
+    orderBy: { enrolledAt: 'desc' },
+  });
+  const courseIds = enrollments.map((e) => e.courseId);
+
+  const activitySelect = {
+    id: true,
+    title: true,
+    type: true,
+    attemptsAllowed: true,
+    availableTo: true,
+    course: COURSE_REF,
+    session: { select: { id: true, topic: true, date: true } },
+    attempts: { where: { studentId }, select: { status: true } },
+  };
+
+  const [upcomingSessions, assignments, quizzes, exams, attendance, metrics] = await Promise.all([
+    getUpcomingSessions(courseIds, now),
+    prisma.assignment.findMany({
+      where: { courseId: { in: courseIds }, isPublished: true, submissions: { none: { studentId } } },
+      select: {
+        id: true,
+        title: true,
+        dueDate: true,
+        latePolicy: true,
+        course: COURSE_REF,
+        extensions: { where: { studentId }, select: { dueDate: true } },
+      },
+    }),
+    prisma.quiz.findMany({ where: { courseId: { in: courseIds }, ...openWindow(now) }, select: activitySelect }),
+    prisma.exam.findMany({ where: { courseId: { in: courseIds }, ...openWindow(now) }, select: activitySelect }),
+    countAttendance(enrollments.map(({ courseId }) => ({ userId: studentId, courseId })), { courseIds, studentId }),
+    prisma.studentCourseMetrics.findMany({
+      where: { studentId, courseId: { in: courseIds } },
+      select: { alerts: true, course: COURSE_REF },
+    }),
+  ]);
+
+  const dueAssignments = assignments
+    .map(({ extensions, ...assignment }) => ({ ...assignment, dueDate: getEffectiveDueDate(assignment, extensions[0]) }))
+    .filter((assignment) => !isSubmissionClosed(assignment, assignment.dueDate, now))
+    .map(({ latePolicy, ...assignment }) => ({ ...assignment, overdue: assignment.dueDate < now }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  const openQuizzes = quizzes.map(toOpenActivity).filter(isOpenActivity).sort(sortByClosing);
+  const openExams = exams.map(toOpenActivity).filter(isOpenActivity).sort(sortByClosing);
+
+  const alerts = metrics
+    .map((row) => ({ course: row.course, alerts: parseStoredList(row.alerts).map(normalizeAlert) }))
+    .filter((row) => row.alerts.length > 0);
+
+  return {
+    courses: enrollments.map((e) => e.course),
+    upcomingSessions: upcomingSessions.slice(0, DASHBOARD_LIST_LIMIT),
+    dueAssignments: dueAssignments.slice(0, DASHBOARD_LIST_LIMIT),
+    openQuizzes: openQuizzes.slice(0, DASHBOARD_LIST_LIMIT),
+    openExams: openExams.slice(0, DASHBOARD_LIST_LIMIT),
+    attendance: mergeAttendance([...(attendance.get(studentId)?.values() || [])]),
+    alerts,
+    counts: {
+      courses: enrollments.length,
+      upcomingSessions: upcomingSessions.length,
+      dueAssignments: dueAssignments.length,
+      overdueAssignments: dueAssignments.filter((a) => a.overdue).length,
+      openQuizzes: openQuizzes.length,
+      openExams: openExams.length,
+    },
+  };
+}
+
+/**
+ * Instructor/admin dashboard over the given courses (null = all courses)
+ */
+async function getStaffDashboard(courseIds, now) {
+  const scope = inCourses(courseIds);
+
+  const [courses, upcomingSessions, draftAssignments, publishedCounts, enrollments, pendingExcuses, submissionsToReview, metrics] = await Promise.all([
+    prisma.course.findMany({
+      where: courseIds ? { id: { in: courseIds } } : undefined,
+      select: COURSE_SELECT,
+      orderBy: { createdAt: 'desc' },
+    }),
+    getUpcomingSessions(courseIds, now),
+    prisma.assignment.findMany({
+      where: { ...scope, isPublished: false },
+      select: { id: true, title: true, dueDate: true, course: COURSE_REF },
+      orderBy: { dueDate: 'asc' },
+    }),
+    prisma.assignment.groupBy({
+      by: ['courseId'],
+      where: { ...scope, isPublished: true },
+      _count: { _all: true },
+    }),
+    prisma.enrollment.findMany({
+      where: { ...scope, status: 'ACTIVE', user: { role: 'STUDENT' } },
+      select: { userId: true, courseId: true },
+    }),
+    prisma.attendanceExcuse.count({ where: { status: 'PENDING', session: scope } }),
+    prisma.submission.count({ where: { status: 'SUBMITTED', assignment: scope } }),
+    prisma.studentCourseMetrics.findMany({
+      where: { ...scope, student: { role: 'STUDENT' } },
+      select: { alerts: true, overallScore: true, student: { select: { id: true, name: true } }, course: COURSE_REF },
+      orderBy: { overallScore: 'asc' }, // students doing worst first
+    }),
+  ]);
+
+  const attendance = await countAttendance(enrollments, { courseIds });
+  const publishedPerCourse = new Map(publishedCounts.map((row) => [row.courseId, row._count._all]));
+  const studentAttendance = [...attendance.values()]
+    .map((perCourse) => mergeAttendance([...perCourse.values()]))
+    .filter((summary) => summary.totalSessions > 0);
+
+  const alerts = metrics
+    .map(({ alerts: stored, ...row }) => ({ ...row, alerts: parseStoredList(stored).map(normalizeAlert) }))
+    .filter((row) => row.alerts.length > 0);
+
+  return {
+    dashboard: {
+      courses,
+      upcomingSessions: upcomingSessions.slice(0, DASHBOARD_LIST_LIMIT),
+      draftAssignments: draftAssignments.slice(0, DASHBOARD_LIST_LIMIT),
+      alerts: alerts.slice(0, DASHBOARD_LIST_LIMIT),
+      // Average of the students' attendance rates
+      attendanceRate: studentAttendance.length > 0
+        ? Math.round(studentAttendance.reduce((sum, s) => sum + s.attendanceRate, 0) / studentAttendance.length)
+        : 0,
+      counts: {
+        courses: courses.length,
+        students: attendance.size,
+        publishedAssignments: publishedCounts.reduce((sum, row) => sum + row._count._all, 0),
+        draftAssignments: draftAssignments.length,
+        upcomingSessions: upcomingSessions.length,
+        pendingExcuses,
+        submissionsToReview,
+        studentsWithAlerts: new Set(alerts.map((row) => row.student.id)).size,
+      },
+    },
+    courses,
+    enrollments,
+    publishedPerCourse,
+    attendance,
+  };
+}
+
+/**
+ * Instructor dashboard over the courses they created or co-teach
+ */
+export async function getInstructorDashboard(instructorId, now = new Date()) {
+  const { dashboard } = await getStaffDashboard(await getTaughtCourseIds(instructorId), now);
+  return dashboard;
+}
+
+/**
+ * Admin dashboard over all courses, plus every student's attendance (overall and per course) and
+ * assignment completion for the students list
+ */
+export async function getAdminDashboard(now = new Date()) {
+  const { dashboard, courses, enrollments, publishedPerCourse, attendance } = await getStaffDashboard(null, now);
+
+  const [students, submissionCounts] = await Promise.all([
+    prisma.user.findMany({
+      where: { role: 'STUDENT' },
+      select: { id: true, name: true, email: true, phone: true },
+      orderBy: { name: 'asc' },
+    }),
+    // Published assignments each student submitted, per course
+    prisma.$queryRaw`
+      SELECT sub."studentId", a."courseId", COUNT(DISTINCT sub."assignmentId")::int AS "count"
+      FROM "Submission" sub
+      JOIN "Assignment" a ON a."id" = sub."assignmentId"
+      WHERE a."isPublished" = TRUE
+      GROUP BY sub."studentId", a."courseId"
+    `,
+  ]);
+
+  const courseById = new Map(courses.map((c) => [c.id, c]));
+  const submittedPerCourse = new Map(submissionCounts.map((row) => [`${row.studentId}:${row.courseId}`, row.count]));
+  const coursesByStudent = new Map();
+  for (const { userId, courseId } of enrollments) {
+    coursesByStudent.set(userId, [...(coursesByStudent.get(userId) || []), courseId]);
+  }
+
+  return {
+    ...dashboard,
+    counts: { ...dashboard.counts, students: students.length },
+    students: students.map((student) => {
+      const courseIds = coursesByStudent.get(student.id) || [];
+      const perCourse = attendance.get(student.id) || new Map();
+      const total = courseIds.reduce((sum, courseId) => sum + (publishedPerCourse.get(courseId) || 0), 0);
+      const submitted = courseIds.reduce((sum, courseId) => sum + (submittedPerCourse.get(`${student.id}:${courseId}`) || 0), 0);
+
+      return {
+        student,
+        summary: mergeAttendance([...perCourse.values()]),
+        courses: courseIds.map((courseId) => ({
+          id: courseId,
+          title: courseById.get(courseId)?.title,
+          summary: withRate(perCourse.get(courseId)),
+        })),
+        assignments: { total, submitted, notSubmitted: total - submitted },
+      };
+    }),
+  };
+}
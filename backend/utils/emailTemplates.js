@@ -0,0 +1,156 @@
+import { getFrontendUrl } from './mailer.js';
+import { SESSION_TIMEZONE } from './sessionTime.js';
+import { formatAlertLabel } from './messages.js';
+
+/**
+ * Arabic/English reminder and digest emails. Each template returns a subject and the body lines;
+ * renderEmail adds the greeting, the preferences footer and an HTML version with the right direction.
+ */
+
+export const EMAIL_LANGUAGES = ['ar', 'en'];
+
+const LOCALES = { ar: 'ar-JO', en: 'en-GB' };
+
+const formatDateTime = (value, lang) => new Date(value).toLocaleString(LOCALES[lang], {
+  dateStyle: 'full',
+  timeStyle: 'short',
+  ...(SESSION_TIMEZONE && { timeZone: SESSION_TIMEZONE }),
+});
+
+// "within N hours" of the reminder subjects, with the Arabic plural forms of hours
+const formatHours = (hours, lang) => {
+  if (lang === 'en') {
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+  if (hours === 1) return 'ساعة';
+  if (hours === 2) return 'ساعتين';
+  return hours <= 10 ? `${hours} ساعات` : `${hours} ساعة`;
+};
+
+const TEMPLATES = {
+  ASSIGNMENT_DUE: {
+    ar: (p) => ({
+      subject: `تذكير: موعد تسليم "${p.assignmentTitle}" خلال ${formatHours(p.leadHours, 'ar')}`,
+      lines: [
+        `لم تقم بتسليم الواجب "${p.assignmentTitle}" في ${p.courseTitle} بعد.`,
+        `آخر موعد للتسليم: ${formatDateTime(p.dueDate, 'ar')}`,
+        p.url,
+      ],
+    }),
+    en: (p) => ({
+      subject: `Reminder: "${p.assignmentTitle}" is due within ${formatHours(p.leadHours, 'en')}`,
+      lines: [
+        `You haven't submitted "${p.assignmentTitle}" in ${p.courseTitle} yet.`,
+        `Due: ${formatDateTime(p.dueDate, 'en')}`,
+        p.url,
+      ],
+    }),
+  },
+
+  EXAM_CLOSING: {
+    ar: (p) => ({
+      subject: `تذكير: الامتحان "${p.examTitle}" يغلق خلال ${formatHours(p.leadHours, 'ar')}`,
+      lines: [
+        `لم تقدّم الامتحان "${p.examTitle}" في ${p.courseTitle} بعد.`,
+        `يغلق الامتحان في: ${formatDateTime(p.closesAt, 'ar')}`,
+        p.url,
+      ],
+    }),
+    en: (p) => ({
+      subject: `Reminder: exam "${p.examTitle}" closes within ${formatHours(p.leadHours, 'en')}`,
+      lines: [
+        `You haven't taken "${p.examTitle}" in ${p.courseTitle} yet.`,
+        `The exam closes: ${formatDateTime(p.closesAt, 'en')}`,
+        p.url,
+      ],
+    }),
+  },
+
+  SESSION_TOMORROW: {
+    ar: (p) => ({
+      subject: `تذكير: محاضرة ${p.courseTitle} قادمة`,
+      lines: [
+        `لديك محاضرة في ${p.courseTitle}${p.topic ? ` بعنوان "${p.topic}"` : ''}.`,
+        `الموعد: ${formatDateTime(p.startsAt, 'ar')}`,
+        p.url,
+      ],
+    }),
+    en: (p) => ({
+      subject: `Reminder: upcoming ${p.courseTitle} session`,
+      lines: [
+        `You have a ${p.courseTitle} session${p.topic ? ` on "${p.topic}"` : ''}.`,
+        `Starts: ${formatDateTime(p.startsAt, 'en')}`,
+        p.url,
+      ],
+    }),
+  },
+
+  WEEKLY_DIGEST: {
+    ar: (p) => ({
+      subject: `الملخص الأسبوعي: ${p.studentCount} طالب بحاجة للمتابعة`,
+      lines: [
+        'الطلاب الذين لديهم تنبيهات في دوراتك:',
+        ...p.courses.flatMap((course) => [
+          '',
+          `${course.title}:`,
+          ...course.students.map((s) => `- ${s.name} (${s.alerts.map((alert) => formatAlertLabel(alert, 'ar')).join('، ')})`),
+          course.url,
+        ]),
+        '',
+        p.url,
+      ],
+    }),
+    en: (p) => ({
+      subject: `Weekly digest: ${p.studentCount} students need attention`,
+      lines: [
+        'Students with alerts in your courses:',
+        ...p.courses.flatMap((course) => [
+          '',
+          `${course.title}:`,
+          ...course.students.map((s) => `- ${s.name} (${s.alerts.map((alert) => formatAlertLabel(alert, 'en')).join(', ')})`),
+          course.url,
+        ]),
+        '',
+        p.url,
+      ],
+    }),
+  },
+};
+
+const GREETING = { ar: (name) => `مرحباً ${name}،`, en: (name) => `Hello ${name},` };
+
+const FOOTER = {
+  ar: (url) => `يمكنك إيقاف رسائل التذكير من صفحة الملف الشخصي: ${url}`,
+  en: (url) => `You can turn these emails off on your profile page: ${url}`,
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * The email for a template in the recipient's language (Arabic unless `lang` is "en")
+ */
+export function renderEmail(template, lang, { name, ...params }) {
+  const language = EMAIL_LANGUAGES.includes(lang) ? lang : 'ar';
+  const { subject, lines } = TEMPLATES[template][language](params);
+  const bodyLines = [
+    GREETING[language](name),
+    '',
+    ...lines,
+    '',
+    '—',
+    FOOTER[language](`${getFrontendUrl()}/profile`),
+  ];
+
+  const dir = language === 'ar' ? 'rtl' : 'ltr';
+  return {
+    subject,
+    text: bodyLines.join('\n'),
+    html: `<div dir="${dir}" lang="${language}" style="font-family: Tahoma, Arial, sans-serif; line-height: 1.6">${
+      bodyLines.map((line) => escapeHtml(line)).join('<br>')
+    }</div>`,
+  };
+}
@@ -0,0 +1,55 @@
+import { buildAuditEntry, recordAudit } from './audit.js';
+
+const ENROLLED_USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+};
+
+/**
+ * Enroll students in a course inside transaction `tx`, reactivating dropped or completed enrollments,
+ * and audit every change made by `actorId`. Returns the enrollments with their users.
+ */
+export async function enrollStudents(tx, { courseId, studentIds, actorId }) {
+  const previous = await tx.enrollment.findMany({
+    where: { courseId, userId: { in: studentIds } },
+  });
+  const previousByStudent = new Map(previous.map((e) => [e.userId, e]));
+
+  const updated = await Promise.all(studentIds.map((studentId) =>
+    tx.enrollment.upsert({
+      where: {
+        userId_courseId: {
+          userId: studentId,
+          courseId,
+        },
+      },
+      update: {
+        status: 'ACTIVE',
+      },
+      create: {
+        userId: studentId,
+        courseId,
+        status: 'ACTIVE',
+      },
+      include: {
+        user: {
+          select: ENROLLED_USER_SELECT,
+        },
+      },
+    })
+  ));
+
+  await recordAudit(updated.map((enrollment) => buildAuditEntry({
+    actorId,
+    entityType: 'ENROLLMENT',
+    entityId: enrollment.id,
+    courseId,
+    studentId: enrollment.userId,
+    before: previousByStudent.get(enrollment.userId),
+    after: enrollment,
+  })), tx);
+
+  return updated;
+}
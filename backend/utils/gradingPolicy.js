@@ -0,0 +1,46 @@
+/**
+ * Default grading policy used when a course has no custom policy.
+ * Weights drive the overall score, attendance credits are the fraction of a
+ * session counted for LATE/EXCUSED, and thresholds trigger alerts (all 0..1).
+ * lowMastery is the skill mastery below which a skill gets recommendations, and decliningTrend the
+ * overall score drop (share of 100) over consecutive falling weeks that raises DECLINING_TREND.
+ */
+export const DEFAULT_GRADING_POLICY = {
+  weights: {
+    attendance: 0.3,
+    assignments: 0.4,
+    exams: 0.3,
+  },
+  attendanceCredit: {
+    late: 0.75,
+    excused: 0.6,
+  },
+  thresholds: {
+    highAbsence: 0.75,
+    lowExams: 0.6,
+    lowMastery: 0.6,
+    decliningTrend: 0.1,
+  },
+};
+
+/**
+ * Merge a stored (possibly partial or missing) course policy with the defaults
+ */
+export function resolveGradingPolicy(policy) {
+  const stored = policy && typeof policy === 'object' ? policy : {};
+
+  return {
+    weights: {
+      ...DEFAULT_GRADING_POLICY.weights,
+      ...(stored.weights || {}),
+    },
+    attendanceCredit: {
+      ...DEFAULT_GRADING_POLICY.attendanceCredit,
+      ...(stored.attendanceCredit || {}),
+    },
+    thresholds: {
+      ...DEFAULT_GRADING_POLICY.thresholds,
+      ...(stored.thresholds || {}),
+    },
+  };
+}
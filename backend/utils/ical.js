@@ -0,0 +1,106 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for the calendar feeds
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT value (backslashes, separators and newlines)
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    // The first line holds 75 octets, continuations 74 plus the leading space
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * UTC DATE-TIME, e.g. 20250131T180000Z
+ */
+export function formatUtcDateTime(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * Local DATE-TIME for a stored session date (UTC midnight) and an "HH:MM" time, e.g. 20250131T180000
+ */
+export function formatLocalDateTime(date, time) {
+  const d = new Date(date);
+  const [hours = '00', minutes = '00'] = String(time || '').split(':');
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(hours)}${pad(minutes)}00`;
+}
+
+/**
+ * Build a VCALENDAR document.
+ * Events: { uid, start, end, summary, description?, url?, lastModified? } where start/end are
+ * { utc: Date } for absolute times or { local: 'YYYYMMDDTHHMMSS' } for wall-clock times, which are
+ * written with `timezone` as TZID (or floating when no timezone is configured).
+ */
+export function buildCalendar({ name, timezone, events }) {
+  const stamp = formatUtcDateTime(new Date());
+  const formatTime = (property, value) => {
+    if (value.utc) {
+      return `${property}:${formatUtcDateTime(value.utc)}`;
+    }
+    return timezone ? `${property};TZID=${timezone}:${value.local}` : `${property}:${value.local}`;
+  };
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BatTechno//LMS Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(timezone ? [`X-WR-TIMEZONE:${timezone}`] : []),
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      formatTime('DTSTART', event.start),
+      formatTime('DTEND', event.end || event.start),
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,126 @@
+import prisma from '../config/database.js';
+import { parseStoredList } from './metrics.js';
+import { alertCodes } from './messages.js';
+import { RISK_LEVELS, getRiskLevel } from './atRisk.js';
+
+/**
+ * At-risk cohort of a course and the intervention log: instructors record each outreach to a
+ * student (kind and note) with the student's risk score at that moment, then its outcome.
+ */
+
+const STUDENT_SELECT = { id: true, name: true, email: true };
+
+const INTERVENTION_INCLUDE = {
+  creator: { select: { id: true, name: true } },
+};
+
+/**
+ * Active students of a course with their risk score, level, factors and interventions, riskiest first.
+ * Students without computed metrics yet come last.
+ */
+export async function getCourseRiskCohort(courseId) {
+  const [enrollments, metrics, interventions] = await Promise.all([
+    prisma.enrollment.findMany({
+      where: { courseId, status: 'ACTIVE', user: { role: 'STUDENT' } },
+      select: { user: { select: STUDENT_SELECT } },
+    }),
+    prisma.studentCourseMetrics.findMany({
+      where: { courseId },
+      select: {
+        studentId: true,
+        riskScore: true,
+        riskFactors: true,
+        overallScore: true,
+        alerts: true,
+        computedAt: true,
+      },
+    }),
+    prisma.studentIntervention.findMany({
+      where: { courseId },
+      include: INTERVENTION_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+    }),
+  ]);
+
+  const metricsByStudent = new Map(metrics.map((row) => [row.studentId, row]));
+
+  const students = enrollments.map(({ user }) => {
+    const row = metricsByStudent.get(user.id);
+    const studentInterventions = interventions.filter((i) => i.studentId === user.id);
+
+    return {
+      student: user,
+      riskScore: row ? row.riskScore : null,
+      riskLevel: row ? getRiskLevel(row.riskScore) : null,
+      riskFactors: row ? parseStoredList(row.riskFactors) : [],
+      overallScore: row?.overallScore ?? null,
+      alerts: row ? alertCodes(parseStoredList(row.alerts)) : [],
+      computedAt: row?.computedAt ?? null,
+      interventionCount: studentInterventions.length,
+      lastIntervention: studentInterventions[0] || null,
+    };
+  });
+
+  students.sort((a, b) => (b.riskScore ?? -1) - (a.riskScore ?? -1) || a.student.name.localeCompare(b.student.name));
+
+  return { levels: RISK_LEVELS, students };
+}
+
+/**
+ * Interventions logged for a student in a course, newest first
+ */
+export function listInterventions(courseId, studentId) {
+  return prisma.studentIntervention.findMany({
+    where: { courseId, studentId },
+    include: INTERVENTION_INCLUDE,
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+/**
+ * Log an intervention for an enrolled student, with their current risk score.
+ * Returns null when the student isn't enrolled in the course.
+ */
+export async function createIntervention(courseId, { studentId, kind, note, outcome, outcomeNote }, createdBy) {
+  const [enrollment, metrics] = await Promise.all([
+    prisma.enrollment.findUnique({ where: { userId_courseId: { userId: studentId, courseId } } }),
+    prisma.studentCourseMetrics.findUnique({
+      where: { studentId_courseId: { studentId, courseId } },
+      select: { riskScore: true },
+    }),
+  ]);
+
+  if (!enrollment) {
+    return null;
+  }
+
+  return prisma.studentIntervention.create({
+    data: {
+      courseId,
+      studentId,
+      kind,
+      note,
+      outcome,
+      outcomeNote: outcomeNote ?? null,
+      riskScore: metrics?.riskScore ?? null,
+      createdBy,
+    },
+    include: INTERVENTION_INCLUDE,
+  });
+}
+
+/**
+ * Record the outcome of an intervention of a course; null when there is no such intervention
+ */
+export async function updateInterventionOutcome(courseId, interventionId, { outcome, outcomeNote }) {
+  const { count } = await prisma.studentIntervention.updateMany({
+    where: { id: interventionId, courseId },
+    data: { outcome, ...(outcomeNote !== undefined ? { outcomeNote } : {}) },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  return prisma.studentIntervention.findUnique({ where: { id: interventionId }, include: INTERVENTION_INCLUDE });
+}
@@ -0,0 +1,109 @@
+import prisma from '../config/database.js';
+import { buildAuditEntry, recordAudit } from './audit.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Due date for one student: their extension if they have one, the assignment's otherwise
+ */
+export function getEffectiveDueDate(assignment, extension) {
+  return new Date(extension?.dueDate || assignment.dueDate);
+}
+
+/**
+ * True when the assignment no longer accepts submissions from this student (HARD_CLOSE only)
+ */
+export function isSubmissionClosed(assignment, dueDate, now = new Date()) {
+  return assignment.latePolicy === 'HARD_CLOSE' && now.getTime() > dueDate.getTime();
+}
+
+/**
+ * Lateness of a submission handed in at `submittedAt`.
+ * Every started day past the due date counts; the penalty (percent) is capped by latePenaltyMax.
+ */
+export function computeLateness(assignment, dueDate, submittedAt) {
+  const lateMs = new Date(submittedAt).getTime() - dueDate.getTime();
+  if (lateMs <= 0) {
+    return { late: false, daysLate: 0, latePenalty: 0 };
+  }
+
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  const latePenalty = assignment.latePolicy === 'PENALTY'
+    ? Math.min(daysLate * (assignment.latePenaltyPerDay || 0), assignment.latePenaltyMax ?? 100, 100)
+    : 0;
+
+  return { late: true, daysLate, latePenalty };
+}
+
+/**
+ * Score after deducting a late penalty given in percent
+ */
+export function applyLatePenalty(score, latePenalty = 0) {
+  return score * (1 - Math.min(Math.max(latePenalty, 0), 100) / 100);
+}
+
+/**
+ * Time that counts for lateness: the latest version the student submitted on their own.
+ * Versions requested by a reviewer (NEEDS_CHANGES) don't make a submission late.
+ */
+export function getCountedSubmissionTime(submission) {
+  const own = (submission.versions || []).filter((v) => !v.requested);
+  if (own.length === 0) {
+    return new Date(submission.submittedAt);
+  }
+  return new Date(Math.max(...own.map((v) => new Date(v.submittedAt).getTime())));
+}
+
+/**
+ * Recompute late/latePenalty of an assignment's submissions (optionally one student's)
+ * after its due date, late policy or an extension changed. Changes are audited as made by `actorId`.
+ */
+export async function refreshSubmissionLateness(assignmentId, { studentId, actorId } = {}) {
+  const assignment = await prisma.assignment.findUnique({
+    where: { id: assignmentId },
+    include: {
+      extensions: studentId ? { where: { studentId } } : true,
+      submissions: {
+        where: studentId ? { studentId } : undefined,
+        include: {
+          versions: { select: { submittedAt: true, requested: true } },
+        },
+      },
+    },
+  });
+
+  if (!assignment) {
+    return 0;
+  }
+
+  const extensions = new Map(assignment.extensions.map((e) => [e.studentId, e]));
+  let updated = 0;
+
+  for (const submission of assignment.submissions) {
+    const dueDate = getEffectiveDueDate(assignment, extensions.get(submission.studentId));
+    const { late, latePenalty } = computeLateness(assignment, dueDate, getCountedSubmissionTime(submission));
+
+    if (late !== submission.late || latePenalty !== submission.latePenalty) {
+      await prisma.$transaction(async (tx) => {
+        const changed = await tx.submission.update({
+          where: { id: submission.id },
+          data: { late, latePenalty },
+        });
+
+        await recordAudit(buildAuditEntry({
+          actorId,
+          entityType: 'SUBMISSION',
+          entityId: submission.id,
+          courseId: assignment.courseId,
+          studentId: submission.studentId,
+          label: assignment.title,
+          before: submission,
+          after: changed,
+        }), tx);
+      });
+      updated++;
+    }
+  }
+
+  return updated;
+}
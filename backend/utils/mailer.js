@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+import { isDevelopmentEnv } from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Pluggable email delivery.
+ * MAIL_TRANSPORT selects the transport: "console" logs messages (the default in development only;
+ * bodies, which hold reset links, are logged in development only too),
+ * "file" writes each message as JSON into MAIL_DIR (default backend/mail-outbox),
+ * "smtp" delivers through SMTP_HOST/SMTP_PORT (e.g. the local sink from `npm run mail:sink`).
+ * Other transports can be added with registerMailTransport(name, transport).
+ */
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log('📧 Email (console transport)');
+      console.log(`  To: ${message.to}`);
+      console.log(`  Subject: ${message.subject}`);
+      console.log(isDevelopmentEnv() ? message.text : '  (body not logged outside development)');
+      return { id: null };
+    },
+  },
+
+  file: {
+    async send(message) {
+      const mailDir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+      if (!fs.existsSync(mailDir)) {
+        fs.mkdirSync(mailDir, { recursive: true });
+      }
+
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(mailDir, `${id}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id, filePath };
+    },
+  },
+
+  smtp: {
+    async send(message) {
+      const info = await getSmtpTransporter().sendMail(message);
+      return { id: info.messageId };
+    },
+  },
+};
+
+let smtpTransporter = null;
+
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '2525', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    });
+  }
+  return smtpTransporter;
+}
+
+export function registerMailTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send(message)`);
+  }
+  transports[name] = transport;
+}
+
+export function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || (isDevelopmentEnv() ? 'console' : null);
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not configured (the console transport is only the default in development)');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'BatTechno Model <no-reply@battechno.com>';
+  return getMailTransport().send({ from, to, subject, text, html });
+}
+
+/**
+ * First configured frontend URL, used to build links inside emails
+ */
+export function getFrontendUrl() {
+  const urls = (process.env.FRONTEND_URL || 'http://localhost:5173').split(',');
+  return urls[0].trim().replace(/\/$/, '');
+}
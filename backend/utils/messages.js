@@ -0,0 +1,258 @@
+/**
+ * Server-side translations. Metric alerts and recommendations are stored as messages
+ * ({ key, params }, alerts also carry their `code`) and rendered in the reader's language: by
+ * frontend/src/i18n/index.js in the app, and by translate() here for the PDF report and emails.
+ * Keys and {{param}} placeholders mirror the frontend ones.
+ */
+
+export const MESSAGE_LANGUAGES = ['ar', 'en'];
+
+/**
+ * A supported language for `lang`, Arabic by default (like the app)
+ */
+export const resolveLanguage = (lang) => (MESSAGE_LANGUAGES.includes(lang) ? lang : 'ar');
+
+// Short label of each alert code
+const ALERT_LABELS = {
+  HIGH_ABSENCE: 'highAbsence',
+  MISSING_ASSIGNMENTS: 'missingAssignments',
+  LOW_EXAMS: 'lowExams',
+  NO_ACTIVITY_14_DAYS: 'noActivity14Days',
+  DECLINING_TREND: 'decliningTrend',
+};
+
+// Detailed message of each alert code
+const ALERT_MESSAGES = {
+  HIGH_ABSENCE: 'alertHighAbsence',
+  MISSING_ASSIGNMENTS: 'alertMissingAssignments',
+  LOW_EXAMS: 'alertLowExams',
+  NO_ACTIVITY_14_DAYS: 'alertNoActivity',
+  DECLINING_TREND: 'alertDecliningTrend',
+};
+
+// Recommendations stored as English sentences before they were localized
+const LEGACY_RECOMMENDATIONS = {
+  'Schedule reminder and attend next sessions': 'recAttendNextSessions',
+  'Focus on next assignment and create a checklist': 'recNextAssignmentChecklist',
+  'Create a review plan for exam topics': 'recExamReviewPlan',
+};
+
+const MESSAGES = {
+  ar: {
+    // Alerts
+    highAbsence: 'غياب عالي',
+    missingAssignments: 'واجبات مفقودة',
+    lowExams: 'امتحانات منخفضة',
+    noActivity14Days: 'لا نشاط لمدة 14 يوم',
+    alertHighAbsence: 'نسبة الحضور {{rate}}%، أقل من الحد المطلوب {{threshold}}%',
+    alertMissingAssignments: 'تم تسليم {{submitted}} من {{total}} واجبات',
+    alertLowExams: 'معدل الاختبارات {{average}}/10، أقل من {{threshold}}/10',
+    alertNoActivity: 'لا يوجد نشاط خلال آخر {{days}} يوماً',
+    decliningTrend: 'تراجع مستمر',
+    alertDecliningTrend: 'انخفضت الدرجة الإجمالية من {{from}} إلى {{to}} خلال {{weeks}} أسابيع',
+
+    // Recommendations
+    recAttendNextSessions: 'ضع تذكيراً واحرص على حضور الجلسات القادمة',
+    recNextAssignmentChecklist: 'ركّز على الواجب التالي وأعدّ قائمة بالمهام المطلوبة',
+    recExamReviewPlan: 'ضع خطة مراجعة لمواضيع الاختبارات',
+    recReviewSkill: 'عزّز مهارة {{tag}} (الإتقان {{mastery}}%)',
+    reviewSkill: 'راجع الأعمال والجلسات الخاصة بـ {{tag}}.',
+    recDecliningTrend: 'نتائجك في تراجع منذ عدة أسابيع: راجع المواضيع الأخيرة وتواصل مع المدرّب',
+
+    // Student report PDF
+    reportDate: 'تاريخ التقرير: {{date}}',
+    studentReport: 'تقرير الطالب: {{name}}',
+    profileOverview: 'نظرة عامة على الملف الشخصي',
+    field: 'الحقل',
+    value: 'القيمة',
+    email: 'البريد الإلكتروني',
+    phone: 'الهاتف',
+    country: 'الدولة',
+    city: 'المدينة',
+    isStudent: 'طالب',
+    university: 'الجامعة',
+    major: 'التخصص',
+    educationLevel: 'المستوى التعليمي',
+    graduationYear: 'سنة التخرج',
+    bio: 'نبذة',
+    skills: 'المهارات',
+    interests: 'الاهتمامات',
+    yes: 'نعم',
+    no: 'لا',
+    notAvailable: 'غير متوفر',
+    courseTitle: 'الدورة: {{title}}',
+    attendanceSummary: 'ملخص الحضور',
+    status: 'الحالة',
+    count: 'العدد',
+    percentage: 'النسبة',
+    totalSessions: 'إجمالي الجلسات',
+    present: 'حاضر',
+    absent: 'غائب',
+    late: 'متأخر',
+    excused: 'معذور',
+    attendanceRate: 'نسبة الحضور',
+    assignmentsSummary: 'ملخص الواجبات',
+    metric: 'المقياس',
+    totalAssignments: 'إجمالي الواجبات',
+    submitted: 'مُسلَّم',
+    approved: 'مقبول',
+    needsChanges: 'يحتاج تعديلات',
+    completionRate: 'نسبة الإنجاز',
+    qualityScore: 'درجة الجودة',
+    examsSummary: 'ملخص الاختبارات',
+    type: 'النوع',
+    attempts: 'المحاولات',
+    averageScore: 'متوسط الدرجة',
+    quizzes: 'الاختبارات القصيرة',
+    exams: 'الامتحانات',
+    total: 'المجموع',
+    overallScore: 'الدرجة الإجمالية',
+    component: 'المكوّن',
+    score: 'الدرجة',
+    weight: 'الوزن',
+    assignments: 'الواجبات',
+    examsQuizzes: 'الامتحانات/الاختبارات',
+    alerts: 'التنبيهات',
+    recommendations: 'التوصيات',
+  },
+  en: {
+    // Alerts
+    highAbsence: 'High Absence',
+    missingAssignments: 'Missing Assignments',
+    lowExams: 'Low Exams',
+    noActivity14Days: 'No Activity 14 Days',
+    alertHighAbsence: 'Attendance is {{rate}}%, below the required {{threshold}}%',
+    alertMissingAssignments: '{{submitted}} of {{total}} assignments submitted',
+    alertLowExams: 'Exam average is {{average}}/10, below {{threshold}}/10',
+    alertNoActivity: 'No activity in the last {{days}} days',
+    decliningTrend: 'Declining Trend',
+    alertDecliningTrend: 'Overall score fell from {{from}} to {{to}} over {{weeks}} weeks',
+
+    // Recommendations
+    recAttendNextSessions: 'Set a reminder and attend the next sessions',
+    recNextAssignmentChecklist: 'Focus on the next assignment and make a checklist of what it needs',
+    recExamReviewPlan: 'Create a review plan for the exam topics',
+    recReviewSkill: 'Strengthen {{tag}} (mastery {{mastery}}%)',
+    reviewSkill: 'Review the work and sessions on {{tag}}.',
+    recDecliningTrend: 'Your results have dropped for several weeks: review recent topics and talk to your instructor',
+
+    // Student report PDF
+    reportDate: 'Report Date: {{date}}',
+    studentReport: 'Student Report: {{name}}',
+    profileOverview: 'Profile Overview',
+    field: 'Field',
+    value: 'Value',
+    email: 'Email',
+    phone: 'Phone',
+    country: 'Country',
+    city: 'City',
+    isStudent: 'Is Student',
+    university: 'University',
+    major: 'Major',
+    educationLevel: 'Education Level',
+    graduationYear: 'Graduation Year',
+    bio: 'Bio',
+    skills: 'Skills',
+    interests: 'Interests',
+    yes: 'Yes',
+    no: 'No',
+    notAvailable: 'N/A',
+    courseTitle: 'Course: {{title}}',
+    attendanceSummary: 'Attendance Summary',
+    status: 'Status',
+    count: 'Count',
+    percentage: 'Percentage',
+    totalSessions: 'Total Sessions',
+    present: 'Present',
+    absent: 'Absent',
+    late: 'Late',
+    excused: 'Excused',
+    attendanceRate: 'Attendance Rate',
+    assignmentsSummary: 'Assignments Summary',
+    metric: 'Metric',
+    totalAssignments: 'Total Assignments',
+    submitted: 'Submitted',
+    approved: 'Approved',
+    needsChanges: 'Needs Changes',
+    completionRate: 'Completion Rate',
+    qualityScore: 'Quality Score',
+    examsSummary: 'Exams/Quizzes Summary',
+    type: 'Type',
+    attempts: 'Attempts',
+    averageScore: 'Average Score',
+    quizzes: 'Quizzes',
+    exams: 'Exams',
+    total: 'Total',
+    overallScore: 'Overall Score',
+    component: 'Component',
+    score: 'Score',
+    weight: 'Weight',
+    assignments: 'Assignments',
+    examsQuizzes: 'Exams/Quizzes',
+    alerts: 'Alerts',
+    recommendations: 'Recommendations',
+  },
+};
+
+/**
+ * The text of a message key in `lang` with its {{params}} filled in (the key itself if unknown)
+ */
+export function translate(lang, key, params = {}) {
+  const template = MESSAGES[resolveLanguage(lang)][key] ?? MESSAGES.en[key] ?? key;
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * A stored alert for `code` with the values its message shows
+ */
+export const alertMessage = (code, params) => ({ code, key: ALERT_MESSAGES[code], params });
+
+/**
+ * Stored alerts as messages; rows computed before alerts were localized hold bare codes, which
+ * are shown with their label
+ */
+export const normalizeAlert = (alert) =>
+  typeof alert === 'string' ? { code: alert, key: ALERT_LABELS[alert] || alert, params: {} } : alert;
+
+/**
+ * The alert codes of a stored alerts list (messages or legacy codes)
+ */
+export const alertCodes = (alerts = []) => alerts.map((alert) => normalizeAlert(alert).code);
+
+/**
+ * Stored recommendations as messages; legacy English sentences are mapped to their key when known
+ */
+export const normalizeRecommendation = (rec) => {
+  if (typeof rec === 'string') {
+    return LEGACY_RECOMMENDATIONS[rec] ? { key: LEGACY_RECOMMENDATIONS[rec], params: {} } : rec;
+  }
+  // Skill recommendations stored without their title message
+  if (!rec.key && rec.tag) {
+    return { key: 'recReviewSkill', params: { tag: rec.tag, mastery: Math.round(rec.mastery * 100) }, ...rec };
+  }
+  return rec;
+};
+
+/**
+ * Short label of an alert in `lang`
+ */
+export const formatAlertLabel = (alert, lang) => {
+  const { code } = normalizeAlert(alert);
+  return ALERT_LABELS[code] ? translate(lang, ALERT_LABELS[code]) : code;
+};
+
+/**
+ * An alert in `lang` as "label: details" (just the label for legacy codes)
+ */
+export const formatAlert = (alert, lang) => {
+  const label = formatAlertLabel(alert, lang);
+  return typeof alert === 'string' ? label : `${label}: ${formatMessage(alert, lang)}`;
+};
+
+/**
+ * Text of an alert or recommendation message in `lang` (unknown legacy strings are returned as-is)
+ */
+export const formatMessage = (message, lang) => {
+  const normalized = normalizeRecommendation(message);
+  return typeof normalized === 'string' ? normalized : translate(lang, normalized.key, normalized.params);
+};
@@ -0,0 +1,91 @@
+import prisma from '../config/database.js';
+import { getLocalDateParts } from './sessionTime.js';
+
+/**
+ * Weekly metric snapshots. StudentCourseMetrics only holds the latest values, so every computation
+ * also writes them to the snapshot of the current week (weeks start on Sunday, in the session
+ * timezone): the snapshot ends up with the last values of the week. The metric-snapshots job
+ * (utils/metrics.js) computes students nothing happened for, so every active enrollment gets one
+ * snapshot a week. Snapshots drive the trend charts and the DECLINING_TREND alert.
+ */
+
+// Overall score of this many weeks in a row (the current one included) is compared for a declining trend
+export const DECLINING_TREND_WEEKS = 3;
+
+/**
+ * Start of the week of an instant: UTC midnight of the local date of the last Sunday
+ */
+export function getSnapshotWeekStart(now = new Date()) {
+  const { date, weekday } = getLocalDateParts(now);
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - weekday);
+  return start;
+}
+
+/**
+ * Write the metric values of a student in a course to the snapshot of `weekStart`
+ */
+export async function saveMetricSnapshot(studentId, courseId, weekStart, values) {
+  const { attendanceRate, assignmentCompletionRate, assignmentQuality, examsAvg, overallScore } = values;
+  const data = { attendanceRate, assignmentCompletionRate, assignmentQuality, examsAvg, overallScore };
+
+  return prisma.studentMetricSnapshot.upsert({
+    where: { studentId_courseId_weekStart: { studentId, courseId, weekStart } },
+    update: data,
+    create: { studentId, courseId, weekStart, ...data },
+  });
+}
+
+/**
+ * Overall score drop over the last weeks: { from, to, weeks } when the score fell every week of
+ * DECLINING_TREND_WEEKS (`previous` holds the earlier weeks' snapshots, newest first) and by at
+ * least `threshold` (0..1 of the 100-point score) overall, else null
+ */
+export function findDecliningTrend(previous, overallScore, threshold) {
+  if (previous.length < DECLINING_TREND_WEEKS - 1) {
+    return null;
+  }
+
+  const scores = [...previous.slice(0, DECLINING_TREND_WEEKS - 1).map((s) => s.overallScore).reverse(), overallScore];
+  const falling = scores.every((score, i) => i === 0 || score < scores[i - 1]);
+  const drop = scores[0] - overallScore;
+
+  if (!falling || drop < threshold * 100) {
+    return null;
+  }
+
+  return { from: Math.round(scores[0]), to: Math.round(overallScore), weeks: scores.length - 1 };
+}
+
+/**
+ * Snapshots of the weeks before `weekStart`, newest first (enough for findDecliningTrend)
+ */
+export function getPreviousSnapshots(studentId, courseId, weekStart) {
+  return prisma.studentMetricSnapshot.findMany({
+    where: { studentId, courseId, weekStart: { lt: weekStart } },
+    orderBy: { weekStart: 'desc' },
+    take: DECLINING_TREND_WEEKS - 1,
+    select: { weekStart: true, overallScore: true },
+  });
+}
+
+/**
+ * Snapshots of the last `weeks` weeks of a student in a course, oldest first
+ */
+export async function getMetricHistory(studentId, courseId, weeks) {
+  const since = getSnapshotWeekStart();
+  since.setUTCDate(since.getUTCDate() - 7 * (weeks - 1));
+
+  return prisma.studentMetricSnapshot.findMany({
+    where: { studentId, courseId, weekStart: { gte: since } },
+    orderBy: { weekStart: 'asc' },
+    select: {
+      weekStart: true,
+      attendanceRate: true,
+      assignmentCompletionRate: true,
+      assignmentQuality: true,
+      examsAvg: true,
+      overallScore: true,
+    },
+  });
+}
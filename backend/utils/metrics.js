@@ -1,7 +1,44 @@
 import prisma from '../config/database.js';
+import { resolveGradingPolicy } from './gradingPolicy.js';
+import { REVIEWS_WITH_VERSION, getLatestScoredReview } from './submissionVersions.js';
+import { applyLatePenalty } from './latePolicy.js';
+import { notifyHighAbsence } from './notifications.js';
+import { computeSkillMastery, saveSkillMastery, buildSkillRecommendations } from './skills.js';
+import { alertMessage, alertCodes } from './messages.js';
+import { registerJob } from './scheduler.js';
+import {
+  getSnapshotWeekStart,
+  getPreviousSnapshots,
+  findDecliningTrend,
+  saveMetricSnapshot,
+} from './metricSnapshots.js';
+import { assessRisk } from './atRisk.js';
+
+const METRIC_SNAPSHOT_INTERVAL_MINUTES = parseInt(process.env.METRIC_SNAPSHOT_INTERVAL_MINUTES || '360', 10);
+const RISK_REFRESH_INTERVAL_MINUTES = parseInt(process.env.RISK_REFRESH_INTERVAL_MINUTES || '1440', 10);
+
+// Share of completion and quality in the assignments component of the overall score
+export const ASSIGNMENT_SCORE_MIX = { completion: 0.5, quality: 0.5 };
 
 /**
- * Compute student course metrics: attendance, assignments, exams, overall score, alerts, recommendations
+ * Alerts and recommendations are stored as JSON-encoded arrays of messages ({ key, params }, see
+ * utils/messages.js) so each reader sees them in their language. Alerts also carry their `code`; skill
+ * recommendations add { tag, mastery, advice, resources, sessions } (see utils/skills.js). Rows computed
+ * before this hold bare alert codes and English recommendation strings.
+ */
+export const parseStoredList = (value) => {
+  if (typeof value !== 'string') {
+    return Array.isArray(value) ? value : [];
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Compute student course metrics: attendance, assignments, exams, overall score, alerts, recommendations, risk score
  */
 export async function computeStudentCourseMetrics(studentId, courseId) {
   // Get all enrollments for this student-course pair
@@ -18,6 +55,13 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
     throw new Error('Student not enrolled in this course');
   }
 
+  // Course grading policy (weights, attendance credits, alert thresholds)
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    select: { gradingPolicy: true, skillCatalog: true },
+  });
+  const policy = resolveGradingPolicy(course?.gradingPolicy);
+
   // 1. ATTENDANCE METRICS
   const sessions = await prisma.session.findMany({
     where: { courseId },
@@ -40,10 +84,10 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
           presentPoints += 1;
           break;
         case 'LATE':
-          presentPoints += 0.75;
+          presentPoints += policy.attendanceCredit.late;
           break;
         case 'EXCUSED':
-          presentPoints += 0.6;
+          presentPoints += policy.attendanceCredit.excused;
           break;
         case 'ABSENT':
           presentPoints += 0;
@@ -63,9 +107,12 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
       submissions: {
         where: { studentId },
         include: {
-          reviews: true,
+          reviews: REVIEWS_WITH_VERSION,
         },
       },
+      extensions: {
+        where: { studentId },
+      },
     },
   });
 
@@ -76,16 +123,16 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
   // Track if there are actually missing assignments
   const hasMissingAssignments = totalAssignments > 0 && submittedAssignments < totalAssignments;
 
-  // Calculate average assignment score
+  // Calculate average assignment score (after late penalties)
   let totalScore = 0;
   let scoredCount = 0;
   assignments.forEach((assignment) => {
     const submission = assignment.submissions[0];
     if (submission) {
-      const review = submission.reviews[0];
-      if (review && review.score !== null) {
+      const review = getLatestScoredReview(submission.reviews);
+      if (review) {
         const scorePercent = assignment.maxScore > 0 ? review.score / assignment.maxScore : 0;
-        totalScore += scorePercent;
+        totalScore += applyLatePenalty(scorePercent, submission.latePenalty);
         scoredCount += 1;
       }
     }
@@ -124,8 +171,8 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
 
   quizAttempts.forEach((attempt) => {
     if (attempt.maxScore > 0) {
-      // Quiz percentage is already 0..1
-      totalExamScore += attempt.percentage;
+      // Quiz percentage is 0..100, normalize to 0..1
+      totalExamScore += attempt.percentage / 100;
       examCount += 1;
     }
   });
@@ -139,10 +186,11 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
   const examsAvg = examCount > 0 ? totalExamScore / examCount : 0;
 
   // 4. OVERALL SCORE CALCULATION
-  // Default weights
-  let wAttendance = 0.3;
-  let wAssignments = 0.4;
-  let wExams = 0.3;
+  // Weights come from the course grading policy
+  const { attendance: baseAttendance, assignments: baseAssignments, exams: baseExams } = policy.weights;
+  let wAttendance = baseAttendance;
+  let wAssignments = baseAssignments;
+  let wExams = baseExams;
 
   // Re-normalize if some modules are missing
   const hasAttendance = totalPoints > 0;
@@ -157,28 +205,37 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
   } else {
     // Re-normalize weights
     let totalWeight = 0;
-    if (hasAttendance) totalWeight += 0.3;
-    if (hasAssignments) totalWeight += 0.4;
-    if (hasExams) totalWeight += 0.3;
+    if (hasAttendance) totalWeight += baseAttendance;
+    if (hasAssignments) totalWeight += baseAssignments;
+    if (hasExams) totalWeight += baseExams;
 
     if (totalWeight > 0) {
-      wAttendance = hasAttendance ? (0.3 / totalWeight) : 0;
-      wAssignments = hasAssignments ? (0.4 / totalWeight) : 0;
-      wExams = hasExams ? (0.3 / totalWeight) : 0;
+      wAttendance = hasAttendance ? (baseAttendance / totalWeight) : 0;
+      wAssignments = hasAssignments ? (baseAssignments / totalWeight) : 0;
+      wExams = hasExams ? (baseExams / totalWeight) : 0;
+    } else {
+      wAttendance = 0;
+      wAssignments = 0;
+      wExams = 0;
     }
   }
 
   const overallScore = 100 * (
     wAttendance * attendanceRate +
-    wAssignments * (0.5 * assignmentCompletionRate + 0.5 * assignmentQuality) +
+    wAssignments * (ASSIGNMENT_SCORE_MIX.completion * assignmentCompletionRate + ASSIGNMENT_SCORE_MIX.quality * assignmentQuality) +
     wExams * examsAvg
   );
 
   // 5. ALERTS
   const alerts = [];
 
-  if (attendanceRate < 0.75) {
-    alerts.push('HIGH_ABSENCE');
+  const percent = (ratio) => Math.round(ratio * 100);
+
+  if (attendanceRate < policy.thresholds.highAbsence) {
+    alerts.push(alertMessage('HIGH_ABSENCE', {
+      rate: percent(attendanceRate),
+      threshold: percent(policy.thresholds.highAbsence),
+    }));
   }
 
   // Only show MISSING_ASSIGNMENTS alert if:
@@ -186,134 +243,128 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
   // 2. Not all assignments are submitted (hasMissingAssignments)
   // 3. Completion rate is below 70%
   if (hasMissingAssignments && assignmentCompletionRate < 0.7) {
-    alerts.push('MISSING_ASSIGNMENTS');
+    alerts.push(alertMessage('MISSING_ASSIGNMENTS', { submitted: submittedAssignments, total: totalAssignments }));
   }
 
-  if (examsAvg < 0.6) {
-    alerts.push('LOW_EXAMS');
+  if (examsAvg < policy.thresholds.lowExams) {
+    alerts.push(alertMessage('LOW_EXAMS', {
+      average: Math.round(examsAvg * 100) / 10,
+      threshold: Math.round(policy.thresholds.lowExams * 100) / 10,
+    }));
   }
 
-  // Check for no activity in last 14 days
+  // Check for no activity in last 14 days (the last activity also feeds the risk score)
   const fourteenDaysAgo = new Date();
   fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
 
-  const recentAttendance = await prisma.attendance.findFirst({
+  const lastAttendance = await prisma.attendance.findFirst({
     where: {
       studentId,
       session: { courseId },
-      createdAt: { gte: fourteenDaysAgo },
     },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
   });
 
-  const recentSubmission = await prisma.submission.findFirst({
+  const lastSubmission = await prisma.submission.findFirst({
     where: {
       studentId,
       assignment: { courseId },
-      submittedAt: { gte: fourteenDaysAgo },
     },
+    orderBy: { submittedAt: 'desc' },
+    select: { submittedAt: true },
   });
 
-  const recentQuizAttempt = await prisma.quizAttempt.findFirst({
+  const lastQuizAttempt = await prisma.quizAttempt.findFirst({
     where: {
       studentId,
       quiz: { courseId },
-      createdAt: { gte: fourteenDaysAgo },
     },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
   });
 
-  const recentExamAttempt = await prisma.examAttempt.findFirst({
+  const lastExamAttempt = await prisma.examAttempt.findFirst({
     where: {
       studentId,
       exam: { courseId },
-      createdAt: { gte: fourteenDaysAgo },
     },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
   });
 
-  if (!recentAttendance && !recentSubmission && !recentQuizAttempt && !recentExamAttempt) {
-    alerts.push('NO_ACTIVITY_14_DAYS');
-  }
-
-  // 6. RECOMMENDATIONS
-  const recommendations = [];
+  const activityDates = [
+    lastAttendance?.createdAt,
+    lastSubmission?.submittedAt,
+    lastQuizAttempt?.createdAt,
+    lastExamAttempt?.createdAt,
+  ].filter(Boolean);
+  const lastActivityAt = activityDates.length > 0 ? new Date(Math.max(...activityDates.map((d) => d.getTime()))) : null;
 
-  if (alerts.includes('HIGH_ABSENCE')) {
-    recommendations.push('Schedule reminder and attend next sessions');
+  if (!lastActivityAt || lastActivityAt < fourteenDaysAgo) {
+    alerts.push(alertMessage('NO_ACTIVITY_14_DAYS', { days: 14 }));
   }
 
-  if (alerts.includes('MISSING_ASSIGNMENTS')) {
-    recommendations.push('Focus on next assignment and create a checklist');
+  // Overall score falling week after week (see utils/metricSnapshots.js)
+  const weekStart = getSnapshotWeekStart();
+  const previousSnapshots = await getPreviousSnapshots(studentId, courseId, weekStart);
+  const trend = findDecliningTrend(previousSnapshots, overallScore, policy.thresholds.decliningTrend);
+  if (trend) {
+    alerts.push(alertMessage('DECLINING_TREND', trend));
   }
 
-  if (alerts.includes('LOW_EXAMS')) {
-    // Try to get weakest quiz tags
-    const weakQuizAnswers = await prisma.quizAnswer.findMany({
-      where: {
-        attempt: {
-          studentId,
-          quiz: { courseId },
-          status: 'SUBMITTED',
-        },
-        isCorrect: false,
-      },
-      include: {
-        question: {
-          include: {
-            quiz: true,
-          },
-        },
-      },
-    });
-
-    const weakTags = new Set();
-    weakQuizAnswers.forEach((answer) => {
-      const tags = answer.question.tags;
-      if (Array.isArray(tags)) {
-        tags.forEach((tag) => weakTags.add(tag));
-      }
-    });
+  // 6. RECOMMENDATIONS
+  const recommendations = [];
+  const codes = alertCodes(alerts);
 
-    if (weakTags.size > 0) {
-      recommendations.push(`Review topics: ${Array.from(weakTags).slice(0, 3).join(', ')}`);
-    } else {
-      recommendations.push('Create a review plan for exam topics');
-    }
+  if (codes.includes('HIGH_ABSENCE')) {
+    recommendations.push({ key: 'recAttendNextSessions', params: {} });
   }
 
-  // Check assignment tags for Frontend/Backend struggles
-  const failedAssignments = assignments.filter((a) => {
-    const submission = a.submissions[0];
-    if (!submission) return false;
-    const review = submission.reviews[0];
-    if (!review || review.score === null) return false;
-    const scorePercent = a.maxScore > 0 ? review.score / a.maxScore : 0;
-    return scorePercent < 0.6;
-  });
-
-  const frontendTags = ['Frontend', 'React', 'Vue', 'Angular', 'UI', 'CSS'];
-  const backendTags = ['Backend', 'API', 'Database', 'Server', 'Node', 'Express'];
-
-  const hasFrontendStruggles = failedAssignments.some((a) => {
-    const titleLower = a.title.toLowerCase();
-    return frontendTags.some((tag) => titleLower.includes(tag.toLowerCase()));
-  });
+  if (codes.includes('MISSING_ASSIGNMENTS')) {
+    recommendations.push({ key: 'recNextAssignmentChecklist', params: {} });
+  }
 
-  const hasBackendStruggles = failedAssignments.some((a) => {
-    const titleLower = a.title.toLowerCase();
-    return backendTags.some((tag) => titleLower.includes(tag.toLowerCase()));
+  // Weak skills (by tag) come with advice and resources from the course's skill catalogue
+  const skills = await computeSkillMastery(studentId, courseId);
+  await saveSkillMastery(studentId, courseId, skills);
+  const skillRecommendations = buildSkillRecommendations(skills, {
+    threshold: policy.thresholds.lowMastery,
+    catalog: course?.skillCatalog,
+    sessions,
   });
 
-  if (hasFrontendStruggles) {
-    recommendations.push('Practice React fundamentals and hooks');
+  if (codes.includes('LOW_EXAMS') && skillRecommendations.length === 0) {
+    recommendations.push({ key: 'recExamReviewPlan', params: {} });
   }
 
-  if (hasBackendStruggles) {
-    recommendations.push('Practice API development and database queries');
+  if (codes.includes('DECLINING_TREND')) {
+    recommendations.push({ key: 'recDecliningTrend', params: {} });
   }
 
+  recommendations.push(...skillRecommendations);
+
   // Limit to 6 recommendations
   const finalRecommendations = recommendations.slice(0, 6);
 
+  // Early-warning risk score (see utils/atRisk.js)
+  const { riskScore, riskFactors } = assessRisk({
+    sessions,
+    assignments,
+    quizAttempts,
+    examAttempts,
+    trend,
+    lastActivityAt,
+    enrolledAt: enrollment.enrolledAt,
+    policy,
+  });
+
   // 7. SAVE METRICS
+  const previous = await prisma.studentCourseMetrics.findUnique({
+    where: { studentId_courseId: { studentId, courseId } },
+    select: { alerts: true },
+  });
+
   const metrics = await prisma.studentCourseMetrics.upsert({
     where: {
       studentId_courseId: {
@@ -329,6 +380,8 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
       overallScore,
       alerts: JSON.stringify(alerts),
       recommendations: JSON.stringify(finalRecommendations),
+      riskScore,
+      riskFactors: JSON.stringify(riskFactors),
       computedAt: new Date(),
     },
     create: {
@@ -341,10 +394,19 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
       overallScore,
       alerts: JSON.stringify(alerts),
       recommendations: JSON.stringify(finalRecommendations),
+      riskScore,
+      riskFactors: JSON.stringify(riskFactors),
       computedAt: new Date(),
     },
   });
 
+  await saveMetricSnapshot(studentId, courseId, weekStart, metrics);
+
+  // Tell the student when they newly cross the absence threshold
+  if (codes.includes('HIGH_ABSENCE') && !alertCodes(parseStoredList(previous?.alerts)).includes('HIGH_ABSENCE')) {
+    await notifyHighAbsence(studentId, courseId, attendanceRate);
+  }
+
   return {
     attendanceRate,
     assignmentCompletionRate,
@@ -353,6 +415,117 @@ export async function computeStudentCourseMetrics(studentId, courseId) {
     overallScore,
     alerts,
     recommendations: finalRecommendations,
+    riskScore,
+    riskFactors,
+    skills,
     metrics,
   };
 }
+
+/**
+ * Recompute metrics for every student that has a metrics row in a course
+ * (used when the course grading policy or skill catalogue changes)
+ */
+export async function recomputeCourseMetrics(courseId) {
+  const rows = await prisma.studentCourseMetrics.findMany({
+    where: { courseId },
+    select: { studentId: true },
+  });
+
+  const results = await Promise.allSettled(
+    rows.map((row) => computeStudentCourseMetrics(row.studentId, courseId))
+  );
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Error recomputing metrics for student ${rows[index].studentId}, course ${courseId}:`, result.reason?.message);
+    }
+  });
+
+  return {
+    total: rows.length,
+    recomputed: results.filter((r) => r.status === 'fulfilled').length,
+  };
+}
+
+/**
+ * Compute the metrics of active students without a snapshot for the current week yet, so each
+ * enrollment gets a weekly snapshot even when nothing triggered a computation
+ */
+export async function runMetricSnapshots(now = new Date()) {
+  const weekStart = getSnapshotWeekStart(now);
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: { status: 'ACTIVE', user: { role: 'STUDENT' } },
+    select: { userId: true, courseId: true },
+  });
+
+  const snapshots = await prisma.studentMetricSnapshot.findMany({
+    where: { weekStart, studentId: { in: [...new Set(enrollments.map((e) => e.userId))] } },
+    select: { studentId: true, courseId: true },
+  });
+  const done = new Set(snapshots.map((s) => `${s.studentId}:${s.courseId}`));
+
+  let saved = 0;
+  let failed = 0;
+  // One at a time: each computation runs a dozen queries
+  for (const { userId, courseId } of enrollments) {
+    if (done.has(`${userId}:${courseId}`)) {
+      continue;
+    }
+    try {
+      await computeStudentCourseMetrics(userId, courseId);
+      saved += 1;
+    } catch (error) {
+      console.error(`Error saving metric snapshot for student ${userId}, course ${courseId}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { saved, failed };
+}
+
+/**
+ * Recompute the metrics of active students not computed since the last run, so the time-based risk
+ * factors (absence streak, missed assignments, days inactive) keep growing for students who do nothing
+ */
+export async function runRiskRefresh(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - RISK_REFRESH_INTERVAL_MINUTES * 60 * 1000);
+
+  const enrollments = await prisma.enrollment.findMany({
+    where: { status: 'ACTIVE', user: { role: 'STUDENT' } },
+    select: { userId: true, courseId: true },
+  });
+
+  const fresh = await prisma.studentCourseMetrics.findMany({
+    where: { computedAt: { gt: staleBefore }, studentId: { in: [...new Set(enrollments.map((e) => e.userId))] } },
+    select: { studentId: true, courseId: true },
+  });
+  const done = new Set(fresh.map((m) => `${m.studentId}:${m.courseId}`));
+
+  let refreshed = 0;
+  let failed = 0;
+  // One at a time, like runMetricSnapshots
+  for (const { userId, courseId } of enrollments) {
+    if (done.has(`${userId}:${courseId}`)) {
+      continue;
+    }
+    try {
+      await computeStudentCourseMetrics(userId, courseId);
+      refreshed += 1;
+    } catch (error) {
+      console.error(`Error refreshing risk for student ${userId}, course ${courseId}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { refreshed, failed };
+}
+
+/**
+ * Register the weekly metric snapshot and daily risk refresh jobs with the scheduler
+ */
+export function registerMetricJobs() {
+  registerJob('metric-snapshots', { intervalMinutes: METRIC_SNAPSHOT_INTERVAL_MINUTES, run: runMetricSnapshots });
+  registerJob('risk-refresh', { intervalMinutes: RISK_REFRESH_INTERVAL_MINUTES, run: runRiskRefresh });
+}
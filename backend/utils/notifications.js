@@ -0,0 +1,141 @@
+import prisma from '../config/database.js';
+
+/**
+ * In-app notifications. Events are emitted from the routes after the change is saved; a failure to
+ * notify is logged and never fails the request. Notifications with a dedupeKey are created at most
+ * once per user, so e.g. re-publishing an assignment doesn't notify its students again.
+ */
+
+export const NOTIFICATIONS_PAGE_SIZE = 20;
+
+const getActiveStudentIds = async (courseId) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { courseId, status: 'ACTIVE', user: { role: 'STUDENT' } },
+    select: { userId: true },
+  });
+  return enrollments.map((e) => e.userId);
+};
+
+/**
+ * Create one notification per user
+ */
+export async function notifyUsers(userIds, { type, params = {}, link, dedupeKey }) {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.notification.createMany({
+    data: userIds.map((userId) => ({ userId, type, params, link, dedupeKey })),
+    skipDuplicates: true,
+  });
+  return count;
+}
+
+// Errors while notifying are logged, not thrown
+const emit = (name, fn) => fn().catch((error) => {
+  console.error(`Notification ${name} error:`, error);
+  return 0;
+});
+
+/**
+ * A published assignment, to the course's active students
+ */
+export function notifyAssignmentPublished(assignment) {
+  return emit('assignment published', async () => {
+    if (!assignment.isPublished) {
+      return 0;
+    }
+    const course = assignment.course || await prisma.course.findUnique({
+      where: { id: assignment.courseId },
+      select: { title: true },
+    });
+    return notifyUsers(await getActiveStudentIds(assignment.courseId), {
+      type: 'ASSIGNMENT_PUBLISHED',
+      params: { assignmentTitle: assignment.title, courseTitle: course?.title, dueDate: assignment.dueDate },
+      link: `/assignments/${assignment.id}`,
+      dedupeKey: `assignment-published:${assignment.id}`,
+    });
+  });
+}
+
+/**
+ * A new review of a student's submission
+ */
+export function notifyReviewReceived(review) {
+  return emit('review received', async () => {
+    const { submission } = review;
+    return notifyUsers([submission.student.id], {
+      type: 'REVIEW_RECEIVED',
+      params: {
+        assignmentTitle: submission.assignment.title,
+        score: review.score,
+        maxScore: submission.assignment.maxScore,
+      },
+      link: `/assignments/${submission.assignment.id}`,
+      dedupeKey: `review:${review.id}`,
+    });
+  });
+}
+
+/**
+ * An exam published to the course's active students (with its availability start when it opens later)
+ */
+export function notifyExamOpened(exam) {
+  return emit('exam opened', async () => {
+    return notifyUsers(await getActiveStudentIds(exam.courseId), {
+      type: 'EXAM_OPENED',
+      params: { examTitle: exam.title, courseTitle: exam.course?.title, availableFrom: exam.availableFrom },
+      link: `/exam/${exam.id}`,
+      dedupeKey: `exam-opened:${exam.id}`,
+    });
+  });
+}
+
+/**
+ * A student whose attendance rate just dropped below the course's HIGH_ABSENCE threshold
+ */
+export function notifyHighAbsence(studentId, courseId, attendanceRate) {
+  return emit('high absence', async () => {
+    const course = await prisma.course.findUnique({ where: { id: courseId }, select: { title: true } });
+    return notifyUsers([studentId], {
+      type: 'HIGH_ABSENCE',
+      params: { courseTitle: course?.title, rate: Math.round(attendanceRate * 100) },
+      link: '/attendance',
+    });
+  });
+}
+
+/**
+ * A user's notifications, newest first, and their unread count. `before` is the createdAt cursor
+ * of the last notification already loaded.
+ */
+export async function listNotifications(userId, { unreadOnly = false, before, limit = NOTIFICATIONS_PAGE_SIZE } = {}) {
+  const [notifications, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where: {
+        userId,
+        ...(unreadOnly && { readAt: null }),
+        ...(before && { createdAt: { lt: before } }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    }),
+    countUnreadNotifications(userId),
+  ]);
+  return { notifications, unreadCount };
+}
+
+export function countUnreadNotifications(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+/**
+ * Mark some (or, without ids, all) of a user's notifications as read
+ */
+export async function markNotificationsRead(userId, ids) {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, readAt: null, ...(ids && { id: { in: ids } }) },
+    data: { readAt: new Date() },
+  });
+  return count;
+}
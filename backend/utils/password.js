@@ -1,3 +1,5 @@
+import crypto from 'crypto';
+
 // Password validation utility
 export const validatePassword = (password) => {
   const errors = [];
@@ -38,3 +40,29 @@ export const validateAdminPassword = (password) => {
   }
   return { isValid: true };
 };
+
+const PASSWORD_CHARSETS = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnpqrstuvwxyz',
+  '23456789',
+  '!@#$%&*?',
+];
+
+/**
+ * Random 14-character password that passes validatePassword (look-alike characters such as O/0 and l/1 left out)
+ */
+export const generateTemporaryPassword = () => {
+  const all = PASSWORD_CHARSETS.join('');
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const chars = [
+    ...PASSWORD_CHARSETS.map(pick),
+    ...Array.from({ length: 14 - PASSWORD_CHARSETS.length }, () => pick(all)),
+  ];
+
+  // Shuffle so the required character classes aren't always at the start
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
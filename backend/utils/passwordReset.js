@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { hashToken } from './tokens.js';
+import { sendMail, getFrontendUrl } from './mailer.js';
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS || '72', 10);
+
+// Invalidate the user's earlier unused tokens and store a new one; returns the raw token
+async function createResetToken(userId, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await prisma.passwordResetToken.updateMany({
+    where: { userId, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  await prisma.passwordResetToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      expiresAt,
+    },
+  });
+
+  return token;
+}
+
+/**
+ * Create a reset token for a user (invalidating any earlier unused ones) and email the link
+ */
+export async function requestPasswordReset(user) {
+  const token = await createResetToken(user.id, RESET_TOKEN_TTL_MINUTES);
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your BatTechno Model password',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `This link expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+/**
+ * Email a new account's invite link, a reset token valid for INVITE_TTL_HOURS with which the user
+ * chooses their first password
+ */
+export async function sendAccountInvite(user) {
+  const token = await createResetToken(user.id, INVITE_TTL_HOURS * 60);
+  const inviteUrl = `${getFrontendUrl()}/reset-password?token=${token}&invite=1`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your BatTechno Model account is ready',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      'An account has been created for you. Open the link below to choose your password and sign in:',
+      inviteUrl,
+      '',
+      `This link expires in ${INVITE_TTL_HOURS} hours and can only be used once. After that, use "Forgot password" on the login page.`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * Look up a reset token that is still usable; returns null if missing, used or expired
+ */
+export async function findValidResetToken(token) {
+  const stored = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          role: true,
+        },
+      },
+    },
+  });
+
+  if (!stored || stored.usedAt || stored.expiresAt < new Date()) {
+    return null;
+  }
+
+  return stored;
+}
+
+/**
+ * Mark a reset token as used. Returns false if it was consumed concurrently.
+ */
+export async function consumeResetToken(id) {
+  const result = await prisma.passwordResetToken.updateMany({
+    where: { id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return result.count > 0;
+}
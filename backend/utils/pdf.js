@@ -1,7 +1,29 @@
 import PDFDocument from 'pdfkit';
-import { computeStudentCourseMetrics } from './metrics.js';
+import { fileURLToPath } from 'url';
+import { computeStudentCourseMetrics, ASSIGNMENT_SCORE_MIX } from './metrics.js';
+import { resolveGradingPolicy } from './gradingPolicy.js';
+import { resolveLanguage, translate, formatAlert, formatMessage, normalizeRecommendation } from './messages.js';
+import { bidiLines, hasRtl } from './bidi.js';
 import prisma from '../config/database.js';
 
+// Unicode font with Arabic glyphs for the student report (DejaVu Sans, see assets/fonts/DejaVu-LICENSE.txt)
+const REPORT_FONT = fileURLToPath(new URL('../assets/fonts/DejaVuSans.ttf', import.meta.url));
+
+/**
+ * doc.text() at `x`/`y` (or the current position) that also handles Arabic: such text is wrapped and
+ * ordered by utils/bidi.js and shaped a line at a time (pdfkit shapes word by word unless `features`
+ * is set). Paragraphs without letters follow the report direction (`rtl`).
+ */
+function drawText(doc, text, { x, y, rtl = false, ...options } = {}) {
+  let value = String(text ?? '');
+  if (hasRtl(value)) {
+    const width = options.width ?? doc.page.width - doc.page.margins.right - (x ?? doc.x) - (options.indent || 0);
+    value = bidiLines(value, { rtl, width, widthOf: (line) => doc.widthOfString(line) }).join('\n');
+    options = { ...options, features: [] };
+  }
+  return x === undefined ? doc.text(value, options) : doc.text(value, x, y, options);
+}
+
 /**
  * Helper function to draw a table in PDF
  */
@@ -16,6 +38,7 @@ function drawTable(doc, table, startX, startY, options = {}) {
     borderColor = '#000000',
     fontSize = 10,
     headerFontSize = 11,
+    rtl = false,
   } = options;
 
   let currentY = startY;
@@ -37,12 +60,14 @@ function drawTable(doc, table, startX, startY, options = {}) {
       const width = columnWidths[colIndex] || (tableWidth / table.headers.length);
       
       // Draw header text
-      doc.fontSize(headerFontSize)
-        .fillColor(headerTextColor)
-        .text(String(header || ''), currentX + cellPadding, currentY + (headerHeight - headerFontSize) / 2, {
-          width: width - (cellPadding * 2),
-          align: 'center',
-        });
+      doc.fontSize(headerFontSize).fillColor(headerTextColor);
+      drawText(doc, header || '', {
+        x: currentX + cellPadding,
+        y: currentY + (headerHeight - headerFontSize) / 2,
+        width: width - (cellPadding * 2),
+        align: 'center',
+        rtl,
+      });
       
       // Draw border
       doc.rect(currentX, currentY, width, headerHeight)
@@ -70,12 +95,14 @@ function drawTable(doc, table, startX, startY, options = {}) {
         const width = columnWidths[colIndex] || (tableWidth / row.length);
         
         // Draw cell text
-        doc.fontSize(fontSize)
-          .fillColor('#000000')
-          .text(String(cell || ''), currentX + cellPadding, currentY + (rowHeight - fontSize) / 2, {
-            width: width - (cellPadding * 2),
-            align: 'center',
-          });
+        doc.fontSize(fontSize).fillColor('#000000');
+        drawText(doc, cell || '', {
+          x: currentX + cellPadding,
+          y: currentY + (rowHeight - fontSize) / 2,
+          width: width - (cellPadding * 2),
+          align: 'center',
+          rtl,
+        });
         
         // Draw border
         doc.rect(currentX, currentY, width, rowHeight)
@@ -93,9 +120,13 @@ function drawTable(doc, table, startX, startY, options = {}) {
 }
 
 /**
- * Generate PDF report for a student
+ * Generate PDF report for a student in `lang` ("ar", the default, is laid out right-to-left)
  */
-export async function generateStudentReportPDF(student) {
+export async function generateStudentReportPDF(student, lang) {
+  const language = resolveLanguage(lang);
+  const rtl = language === 'ar';
+  const t = (key, params) => translate(language, key, params);
+
   // Pre-fetch all data before generating PDF
   const enrollmentsWithData = await Promise.all(
     student.enrollments.map(async (enrollment) => {
@@ -198,67 +229,80 @@ export async function generateStudentReportPDF(student) {
       });
       doc.on('error', reject);
 
+      doc.registerFont('Report', REPORT_FONT);
+      doc.font('Report');
+
+      // Paragraphs start on the right in Arabic; tables list their columns right to left
+      const write = (text, options = {}) => {
+        if (rtl) {
+          const { indent, ...rtlOptions } = options;
+          return drawText(doc, text, { ...rtlOptions, align: 'right', rtl });
+        }
+        return drawText(doc, text, options);
+      };
+      const addTable = (headers, rows, columnWidths) => {
+        const order = (cells) => (rtl ? [...cells].reverse() : cells);
+        const tableY = drawTable(doc, { headers: order(headers), rows: rows.map(order) }, 50, doc.y, {
+          columnWidths: order(columnWidths),
+          headerHeight: 30,
+          rowHeight: 25,
+          rtl,
+        });
+        // Cells move the text position; continue below the table at the margin
+        doc.x = 50;
+        doc.y = tableY + 20;
+      };
+      const percentOf = (count, total) => (total > 0 ? `${((count / total) * 100).toFixed(1)}%` : '0%');
+
       // Header
       doc
         .fontSize(24)
         .fillColor('#1e40af')
         .text('BatTechno', 50, 50, { align: 'center' })
         .fontSize(12)
-        .fillColor('#666')
-        .text(`Report Date: ${new Date().toLocaleDateString()}`, 50, 80, { align: 'center' })
+        .fillColor('#666');
+      drawText(doc, t('reportDate', { date: new Date().toLocaleDateString('en-GB') }), { x: 50, y: 80, align: 'center', rtl })
         .moveDown(2);
 
       // Student Name
       const studentName = student.profile?.fullName4 || student.name;
-      doc
-        .fontSize(18)
-        .fillColor('#000')
-        .text(`Student Report: ${studentName}`, { align: 'center' })
-        .moveDown();
+      doc.fontSize(18).fillColor('#000');
+      drawText(doc, t('studentReport', { name: studentName }), { align: 'center', rtl }).moveDown();
 
       // Profile Overview Section
-      doc.fontSize(16).fillColor('#1e40af').text('Profile Overview', { underline: true }).moveDown(0.5);
+      doc.fontSize(16).fillColor('#1e40af');
+      write(t('profileOverview'), { underline: true }).moveDown(0.5);
 
+      const notAvailable = t('notAvailable');
       const profile = student.profile || {};
       const profileRows = [
-        ['Email', student.email],
-        ['Phone', profile.phone || 'N/A'],
-        ['Country', profile.country || 'N/A'],
-        ['City', profile.city || 'N/A'],
-        ['Is Student', profile.isStudent ? 'Yes' : 'No'],
+        [t('email'), student.email],
+        [t('phone'), profile.phone || notAvailable],
+        [t('country'), profile.country || notAvailable],
+        [t('city'), profile.city || notAvailable],
+        [t('isStudent'), profile.isStudent ? t('yes') : t('no')],
       ];
 
       if (profile.isStudent) {
-        profileRows.push(['University', profile.university || 'N/A']);
-        profileRows.push(['Major', profile.major || 'N/A']);
-        if (profile.educationLevel) profileRows.push(['Education Level', profile.educationLevel]);
-        if (profile.graduationYear) profileRows.push(['Graduation Year', String(profile.graduationYear)]);
+        profileRows.push([t('university'), profile.university || notAvailable]);
+        profileRows.push([t('major'), profile.major || notAvailable]);
+        if (profile.educationLevel) profileRows.push([t('educationLevel'), profile.educationLevel]);
+        if (profile.graduationYear) profileRows.push([t('graduationYear'), String(profile.graduationYear)]);
       }
 
       if (profile.bio) {
-        profileRows.push(['Bio', profile.bio]);
+        profileRows.push([t('bio'), profile.bio]);
       }
 
       if (profile.skills && Array.isArray(profile.skills) && profile.skills.length > 0) {
-        profileRows.push(['Skills', profile.skills.join(', ')]);
+        profileRows.push([t('skills'), profile.skills.join(', ')]);
       }
 
       if (profile.interests && Array.isArray(profile.interests) && profile.interests.length > 0) {
-        profileRows.push(['Interests', profile.interests.join(', ')]);
+        profileRows.push([t('interests'), profile.interests.join(', ')]);
       }
 
-      const profileTable = {
-        headers: ['Field', 'Value'],
-        rows: profileRows,
-      };
-
-      const profileTableY = drawTable(doc, profileTable, 50, doc.y, {
-        columnWidths: [150, 350],
-        headerHeight: 30,
-        rowHeight: 25,
-      });
-
-      doc.y = profileTableY + 20;
+      addTable([t('field'), t('value')], profileRows, [150, 350]);
 
       // Course Performance Sections
       for (const {
@@ -272,67 +316,50 @@ export async function generateStudentReportPDF(student) {
         const course = enrollment.course;
 
         doc.addPage();
-        doc.fontSize(16).fillColor('#1e40af').text(`Course: ${course.title}`, { underline: true });
+        doc.fontSize(16).fillColor('#1e40af');
+        write(t('courseTitle', { title: course.title }), { underline: true });
         doc.moveDown(0.5);
         doc.fontSize(11).fillColor('#000');
 
         // Attendance Summary Table
-        doc.fontSize(14).fillColor('#1e40af').text('Attendance Summary', { underline: true });
+        doc.fontSize(14).fillColor('#1e40af');
+        write(t('attendanceSummary'), { underline: true });
         doc.moveDown(0.5);
-        
-        const attendanceTable = {
-          headers: ['Status', 'Count', 'Percentage'],
-          rows: [
-            ['Total Sessions', String(attendanceSummary.total), '100%'],
-            ['Present', String(attendanceSummary.present), attendanceSummary.total > 0 ? `${((attendanceSummary.present / attendanceSummary.total) * 100).toFixed(1)}%` : '0%'],
-            ['Absent', String(attendanceSummary.absent), attendanceSummary.total > 0 ? `${((attendanceSummary.absent / attendanceSummary.total) * 100).toFixed(1)}%` : '0%'],
-            ['Late', String(attendanceSummary.late), attendanceSummary.total > 0 ? `${((attendanceSummary.late / attendanceSummary.total) * 100).toFixed(1)}%` : '0%'],
-            ['Excused', String(attendanceSummary.excused), attendanceSummary.total > 0 ? `${((attendanceSummary.excused / attendanceSummary.total) * 100).toFixed(1)}%` : '0%'],
-            ['Attendance Rate', `${(metrics.attendanceRate * 100).toFixed(1)}%`, '-'],
-          ],
-        };
 
-        const attendanceTableY = drawTable(doc, attendanceTable, 50, doc.y, {
-          columnWidths: [200, 150, 150],
-          headerHeight: 30,
-          rowHeight: 25,
-        });
-
-        doc.y = attendanceTableY + 20;
+        addTable([t('status'), t('count'), t('percentage')], [
+          [t('totalSessions'), String(attendanceSummary.total), '100%'],
+          [t('present'), String(attendanceSummary.present), percentOf(attendanceSummary.present, attendanceSummary.total)],
+          [t('absent'), String(attendanceSummary.absent), percentOf(attendanceSummary.absent, attendanceSummary.total)],
+          [t('late'), String(attendanceSummary.late), percentOf(attendanceSummary.late, attendanceSummary.total)],
+          [t('excused'), String(attendanceSummary.excused), percentOf(attendanceSummary.excused, attendanceSummary.total)],
+          [t('attendanceRate'), `${(metrics.attendanceRate * 100).toFixed(1)}%`, '-'],
+        ], [200, 150, 150]);
 
         // Assignments Summary Table
-        doc.fontSize(14).fillColor('#1e40af').text('Assignments Summary', { underline: true });
+        doc.fontSize(14).fillColor('#1e40af');
+        write(t('assignmentsSummary'), { underline: true });
         doc.moveDown(0.5);
-        
-        const assignmentsTable = {
-          headers: ['Metric', 'Value', 'Percentage'],
-          rows: [
-            ['Total Assignments', String(assignmentSummary.total), '100%'],
-            ['Submitted', String(assignmentSummary.submitted), assignmentSummary.total > 0 ? `${((assignmentSummary.submitted / assignmentSummary.total) * 100).toFixed(1)}%` : '0%'],
-            ['Approved', String(assignmentSummary.approved), assignmentSummary.submitted > 0 ? `${((assignmentSummary.approved / assignmentSummary.submitted) * 100).toFixed(1)}%` : '0%'],
-            ['Needs Changes', String(assignmentSummary.needsChanges), assignmentSummary.submitted > 0 ? `${((assignmentSummary.needsChanges / assignmentSummary.submitted) * 100).toFixed(1)}%` : '0%'],
-            ['Completion Rate', `${(metrics.assignmentCompletionRate * 100).toFixed(1)}%`, '-'],
-            ['Quality Score', `${(metrics.assignmentQuality * 100).toFixed(1)}%`, '-'],
-          ],
-        };
-
-        const assignmentsTableY = drawTable(doc, assignmentsTable, 50, doc.y, {
-          columnWidths: [200, 150, 150],
-          headerHeight: 30,
-          rowHeight: 25,
-        });
 
-        doc.y = assignmentsTableY + 20;
+        addTable([t('metric'), t('value'), t('percentage')], [
+          [t('totalAssignments'), String(assignmentSummary.total), '100%'],
+          [t('submitted'), String(assignmentSummary.submitted), percentOf(assignmentSummary.submitted, assignmentSummary.total)],
+          [t('approved'), String(assignmentSummary.approved), percentOf(assignmentSummary.approved, assignmentSummary.submitted)],
+          [t('needsChanges'), String(assignmentSummary.needsChanges), percentOf(assignmentSummary.needsChanges, assignmentSummary.submitted)],
+          [t('completionRate'), `${(metrics.assignmentCompletionRate * 100).toFixed(1)}%`, '-'],
+          [t('qualityScore'), `${(metrics.assignmentQuality * 100).toFixed(1)}%`, '-'],
+        ], [200, 150, 150]);
 
         // Exams Summary Table
-        doc.fontSize(14).fillColor('#1e40af').text('Exams/Quizzes Summary', { underline: true });
+        doc.fontSize(14).fillColor('#1e40af');
+        write(t('examsSummary'), { underline: true });
         doc.moveDown(0.5);
         
         // Calculate individual averages
         let quizAvg = 0;
         if (quizAttempts.length > 0) {
           const quizTotal = quizAttempts.reduce((sum, q) => sum + (q.percentage || 0), 0);
-          quizAvg = (quizTotal / quizAttempts.length) * 10;
+          // Quiz percentages are 0..100
+          quizAvg = quizTotal / quizAttempts.length / 10;
         }
         
         let examAvg = 0;
@@ -340,62 +367,61 @@ export async function generateStudentReportPDF(student) {
           const examTotal = examAttempts.reduce((sum, e) => sum + (e.finalScore10 || 0), 0);
           examAvg = examTotal / examAttempts.length;
         }
-        
-        const examsTable = {
-          headers: ['Type', 'Attempts', 'Average Score'],
-          rows: [
-            ['Quizzes', String(quizAttempts.length), quizAttempts.length > 0 ? `${quizAvg.toFixed(1)}/10` : 'N/A'],
-            ['Exams', String(examAttempts.length), examAttempts.length > 0 ? `${examAvg.toFixed(1)}/10` : 'N/A'],
-            ['Total', String(quizAttempts.length + examAttempts.length), `${(metrics.examsAvg * 10).toFixed(1)}/10`],
-          ],
-        };
 
-        const examsTableY = drawTable(doc, examsTable, 50, doc.y, {
-          columnWidths: [200, 150, 150],
-          headerHeight: 30,
-          rowHeight: 25,
-        });
-
-        doc.y = examsTableY + 20;
+        addTable([t('type'), t('attempts'), t('averageScore')], [
+          [t('quizzes'), String(quizAttempts.length), quizAttempts.length > 0 ? `${quizAvg.toFixed(1)}/10` : notAvailable],
+          [t('exams'), String(examAttempts.length), examAttempts.length > 0 ? `${examAvg.toFixed(1)}/10` : notAvailable],
+          [t('total'), String(quizAttempts.length + examAttempts.length), `${(metrics.examsAvg * 10).toFixed(1)}/10`],
+        ], [200, 150, 150]);
 
         // Overall Score Table
-        doc.fontSize(14).fillColor('#1e40af').text('Overall Score', { underline: true });
+        doc.fontSize(14).fillColor('#1e40af');
+        write(t('overallScore'), { underline: true });
         doc.moveDown(0.5);
-        
-        const overallScoreTable = {
-          headers: ['Component', 'Score', 'Weight'],
-          rows: [
-            ['Attendance Rate', `${(metrics.attendanceRate * 100).toFixed(1)}%`, '30%'],
-            ['Assignments', `${((metrics.assignmentCompletionRate * 0.5 + metrics.assignmentQuality * 0.5) * 100).toFixed(1)}%`, '40%'],
-            ['Exams/Quizzes', `${(metrics.examsAvg * 100).toFixed(1)}%`, '30%'],
-            ['Overall Score', `${metrics.overallScore.toFixed(1)}/100`, '100%'],
-          ],
-        };
 
-        const overallScoreTableY = drawTable(doc, overallScoreTable, 50, doc.y, {
-          columnWidths: [200, 150, 150],
-          headerHeight: 30,
-          rowHeight: 25,
-        });
+        // Weights of the course grading policy, as shares of their total like in the overall score
+        const { weights } = resolveGradingPolicy(course.gradingPolicy);
+        const totalWeight = weights.attendance + weights.assignments + weights.exams;
+        const weightOf = (weight) => `${(totalWeight > 0 ? (weight / totalWeight) * 100 : 0).toFixed(0)}%`;
+        const assignmentsScore = metrics.assignmentCompletionRate * ASSIGNMENT_SCORE_MIX.completion
+          + metrics.assignmentQuality * ASSIGNMENT_SCORE_MIX.quality;
 
-        doc.y = overallScoreTableY + 20;
+        addTable([t('component'), t('score'), t('weight')], [
+          [t('attendanceRate'), `${(metrics.attendanceRate * 100).toFixed(1)}%`, weightOf(weights.attendance)],
+          [t('assignments'), `${(assignmentsScore * 100).toFixed(1)}%`, weightOf(weights.assignments)],
+          [t('examsQuizzes'), `${(metrics.examsAvg * 100).toFixed(1)}%`, weightOf(weights.exams)],
+          [t('overallScore'), `${metrics.overallScore.toFixed(1)}/100`, '100%'],
+        ], [200, 150, 150]);
 
         // Alerts
         if (metrics.alerts && metrics.alerts.length > 0) {
-          doc.fontSize(14).fillColor('#dc2626').text('Alerts', { underline: true }).moveDown(0.5);
+          doc.fontSize(14).fillColor('#dc2626');
+          write(t('alerts'), { underline: true }).moveDown(0.5);
           doc.fontSize(11).fillColor('#000');
           metrics.alerts.forEach((alert) => {
-            doc.text(`• ${alert}`, { indent: 20 });
+            write(`• ${formatAlert(alert, language)}`, { indent: 20 });
           });
           doc.moveDown();
         }
 
         // Recommendations
         if (metrics.recommendations && metrics.recommendations.length > 0) {
-          doc.fontSize(14).fillColor('#059669').text('Recommendations', { underline: true }).moveDown(0.5);
+          doc.fontSize(14).fillColor('#059669');
+          write(t('recommendations'), { underline: true }).moveDown(0.5);
           doc.fontSize(11).fillColor('#000');
-          metrics.recommendations.forEach((rec) => {
-            doc.text(`• ${rec}`, { indent: 20 });
+          metrics.recommendations.map(normalizeRecommendation).forEach((rec) => {
+            if (!rec.tag) {
+              write(`• ${formatMessage(rec, language)}`, { indent: 20 });
+              return;
+            }
+            // Skill recommendation (see utils/skills.js): catalogue advice in the report language when given
+            const advice = rec.advice?.[language] || rec.advice?.en || rec.advice?.ar || t('reviewSkill', { tag: rec.tag });
+            write(`• ${formatMessage(rec, language)}: ${advice}`, { indent: 20 });
+            rec.resources.forEach((resource) => {
+              doc.fontSize(9).fillColor('#2563eb');
+              write(`${resource.title}: ${resource.url}`, { indent: 35, link: resource.url });
+            });
+            doc.fontSize(11).fillColor('#000');
           });
         }
       }
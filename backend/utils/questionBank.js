@@ -0,0 +1,130 @@
+import prisma from '../config/database.js';
+
+// Exams only support auto-graded question types
+export const EXAM_QUESTION_TYPES = ['MCQ', 'TRUE_FALSE'];
+
+/**
+ * Build a Prisma where clause for bank questions from optional filters
+ */
+export function buildBankQuestionWhere({ search, tag, topic, difficulty, type, types } = {}) {
+  return {
+    ...(search && { prompt: { contains: search, mode: 'insensitive' } }),
+    ...(tag && { tags: { array_contains: [tag] } }),
+    ...(topic && { topic }),
+    ...(difficulty && { difficulty }),
+    ...(type ? { type } : types && { type: { in: types } }),
+  };
+}
+
+const normalizeCorrectAnswer = (bankQuestion) => {
+  if (bankQuestion.type === 'MCQ') return Number(bankQuestion.correctAnswer);
+  if (bankQuestion.type === 'TRUE_FALSE') {
+    return bankQuestion.correctAnswer === true || bankQuestion.correctAnswer === 'true';
+  }
+  return bankQuestion.correctAnswer;
+};
+
+/**
+ * Fields for a QuizQuestion copied from a bank question
+ */
+export function toQuizQuestionData(bankQuestion) {
+  return {
+    type: bankQuestion.type,
+    prompt: bankQuestion.prompt,
+    choices: bankQuestion.type === 'MCQ' ? bankQuestion.choices : null,
+    correctAnswer: normalizeCorrectAnswer(bankQuestion),
+    points: bankQuestion.points,
+    tags: bankQuestion.tags || [],
+    bankQuestionId: bankQuestion.id,
+  };
+}
+
+/**
+ * Fields for an ExamQuestion copied from a bank question
+ */
+export function toExamQuestionData(bankQuestion) {
+  return {
+    questionType: bankQuestion.type,
+    prompt: bankQuestion.prompt,
+    choices: bankQuestion.type === 'MCQ' ? bankQuestion.choices : null,
+    correctAnswer: normalizeCorrectAnswer(bankQuestion),
+    points: bankQuestion.points,
+    explanation: bankQuestion.explanation || null,
+    tags: bankQuestion.tags || [],
+    bankQuestionId: bankQuestion.id,
+  };
+}
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Pick random bank questions for each of the exam's draw rules and make sure each has an
+ * ExamQuestion row in the exam (answers reference ExamQuestion). A row left by an earlier draw
+ * is refreshed from the bank, so bank edits reach every attempt that draws the question later.
+ * Questions already in the exam's own pool are never drawn again. Throws an Error with
+ * `status` 400 when the bank cannot satisfy a rule.
+ */
+export async function drawBankQuestions(exam, ownPool) {
+  const rules = Array.isArray(exam.bankDrawRules) ? exam.bankDrawRules : [];
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const usedBankIds = new Set(ownPool.map((q) => q.bankQuestionId).filter(Boolean));
+  const drawn = [];
+
+  for (const rule of rules) {
+    const candidates = await prisma.bankQuestion.findMany({
+      where: {
+        ...buildBankQuestionWhere({
+          tag: rule.tag,
+          topic: rule.topic,
+          difficulty: rule.difficulty,
+          types: EXAM_QUESTION_TYPES,
+        }),
+        id: { notIn: [...usedBankIds] },
+      },
+    });
+
+    if (candidates.length < rule.count) {
+      const label = [rule.tag, rule.topic, rule.difficulty].filter(Boolean).join(' / ') || 'any';
+      const error = new Error(
+        `Question bank has only ${candidates.length} questions for rule "${label}" (needs ${rule.count})`
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    for (const question of shuffle(candidates).slice(0, rule.count)) {
+      usedBankIds.add(question.id);
+      drawn.push(question);
+    }
+  }
+
+  return Promise.all(
+    drawn.map((bankQuestion, index) =>
+      prisma.examQuestion.upsert({
+        where: {
+          examId_bankQuestionId: {
+            examId: exam.id,
+            bankQuestionId: bankQuestion.id,
+          },
+        },
+        update: toExamQuestionData(bankQuestion),
+        create: {
+          ...toExamQuestionData(bankQuestion),
+          examId: exam.id,
+          drawnFromBank: true,
+          orderIndex: ownPool.length + index,
+        },
+      })
+    )
+  );
+}
@@ -0,0 +1,240 @@
+import prisma from '../config/database.js';
+import { computeStudentEvaluation } from './evaluation.js';
+import { computeStudentCourseMetrics } from './metrics.js';
+
+/**
+ * SHORT_TEXT answer keys are stored in QuizQuestion.correctAnswer as:
+ *   {
+ *     acceptedAnswers: string[],  // exact matches (trimmed, whitespace-collapsed)
+ *     patterns: string[],         // regular expressions tested against the answer (see isSafePattern)
+ *     keywords: string[],         // words that must appear in the answer
+ *     minKeywords: number|null,   // how many keywords are required (default: all)
+ *     caseSensitive: boolean,
+ *     manualGrading: boolean,     // unmatched answers go to the grading queue instead of scoring 0
+ *   }
+ * Older questions stored a plain string (or array of strings); those are read as acceptedAnswers.
+ */
+
+const EMPTY_KEY = {
+  acceptedAnswers: [],
+  patterns: [],
+  keywords: [],
+  minKeywords: null,
+  caseSensitive: false,
+  manualGrading: false,
+};
+
+const cleanList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((item) => typeof item === 'string' || typeof item === 'number')
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = String(text ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+const MAX_PATTERN_LENGTH = 200;
+
+// A repeated group that itself repeats, like (a+)+ or (\w*)*, backtracks exponentially on answers
+// that almost match. Exact counts like (\d{2})+ are fine.
+const hasNestedQuantifier = (pattern) => {
+  const groups = []; // per open group: whether it contains a quantifier
+  let inClass = false;
+  let groupJustClosed = false; // ...and that group contained a quantifier
+
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    const afterRepeatingGroup = groupJustClosed;
+    groupJustClosed = false;
+
+    if (char === '\\') {
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      groupJustClosed = groups.pop() ?? false;
+      if (groupJustClosed && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (char === '*' || char === '+' || (char === '{' && !/^\{\d+\}/.test(pattern.slice(i)))) {
+      if (afterRepeatingGroup) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Whether an answer pattern can be run on student answers without risking catastrophic backtracking
+ */
+export function isSafePattern(pattern) {
+  return pattern.length <= MAX_PATTERN_LENGTH && !hasNestedQuantifier(pattern);
+}
+
+/**
+ * Read any stored SHORT_TEXT answer key (legacy string/array or object) into the full shape
+ */
+export function parseShortTextKey(correctAnswer) {
+  if (correctAnswer === null || correctAnswer === undefined || correctAnswer === '') {
+    return { ...EMPTY_KEY };
+  }
+
+  if (typeof correctAnswer === 'string' || typeof correctAnswer === 'number') {
+    return { ...EMPTY_KEY, acceptedAnswers: cleanList([correctAnswer]) };
+  }
+
+  if (Array.isArray(correctAnswer)) {
+    return { ...EMPTY_KEY, acceptedAnswers: cleanList(correctAnswer) };
+  }
+
+  const minKeywords = parseInt(correctAnswer.minKeywords, 10);
+
+  return {
+    acceptedAnswers: cleanList(correctAnswer.acceptedAnswers),
+    patterns: cleanList(correctAnswer.patterns),
+    keywords: cleanList(correctAnswer.keywords),
+    minKeywords: Number.isInteger(minKeywords) && minKeywords > 0 ? minKeywords : null,
+    caseSensitive: correctAnswer.caseSensitive === true,
+    manualGrading: correctAnswer.manualGrading === true,
+  };
+}
+
+/**
+ * Validate and normalize a SHORT_TEXT answer key before saving it.
+ * Throws an Error with a user-facing message when a pattern is not a valid or safe regex.
+ */
+export function normalizeShortTextKey(correctAnswer) {
+  const key = parseShortTextKey(correctAnswer);
+
+  for (const pattern of key.patterns) {
+    try {
+      new RegExp(pattern);
+    } catch {
+      throw new Error(`Invalid answer pattern: ${pattern}`);
+    }
+    if (!isSafePattern(pattern)) {
+      throw new Error(
+        `Answer pattern is too long or has nested repetition like (a+)+ (at most ${MAX_PATTERN_LENGTH} characters): ${pattern}`
+      );
+    }
+  }
+
+  if (key.minKeywords !== null) {
+    key.minKeywords = Math.min(key.minKeywords, key.keywords.length) || null;
+  }
+
+  return key;
+}
+
+/**
+ * Grade a SHORT_TEXT answer against its key.
+ * Returns { isCorrect, earnedPoints, gradingStatus } where gradingStatus is AUTO or PENDING.
+ */
+export function gradeShortTextAnswer(question, studentAnswer) {
+  const key = parseShortTextKey(question.correctAnswer);
+  const answer = normalizeText(studentAnswer, key.caseSensitive);
+
+  if (!answer) {
+    return { isCorrect: false, earnedPoints: 0, gradingStatus: 'AUTO' };
+  }
+
+  const matchesAccepted = key.acceptedAnswers.some(
+    (accepted) => normalizeText(accepted, key.caseSensitive) === answer
+  );
+
+  // Keys saved before patterns were checked may still hold unsafe ones: skip those
+  const matchesPattern = key.patterns.filter(isSafePattern).some((pattern) => {
+    try {
+      return new RegExp(pattern, key.caseSensitive ? 'u' : 'iu').test(String(studentAnswer).trim());
+    } catch {
+      return false;
+    }
+  });
+
+  let matchesKeywords = false;
+  if (key.keywords.length > 0) {
+    const required = key.minKeywords || key.keywords.length;
+    const found = key.keywords.filter((keyword) =>
+      answer.includes(normalizeText(keyword, key.caseSensitive))
+    ).length;
+    matchesKeywords = found >= required;
+  }
+
+  if (matchesAccepted || matchesPattern || matchesKeywords) {
+    return { isCorrect: true, earnedPoints: question.points, gradingStatus: 'AUTO' };
+  }
+
+  if (key.manualGrading) {
+    return { isCorrect: false, earnedPoints: 0, gradingStatus: 'PENDING' };
+  }
+
+  return { isCorrect: false, earnedPoints: 0, gradingStatus: 'AUTO' };
+}
+
+/**
+ * Re-sum an attempt's answers and store totals and the number of answers still awaiting grading
+ */
+export async function recomputeQuizAttemptScore(attemptId) {
+  const attempt = await prisma.quizAttempt.findUnique({
+    where: { id: attemptId },
+    include: {
+      answers: {
+        select: { earnedPoints: true, gradingStatus: true },
+      },
+    },
+  });
+
+  if (!attempt) {
+    throw new Error('Attempt not found');
+  }
+
+  const totalScore = attempt.answers.reduce((sum, a) => sum + a.earnedPoints, 0);
+  const pendingGradingCount = attempt.answers.filter((a) => a.gradingStatus === 'PENDING').length;
+  const percentage = attempt.maxScore > 0 ? (totalScore / attempt.maxScore) * 100 : 0;
+
+  return prisma.quizAttempt.update({
+    where: { id: attemptId },
+    data: {
+      totalScore,
+      percentage,
+      pendingGradingCount,
+    },
+    include: {
+      quiz: {
+        select: { courseId: true, sessionId: true },
+      },
+    },
+  });
+}
+
+/**
+ * Called after a manual grade is saved: refresh attempt totals and, once the attempt
+ * has nothing left to grade, the student's session evaluation and course metrics.
+ */
+export async function finalizeQuizAttemptGrading(attemptId) {
+  const attempt = await recomputeQuizAttemptScore(attemptId);
+
+  if (attempt.status !== 'SUBMITTED' || attempt.pendingGradingCount > 0) {
+    return { attempt, gradingComplete: false };
+  }
+
+  await computeStudentEvaluation(attempt.quiz.sessionId, attempt.studentId).catch((err) => {
+    console.error('Error computing evaluation:', err);
+  });
+
+  await computeStudentCourseMetrics(attempt.studentId, attempt.quiz.courseId).catch((err) => {
+    console.error('Error computing course metrics:', err.message);
+  });
+
+  return { attempt, gradingComplete: true };
+}
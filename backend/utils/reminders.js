@@ -0,0 +1,303 @@
+import prisma from '../config/database.js';
+import { sendMail, getFrontendUrl } from './mailer.js';
+import { renderEmail } from './emailTemplates.js';
+import { registerJob } from './scheduler.js';
+import { getEffectiveDueDate } from './latePolicy.js';
+import { getSessionStart, getLocalDateParts } from './sessionTime.js';
+import { parseStoredList } from './metrics.js';
+
+/**
+ * Reminder and digest emails, run by the scheduler:
+ * - ASSIGNMENT_DUE: published assignment due within REMINDER_LEAD_HOURS and not submitted yet
+ * - EXAM_CLOSING: published exam closing within REMINDER_LEAD_HOURS and not taken yet
+ * - SESSION_TOMORROW: session starting within REMINDER_LEAD_HOURS
+ * - WEEKLY_DIGEST: students with metric alerts, to their instructors, once a week from DIGEST_WEEKDAY/DIGEST_HOUR
+ * Every email is recorded in ReminderDelivery first, so reruns never send it twice. Users opt out
+ * on their profile (emailReminders / emailDigest).
+ */
+
+const REMINDER_INTERVAL_MINUTES = parseInt(process.env.REMINDER_INTERVAL_MINUTES || '60', 10);
+const REMINDER_LEAD_HOURS = parseInt(process.env.REMINDER_LEAD_HOURS || '24', 10);
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY || '0', 10); // 0 = Sunday
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '8', 10);
+
+const RECIPIENT_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  profile: { select: { emailLanguage: true, emailReminders: true, emailDigest: true } },
+};
+
+// Active students of a course who haven't turned reminders off
+const REMINDER_RECIPIENTS = {
+  where: { status: 'ACTIVE', user: { role: 'STUDENT' } },
+  select: { user: { select: RECIPIENT_SELECT } },
+};
+
+const wantsReminders = (user) => user.profile?.emailReminders !== false;
+
+/**
+ * Send an email unless it was already sent: the delivery row is claimed first and removed again
+ * if sending fails, so the next run retries it. Returns "sent", "skipped" or "failed".
+ */
+export async function deliverOnce({ kind, refKey, user, template, params }) {
+  const key = { kind_userId_refKey: { kind, userId: user.id, refKey } };
+
+  try {
+    await prisma.reminderDelivery.create({ data: { kind, userId: user.id, refKey } });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return 'skipped';
+    }
+    throw error;
+  }
+
+  try {
+    const email = renderEmail(template, user.profile?.emailLanguage, { name: user.name, ...params });
+    await sendMail({ to: user.email, ...email });
+  } catch (error) {
+    console.error(`Failed to send ${kind} email to ${user.email}:`, error.message);
+    await prisma.reminderDelivery.delete({ where: key }).catch(() => {});
+    return 'failed';
+  }
+
+  await prisma.reminderDelivery.update({ where: key, data: { sentAt: new Date() } });
+  return 'sent';
+}
+
+// Deliver a batch one by one and count the outcomes
+async function deliverAll(deliveries) {
+  const result = { sent: 0, skipped: 0, failed: 0 };
+  for (const delivery of deliveries) {
+    result[await deliverOnce(delivery)] += 1;
+  }
+  return result;
+}
+
+const getLeadWindowEnd = (now) => new Date(now.getTime() + REMINDER_LEAD_HOURS * 60 * 60 * 1000);
+
+export async function runAssignmentDueReminders(now = new Date()) {
+  const windowEnd = getLeadWindowEnd(now);
+  const inWindow = { gt: now, lte: windowEnd };
+
+  // Extensions can move a student's deadline into (or out of) the window
+  const assignments = await prisma.assignment.findMany({
+    where: {
+      isPublished: true,
+      OR: [{ dueDate: inWindow }, { extensions: { some: { dueDate: inWindow } } }],
+    },
+    select: {
+      id: true,
+      title: true,
+      dueDate: true,
+      extensions: true,
+      submissions: { select: { studentId: true } },
+      course: { select: { title: true, enrollments: REMINDER_RECIPIENTS } },
+    },
+  });
+
+  const deliveries = [];
+  for (const assignment of assignments) {
+    const submitted = new Set(assignment.submissions.map((s) => s.studentId));
+    for (const { user } of assignment.course.enrollments) {
+      const extension = assignment.extensions.find((e) => e.studentId === user.id);
+      const dueDate = getEffectiveDueDate(assignment, extension);
+      if (submitted.has(user.id) || !wantsReminders(user) || dueDate <= now || dueDate > windowEnd) {
+        continue;
+      }
+      deliveries.push({
+        kind: 'ASSIGNMENT_DUE',
+        refKey: `${assignment.id}:${dueDate.toISOString()}`,
+        user,
+        template: 'ASSIGNMENT_DUE',
+        params: {
+          assignmentTitle: assignment.title,
+          courseTitle: assignment.course.title,
+          dueDate,
+          leadHours: REMINDER_LEAD_HOURS,
+          url: `${getFrontendUrl()}/assignments/${assignment.id}`,
+        },
+      });
+    }
+  }
+
+  return deliverAll(deliveries);
+}
+
+export async function runExamClosingReminders(now = new Date()) {
+  const exams = await prisma.exam.findMany({
+    where: {
+      status: 'PUBLISHED',
+      availableTo: { gt: now, lte: getLeadWindowEnd(now) },
+    },
+    select: {
+      id: true,
+      title: true,
+      availableTo: true,
+      attempts: { where: { status: 'SUBMITTED' }, select: { studentId: true } },
+      course: { select: { title: true, enrollments: REMINDER_RECIPIENTS } },
+    },
+  });
+
+  const deliveries = [];
+  for (const exam of exams) {
+    const taken = new Set(exam.attempts.map((a) => a.studentId));
+    for (const { user } of exam.course.enrollments) {
+      if (taken.has(user.id) || !wantsReminders(user)) {
+        continue;
+      }
+      deliveries.push({
+        kind: 'EXAM_CLOSING',
+        refKey: `${exam.id}:${exam.availableTo.toISOString()}`,
+        user,
+        template: 'EXAM_CLOSING',
+        params: {
+          examTitle: exam.title,
+          courseTitle: exam.course.title,
+          closesAt: exam.availableTo,
+          leadHours: REMINDER_LEAD_HOURS,
+          url: `${getFrontendUrl()}/exam/${exam.id}`,
+        },
+      });
+    }
+  }
+
+  return deliverAll(deliveries);
+}
+
+export async function runSessionReminders(now = new Date()) {
+  const windowEnd = getLeadWindowEnd(now);
+  const day = 24 * 60 * 60 * 1000;
+
+  // Session dates are stored as UTC midnight; widen by a day each side and filter on the real start time
+  const sessions = await prisma.session.findMany({
+    where: { date: { gte: new Date(now.getTime() - day), lte: new Date(windowEnd.getTime() + day) } },
+    select: {
+      id: true,
+      date: true,
+      startTime: true,
+      topic: true,
+      course: { select: { id: true, title: true, enrollments: REMINDER_RECIPIENTS } },
+    },
+  });
+
+  const deliveries = [];
+  for (const session of sessions) {
+    const startsAt = getSessionStart(session);
+    if (startsAt <= now || startsAt > windowEnd) {
+      continue;
+    }
+    for (const { user } of session.course.enrollments) {
+      if (!wantsReminders(user)) {
+        continue;
+      }
+      deliveries.push({
+        kind: 'SESSION_TOMORROW',
+        refKey: `${session.id}:${startsAt.toISOString()}`,
+        user,
+        template: 'SESSION_TOMORROW',
+        params: {
+          courseTitle: session.course.title,
+          topic: session.topic,
+          startsAt,
+          url: `${getFrontendUrl()}/sessions/${session.course.id}`,
+        },
+      });
+    }
+  }
+
+  return deliverAll(deliveries);
+}
+
+/**
+ * Key of the digest week containing `now`: the local date the week (starting on DIGEST_WEEKDAY) began,
+ * or null before this week's DIGEST_HOUR
+ */
+export function getDigestWeekKey(now) {
+  const { date, weekday, hour } = getLocalDateParts(now);
+  const daysSinceDigestDay = (weekday - DIGEST_WEEKDAY + 7) % 7;
+  if (daysSinceDigestDay === 0 && hour < DIGEST_HOUR) {
+    return null;
+  }
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - daysSinceDigestDay);
+  return start.toISOString().slice(0, 10);
+}
+
+export async function runWeeklyDigest(now = new Date()) {
+  const weekKey = getDigestWeekKey(now);
+  if (!weekKey) {
+    return { sent: 0, skipped: 0, failed: 0 };
+  }
+
+  const metrics = await prisma.studentCourseMetrics.findMany({
+    where: { student: { role: 'STUDENT' } },
+    select: {
+      alerts: true,
+      student: { select: { id: true, name: true } },
+      course: {
+        select: {
+          id: true,
+          title: true,
+          creator: { select: RECIPIENT_SELECT },
+          instructors: { select: { instructor: { select: RECIPIENT_SELECT } } },
+        },
+      },
+    },
+  });
+
+  // instructor id -> { user, courses: Map(course id -> { title, students }) }
+  const digests = new Map();
+  for (const row of metrics) {
+    const alerts = parseStoredList(row.alerts);
+    if (alerts.length === 0) {
+      continue;
+    }
+    const teachers = [row.course.creator, ...row.course.instructors.map((i) => i.instructor)];
+    for (const user of teachers) {
+      if (!user || user.profile?.emailDigest === false) {
+        continue;
+      }
+      if (!digests.has(user.id)) {
+        digests.set(user.id, { user, courses: new Map() });
+      }
+      const { courses } = digests.get(user.id);
+      if (!courses.has(row.course.id)) {
+        courses.set(row.course.id, {
+          title: row.course.title,
+          students: [],
+          url: `${getFrontendUrl()}/courses/${row.course.id}`,
+        });
+      }
+      const { students } = courses.get(row.course.id);
+      if (!students.some((s) => s.id === row.student.id)) {
+        students.push({ id: row.student.id, name: row.student.name, alerts });
+      }
+    }
+  }
+
+  return deliverAll([...digests.values()].map(({ user, courses }) => {
+    const courseList = [...courses.values()];
+    return {
+      kind: 'WEEKLY_DIGEST',
+      refKey: weekKey,
+      user,
+      template: 'WEEKLY_DIGEST',
+      params: {
+        courses: courseList,
+        studentCount: new Set(courseList.flatMap((c) => c.students.map((s) => s.id))).size,
+        url: `${getFrontendUrl()}/courses`,
+      },
+    };
+  }));
+}
+
+/**
+ * Register the reminder jobs with the scheduler
+ */
+export function registerReminderJobs() {
+  registerJob('assignment-due-reminders', { intervalMinutes: REMINDER_INTERVAL_MINUTES, run: runAssignmentDueReminders });
+  registerJob('exam-closing-reminders', { intervalMinutes: REMINDER_INTERVAL_MINUTES, run: runExamClosingReminders });
+  registerJob('session-reminders', { intervalMinutes: REMINDER_INTERVAL_MINUTES, run: runSessionReminders });
+  registerJob('weekly-digest', { intervalMinutes: REMINDER_INTERVAL_MINUTES, run: runWeeklyDigest });
+}
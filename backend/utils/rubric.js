@@ -0,0 +1,112 @@
+import { rubricSchema } from './validation.js';
+
+// A criterion counts as failed when the selected level is worth less than this share of its best level
+export const RUBRIC_FAIL_RATIO = parseFloat(process.env.RUBRIC_FAIL_RATIO || '0.5');
+
+/**
+ * Parse a stored Assignment.rubric; returns null when it is missing or not in the rubric format
+ * (older assignments may hold free-form JSON)
+ */
+export function parseRubric(rubric) {
+  if (!rubric) {
+    return null;
+  }
+  const result = rubricSchema.safeParse(rubric);
+  return result.success ? result.data : null;
+}
+
+/**
+ * Share (0..1) of a criterion's best level earned by the selected level, or null if the level is unknown
+ */
+export function getCriterionRatio(criterion, levelId) {
+  const level = criterion.levels.find((l) => l.id === levelId);
+  if (!level) {
+    return null;
+  }
+  const best = Math.max(...criterion.levels.map((l) => l.points));
+  return best > 0 ? level.points / best : 0;
+}
+
+/**
+ * Check a rubric result against the rubric: every criterion needs a valid level and no unknown
+ * criteria are allowed. Returns a list of error messages (empty when valid).
+ */
+export function validateRubricResult(rubric, rubricResult) {
+  const errors = [];
+  const selections = rubricResult?.criteria || {};
+
+  for (const criterion of rubric.criteria) {
+    const selection = selections[criterion.id];
+    if (!selection) {
+      errors.push(`Missing level for criterion "${criterion.title}"`);
+    } else if (getCriterionRatio(criterion, selection.levelId) === null) {
+      errors.push(`Unknown level for criterion "${criterion.title}"`);
+    }
+  }
+
+  const known = new Set(rubric.criteria.map((c) => c.id));
+  for (const id of Object.keys(selections)) {
+    if (!known.has(id)) {
+      errors.push(`Unknown criterion: ${id}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Review score from the selected levels: weighted average of each criterion's earned share,
+ * scaled to the assignment's maxScore and rounded to a whole number
+ */
+export function computeRubricScore(rubric, rubricResult, maxScore) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const criterion of rubric.criteria) {
+    const ratio = getCriterionRatio(criterion, rubricResult.criteria[criterion.id]?.levelId) ?? 0;
+    weighted += ratio * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+
+  return totalWeight > 0 ? Math.round((weighted / totalWeight) * maxScore) : 0;
+}
+
+/**
+ * Per-criterion statistics over scored reviews of a course's rubric assignments.
+ * `assignments` carry a parsed `rubric` and `results` (the rubricResult of each student's counted review).
+ * Criteria are returned most-failed first.
+ */
+export function summarizeRubricResults(assignments) {
+  const rows = [];
+
+  for (const assignment of assignments) {
+    for (const criterion of assignment.rubric.criteria) {
+      const ratios = assignment.results
+        .map((result) => getCriterionRatio(criterion, result?.criteria?.[criterion.id]?.levelId))
+        .filter((ratio) => ratio !== null);
+
+      const levelCounts = Object.fromEntries(criterion.levels.map((l) => [l.id, 0]));
+      for (const result of assignment.results) {
+        const levelId = result?.criteria?.[criterion.id]?.levelId;
+        if (levelId in levelCounts) levelCounts[levelId]++;
+      }
+
+      const failed = ratios.filter((ratio) => ratio < RUBRIC_FAIL_RATIO).length;
+
+      rows.push({
+        assignmentId: assignment.id,
+        assignmentTitle: assignment.title,
+        criterionId: criterion.id,
+        criterionTitle: criterion.title,
+        weight: criterion.weight,
+        assessed: ratios.length,
+        failed,
+        failRate: ratios.length > 0 ? failed / ratios.length : 0,
+        averageRatio: ratios.length > 0 ? ratios.reduce((sum, r) => sum + r, 0) / ratios.length : null,
+        levels: criterion.levels.map((l) => ({ id: l.id, label: l.label, points: l.points, count: levelCounts[l.id] })),
+      });
+    }
+  }
+
+  return rows.sort((a, b) => b.failRate - a.failRate || (a.averageRatio ?? 1) - (b.averageRatio ?? 1));
+}
@@ -0,0 +1,155 @@
+import prisma from '../config/database.js';
+
+/**
+ * Minimal in-process job scheduler. Each registered job runs every `intervalMinutes`; its state
+ * (next run, last result/error) is kept in ScheduledJob so restarts don't rerun or skip jobs, and
+ * a job is claimed with a time-limited lock so only one backend instance runs it at a time. The lock
+ * is renewed while the job runs, so a long run doesn't let another instance start it too.
+ * Jobs must be idempotent: a run that crashes after doing part of its work is simply run again.
+ */
+
+const SCHEDULER_TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS || '60', 10);
+const JOB_LOCK_MINUTES = 15;
+const JOB_LOCK_MS = JOB_LOCK_MINUTES * 60 * 1000;
+// Renewed well before it expires, so a slow renewal doesn't lose it
+const JOB_LOCK_RENEW_MS = JOB_LOCK_MS / 3;
+
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+export function registerJob(name, { intervalMinutes, run }) {
+  jobs.set(name, { intervalMinutes, run });
+}
+
+export function getRegisteredJobNames() {
+  return [...jobs.keys()];
+}
+
+// Take the job's lock if it is due (or `force`d) and nobody else holds it; returns the lock's
+// expiry, or null when it wasn't taken
+async function claimJob(name, now, force) {
+  await prisma.scheduledJob.upsert({
+    where: { name },
+    update: {},
+    create: { name, nextRunAt: now },
+  });
+
+  const lockedUntil = new Date(now.getTime() + JOB_LOCK_MS);
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: {
+      name,
+      ...(!force && { nextRunAt: { lte: now } }),
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: { lockedUntil },
+  });
+  return count === 1 ? lockedUntil : null;
+}
+
+// Keep extending a claimed lock until the returned function is called. The expiry we last wrote
+// identifies our lock: once it changed (expired and claimed by another instance) it isn't renewed.
+function keepLock(name, lockedUntil) {
+  let current = lockedUntil;
+  const renew = async () => {
+    const next = new Date(Date.now() + JOB_LOCK_MS);
+    try {
+      const { count } = await prisma.scheduledJob.updateMany({
+        where: { name, lockedUntil: current },
+        data: { lockedUntil: next },
+      });
+      if (count === 1) {
+        current = next;
+      } else {
+        console.error(`Job ${name} lost its lock`);
+        clearInterval(renewal);
+      }
+    } catch (error) {
+      console.error(`Error renewing the lock of job ${name}:`, error);
+    }
+  };
+  const renewal = setInterval(renew, JOB_LOCK_RENEW_MS);
+  renewal.unref();
+  return () => clearInterval(renewal);
+}
+
+/**
+ * Run a job if it is due (or right away with `force`); returns the saved job state, or null when
+ * the job wasn't due or is running elsewhere
+ */
+export async function runJob(name, { force = false } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const now = new Date();
+  const lockedUntil = await claimJob(name, now, force);
+  if (!lockedUntil) {
+    return null;
+  }
+
+  const releaseLock = keepLock(name, lockedUntil);
+  let state;
+  try {
+    const result = await job.run(now);
+    state = { lastStatus: 'success', lastError: null, lastResult: result ?? null };
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    state = { lastStatus: 'failed', lastError: String(error.message || error).slice(0, 1000) };
+  } finally {
+    releaseLock();
+  }
+
+  return prisma.scheduledJob.update({
+    where: { name },
+    data: {
+      ...state,
+      lastRunAt: now,
+      nextRunAt: new Date(now.getTime() + job.intervalMinutes * 60 * 1000),
+      lockedUntil: null,
+    },
+  });
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    for (const name of jobs.keys()) {
+      await runJob(name).catch((error) => {
+        console.error(`Scheduler error for job ${name}:`, error);
+      });
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startScheduler() {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(tick, SCHEDULER_TICK_SECONDS * 1000);
+  timer.unref();
+  tick();
+  console.log(`⏰ Scheduler started (${jobs.size} jobs)`);
+}
+
+export function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Saved state of every registered job
+ */
+export async function getJobStates() {
+  const rows = await prisma.scheduledJob.findMany({ where: { name: { in: getRegisteredJobNames() } } });
+  const rowsByName = new Map(rows.map((row) => [row.name, row]));
+  return getRegisteredJobNames().map((name) => ({
+    name,
+    intervalMinutes: jobs.get(name).intervalMinutes,
+    ...rowsByName.get(name),
+  }));
+}
@@ -0,0 +1,184 @@
+import prisma from '../config/database.js';
+
+// Upper bound on the sessions one rule may produce (guards against multi-year ranges by mistake)
+export const MAX_SCHEDULED_SESSIONS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 'YYYY-MM-DD' (UTC) for a Date or date string; session dates are stored as UTC midnight
+ */
+export function toDateKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Date keys matching a schedule rule between its start and end dates (the course dates by default),
+ * minus the skip-list. Throws when the rule yields more than MAX_SCHEDULED_SESSIONS dates.
+ */
+export function generateScheduleDates(rule, course) {
+  const start = new Date(rule.startDate || toDateKey(course.startDate));
+  const end = new Date(rule.endDate || toDateKey(course.endDate));
+  const weekdays = new Set(rule.weekdays);
+  const skipped = new Set(rule.skipDates || []);
+  const dates = [];
+
+  for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+    const day = new Date(time);
+    const key = toDateKey(day);
+    if (weekdays.has(day.getUTCDay()) && !skipped.has(key)) {
+      dates.push(key);
+      if (dates.length > MAX_SCHEDULED_SESSIONS) {
+        throw new Error(`Schedule produces more than ${MAX_SCHEDULED_SESSIONS} sessions`);
+      }
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * True when attendance, excuses, a check-in window, quizzes, exams or evaluations reference the session
+ */
+export function hasAttachedRecords(session) {
+  const count = session._count || {};
+  return Boolean(
+    count.attendances || count.excuses || count.quizzes || count.exams || count.evaluations || session.checkInWindow
+  );
+}
+
+/**
+ * Work out what applying a rule to a course's existing sessions would do:
+ *  - create:    rule dates without any session yet
+ *  - update:    generated sessions on a rule date whose times changed
+ *  - unchanged: sessions already matching a rule date (manual sessions on a rule date are left alone)
+ *  - remove:    generated sessions no longer in the rule and without attached records
+ *  - preserved: generated sessions no longer in the rule that are kept because records are attached
+ * Manually created sessions off the rule are never touched.
+ */
+export function planSchedule(rule, course, existingSessions) {
+  const plan = { create: [], update: [], unchanged: [], remove: [], preserved: [] };
+  const byDate = new Map();
+
+  for (const session of existingSessions) {
+    const key = toDateKey(session.date);
+    if (!byDate.has(key)) byDate.set(key, []);
+    byDate.get(key).push(session);
+  }
+
+  const claimed = new Set();
+  for (const date of generateScheduleDates(rule, course)) {
+    const sameDay = byDate.get(date) || [];
+    const session = sameDay.find((s) => s.generated) || sameDay[0];
+
+    if (!session) {
+      plan.create.push({ date, startTime: rule.startTime, endTime: rule.endTime, topic: rule.topic || null });
+      continue;
+    }
+
+    claimed.add(session.id);
+    if (session.generated && (session.startTime !== rule.startTime || session.endTime !== rule.endTime)) {
+      plan.update.push({ ...session, date, startTime: rule.startTime, endTime: rule.endTime });
+    } else {
+      plan.unchanged.push({ ...session, date });
+    }
+  }
+
+  for (const session of existingSessions) {
+    if (!session.generated || claimed.has(session.id)) continue;
+    const entry = { ...session, date: toDateKey(session.date) };
+    if (hasAttachedRecords(session)) {
+      plan.preserved.push(entry);
+    } else {
+      plan.remove.push(entry);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Existing sessions of a course in the shape planSchedule expects
+ */
+export function getScheduleSessions(courseId) {
+  return prisma.session.findMany({
+    where: { courseId },
+    select: {
+      id: true,
+      date: true,
+      startTime: true,
+      endTime: true,
+      topic: true,
+      generated: true,
+      checkInWindow: { select: { id: true } },
+      _count: {
+        select: {
+          attendances: true,
+          excuses: true,
+          quizzes: true,
+          exams: true,
+          evaluations: true,
+        },
+      },
+    },
+    orderBy: { date: 'asc' },
+  });
+}
+
+/**
+ * Apply a plan from planSchedule and store the rule on the course, in one transaction
+ */
+export function applySchedulePlan(courseId, rule, plan) {
+  return prisma.$transaction([
+    prisma.session.deleteMany({
+      // Re-checked here in case records were attached after the plan was made
+      where: {
+        id: { in: plan.remove.map((s) => s.id) },
+        courseId,
+        generated: true,
+        attendances: { none: {} },
+        excuses: { none: {} },
+        checkInWindow: { is: null },
+        quizzes: { none: {} },
+        exams: { none: {} },
+        evaluations: { none: {} },
+      },
+    }),
+    ...plan.update.map((s) =>
+      prisma.session.update({
+        where: { id: s.id },
+        data: { startTime: s.startTime, endTime: s.endTime },
+      })
+    ),
+    prisma.session.createMany({
+      data: plan.create.map((s) => ({
+        courseId,
+        date: new Date(s.date),
+        startTime: s.startTime,
+        endTime: s.endTime,
+        topic: s.topic,
+        generated: true,
+      })),
+    }),
+    prisma.course.update({
+      where: { id: courseId },
+      data: { sessionSchedule: rule },
+    }),
+  ]);
+}
+
+/**
+ * Counts of a plan, returned alongside previews and results
+ */
+export function summarizePlan(plan) {
+  return Object.fromEntries(Object.entries(plan).map(([action, sessions]) => [action, sessions.length]));
+}
+
+/**
+ * All sessions of a plan in date order, each tagged with its `action` (create, update, ...)
+ */
+export function listPlan(plan) {
+  return Object.entries(plan)
+    .flatMap(([action, sessions]) => sessions.map(({ _count, checkInWindow, ...session }) => ({ ...session, action })))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+}
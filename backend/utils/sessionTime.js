@@ -0,0 +1,72 @@
+/**
+ * Sessions store a calendar date (UTC midnight) plus "HH:MM" wall-clock start/end times.
+ * SESSION_TIMEZONE says which timezone those wall-clock times are in; without it the
+ * server's local timezone is used (and calendar feeds write floating times).
+ */
+export const SESSION_TIMEZONE = process.env.SESSION_TIMEZONE || '';
+
+const partsFormatters = new Map();
+
+// Offset (ms) of `timeZone` from UTC at the given instant
+function getTimeZoneOffset(instant, timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    partsFormatters.get(timeZone).formatToParts(instant).map((p) => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - instant.getTime();
+}
+
+/**
+ * The instant a session's wall-clock `time` ("HH:MM") happens on its date
+ */
+export function getSessionDateTime(session, time, timeZone = SESSION_TIMEZONE) {
+  const day = new Date(session.date);
+  const [hours = 0, minutes = 0] = String(time || '').split(':').map(Number);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+  const date = day.getUTCDate();
+
+  if (!timeZone) {
+    return new Date(year, month, date, hours, minutes);
+  }
+
+  // Guess with the offset at the wall-clock time read as UTC, then correct once for DST changes
+  const wallClock = Date.UTC(year, month, date, hours, minutes);
+  const guess = new Date(wallClock - getTimeZoneOffset(new Date(wallClock), timeZone));
+  return new Date(wallClock - getTimeZoneOffset(guess, timeZone));
+}
+
+/**
+ * When the session starts
+ */
+export function getSessionStart(session, timeZone = SESSION_TIMEZONE) {
+  return getSessionDateTime(session, session.startTime, timeZone);
+}
+
+/**
+ * Wall-clock date ("YYYY-MM-DD"), weekday (0 = Sunday) and hour of an instant in the session timezone
+ */
+export function getLocalDateParts(instant, timeZone = SESSION_TIMEZONE) {
+  const offset = timeZone
+    ? getTimeZoneOffset(instant, timeZone)
+    : -instant.getTimezoneOffset() * 60 * 1000;
+  const local = new Date(instant.getTime() + offset);
+  return {
+    date: local.toISOString().slice(0, 10),
+    weekday: local.getUTCDay(),
+    hour: local.getUTCHours(),
+  };
+}
@@ -0,0 +1,236 @@
+import prisma from '../config/database.js';
+import { skillCatalogSchema } from './validation.js';
+import { parseRubric, getCriterionRatio } from './rubric.js';
+import { REVIEWS_WITH_VERSION, getLatestScoredReview } from './submissionVersions.js';
+
+/**
+ * Skill tags and mastery. Sessions, assignments, rubric criteria and quiz/exam questions carry
+ * free-form skill tags (compared case-insensitively). A student's mastery of a tag in a course is
+ * the weighted share of the points they earned on work tagged with it:
+ * - graded quiz and exam answers, weighted by the question's points (untagged questions inherit
+ *   the tags of the quiz's/exam's session)
+ * - rubric criteria of their counted review, weighted by the criterion weight (criteria without
+ *   tags use the assignment's tags)
+ * - scored reviews of assignments without a rubric, weight 1, with the assignment's tags
+ * Skills below the grading policy's lowMastery threshold get recommendations from the course's
+ * skill catalogue (advice per language and resource links per tag).
+ */
+
+export const MAX_SKILL_RECOMMENDATIONS = 3;
+const MAX_RELATED_SESSIONS = 3;
+
+export const tagKey = (tag) => String(tag).trim().toLowerCase();
+
+/**
+ * Trimmed, non-empty tags without case-insensitive duplicates (first spelling wins)
+ */
+export function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    if (typeof tag !== 'string' || !tag.trim()) {
+      continue;
+    }
+    const key = tagKey(tag);
+    if (!seen.has(key)) {
+      seen.add(key);
+      result.push(tag.trim());
+    }
+  }
+  return result;
+}
+
+const tagKeys = (tags) => normalizeTags(tags).map(tagKey);
+
+/**
+ * Parse a stored Course.skillCatalog; returns an empty catalogue when it is missing or invalid
+ */
+export function parseSkillCatalog(catalog) {
+  if (!catalog) {
+    return [];
+  }
+  const result = skillCatalogSchema.safeParse(catalog);
+  return result.success ? result.data : [];
+}
+
+/**
+ * Mastery per tag of a student in a course from their graded work: [{ tag, mastery, evidence }],
+ * weakest first (tags are lowercase)
+ */
+export async function computeSkillMastery(studentId, courseId) {
+  const sessionTags = { select: { session: { select: { tags: true } } } };
+
+  const [quizAnswers, examAnswers, assignments] = await Promise.all([
+    prisma.quizAnswer.findMany({
+      where: {
+        attempt: { studentId, status: 'SUBMITTED', quiz: { courseId } },
+        gradingStatus: { not: 'PENDING' },
+      },
+      select: {
+        earnedPoints: true,
+        question: { select: { points: true, tags: true } },
+        attempt: { select: { quiz: sessionTags } },
+      },
+    }),
+    prisma.examAnswer.findMany({
+      where: { attempt: { studentId, status: 'SUBMITTED', exam: { courseId } } },
+      select: {
+        earnedPoints: true,
+        question: { select: { points: true, tags: true } },
+        attempt: { select: { exam: sessionTags } },
+      },
+    }),
+    prisma.assignment.findMany({
+      where: { courseId, isPublished: true },
+      select: {
+        maxScore: true,
+        rubric: true,
+        tags: true,
+        submissions: {
+          where: { studentId },
+          select: { reviews: REVIEWS_WITH_VERSION },
+        },
+      },
+    }),
+  ]);
+
+  const totals = new Map();
+  const add = (tags, ratio, weight) => {
+    for (const tag of tags) {
+      const total = totals.get(tag) || { earned: 0, weight: 0, evidence: 0 };
+      total.earned += ratio * weight;
+      total.weight += weight;
+      total.evidence += 1;
+      totals.set(tag, total);
+    }
+  };
+
+  const addAnswer = (answer, session) => {
+    const { points, tags } = answer.question;
+    if (points > 0) {
+      const questionTags = tagKeys(tags);
+      add(questionTags.length > 0 ? questionTags : tagKeys(session.tags), Math.min(answer.earnedPoints / points, 1), points);
+    }
+  };
+  quizAnswers.forEach((answer) => addAnswer(answer, answer.attempt.quiz.session));
+  examAnswers.forEach((answer) => addAnswer(answer, answer.attempt.exam.session));
+
+  for (const assignment of assignments) {
+    const review = getLatestScoredReview(assignment.submissions[0]?.reviews);
+    if (!review) {
+      continue;
+    }
+    const assignmentTags = tagKeys(assignment.tags);
+    const rubric = parseRubric(assignment.rubric);
+    const selections = review.rubricResult?.criteria;
+
+    if (rubric && selections) {
+      for (const criterion of rubric.criteria) {
+        const ratio = getCriterionRatio(criterion, selections[criterion.id]?.levelId);
+        if (ratio !== null) {
+          const criterionTags = tagKeys(criterion.tags);
+          add(criterionTags.length > 0 ? criterionTags : assignmentTags, ratio, criterion.weight);
+        }
+      }
+    } else if (assignment.maxScore > 0) {
+      add(assignmentTags, Math.min(review.score / assignment.maxScore, 1), 1);
+    }
+  }
+
+  return [...totals.entries()]
+    .map(([tag, total]) => ({ tag, mastery: total.earned / total.weight, evidence: total.evidence }))
+    .sort((a, b) => a.mastery - b.mastery || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Store a student's mastery per tag, removing tags they no longer have evidence for
+ */
+export async function saveSkillMastery(studentId, courseId, skills) {
+  await prisma.$transaction([
+    prisma.studentSkillMastery.deleteMany({
+      where: { studentId, courseId, tag: { notIn: skills.map((s) => s.tag) } },
+    }),
+    ...skills.map(({ tag, mastery, evidence }) =>
+      prisma.studentSkillMastery.upsert({
+        where: { studentId_courseId_tag: { studentId, courseId, tag } },
+        update: { mastery, evidence },
+        create: { studentId, courseId, tag, mastery, evidence },
+      })
+    ),
+  ]);
+}
+
+/**
+ * Recommendations for the weakest skills below `threshold`:
+ * [{ key, params, tag, mastery, advice: { ar, en } | null, resources, sessions }], where key/params
+ * is the localized title (utils/messages.js) and sessions are the course sessions covering the tag
+ */
+export function buildSkillRecommendations(skills, { threshold, catalog, sessions = [] }) {
+  const entries = new Map(parseSkillCatalog(catalog).map((entry) => [tagKey(entry.tag), entry]));
+
+  return skills
+    .filter((skill) => skill.mastery < threshold)
+    .slice(0, MAX_SKILL_RECOMMENDATIONS)
+    .map(({ tag, mastery }) => {
+      const entry = entries.get(tag);
+      return {
+        key: 'recReviewSkill',
+        params: { tag, mastery: Math.round(mastery * 100) },
+        tag,
+        mastery,
+        advice: entry?.advice || null,
+        resources: entry?.resources || [],
+        sessions: sessions
+          .filter((session) => tagKeys(session.tags).includes(tag))
+          .slice(0, MAX_RELATED_SESSIONS)
+          .map((session) => ({ id: session.id, date: session.date, topic: session.topic })),
+      };
+    });
+}
+
+/**
+ * Every tag used in a course (sessions, assignments, rubric criteria, quiz/exam questions), sorted
+ */
+export async function getCourseTags(courseId) {
+  const [sessions, assignments, quizQuestions, examQuestions] = await Promise.all([
+    prisma.session.findMany({ where: { courseId }, select: { tags: true } }),
+    prisma.assignment.findMany({ where: { courseId }, select: { tags: true, rubric: true } }),
+    prisma.quizQuestion.findMany({ where: { quiz: { courseId } }, select: { tags: true } }),
+    prisma.examQuestion.findMany({ where: { exam: { courseId } }, select: { tags: true } }),
+  ]);
+
+  const tags = [
+    ...[...sessions, ...assignments, ...quizQuestions, ...examQuestions].flatMap((row) => tagKeys(row.tags)),
+    ...assignments.flatMap((a) => (parseRubric(a.rubric)?.criteria || []).flatMap((c) => tagKeys(c.tags))),
+  ];
+  return [...new Set(tags)].sort();
+}
+
+/**
+ * Class view of a course's skills: [{ tag, averageMastery, students, weakStudents }], weakest first
+ */
+export async function getCourseSkillSummary(courseId, threshold) {
+  const [averages, weak] = await Promise.all([
+    prisma.studentSkillMastery.groupBy({
+      by: ['tag'],
+      where: { courseId },
+      _avg: { mastery: true },
+      _count: { _all: true },
+    }),
+    prisma.studentSkillMastery.groupBy({
+      by: ['tag'],
+      where: { courseId, mastery: { lt: threshold } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const weakCounts = new Map(weak.map((row) => [row.tag, row._count._all]));
+  return averages
+    .map((row) => ({
+      tag: row.tag,
+      averageMastery: row._avg.mastery ?? 0,
+      students: row._count._all,
+      weakStudents: weakCounts.get(row.tag) || 0,
+    }))
+    .sort((a, b) => a.averageMastery - b.averageMastery || a.tag.localeCompare(b.tag));
+}
@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isDevelopmentEnv } from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Pluggable file storage for uploaded files.
+ * STORAGE_DRIVER selects the driver: "local" (default) keeps files under STORAGE_DIR
+ * (default backend/storage, never served statically) and hands out short-lived signed
+ * /api/v1/files/:token URLs; "s3" talks to any S3-compatible service (AWS, MinIO, R2...)
+ * and hands out presigned GET URLs.
+ * Other drivers can be added with registerStorageDriver(name, driver).
+ *
+ * A driver implements:
+ *   put(key, buffer, { contentType })         -> stores the object
+ *   remove(key)                               -> deletes the object (missing objects are ignored)
+ *   getDownloadUrl(key, { fileName, baseUrl }) -> URL valid for DOWNLOAD_URL_TTL_SECONDS
+ */
+
+export const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '300', 10);
+
+// Its own secret: a leaked JWT key must not also forge download links, and the reverse
+const getSigningSecret = () => {
+  if (process.env.STORAGE_SIGNING_SECRET) {
+    return process.env.STORAGE_SIGNING_SECRET;
+  }
+  if (!isDevelopmentEnv()) {
+    throw new Error('Local storage requires STORAGE_SIGNING_SECRET');
+  }
+  return 'dev-storage-secret';
+};
+
+const getLocalRoot = () => path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage'));
+
+// Resolve a key inside the local root, refusing anything that escapes it
+const resolveLocalPath = (key) => {
+  const root = getLocalRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+};
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Sign a local download token: base64url(payload).signature
+ */
+export function createDownloadToken({ key, fileName }, ttlSeconds = DOWNLOAD_URL_TTL_SECONDS) {
+  const payload = base64url(JSON.stringify({
+    key,
+    name: fileName,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+  }));
+  const signature = crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify a local download token; returns { key, name } or null if tampered with or expired
+ */
+export function verifyDownloadToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data.key || data.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return { key: data.key, name: data.name };
+  } catch {
+    return null;
+  }
+}
+
+// ---- S3 (Signature Version 4) ----
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as required by SigV4
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const getS3Config = () => {
+  const endpoint = process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+  const config = {
+    endpoint: new URL(endpoint),
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+  };
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  return config;
+};
+
+const s3ObjectLocation = (config, key) => {
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+  const basePath = config.endpoint.pathname.replace(/\/$/, '');
+  if (config.forcePathStyle) {
+    return {
+      origin: config.endpoint.origin,
+      host: config.endpoint.host,
+      path: `${basePath}/${encodeRfc3986(config.bucket)}/${encodedKey}`,
+    };
+  }
+  const host = `${config.bucket}.${config.endpoint.host}`;
+  return {
+    origin: `${config.endpoint.protocol}//${host}`,
+    host,
+    path: `${basePath}/${encodedKey}`,
+  };
+};
+
+const signingKey = (config, dateStamp) =>
+  hmac(hmac(hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region), 's3'), 'aws4_request');
+
+const amzDates = (date) => {
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+const canonicalQuery = (params) =>
+  Object.keys(params)
+    .sort()
+    .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(params[name])}`)
+    .join('&');
+
+/**
+ * Presigned S3 GET URL (exported for tests against a local S3-compatible stand-in)
+ */
+export function presignS3Url(config, key, { expiresIn, fileName, date = new Date() }) {
+  const { origin, host, path: objectPath } = s3ObjectLocation(config, key);
+  const { amzDate, dateStamp } = amzDates(date);
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+
+  const params = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${config.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host',
+  };
+  if (fileName) {
+    params['response-content-disposition'] = `attachment; filename="${fileName.replace(/"/g, '')}"`;
+  }
+
+  const query = canonicalQuery(params);
+  const canonicalRequest = ['GET', objectPath, query, `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signature = crypto.createHmac('sha256', signingKey(config, dateStamp)).update(stringToSign).digest('hex');
+
+  return `${origin}${objectPath}?${query}&X-Amz-Signature=${signature}`;
+}
+
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const config = getS3Config();
+  const { origin, host, path: objectPath } = s3ObjectLocation(config, key);
+  const { amzDate, dateStamp } = amzDates(new Date());
+  const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+  const payloadHash = sha256Hex(body || '');
+
+  const headers = {
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(contentType && { 'content-type': contentType }),
+  };
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    objectPath,
+    '',
+    signedHeaders.map((name) => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash,
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signature = crypto.createHmac('sha256', signingKey(config, dateStamp)).update(stringToSign).digest('hex');
+
+  const { host: _host, ...requestHeaders } = headers;
+  const response = await fetch(`${origin}${objectPath}`, {
+    method,
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`,
+    },
+    body,
+  });
+
+  if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`S3 ${method} ${key} failed with ${response.status}: ${text.slice(0, 200)}`);
+  }
+};
+
+const drivers = {
+  local: {
+    async put(key, buffer) {
+      const filePath = resolveLocalPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveLocalPath(key), { force: true });
+    },
+
+    async getDownloadUrl(key, { fileName, baseUrl }) {
+      return `${baseUrl}/files/${createDownloadToken({ key, fileName })}`;
+    },
+
+    // Only used by the /files/:token route
+    getFilePath(key) {
+      return resolveLocalPath(key);
+    },
+  },
+
+  s3: {
+    async put(key, buffer, { contentType } = {}) {
+      await s3Request('PUT', key, { body: buffer, contentType });
+    },
+
+    async remove(key) {
+      await s3Request('DELETE', key);
+    },
+
+    async getDownloadUrl(key, { fileName }) {
+      return presignS3Url(getS3Config(), key, { expiresIn: DOWNLOAD_URL_TTL_SECONDS, fileName });
+    },
+  },
+};
+
+export function registerStorageDriver(name, driver) {
+  for (const method of ['put', 'remove', 'getDownloadUrl']) {
+    if (!driver || typeof driver[method] !== 'function') {
+      throw new Error(`Storage driver "${name}" must implement ${method}()`);
+    }
+  }
+  drivers[name] = driver;
+}
+
+/**
+ * Throw if the selected driver is missing its settings, so the server fails at startup instead
+ * of on the first upload or download
+ */
+export function checkStorageConfig() {
+  const driver = getStorage();
+  if (driver === drivers.local) {
+    getSigningSecret();
+  } else if (driver === drivers.s3) {
+    getS3Config();
+  }
+}
+
+export function getStorage() {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+/**
+ * Public base URL of the API (for links the browser opens directly)
+ */
+export function getApiBaseUrl(req) {
+  return (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}/api/v1`).replace(/\/$/, '');
+}
+
+export function getLocalStorage() {
+  return drivers.local;
+}
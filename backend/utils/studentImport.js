@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import path from 'path';
+import bcrypt from 'bcrypt';
+import ExcelJS from 'exceljs';
+import prisma from '../config/database.js';
+import { studentImportRowSchema } from './validation.js';
+import { generateTemporaryPassword } from './password.js';
+import { sendAccountInvite } from './passwordReset.js';
+import { enrollStudents } from './enrollments.js';
+
+/**
+ * Bulk student import from a CSV or XLSX sheet (first worksheet, header row first). Every row is
+ * classified as NEW (account will be created), EXISTING (student account with that email already
+ * exists; only enrolled), DUPLICATE (email repeats an earlier row) or INVALID (with its errors).
+ * A dry run stops there; otherwise NEW rows are created and NEW/EXISTING rows enrolled.
+ */
+
+export const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS || '500', 10);
+
+export const IMPORT_COLUMNS = [
+  'name', 'email', 'phone', 'fullName4', 'country', 'city', 'nationality',
+  'isStudent', 'university', 'major', 'educationLevel', 'graduationYear',
+];
+
+// Header aliases (compared lowercase without spaces, dashes or underscores)
+const HEADER_ALIASES = {
+  fullname: 'fullName4',
+  mobile: 'phone',
+  student: 'isStudent',
+  الاسم: 'name',
+  البريدالإلكتروني: 'email',
+  البريد: 'email',
+  الهاتف: 'phone',
+  الاسمالرباعي: 'fullName4',
+  الدولة: 'country',
+  المدينة: 'city',
+  الجنسية: 'nationality',
+  طالب: 'isStudent',
+  الجامعة: 'university',
+  التخصص: 'major',
+  المستوىالتعليمي: 'educationLevel',
+  سنةالتخرج: 'graduationYear',
+};
+
+const normalizeHeader = (header) => {
+  const key = String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return IMPORT_COLUMNS.find((column) => column.toLowerCase() === key) || HEADER_ALIASES[key] || null;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting; comma, or semicolon when the header uses it)
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // cell.text is the displayed value, also for hyperlinks, rich text and formulas
+    rows[rowNumber - 1] = Array.from({ length: sheet.columnCount }, (_, i) => row.getCell(i + 1).text);
+  });
+  return Array.from(rows, (row) => row || []);
+}
+
+/**
+ * Read an uploaded sheet into { rows: [{ row, values }], unknownColumns }, where `row` is the
+ * spreadsheet row number and `values` holds the non-empty known columns. Throws an error with
+ * status 400 when the file can't be used.
+ */
+export async function readImportFile(file) {
+  const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+  let table;
+  try {
+    table = path.extname(file.originalname).toLowerCase() === '.xlsx'
+      ? await readXlsx(file.buffer)
+      : parseCsv(file.buffer.toString('utf8'));
+  } catch (error) {
+    throw badRequest(`Could not read the file: ${error.message}`);
+  }
+
+  const [header = [], ...body] = table;
+  const columns = header.map(normalizeHeader);
+  if (!columns.includes('name') || !columns.includes('email')) {
+    throw badRequest('The first row must contain the column headers, including name and email');
+  }
+
+  const rows = body
+    .map((cells, index) => {
+      const values = {};
+      columns.forEach((column, i) => {
+        const value = String(cells[i] ?? '').trim();
+        if (column && value !== '') {
+          values[column] = value;
+        }
+      });
+      return { row: index + 2, values };
+    })
+    .filter(({ values }) => Object.keys(values).length > 0);
+
+  if (rows.length === 0) {
+    throw badRequest('The file has no student rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`Too many rows (max ${MAX_IMPORT_ROWS})`);
+  }
+
+  return {
+    rows,
+    unknownColumns: header.filter((h, i) => String(h).trim() && !columns[i]),
+  };
+}
+
+/**
+ * Validate and classify the rows (see the top of this file) without changing anything
+ */
+export async function previewImport(rows) {
+  const parsed = rows.map(({ row, values }) => {
+    const result = studentImportRowSchema.safeParse(values);
+    return result.success
+      ? { row, data: result.data, errors: [] }
+      : {
+        row,
+        data: values,
+        errors: result.error.errors.map((e) => (e.path.length ? `${e.path.join('.')}: ${e.message}` : e.message)),
+      };
+  });
+
+  const emails = parsed.filter((r) => r.errors.length === 0).map((r) => r.data.email);
+  const existingUsers = await prisma.user.findMany({
+    where: { email: { in: emails, mode: 'insensitive' } },
+    select: { id: true, email: true, role: true },
+  });
+  const existingByEmail = new Map(existingUsers.map((u) => [u.email.toLowerCase(), u]));
+
+  const seen = new Map();
+  return parsed.map((entry) => {
+    const base = { row: entry.row, name: entry.data.name || null, email: entry.data.email || null };
+    if (entry.errors.length > 0) {
+      return { ...base, status: 'INVALID', errors: entry.errors };
+    }
+
+    const { email } = entry.data;
+    if (seen.has(email)) {
+      return { ...base, status: 'DUPLICATE', errors: [`Same email as row ${seen.get(email)}`] };
+    }
+    seen.set(email, entry.row);
+
+    const existing = existingByEmail.get(email);
+    if (existing && existing.role !== 'STUDENT') {
+      return { ...base, status: 'INVALID', errors: ['Email belongs to an instructor or admin account'] };
+    }
+    if (existing) {
+      return { ...base, status: 'EXISTING', errors: [], userId: existing.id };
+    }
+    return { ...base, status: 'NEW', errors: [], data: entry.data };
+  });
+}
+
+const PROFILE_FIELDS = ['fullName4', 'country', 'city', 'nationality'];
+const STUDENT_PROFILE_FIELDS = ['university', 'major', 'educationLevel', 'graduationYear'];
+
+// Like the profile form, university details are only kept for students
+const buildProfile = (data) => {
+  const profile = { phone: data.phone, isStudent: data.isStudent ?? false };
+  const fields = profile.isStudent ? [...PROFILE_FIELDS, ...STUDENT_PROFILE_FIELDS] : PROFILE_FIELDS;
+  for (const field of fields) {
+    if (data[field] !== undefined) {
+      profile[field] = data[field];
+    }
+  }
+  return profile;
+};
+
+/**
+ * Create the NEW rows' accounts and enroll NEW and EXISTING students in `courseId` (optional).
+ * passwordMode "temporary" returns a generated password per created row; "invite" emails each
+ * student a link to choose their own. Returns the rows with userId, enrolled and
+ * temporaryPassword/inviteSent filled in.
+ */
+export async function commitImport(preview, { passwordMode, courseId, actorId }) {
+  const toCreate = preview.filter((r) => r.status === 'NEW');
+
+  // Hash outside the transaction; bcrypt is the slow part
+  const passwords = new Map();
+  const hashes = await Promise.all(toCreate.map(async (entry) => {
+    const password = passwordMode === 'temporary'
+      ? generateTemporaryPassword()
+      : crypto.randomBytes(32).toString('hex'); // never revealed; the invite link sets the real one
+    passwords.set(entry.row, password);
+    return bcrypt.hash(password, 10);
+  }));
+
+  const { created, enrolledIds } = await prisma.$transaction(async (tx) => {
+    const createdUsers = [];
+    for (const [i, entry] of toCreate.entries()) {
+      createdUsers.push(await tx.user.create({
+        data: {
+          name: entry.data.name,
+          email: entry.data.email,
+          phone: entry.data.phone,
+          role: 'STUDENT',
+          passwordHash: hashes[i],
+          profile: { create: buildProfile(entry.data) },
+        },
+        select: { id: true, name: true, email: true },
+      }));
+    }
+
+    let enrolled = [];
+    if (courseId) {
+      const studentIds = [
+        ...createdUsers.map((u) => u.id),
+        ...preview.filter((r) => r.status === 'EXISTING').map((r) => r.userId),
+      ];
+      if (studentIds.length > 0) {
+        enrolled = await enrollStudents(tx, { courseId, studentIds, actorId });
+      }
+    }
+
+    return { created: createdUsers, enrolledIds: new Set(enrolled.map((e) => e.userId)) };
+  }, { timeout: 60000 });
+
+  const createdByEmail = new Map(created.map((u) => [u.email, u]));
+  const results = [];
+  for (const entry of preview) {
+    const { data, ...result } = entry;
+    const user = entry.status === 'NEW' ? createdByEmail.get(entry.email) : null;
+    if (user) {
+      result.userId = user.id;
+      if (passwordMode === 'temporary') {
+        result.temporaryPassword = passwords.get(entry.row);
+      } else {
+        result.inviteSent = await sendAccountInvite(user).then(() => true, (error) => {
+          console.error(`Failed to send invite to ${user.email}:`, error.message);
+          return false;
+        });
+      }
+    }
+    result.enrolled = Boolean(result.userId && enrolledIds.has(result.userId));
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Row counts by status (and, after an import, created/enrolled totals)
+ */
+export function summarizeImport(rows) {
+  const summary = { total: rows.length, NEW: 0, EXISTING: 0, DUPLICATE: 0, INVALID: 0 };
+  for (const row of rows) {
+    summary[row.status] += 1;
+  }
+  summary.created = rows.filter((r) => r.status === 'NEW' && r.userId).length;
+  summary.enrolled = rows.filter((r) => r.enrolled).length;
+  return summary;
+}
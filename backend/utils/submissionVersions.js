@@ -0,0 +1,120 @@
+import prisma from '../config/database.js';
+
+// Include for submission versions, newest first, with their files/links and reviews
+export const VERSIONS_INCLUDE = {
+  orderBy: { versionNumber: 'desc' },
+  include: {
+    assets: true,
+    reviews: {
+      include: {
+        reviewer: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: { updatedAt: 'desc' },
+    },
+  },
+};
+
+// Include for list views: only the latest version and its files/links
+export const CURRENT_VERSION_INCLUDE = {
+  orderBy: { versionNumber: 'desc' },
+  take: 1,
+  include: { assets: true },
+};
+
+// Include for reviews when only the version number is needed (metrics)
+export const REVIEWS_WITH_VERSION = {
+  include: {
+    version: {
+      select: { versionNumber: true },
+    },
+  },
+};
+
+/**
+ * Submission.assets holds the files/links of every version; expose only the latest version's.
+ * Expects `versions` included newest first (VERSIONS_INCLUDE or CURRENT_VERSION_INCLUDE).
+ */
+export function withCurrentAssets(submission) {
+  if (!submission?.versions?.length) {
+    return submission;
+  }
+  return { ...submission, assets: submission.versions[0].assets };
+}
+
+/**
+ * The scored review of the most recent reviewed version (latest update wins between reviewers).
+ * Reviews created before versioning count as version 1. Returns null when nothing is scored.
+ */
+export function getLatestScoredReview(reviews = []) {
+  const scored = reviews.filter((review) => review.score !== null && review.score !== undefined);
+  if (scored.length === 0) {
+    return null;
+  }
+
+  return scored.reduce((latest, review) => {
+    const version = review.version?.versionNumber ?? 1;
+    const latestVersion = latest.version?.versionNumber ?? 1;
+    if (version !== latestVersion) {
+      return version > latestVersion ? review : latest;
+    }
+    return new Date(review.updatedAt) > new Date(latest.updatedAt) ? review : latest;
+  });
+}
+
+/**
+ * Submissions created before versioning have no SubmissionVersion rows: turn their current
+ * content into version 1 and attach the existing assets and reviews to it.
+ * Returns the latest version.
+ */
+export async function ensureSubmissionVersions(submissionId) {
+  const latest = await prisma.submissionVersion.findFirst({
+    where: { submissionId },
+    orderBy: { versionNumber: 'desc' },
+  });
+
+  if (latest) {
+    return latest;
+  }
+
+  const submission = await prisma.submission.findUnique({
+    where: { id: submissionId },
+    select: { id: true, note: true, submittedAt: true },
+  });
+
+  if (!submission) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const version = await tx.submissionVersion.create({
+      data: {
+        submissionId,
+        versionNumber: 1,
+        note: submission.note,
+        submittedAt: submission.submittedAt,
+      },
+    });
+
+    await tx.submissionAsset.updateMany({
+      where: { submissionId, versionId: null },
+      data: { versionId: version.id },
+    });
+
+    await tx.review.updateMany({
+      where: { submissionId, versionId: null },
+      data: { versionId: version.id },
+    });
+
+    await tx.submission.update({
+      where: { id: submissionId },
+      data: { currentVersion: 1 },
+    });
+
+    return version;
+  });
+}
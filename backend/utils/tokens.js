@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+
+/**
+ * Refresh tokens are persisted (as SHA-256 hashes) so they can be rotated and revoked.
+ * Every login starts a new token family; each /auth/refresh revokes the presented token
+ * and issues the next one in the same family. Presenting an already-revoked token is
+ * treated as theft and revokes the whole family, except for a token rotated less than
+ * REFRESH_REUSE_GRACE_SECONDS ago whose replacement is still live: that is a concurrent
+ * refresh (e.g. two tabs), which gets its own next token in the family.
+ */
+
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '30', 10);
+
+const authError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const signAccessToken = (user) =>
+  jwt.sign(
+    { userId: user.id, role: user.role },
+    process.env.JWT_ACCESS_SECRET,
+    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m' }
+  );
+
+/**
+ * Sign a refresh JWT and store its hash. Pass familyId to continue an existing session
+ * (and `id` when the rotated token already points to it).
+ */
+export async function issueRefreshToken(userId, { id = crypto.randomUUID(), familyId, req } = {}) {
+  const tokenFamily = familyId || crypto.randomUUID();
+
+  const refreshToken = jwt.sign(
+    { userId, familyId: tokenFamily },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', jwtid: id }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+
+  await prisma.refreshToken.create({
+    data: {
+      id,
+      userId,
+      familyId: tokenFamily,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000),
+      userAgent: req?.headers?.['user-agent']?.slice(0, 255) || null,
+      ipAddress: req?.ip || null,
+    },
+  });
+
+  return { id, refreshToken };
+}
+
+/**
+ * Issue a fresh access + refresh token pair for a new login session
+ */
+export async function issueTokens(user, req) {
+  // Drop this user's expired tokens so the table doesn't grow forever
+  await prisma.refreshToken.deleteMany({
+    where: {
+      userId: user.id,
+      expiresAt: { lt: new Date() },
+    },
+  });
+
+  const { refreshToken } = await issueRefreshToken(user.id, { req });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+  };
+}
+
+export async function revokeTokenFamily(familyId) {
+  const result = await prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+}
+
+export async function revokeUserTokens(userId) {
+  const result = await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+}
+
+/**
+ * True when a revoked token was rotated within the grace window and its family is still live
+ * (logout, a password change or detected reuse revoke the replacement too)
+ */
+async function isConcurrentRefresh(token) {
+  if (!token?.revokedAt || !token.replacedById) {
+    return false;
+  }
+  if (Date.now() - token.revokedAt.getTime() > REFRESH_REUSE_GRACE_SECONDS * 1000) {
+    return false;
+  }
+
+  // The replacement may not be stored yet when both refreshes arrive together
+  const replacement = await prisma.refreshToken.findUnique({
+    where: { id: token.replacedById },
+    select: { revokedAt: true },
+  });
+  return !replacement?.revokedAt;
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * Throws errors carrying an HTTP `status` when the token cannot be used.
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  // Throws TokenExpiredError / JsonWebTokenError for bad signatures
+  const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+  });
+
+  if (!stored || stored.userId !== decoded.userId) {
+    throw authError('Invalid refresh token', 403);
+  }
+
+  if (stored.revokedAt && !(await isConcurrentRefresh(stored))) {
+    // A rotated or revoked token came back: assume it leaked and end the session
+    await revokeTokenFamily(stored.familyId);
+    throw authError('Refresh token reuse detected');
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw authError('Refresh token expired');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: stored.userId },
+    select: {
+      id: true,
+      role: true,
+    },
+  });
+
+  if (!user) {
+    throw authError('User not found');
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate it; the one that
+  // loses gets a token of its own only within the grace window
+  const nextId = crypto.randomUUID();
+  let rotated = false;
+  if (!stored.revokedAt) {
+    const claimed = await prisma.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date(), replacedById: nextId },
+    });
+    rotated = claimed.count === 1;
+
+    if (!rotated) {
+      const current = await prisma.refreshToken.findUnique({ where: { id: stored.id } });
+      if (!(await isConcurrentRefresh(current))) {
+        await revokeTokenFamily(stored.familyId);
+        throw authError('Refresh token reuse detected');
+      }
+    }
+  }
+
+  const next = await issueRefreshToken(user.id, {
+    ...(rotated && { id: nextId }),
+    familyId: stored.familyId,
+    req,
+  });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: next.refreshToken,
+  };
+}
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import path from 'path';
+import multer from 'multer';
+import { getStorage } from './storage.js';
+
+export const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE || '10485760', 10);
+export const MAX_FILES_PER_SUBMISSION = parseInt(process.env.MAX_FILES_PER_SUBMISSION || '5', 10);
+
+const DEFAULT_ALLOWED_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.csv', '.txt', '.md',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp',
+  '.zip', '.rar', '.7z',
+  '.html', '.css', '.js', '.jsx', '.ts', '.tsx', '.json', '.py', '.java', '.c', '.cpp', '.sql',
+];
+
+// ALLOWED_UPLOAD_EXTENSIONS is a comma-separated list, e.g. ".pdf,.zip"
+const getAllowedExtensions = () =>
+  process.env.ALLOWED_UPLOAD_EXTENSIONS
+    ? process.env.ALLOWED_UPLOAD_EXTENSIONS.split(',').map((ext) => ext.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_EXTENSIONS;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES_PER_SUBMISSION,
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!getAllowedExtensions().includes(ext)) {
+      const error = new Error(`File type not allowed: ${ext || file.originalname}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+const uploadErrorMessage = (error, maxFiles = MAX_FILES_PER_SUBMISSION) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `File is too large (max ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB)`;
+    case 'LIMIT_FILE_COUNT':
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Too many files (max ${maxFiles})`;
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * Multer middleware for multipart "files" fields; limit and type errors become 400 responses.
+ * JSON requests pass through untouched.
+ */
+export const uploadSubmissionFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_SUBMISSION)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: uploadErrorMessage(error) });
+    }
+    next();
+  });
+};
+
+/**
+ * Multer middleware for a single optional multipart "attachment" field (e.g. excuse documents)
+ */
+export const uploadAttachment = (req, res, next) => {
+  upload.single('attachment')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: uploadErrorMessage(error, 1) });
+    }
+    next();
+  });
+};
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(ext)) {
+      const error = new Error(`File type not allowed: ${ext || file.originalname} (use .csv or .xlsx)`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+/**
+ * Multer middleware for a single multipart "file" field holding a .csv or .xlsx spreadsheet (bulk imports)
+ */
+export const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: uploadErrorMessage(error, 1) });
+    }
+    next();
+  });
+};
+
+/**
+ * Write a multer file to the configured storage under `prefix`.
+ * Returns the fields needed for a FILE SubmissionAsset (url holds the storage key).
+ */
+export async function storeUploadedFile(file, prefix) {
+  // Multer 1.x decodes multipart file names as latin1
+  const name = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  const ext = path.extname(name).toLowerCase();
+  const key = `${prefix}/${crypto.randomUUID()}${ext}`;
+
+  await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+
+  return {
+    type: 'FILE',
+    url: key,
+    name,
+    size: file.size,
+    mimeType: file.mimetype || null,
+  };
+}
+
+/**
+ * Best-effort removal of stored files (e.g. when the database write that references them fails)
+ */
+export async function removeStoredFiles(keys) {
+  await Promise.all(
+    keys.map((key) =>
+      getStorage().remove(key).catch((error) => {
+        console.error('Failed to remove stored file:', key, error.message);
+      })
+    )
+  );
+}
@@ -18,7 +18,8 @@ export const validateRegister = [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['ADMIN', 'INSTRUCTOR', 'STUDENT']).withMessage('Invalid role'),
+  body('role').optional().equals('STUDENT').withMessage('Only student accounts can be registered'),
+  body('inviteCode').optional().isString().withMessage('Invalid invite code'),
   handleValidationErrors,
 ];
 
@@ -28,6 +29,23 @@ export const validateLogin = [
   handleValidationErrors,
 ];
 
+export const validateForgotPassword = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  handleValidationErrors,
+];
+
+export const validateResetPassword = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  handleValidationErrors,
+];
+
+export const validateChangePassword = [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required'),
+  handleValidationErrors,
+];
+
 // Course validation
 export const validateCourse = [
   body('title').trim().notEmpty().withMessage('Title is required'),
@@ -42,6 +60,7 @@ export const validateSession = [
   body('date').isISO8601().withMessage('Valid date is required'),
   body('startTime').trim().notEmpty().withMessage('Start time is required'),
   body('endTime').trim().notEmpty().withMessage('End time is required'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
   handleValidationErrors,
 ];
 
@@ -51,6 +70,10 @@ export const validateAssignment = [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('dueDate').isISO8601().withMessage('Valid due date is required'),
   body('maxScore').optional().isInt({ min: 0 }).withMessage('Max score must be a positive integer'),
+  body('latePolicy').optional().isIn(['ACCEPT', 'PENALTY', 'HARD_CLOSE']).withMessage('Late policy must be ACCEPT, PENALTY or HARD_CLOSE'),
+  body('latePenaltyPerDay').optional().isFloat({ min: 0, max: 100 }).withMessage('Late penalty per day must be between 0 and 100'),
+  body('latePenaltyMax').optional().isFloat({ min: 0, max: 100 }).withMessage('Late penalty cap must be between 0 and 100'),
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
   handleValidationErrors,
 ];
 
@@ -66,21 +89,257 @@ export const attendanceBulkSchema = z.object({
   ),
 });
 
+// Open a self check-in window for a session (defaults in utils/checkIn.js)
+export const checkInOpenSchema = z.object({
+  lateAfterMinutes: z.number().int().min(0).max(240).optional(),
+  durationMinutes: z.number().int().min(1).max(480).optional(),
+});
+
+// Student check-in; without sessionId the code is matched against the student's open sessions
+export const checkInSchema = z.object({
+  code: z.string().trim().regex(/^\d{6}$/, 'Check-in code must be 6 digits'),
+  sessionId: z.string().min(1).optional(),
+});
+
+// Excuse request for an absence; the optional attachment arrives as multipart "attachment"
+export const excuseRequestSchema = z.object({
+  sessionId: z.string().min(1),
+  reason: z.string().trim().min(3).max(2000),
+});
+
+export const excuseReviewSchema = z.object({
+  status: z.enum(['APPROVED', 'REJECTED']),
+  reviewNote: z.string().trim().max(1000).optional(),
+});
+
+// Audit log filters (GET /admin/audit-logs); userId matches both the actor and the affected student
+export const auditLogQuerySchema = z.object({
+  userId: z.string().min(1).optional(),
+  courseId: z.string().min(1).optional(),
+  entityType: z.enum(['ATTENDANCE', 'REVIEW', 'SUBMISSION', 'EXAM', 'ENROLLMENT']).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
+// Metric history (GET /courses/:id/metrics/history); staff pass the student
+export const metricHistoryQuerySchema = z.object({
+  studentId: z.string().min(1).optional(),
+  weeks: z.coerce.number().int().min(1).max(52).default(12),
+});
+
+// Intervention log of at-risk students (POST/PATCH /courses/:id/interventions)
+const interventionOutcome = z.enum(['PENDING', 'NO_RESPONSE', 'REACHED', 'IMPROVED', 'NOT_IMPROVED']);
+
+export const interventionSchema = z.object({
+  studentId: z.string().min(1),
+  kind: z.enum(['MESSAGE', 'EMAIL', 'CALL', 'MEETING', 'OTHER']),
+  note: z.string().trim().min(1).max(2000),
+  outcome: interventionOutcome.default('PENDING'),
+  outcomeNote: z.string().trim().max(2000).nullable().optional(),
+});
+
+export const interventionUpdateSchema = z.object({
+  outcome: interventionOutcome,
+  outcomeNote: z.string().trim().max(2000).nullable().optional(),
+});
+
+export const interventionQuerySchema = z.object({
+  studentId: z.string().min(1),
+});
+
+// Course enrollment code / invite link (POST /courses/:id/invites)
+export const courseInviteSchema = z.object({
+  kind: z.enum(['CODE', 'LINK']),
+  maxUses: z.number().int().min(1).max(10000).nullable().optional(),
+  expiresAt: z.coerce.date()
+    .refine((date) => date > new Date(), 'Expiry must be in the future')
+    .nullable()
+    .optional(),
+  requiresApproval: z.boolean().default(false),
+});
+
+export const joinRequestReviewSchema = z.object({
+  status: z.enum(['APPROVED', 'REJECTED']),
+});
+
+// Bulk student import (POST /users/import); multipart fields arrive as strings
+export const studentImportOptionsSchema = z.object({
+  dryRun: z.enum(['true', 'false']).default('true').transform((value) => value === 'true'),
+  passwordMode: z.enum(['temporary', 'invite']).default('temporary'),
+  courseId: z.string().min(1).optional(),
+});
+
+const optionalCell = z.string().trim().max(200).optional();
+
+// One spreadsheet row; empty cells are left out before parsing
+export const studentImportRowSchema = z.object({
+  name: z.string({ required_error: 'Name is required' }).trim().min(1, 'Name is required').max(200),
+  email: z.string({ required_error: 'Email is required' }).trim().toLowerCase().email('Invalid email'),
+  phone: z.string().trim().max(30).optional(),
+  fullName4: z.string().trim()
+    .refine((value) => value.split(/\s+/).length >= 4, 'Full name must contain at least 4 words')
+    .optional(),
+  country: optionalCell,
+  city: optionalCell,
+  nationality: optionalCell,
+  isStudent: z.string().trim().toLowerCase()
+    .refine((value) => ['yes', 'no', 'true', 'false', '1', '0', 'نعم', 'لا'].includes(value), 'isStudent must be yes or no')
+    .transform((value) => ['yes', 'true', '1', 'نعم'].includes(value))
+    .optional(),
+  university: optionalCell,
+  major: optionalCell,
+  educationLevel: optionalCell,
+  graduationYear: z.coerce.number({ invalid_type_error: 'Graduation year must be a year' })
+    .int('Graduation year must be a year').min(1950).max(2100)
+    .optional(),
+}).superRefine((row, ctx) => {
+  // Same rule as the profile form
+  if (row.isStudent && !row.university) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['university'], message: 'University is required for students' });
+  }
+  if (row.isStudent && !row.major) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['major'], message: 'Major is required for students' });
+  }
+});
+
+export const emailPreferencesSchema = z.object({
+  emailLanguage: z.enum(['ar', 'en']).optional(),
+  emailReminders: z.boolean().optional(),
+  emailDigest: z.boolean().optional(),
+});
+
+export const notificationListSchema = z.object({
+  unread: z.enum(['true', 'false']).optional(),
+  before: z.coerce.date().optional(),
+  limit: z.coerce.number().int().min(1).max(50).optional(),
+});
+
+// Without ids every unread notification is marked as read
+export const notificationReadSchema = z.object({
+  ids: z.array(z.string().min(1)).min(1).max(200).optional(),
+});
+
+const ratio = z.number().min(0).max(1);
+
+export const gradingPolicySchema = z.object({
+  weights: z.object({
+    attendance: ratio,
+    assignments: ratio,
+    exams: ratio,
+  }).refine(
+    (w) => w.attendance + w.assignments + w.exams > 0,
+    { message: 'At least one weight must be greater than zero' }
+  ),
+  attendanceCredit: z.object({
+    late: ratio,
+    excused: ratio,
+  }),
+  thresholds: z.object({
+    highAbsence: ratio,
+    lowExams: ratio,
+    lowMastery: ratio.optional(),
+    decliningTrend: ratio.optional(),
+  }),
+});
+
+const skillTag = z.string().trim().min(1).max(50);
+
+// Skill catalogue of a course: advice (per language) and resource links per skill tag (see utils/skills.js)
+export const skillCatalogSchema = z.array(
+  z.object({
+    tag: skillTag,
+    advice: z.object({
+      ar: z.string().trim().max(1000).optional(),
+      en: z.string().trim().max(1000).optional(),
+    }).refine((advice) => advice.ar || advice.en, 'Advice is required in at least one language'),
+    resources: z.array(
+      z.object({
+        title: z.string().trim().min(1).max(200),
+        url: z.string().url().refine((url) => /^https?:\/\//i.test(url), 'Only http(s) links are allowed'),
+      })
+    ).max(10).default([]),
+  })
+).max(200)
+  .refine((entries) => new Set(entries.map((e) => e.tag.toLowerCase())).size === entries.length, 'Skill tags must be unique');
+
+const dateKey = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a YYYY-MM-DD date');
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected a HH:MM time');
+
+// Recurring session rule; weekdays are 0 (Sunday) .. 6 (Saturday), dates default to the course dates
+export const sessionScheduleSchema = z.object({
+  weekdays: z.array(z.number().int().min(0).max(6)).min(1)
+    .transform((days) => [...new Set(days)].sort((a, b) => a - b)),
+  startTime: timeOfDay,
+  endTime: timeOfDay,
+  startDate: dateKey.optional(),
+  endDate: dateKey.optional(),
+  skipDates: z.array(dateKey).default([]),
+  topic: z.string().trim().max(200).optional(),
+}).refine((rule) => rule.startTime < rule.endTime, {
+  message: 'End time must be after start time',
+  path: ['endTime'],
+}).refine((rule) => !rule.startDate || !rule.endDate || rule.startDate <= rule.endDate, {
+  message: 'End date must be on or after start date',
+  path: ['endDate'],
+});
+
+// Files arrive as multipart "files"; only links are described in the body
 export const submissionSchema = z.object({
-  assignmentId: z.string(),
-  note: z.string().optional(),
-  assets: z.array(
+  assignmentId: z.string().min(1),
+  note: z.string().trim().optional(),
+  links: z.array(
+    z.object({
+      url: z.string().url().refine((url) => /^https?:\/\//i.test(url), 'Only http(s) links are allowed'),
+      name: z.string().trim().max(200).optional(),
+    })
+  ).max(10).optional(),
+});
+
+export const extensionSchema = z.object({
+  dueDate: z.string().datetime(),
+  reason: z.string().trim().max(500).optional(),
+});
+
+// Rubric: each criterion is scored by picking one of its levels (see utils/rubric.js)
+export const rubricSchema = z.object({
+  criteria: z.array(
     z.object({
-      type: z.enum(['FILE', 'LINK']),
-      url: z.string(),
-      name: z.string(),
+      id: z.string().trim().min(1).max(50),
+      title: z.string().trim().min(1).max(200),
+      description: z.string().trim().max(1000).optional(),
+      weight: z.number().positive().max(100).default(1),
+      // Skills this criterion assesses; defaults to the assignment's tags
+      tags: z.array(skillTag).max(20).optional(),
+      levels: z.array(
+        z.object({
+          id: z.string().trim().min(1).max(50),
+          label: z.string().trim().min(1).max(100),
+          points: z.number().min(0),
+          description: z.string().trim().max(500).optional(),
+        })
+      ).min(2).max(10)
+        .refine((levels) => new Set(levels.map((l) => l.id)).size === levels.length, 'Level ids must be unique')
+        .refine((levels) => levels.some((l) => l.points > 0), 'At least one level must be worth points'),
     })
-  ).optional(),
+  ).min(1).max(30)
+    .refine((criteria) => new Set(criteria.map((c) => c.id)).size === criteria.length, 'Criterion ids must be unique'),
+});
+
+// Selected level and optional feedback per criterion id
+export const rubricResultSchema = z.object({
+  criteria: z.record(
+    z.object({
+      levelId: z.string().min(1),
+      feedback: z.string().trim().max(2000).optional(),
+    })
+  ),
 });
 
 export const reviewSchema = z.object({
-  score: z.number().int().min(0).max(100).optional(),
-  rubricResult: z.record(z.any()).optional(),
+  score: z.number().int().min(0).max(100).nullable().optional(),
+  rubricResult: rubricResultSchema.optional(),
   feedback: z.string().optional(),
 });
 
@@ -139,6 +398,20 @@ export const validateQuestion = [
   handleValidationErrors,
 ];
 
+// Quiz answers are matched against instructor regex patterns, so keep them short
+export const MAX_ANSWER_LENGTH = 1000;
+
+export const validateQuizAnswer = [
+  body('answer').custom((value) => {
+    const text = Array.isArray(value) ? value.join(',') : String(value ?? '');
+    if (text.length > MAX_ANSWER_LENGTH) {
+      throw new Error(`Answer must be at most ${MAX_ANSWER_LENGTH} characters`);
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
 export const quizSchema = z.object({
   courseId: z.string(),
   sessionId: z.string(),
@@ -165,3 +438,40 @@ export const answerSchema = z.object({
   questionId: z.string(),
   answer: z.union([z.string(), z.array(z.string())]),
 });
+
+// Question bank
+export const bankQuestionSchema = z.object({
+  type: z.enum(['MCQ', 'TRUE_FALSE', 'SHORT_TEXT']),
+  prompt: z.string().trim().min(1),
+  choices: z.array(z.string().trim().min(1)).nullable().optional(),
+  correctAnswer: z.any(),
+  points: z.number().int().positive().default(1),
+  explanation: z.string().trim().nullable().optional(),
+  tags: z.array(z.string().trim().min(1)).default([]),
+  topic: z.string().trim().nullable().optional(),
+  difficulty: z.enum(['EASY', 'MEDIUM', 'HARD']).default('MEDIUM'),
+}).superRefine((data, ctx) => {
+  if (data.type === 'MCQ') {
+    if (!data.choices || data.choices.length < 2) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['choices'], message: 'MCQ questions must have at least 2 choices' });
+      return;
+    }
+    const index = Number(data.correctAnswer);
+    if (!Number.isInteger(index) || index < 0 || index >= data.choices.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['correctAnswer'], message: 'Correct answer must be a valid choice index' });
+    }
+  } else if (data.type === 'TRUE_FALSE') {
+    if (![true, false, 'true', 'false'].includes(data.correctAnswer)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['correctAnswer'], message: 'TRUE_FALSE correct answer must be a boolean' });
+    }
+  }
+});
+
+export const bankDrawRulesSchema = z.array(
+  z.object({
+    tag: z.string().trim().min(1).nullable().optional(),
+    topic: z.string().trim().min(1).nullable().optional(),
+    difficulty: z.enum(['EASY', 'MEDIUM', 'HARD']).nullable().optional(),
+    count: z.number().int().min(1).max(100),
+  })
+).max(20);
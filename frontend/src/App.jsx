@@ -8,12 +8,16 @@ import { ToastProvider } from './context/ToastContext';
 import Landing from './pages/Landing';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Courses from './pages/Courses';
 import CourseDetail from './pages/CourseDetail';
 import EditCourse from './pages/EditCourse';
 import Students from './pages/Students';
 import CreateStudent from './pages/CreateStudent';
+import ImportStudents from './pages/ImportStudents';
+import JoinCourse from './pages/JoinCourse';
 import EditStudent from './pages/EditStudent';
 import Sessions from './pages/Sessions';
 import AllSessions from './pages/AllSessions';
@@ -21,6 +25,7 @@ import CreateSession from './pages/CreateSession';
 import EditSession from './pages/EditSession';
 import AttendanceSheet from './pages/AttendanceSheet';
 import Attendance from './pages/Attendance';
+import CheckIn from './pages/CheckIn';
 import Assignments from './pages/Assignments';
 import AssignmentDetail from './pages/AssignmentDetail';
 import CreateAssignment from './pages/CreateAssignment';
@@ -31,6 +36,9 @@ import Profile from './pages/Profile';
 import TakeQuiz from './pages/TakeQuiz';
 import QuizResult from './pages/QuizResult';
 import QuizResults from './pages/QuizResults';
+import GradingQueue from './pages/GradingQueue';
+import ExcuseRequests from './pages/ExcuseRequests';
+import QuestionBank from './pages/QuestionBank';
 import AllQuizResults from './pages/AllQuizResults';
 import QuizAnalytics from './pages/QuizAnalytics';
 import TakeExam from './pages/TakeExam';
@@ -59,6 +67,9 @@ function AppRoutes() {
         <Route path="/landing" element={<Landing />} />
         <Route path="/login" element={user ? <Navigate to="/dashboard" replace /> : <Login />} />
         <Route path="/register" element={user ? <Navigate to="/dashboard" replace /> : <Register />} />
+        <Route path="/forgot-password" element={user ? <Navigate to="/dashboard" replace /> : <ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/join/:code" element={<JoinCourse />} />
         
         {/* Protected routes - Dashboard */}
         <Route
@@ -127,6 +138,17 @@ function AppRoutes() {
           }
         />
         
+        <Route
+          path="/students/import"
+          element={
+            <ProtectedRoute requireRole={['ADMIN', 'INSTRUCTOR']}>
+              <Layout>
+                <ImportStudents />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        
         <Route
           path="/students/edit/:id"
           element={
@@ -193,6 +215,17 @@ function AppRoutes() {
           }
         />
         
+        <Route
+          path="/check-in"
+          element={
+            <ProtectedRoute requireRole={['STUDENT']}>
+              <Layout>
+                <CheckIn />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        
         <Route
           path="/attendance/:sessionId"
           element={
@@ -336,6 +369,39 @@ function AppRoutes() {
           }
         />
         
+        <Route
+          path="/grading-queue"
+          element={
+            <ProtectedRoute requireRole={['ADMIN', 'INSTRUCTOR']}>
+              <Layout>
+                <GradingQueue />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/excuse-requests"
+          element={
+            <ProtectedRoute requireRole={['ADMIN', 'INSTRUCTOR']}>
+              <Layout>
+                <ExcuseRequests />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        
+        <Route
+          path="/question-bank"
+          element={
+            <ProtectedRoute requireRole={['ADMIN', 'INSTRUCTOR']}>
+              <Layout>
+                <QuestionBank />
+              </Layout>
+            </ProtectedRoute>
+          }
+        />
+        
         <Route
           path="/quiz-results/all"
           element={
@@ -0,0 +1,200 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { CalendarClock, Trash2, Plus } from 'lucide-react';
+import { useState } from 'react';
+
+/**
+ * Per-student due-date extensions of an assignment (instructors/admins)
+ */
+export default function AssignmentExtensions({ assignmentId, courseId }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [studentId, setStudentId] = useState('');
+  const [dueDate, setDueDate] = useState('');
+  const [reason, setReason] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['assignment-extensions', assignmentId],
+    queryFn: () => api.getAssignmentExtensions(assignmentId),
+    enabled: !!assignmentId,
+  });
+
+  const { data: studentsData } = useQuery({
+    queryKey: ['course-students', courseId],
+    queryFn: () => api.getCourseStudents(courseId),
+    enabled: !!courseId && showAddForm,
+  });
+
+  const extensions = data?.extensions || [];
+  const students = studentsData?.students || [];
+
+  const resetForm = () => {
+    setStudentId('');
+    setDueDate('');
+    setReason('');
+  };
+
+  const invalidate = () => {
+    queryClient.invalidateQueries(['assignment-extensions', assignmentId]);
+    queryClient.invalidateQueries(['submissions', assignmentId]);
+  };
+
+  const { mutate: saveExtension, isPending: isSaving } = useMutation({
+    mutationFn: () => api.saveAssignmentExtension(assignmentId, studentId, {
+      dueDate: new Date(dueDate).toISOString(),
+      reason: reason || undefined,
+    }),
+    onSuccess: () => {
+      invalidate();
+      addToast(t('extensionSaved'), 'success');
+      setShowAddForm(false);
+      resetForm();
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const { mutate: removeExtension } = useMutation({
+    mutationFn: (id) => api.deleteAssignmentExtension(assignmentId, id),
+    onSuccess: () => {
+      invalidate();
+      addToast(t('extensionRemoved'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!studentId || !dueDate) {
+      addToast(t('fillRequiredFields'), 'error');
+      return;
+    }
+    saveExtension();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <CalendarClock size={24} />
+          {t('extensions')} ({extensions.length})
+        </h2>
+        <motion.button
+          whileTap={{ scale: 0.95 }}
+          onClick={() => setShowAddForm(!showAddForm)}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
+        >
+          <Plus size={16} />
+          {t('grantExtension')}
+        </motion.button>
+      </div>
+
+      {showAddForm && (
+        <form onSubmit={handleSubmit} className="mb-4 p-4 bg-gray-50 rounded-xl border border-gray-200 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('student')} *</label>
+              <select
+                value={studentId}
+                onChange={(e) => setStudentId(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 bg-white"
+                required
+              >
+                <option value="">{t('selectStudent')}</option>
+                {students.map((student) => (
+                  <option key={student.id} value={student.id}>
+                    {student.name} ({student.email})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('newDueDate')} *</label>
+              <input
+                type="datetime-local"
+                value={dueDate}
+                onChange={(e) => setDueDate(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('reason')}</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <div className="flex gap-2">
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              type="submit"
+              disabled={isSaving}
+              className="flex-1 bg-primary-600 text-white py-2 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50"
+            >
+              {t('save')}
+            </motion.button>
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              type="button"
+              onClick={() => {
+                setShowAddForm(false);
+                resetForm();
+              }}
+              className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg font-semibold hover:bg-gray-300 transition"
+            >
+              {t('cancel')}
+            </motion.button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="h-16 bg-gray-200 rounded-lg animate-pulse" />
+      ) : extensions.length === 0 ? (
+        <p className="text-center py-4 text-sm text-gray-500">{t('noExtensions')}</p>
+      ) : (
+        <div className="space-y-2">
+          {extensions.map((extension) => (
+            <div
+              key={extension.id}
+              className="flex items-center justify-between p-3 bg-gray-50 rounded-lg"
+            >
+              <div className="text-sm">
+                <p className="font-semibold text-gray-900">{extension.student.name}</p>
+                <p className="text-gray-600">
+                  {t('newDueDate')}: {new Date(extension.dueDate).toLocaleString()}
+                  {extension.reason && ` - ${extension.reason}`}
+                </p>
+              </div>
+              <motion.button
+                whileTap={{ scale: 0.9 }}
+                onClick={() => removeExtension(extension.studentId)}
+                className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+                title={t('delete')}
+              >
+                <Trash2 size={18} />
+              </motion.button>
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
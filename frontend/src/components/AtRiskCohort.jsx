@@ -0,0 +1,290 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { ShieldAlert, ChevronDown, ChevronUp, Plus } from 'lucide-react';
+
+const LEVEL_STYLES = {
+  HIGH: { badge: 'bg-red-100 text-red-700', bar: 'bg-red-500', label: 'riskLevelHigh' },
+  MEDIUM: { badge: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-500', label: 'riskLevelMedium' },
+  LOW: { badge: 'bg-green-100 text-green-700', bar: 'bg-green-500', label: 'riskLevelLow' },
+};
+
+const FACTOR_LABELS = {
+  CONSECUTIVE_ABSENCES: 'riskFactorConsecutiveAbsences',
+  MISSED_FIRST_ASSIGNMENTS: 'riskFactorMissedFirstAssignments',
+  LOW_PRE_SCORE: 'riskFactorLowPreScore',
+  DECLINING_TREND: 'riskFactorDecliningTrend',
+  NO_ACTIVITY: 'riskFactorNoActivity',
+};
+
+const INTERVENTION_KINDS = ['MESSAGE', 'EMAIL', 'CALL', 'MEETING', 'OTHER'];
+const INTERVENTION_OUTCOMES = ['PENDING', 'NO_RESPONSE', 'REACHED', 'IMPROVED', 'NOT_IMPROVED'];
+
+const OUTCOME_STYLES = {
+  PENDING: 'bg-gray-100 text-gray-700',
+  NO_RESPONSE: 'bg-yellow-100 text-yellow-800',
+  REACHED: 'bg-blue-100 text-blue-700',
+  IMPROVED: 'bg-green-100 text-green-700',
+  NOT_IMPROVED: 'bg-red-100 text-red-700',
+};
+
+const enumKey = (prefix, value) => `${prefix}${value
+  .toLowerCase()
+  .split('_')
+  .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('')}`;
+
+const EMPTY_FORM = { kind: 'MESSAGE', note: '', outcome: 'PENDING' };
+
+/**
+ * Per-factor breakdown of a student's risk score and their intervention log
+ */
+function StudentRiskDetails({ courseId, entry }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const studentId = entry.student.id;
+
+  const { data } = useQuery({
+    queryKey: ['interventions', courseId, studentId],
+    queryFn: () => api.getInterventions(courseId, studentId),
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['interventions', courseId, studentId] });
+    queryClient.invalidateQueries({ queryKey: ['course-at-risk', courseId] });
+  };
+
+  const onError = (error) => addToast(error.message || t('error'), 'error');
+
+  const { mutate: logIntervention, isPending: isLogging } = useMutation({
+    mutationFn: (payload) => api.createIntervention(courseId, payload),
+    onSuccess: () => {
+      invalidate();
+      setForm(EMPTY_FORM);
+      addToast(t('interventionLogged'), 'success');
+    },
+    onError,
+  });
+
+  const { mutate: updateOutcome } = useMutation({
+    mutationFn: ({ interventionId, outcome }) => api.updateIntervention(courseId, interventionId, { outcome }),
+    onSuccess: invalidate,
+    onError,
+  });
+
+  const interventions = data?.interventions || [];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    logIntervention({ studentId, ...form });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 p-4 bg-gray-50 border-t border-gray-200">
+      <div>
+        <h4 className="text-sm font-bold text-gray-900 mb-2">{t('riskBreakdown')}</h4>
+        {entry.riskFactors.length === 0 ? (
+          <p className="text-xs text-gray-500">{t('riskNotComputed')}</p>
+        ) : (
+          <div className="space-y-2">
+            {entry.riskFactors.map((factor) => (
+              <div key={factor.code}>
+                <div className="flex items-center justify-between text-xs mb-0.5">
+                  <span className="font-semibold text-gray-800">{t(FACTOR_LABELS[factor.code] || factor.code)}</span>
+                  <span className="text-gray-600">{t('riskPoints', { points: factor.points, max: factor.maxPoints })}</span>
+                </div>
+                <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full rounded-full ${factor.points > 0 ? 'bg-red-500' : 'bg-green-500'}`}
+                    style={{ width: `${Math.max((factor.points / factor.maxPoints) * 100, 2)}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-0.5">{t(factor.key, factor.params)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h4 className="text-sm font-bold text-gray-900 mb-2">{t('interventions')}</h4>
+        <form onSubmit={handleSubmit} className="space-y-2 mb-3">
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={form.kind}
+              onChange={(e) => setForm({ ...form, kind: e.target.value })}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+              aria-label={t('interventionKind')}
+            >
+              {INTERVENTION_KINDS.map((kind) => (
+                <option key={kind} value={kind}>{t(enumKey('interventionKind', kind))}</option>
+              ))}
+            </select>
+            <select
+              value={form.outcome}
+              onChange={(e) => setForm({ ...form, outcome: e.target.value })}
+              className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+              aria-label={t('interventionOutcome')}
+            >
+              {INTERVENTION_OUTCOMES.map((outcome) => (
+                <option key={outcome} value={outcome}>{t(enumKey('outcome', outcome))}</option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            placeholder={t('interventionNotePlaceholder')}
+            rows={2}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            type="submit"
+            disabled={isLogging || !form.note.trim()}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Plus size={16} />
+            {t('logIntervention')}
+          </button>
+        </form>
+
+        {interventions.length === 0 ? (
+          <p className="text-xs text-gray-500">{t('noInterventions')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {interventions.map((intervention) => (
+              <li key={intervention.id} className="p-2 bg-white rounded-lg border border-gray-200 text-xs">
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <span className="font-semibold text-gray-900">
+                    {t(enumKey('interventionKind', intervention.kind))}
+                    <span className="font-normal text-gray-500">
+                      {' · '}{new Date(intervention.createdAt).toLocaleDateString()}
+                      {intervention.creator && ` · ${intervention.creator.name}`}
+                      {intervention.riskScore != null && ` · ${t('riskAtTime', { score: Math.round(intervention.riskScore) })}`}
+                    </span>
+                  </span>
+                  <select
+                    value={intervention.outcome}
+                    onChange={(e) => updateOutcome({ interventionId: intervention.id, outcome: e.target.value })}
+                    className={`px-1.5 py-0.5 rounded-full text-xs border-0 ${OUTCOME_STYLES[intervention.outcome]}`}
+                    aria-label={t('interventionOutcome')}
+                  >
+                    {INTERVENTION_OUTCOMES.map((outcome) => (
+                      <option key={outcome} value={outcome}>{t(enumKey('outcome', outcome))}</option>
+                    ))}
+                  </select>
+                </div>
+                <p className="text-gray-700 whitespace-pre-line">{intervention.note}</p>
+                {intervention.outcomeNote && <p className="text-gray-500 mt-1">{intervention.outcomeNote}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Early-warning view of a course (instructors/admins): active students sorted by risk score, with
+ * the factors behind each score and a log of the outreach to them
+ */
+export default function AtRiskCohort({ courseId }) {
+  const { t } = useTranslation();
+  const [flaggedOnly, setFlaggedOnly] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  const { data, isError } = useQuery({
+    queryKey: ['course-at-risk', courseId],
+    queryFn: () => api.getCourseRiskCohort(courseId),
+    enabled: !!courseId,
+    retry: false,
+  });
+
+  // Instructors who don't teach this course get a 403; there's nothing to show them
+  if (isError || !data) {
+    return null;
+  }
+
+  const students = data.students.filter((entry) => !flaggedOnly || (entry.riskLevel && entry.riskLevel !== 'LOW'));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+    >
+      <div className="flex items-center justify-between mb-1">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <ShieldAlert size={24} className="text-primary-600" />
+          {t('atRiskStudents')}
+        </h2>
+        <label className="flex items-center gap-1.5 text-sm text-gray-600">
+          <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+          {t('flaggedOnly')}
+        </label>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('atRiskHint', { high: data.levels.HIGH, medium: data.levels.MEDIUM })}
+      </p>
+
+      {students.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('noAtRiskStudents')}</p>
+      ) : (
+        <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+          {students.map((entry) => {
+            const style = LEVEL_STYLES[entry.riskLevel];
+            const isOpen = expanded === entry.student.id;
+            const topFactors = entry.riskFactors
+              .filter((factor) => factor.points > 0)
+              .sort((a, b) => b.points - a.points)
+              .slice(0, 2);
+
+            return (
+              <div key={entry.student.id}>
+                <button
+                  type="button"
+                  onClick={() => setExpanded(isOpen ? null : entry.student.id)}
+                  className="w-full flex items-center gap-3 p-3 text-start hover:bg-gray-50"
+                >
+                  <span className={`w-14 text-center px-2 py-1 rounded-full text-sm font-bold ${style?.badge || 'bg-gray-100 text-gray-500'}`}>
+                    {entry.riskScore != null ? Math.round(entry.riskScore) : '—'}
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-sm font-semibold text-gray-900 truncate">
+                      {entry.student.name}
+                      {style && <span className="ms-2 text-xs font-normal text-gray-500">{t(style.label)}</span>}
+                    </span>
+                    <span className="flex flex-wrap gap-1 mt-0.5">
+                      {topFactors.map((factor) => (
+                        <span key={factor.code} className="px-1.5 py-0.5 rounded bg-red-50 text-red-700 text-[11px]">
+                          {t(FACTOR_LABELS[factor.code] || factor.code)}
+                        </span>
+                      ))}
+                    </span>
+                  </span>
+                  <span className="text-xs text-gray-500 text-end">
+                    {t('interventionCount', { count: entry.interventionCount })}
+                    {entry.lastIntervention && (
+                      <span className={`block mt-0.5 px-1.5 py-0.5 rounded-full ${OUTCOME_STYLES[entry.lastIntervention.outcome]}`}>
+                        {t(enumKey('outcome', entry.lastIntervention.outcome))}
+                      </span>
+                    )}
+                  </span>
+                  {isOpen ? <ChevronUp size={16} className="text-gray-400" /> : <ChevronDown size={16} className="text-gray-400" />}
+                </button>
+                {isOpen && <StudentRiskDetails courseId={courseId} entry={entry} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { History, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const ENTITY_TYPES = ['ATTENDANCE', 'REVIEW', 'SUBMISSION', 'EXAM', 'ENROLLMENT'];
+
+const ENTITY_STYLES = {
+  ATTENDANCE: 'bg-blue-100 text-blue-700',
+  REVIEW: 'bg-green-100 text-green-700',
+  SUBMISSION: 'bg-yellow-100 text-yellow-800',
+  EXAM: 'bg-indigo-100 text-indigo-700',
+  ENROLLMENT: 'bg-purple-100 text-purple-700',
+};
+
+const FIELD_LABELS = {
+  status: 'status',
+  note: 'note',
+  statusNote: 'note',
+  score: 'score',
+  feedback: 'feedback',
+  rubricResult: 'rubric',
+  late: 'late',
+  latePenalty: 'latePenalty',
+};
+
+// Enum values such as NEEDS_CHANGES map to the existing status keys (needsChanges)
+const enumKey = (value) => value.toLowerCase().replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Admin history of who changed a student's attendance, grades, submission status and enrollments
+ */
+export default function AuditHistoryPanel({ studentId, courses = [] }) {
+  const { t } = useTranslation();
+  const [filters, setFilters] = useState({ entityType: '', courseId: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['audit-logs', studentId, filters, page],
+    queryFn: () => api.getAuditLogs({ userId: studentId, ...filters, page, limit: 20 }),
+    placeholderData: (previous) => previous,
+  });
+
+  const entries = data?.data || [];
+  const totalPages = data?.pagination?.totalPages || 1;
+
+  const updateFilter = (key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+    setPage(1);
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    if (field === 'status') {
+      return t(enumKey(value), { defaultValue: value });
+    }
+    if (field === 'rubricResult') {
+      return t('rubricLevelsSelected');
+    }
+    if (field === 'late') {
+      return t(value ? 'yes' : 'no');
+    }
+    if (field === 'latePenalty') {
+      return `${value}%`;
+    }
+    return String(value);
+  };
+
+  const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="card p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <History size={18} />
+          {t('changeHistory')}
+        </h2>
+        <div className="flex flex-wrap gap-2">
+          <select value={filters.entityType} onChange={(e) => updateFilter('entityType', e.target.value)} className={inputClass}>
+            <option value="">{t('allChanges')}</option>
+            {ENTITY_TYPES.map((type) => (
+              <option key={type} value={type}>{t(`audit${type.charAt(0)}${type.slice(1).toLowerCase()}`)}</option>
+            ))}
+          </select>
+          <select value={filters.courseId} onChange={(e) => updateFilter('courseId', e.target.value)} className={inputClass}>
+            <option value="">{t('allCourses')}</option>
+            {courses.map((course) => (
+              <option key={course.id} value={course.id}>{course.title}</option>
+            ))}
+          </select>
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className={inputClass} aria-label={t('startDate')} />
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className={inputClass} aria-label={t('endDate')} />
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">{t('loading')}</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('noChangeHistory')}</p>
+      ) : (
+        <div className="space-y-2">
+          {entries.map((entry) => {
+            const fields = Object.keys(entry.after || entry.before || {});
+            return (
+              <div key={entry.id} className="p-2 border border-gray-200 rounded text-sm">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className={`text-[10px] font-semibold px-2 py-0.5 rounded ${ENTITY_STYLES[entry.entityType]}`}>
+                    {t(`audit${entry.entityType.charAt(0)}${entry.entityType.slice(1).toLowerCase()}`)}
+                  </span>
+                  <span className="font-medium text-gray-900">{entry.label || entry.course?.title}</span>
+                  {entry.label && entry.course && (
+                    <span className="text-xs text-gray-500">{entry.course.title}</span>
+                  )}
+                </div>
+                <ul className="mt-1 space-y-0.5">
+                  {fields.map((field) => (
+                    <li key={field} className="text-xs text-gray-700">
+                      <span className="text-gray-500">{t(FIELD_LABELS[field] || field)}: </span>
+                      {entry.before && (
+                        <>
+                          <span className="line-through text-gray-400">{formatValue(field, entry.before[field])}</span>
+                          <span className="mx-1">→</span>
+                        </>
+                      )}
+                      <span className="font-medium">{entry.after ? formatValue(field, entry.after[field]) : '—'}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="text-xs text-gray-500 mt-1">
+                  {t('changedBy', { name: entry.actor?.name || '—' })} • {new Date(entry.createdAt).toLocaleString()}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-3 text-xs text-gray-600">
+          <button
+            onClick={() => setPage((p) => p - 1)}
+            disabled={page <= 1}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            aria-label={t('previous')}
+          >
+            <ChevronLeft size={16} className="rtl:rotate-180" />
+          </button>
+          <span>{page} / {totalPages}</span>
+          <button
+            onClick={() => setPage((p) => p + 1)}
+            disabled={page >= totalPages}
+            className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+            aria-label={t('next')}
+          >
+            <ChevronRight size={16} className="rtl:rotate-180" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
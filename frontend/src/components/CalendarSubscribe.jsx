@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { CalendarPlus, Copy, ExternalLink, RefreshCw, X } from 'lucide-react';
+
+/**
+ * "Subscribe" button for the personal calendar feed, or a course's feed when `courseId` is given.
+ * Opens a panel with the feed URL to copy into a calendar app.
+ */
+export default function CalendarSubscribe({ courseId, buttonClassName }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const [url, setUrl] = useState(null);
+
+  const { mutate: loadUrl, isPending } = useMutation({
+    mutationFn: () => api.getCalendarFeedUrl(courseId),
+    onSuccess: (response) => setUrl(response.url),
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const { mutate: resetUrl, isPending: isResetting } = useMutation({
+    mutationFn: () => api.resetCalendarFeedUrl(),
+    onSuccess: (response) => {
+      setUrl(response.url);
+      addToast(t('calendarLinkReset'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      addToast(t('calendarLinkCopied'), 'success');
+    } catch {
+      addToast(t('error'), 'error');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t('confirmResetCalendarLink'))) {
+      resetUrl();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <motion.button
+        whileTap={{ scale: 0.95 }}
+        type="button"
+        onClick={() => (url ? setUrl(null) : loadUrl())}
+        disabled={isPending}
+        className={buttonClassName || 'flex items-center gap-1.5 bg-white text-primary-700 border border-primary-200 px-3 py-1.5 rounded-lg hover:bg-primary-50 transition text-sm font-semibold disabled:opacity-50'}
+      >
+        <CalendarPlus size={16} />
+        {t('subscribeCalendar')}
+      </motion.button>
+
+      <AnimatePresence>
+        {url && (
+          <motion.div
+            initial={{ opacity: 0, y: -5 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -5 }}
+            className="absolute end-0 mt-2 w-80 max-w-[90vw] bg-white rounded-lg shadow-lg border border-gray-200 p-3 z-30 text-start"
+          >
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-semibold text-gray-900">
+                {t(courseId ? 'courseCalendarFeed' : 'myCalendarFeed')}
+              </h4>
+              <button type="button" onClick={() => setUrl(null)} className="text-gray-400 hover:text-gray-600">
+                <X size={16} />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">{t('calendarFeedHint')}</p>
+            <input
+              type="text"
+              readOnly
+              value={url}
+              onFocus={(e) => e.target.select()}
+              dir="ltr"
+              className="w-full px-2 py-1.5 border border-gray-300 rounded text-xs text-gray-700 bg-gray-50 mb-2"
+            />
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={copyUrl}
+                className="flex items-center gap-1 px-2 py-1 bg-primary-600 text-white rounded text-xs font-semibold hover:bg-primary-700 transition"
+              >
+                <Copy size={12} />
+                {t('copyLink')}
+              </button>
+              <a
+                href={url.replace(/^https?:/, 'webcal:')}
+                className="flex items-center gap-1 px-2 py-1 bg-primary-50 text-primary-700 rounded text-xs font-semibold hover:bg-primary-100 transition"
+              >
+                <ExternalLink size={12} />
+                {t('openInCalendarApp')}
+              </a>
+              {!courseId && (
+                <button
+                  type="button"
+                  onClick={handleReset}
+                  disabled={isResetting}
+                  className="flex items-center gap-1 px-2 py-1 text-gray-600 hover:bg-gray-100 rounded text-xs transition disabled:opacity-50"
+                >
+                  <RefreshCw size={12} />
+                  {t('resetCalendarLink')}
+                </button>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
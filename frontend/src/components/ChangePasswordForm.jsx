@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { KeyRound } from 'lucide-react';
+import { api } from '../utils/api';
+import { useToast } from '../context/ToastContext';
+
+const EMPTY_FORM = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+export default function ChangePasswordForm() {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      addToast(t('passwordsDoNotMatch'), 'error');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.changePassword(formData.currentPassword, formData.newPassword);
+      addToast(t('passwordChanged'), 'success');
+      setFormData(EMPTY_FORM);
+      setOpen(false);
+    } catch (error) {
+      addToast(error.message || t('error'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.35 }}
+      className="bg-white rounded-lg p-3 shadow-sm border border-gray-100"
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full text-sm font-bold text-gray-900 flex items-center gap-1.5"
+      >
+        <KeyRound size={14} />
+        {t('changePassword')}
+      </button>
+
+      {open && (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">{t('currentPassword')}</label>
+            <input
+              type="password"
+              name="currentPassword"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              autoComplete="current-password"
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">{t('newPassword')}</label>
+            <input
+              type="password"
+              name="newPassword"
+              value={formData.newPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              className={inputClass}
+              required
+            />
+            <p className="text-xs text-gray-400 mt-1">{t('passwordRequirements')}</p>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">{t('confirmPassword')}</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              className={inputClass}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition font-semibold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? t('loading') : t('changePassword')}
+          </button>
+        </form>
+      )}
+    </motion.div>
+  );
+}
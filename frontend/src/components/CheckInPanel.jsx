@@ -0,0 +1,146 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { QRCodeSVG } from 'qrcode.react';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { QrCode, Lock, Users } from 'lucide-react';
+
+/**
+ * Instructor side of session self check-in: open/close the window and show the rotating code as a QR code.
+ * The check-in is polled while open so the code and the checked-in count stay current.
+ */
+export default function CheckInPanel({ sessionId }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [lateAfterMinutes, setLateAfterMinutes] = useState(10);
+  const [durationMinutes, setDurationMinutes] = useState(60);
+
+  const { data } = useQuery({
+    queryKey: ['check-in', sessionId],
+    queryFn: () => api.getCheckIn(sessionId),
+    refetchInterval: (query) => (query.state.data?.checkIn?.open ? 5000 : false),
+  });
+
+  const checkIn = data?.checkIn;
+
+  const onChanged = (response) => {
+    queryClient.setQueryData(['check-in', sessionId], response);
+    queryClient.invalidateQueries(['attendance', sessionId]);
+  };
+
+  const { mutate: openCheckIn, isPending: isOpening } = useMutation({
+    mutationFn: () => api.openCheckIn(sessionId, { lateAfterMinutes, durationMinutes }),
+    onSuccess: onChanged,
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const { mutate: closeCheckIn, isPending: isClosing } = useMutation({
+    mutationFn: () => api.closeCheckIn(sessionId),
+    onSuccess: (response) => {
+      onChanged(response);
+      addToast(t('checkInClosed'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const inputClass = 'w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  if (!checkIn?.open) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-4">
+        <div className="flex items-center gap-2 mb-3">
+          <QrCode size={18} className="text-primary-600" />
+          <h2 className="text-sm font-bold text-gray-900">{t('selfCheckIn')}</h2>
+        </div>
+        {checkIn && (
+          <p className="text-xs text-gray-500 mb-3">
+            {t('checkInClosedSummary', { count: checkIn.checkedIn })}
+          </p>
+        )}
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="text-xs text-gray-600">
+            <span className="block mb-1">{t('lateAfterMinutes')}</span>
+            <input
+              type="number"
+              min="0"
+              max="240"
+              value={lateAfterMinutes}
+              onChange={(e) => setLateAfterMinutes(parseInt(e.target.value, 10) || 0)}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            <span className="block mb-1">{t('checkInDurationMinutes')}</span>
+            <input
+              type="number"
+              min="1"
+              max="480"
+              value={durationMinutes}
+              onChange={(e) => setDurationMinutes(parseInt(e.target.value, 10) || 1)}
+              className={inputClass}
+            />
+          </label>
+          <motion.button
+            whileTap={{ scale: 0.95 }}
+            onClick={() => openCheckIn()}
+            disabled={isOpening}
+            className="px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition text-xs font-semibold flex items-center gap-1.5 disabled:opacity-50"
+          >
+            <QrCode size={14} />
+            {t('openCheckIn')}
+          </motion.button>
+        </div>
+      </div>
+    );
+  }
+
+  const checkInUrl = `${window.location.origin}/check-in?session=${sessionId}&code=${checkIn.code}`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-primary-200 p-4 mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <QrCode size={18} className="text-primary-600" />
+          <h2 className="text-sm font-bold text-gray-900">{t('selfCheckIn')}</h2>
+        </div>
+        <motion.button
+          whileTap={{ scale: 0.95 }}
+          onClick={() => closeCheckIn()}
+          disabled={isClosing}
+          className="px-3 py-1.5 bg-red-600 text-white rounded-lg hover:bg-red-700 transition text-xs font-semibold flex items-center gap-1.5 disabled:opacity-50"
+        >
+          <Lock size={14} />
+          {t('closeCheckIn')}
+        </motion.button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row items-center gap-6">
+        <div className="p-3 bg-white border border-gray-200 rounded-lg">
+          <QRCodeSVG value={checkInUrl} size={200} />
+        </div>
+        <div className="text-center sm:text-start space-y-2">
+          <p className="text-xs text-gray-500">{t('checkInCode')}</p>
+          <p className="text-4xl font-mono font-bold tracking-widest text-gray-900" dir="ltr">{checkIn.code}</p>
+          <p className="text-xs text-gray-500">{t('checkInCodeRotates')}</p>
+          <p className="text-xs text-gray-600">
+            {t('checkInLateAt', { time: new Date(checkIn.lateAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) })}
+          </p>
+          <p className="text-xs text-gray-600">
+            {t('checkInClosesAt', { time: new Date(checkIn.closesAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) })}
+          </p>
+          <p className="flex items-center justify-center sm:justify-start gap-1 text-sm font-semibold text-primary-700">
+            <Users size={16} />
+            {t('checkedInCount', { count: checkIn.checkedIn })}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { Ticket, Link2, Copy, Ban, CheckCircle, XCircle, Plus } from 'lucide-react';
+
+const STATE_STYLES = {
+  ACTIVE: 'bg-green-100 text-green-700',
+  EXPIRED: 'bg-gray-100 text-gray-600',
+  REVOKED: 'bg-red-100 text-red-700',
+  USED_UP: 'bg-yellow-100 text-yellow-800',
+};
+
+const JOIN_STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-700',
+  REJECTED: 'bg-red-100 text-red-700',
+};
+
+const enumKey = (prefix, value) => `${prefix}${value
+  .toLowerCase()
+  .split('_')
+  .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('')}`;
+
+const EMPTY_FORM = { kind: 'CODE', maxUses: '', expiresAt: '', requiresApproval: false };
+
+/**
+ * Enrollment codes and invite links of a course: create/revoke them, see who used each one and
+ * approve or reject pending join requests (instructors/admins)
+ */
+export default function CourseInvitesPanel({ courseId }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+
+  const { data, isError } = useQuery({
+    queryKey: ['course-invites', courseId],
+    queryFn: () => api.getCourseInvites(courseId),
+    enabled: !!courseId,
+    retry: false,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['course-invites', courseId] });
+
+  const onError = (error) => addToast(error.message || t('error'), 'error');
+
+  const { mutate: createInvite, isPending: isCreating } = useMutation({
+    mutationFn: (payload) => api.createCourseInvite(courseId, payload),
+    onSuccess: () => {
+      invalidate();
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+      addToast(t('inviteCreated'), 'success');
+    },
+    onError,
+  });
+
+  const { mutate: revokeInvite } = useMutation({
+    mutationFn: (inviteId) => api.revokeCourseInvite(courseId, inviteId),
+    onSuccess: invalidate,
+    onError,
+  });
+
+  const { mutate: reviewRequest } = useMutation({
+    mutationFn: ({ requestId, status }) => api.reviewJoinRequest(courseId, requestId, status),
+    onSuccess: () => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['courses', courseId] });
+      queryClient.invalidateQueries({ queryKey: ['course-students', courseId] });
+    },
+    onError,
+  });
+
+  // Instructors who don't teach this course get a 403; there's nothing to show them
+  if (isError) {
+    return null;
+  }
+
+  const invites = data?.invites || [];
+  const pendingRequests = invites.flatMap((invite) =>
+    invite.joinRequests.filter((r) => r.status === 'PENDING').map((r) => ({ ...r, invite }))
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createInvite({
+      kind: form.kind,
+      maxUses: form.maxUses ? Number(form.maxUses) : null,
+      expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null,
+      requiresApproval: form.requiresApproval,
+    });
+  };
+
+  const handleCopy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      addToast(t('copied'), 'success');
+    } catch {
+      addToast(t('error'), 'error');
+    }
+  };
+
+  const handleRevoke = (invite) => {
+    if (window.confirm(t('confirmRevokeInvite'))) {
+      revokeInvite(invite.id);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Ticket size={24} className="text-primary-600" />
+          {t('courseInvites')}
+        </h2>
+        <button
+          onClick={() => setShowForm((value) => !value)}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+        >
+          <Plus size={16} />
+          {t('newInvite')}
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-3 p-4 mb-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">{t('inviteKind')}</label>
+            <select
+              value={form.kind}
+              onChange={(e) => setForm({ ...form, kind: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="CODE">{t('inviteKindCode')}</option>
+              <option value="LINK">{t('inviteKindLink')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">{t('inviteMaxUses')}</label>
+            <input
+              type="number"
+              min={1}
+              value={form.maxUses}
+              onChange={(e) => setForm({ ...form, maxUses: e.target.value })}
+              placeholder={t('unlimited')}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">{t('inviteExpiresAt')}</label>
+            <input
+              type="datetime-local"
+              value={form.expiresAt}
+              onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 sm:mt-5">
+            <input
+              type="checkbox"
+              checked={form.requiresApproval}
+              onChange={(e) => setForm({ ...form, requiresApproval: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded"
+            />
+            {t('inviteRequiresApproval')}
+          </label>
+          <div className="sm:col-span-2 flex justify-end">
+            <button
+              type="submit"
+              disabled={isCreating}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 text-sm disabled:opacity-50"
+            >
+              {isCreating ? t('loading') : t('create')}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {pendingRequests.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">
+            {t('pendingJoinRequests', { count: pendingRequests.length })}
+          </h3>
+          <div className="space-y-2">
+            {pendingRequests.map((request) => (
+              <div key={request.id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <div className="text-sm">
+                  <span className="font-medium text-gray-900">{request.student.name}</span>
+                  <span className="text-gray-500 ms-2" dir="ltr">{request.student.email}</span>
+                  <span className="text-xs text-gray-500 ms-2">{new Date(request.createdAt).toLocaleString()}</span>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => reviewRequest({ requestId: request.id, status: 'APPROVED' })}
+                    className="flex items-center gap-1 px-3 py-1 text-xs bg-green-600 text-white rounded-lg hover:bg-green-700"
+                  >
+                    <CheckCircle size={14} />
+                    {t('approve')}
+                  </button>
+                  <button
+                    onClick={() => reviewRequest({ requestId: request.id, status: 'REJECTED' })}
+                    className="flex items-center gap-1 px-3 py-1 text-xs bg-red-600 text-white rounded-lg hover:bg-red-700"
+                  >
+                    <XCircle size={14} />
+                    {t('reject')}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {invites.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('noInvites')}</p>
+      ) : (
+        <div className="space-y-3">
+          {invites.map((invite) => {
+            const value = invite.kind === 'LINK' ? invite.url : invite.code;
+            const used = invite.joinRequests.filter((r) => r.status !== 'PENDING');
+            return (
+              <div key={invite.id} className="p-3 border border-gray-200 rounded-lg">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 min-w-0">
+                    {invite.kind === 'LINK' ? <Link2 size={16} className="text-gray-500" /> : <Ticket size={16} className="text-gray-500" />}
+                    <code className="text-sm font-mono text-gray-900 truncate" dir="ltr">{value}</code>
+                    <button onClick={() => handleCopy(value)} className="text-gray-500 hover:text-primary-600" aria-label={t('copy')}>
+                      <Copy size={14} />
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATE_STYLES[invite.state]}`}>
+                      {t(enumKey('inviteState', invite.state))}
+                    </span>
+                    {!invite.revokedAt && (
+                      <button
+                        onClick={() => handleRevoke(invite)}
+                        className="flex items-center gap-1 text-xs text-red-600 hover:underline"
+                      >
+                        <Ban size={14} />
+                        {t('revoke')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-500">
+                  <span>{t('inviteUses', { used: invite.useCount, max: invite.maxUses ?? '∞' })}</span>
+                  {invite.expiresAt && (
+                    <span>{t('inviteExpires', { date: new Date(invite.expiresAt).toLocaleString() })}</span>
+                  )}
+                  {invite.requiresApproval && <span>{t('inviteRequiresApproval')}</span>}
+                  <span>{t('createdBy', { name: invite.creator?.name })}</span>
+                </div>
+                {used.length > 0 && (
+                  <div className="flex flex-wrap gap-1.5 mt-2">
+                    {used.map((request) => (
+                      <span
+                        key={request.id}
+                        className={`px-2 py-0.5 rounded-full text-xs ${JOIN_STATUS_STYLES[request.status]}`}
+                        title={request.student.email}
+                      >
+                        {request.student.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </motion.div>
+  );
+}
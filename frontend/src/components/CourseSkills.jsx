@@ -0,0 +1,85 @@
+import { useQuery } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import SkillRecommendation from './SkillRecommendation';
+import { Target } from 'lucide-react';
+
+const barColor = (mastery, threshold) =>
+  mastery < threshold ? 'bg-red-500' : mastery < (1 + threshold) / 2 ? 'bg-yellow-500' : 'bg-green-500';
+
+/**
+ * Skill mastery of a course: students see their own skills and recommendations, instructors and admins
+ * the class average per skill with the number of students below the mastery threshold
+ */
+export default function CourseSkills({ courseId }) {
+  const { t } = useTranslation();
+
+  const { data } = useQuery({
+    queryKey: ['course-skills', courseId],
+    queryFn: () => api.getCourseSkills(courseId),
+    enabled: !!courseId,
+  });
+
+  const skills = data?.skills || [];
+
+  if (skills.length === 0) {
+    return null;
+  }
+
+  const threshold = data.threshold;
+  const isClassView = !data.recommendations;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+    >
+      <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2 mb-1">
+        <Target size={24} className="text-primary-600" />
+        {isClassView ? t('classSkills') : t('mySkills')}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('skillMasteryHint', { percent: Math.round(threshold * 100) })}
+      </p>
+      <div className="space-y-3">
+        {skills.map((skill) => {
+          const mastery = isClassView ? skill.averageMastery : skill.mastery;
+          return (
+            <div key={skill.tag}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="font-semibold text-gray-900">{skill.tag}</span>
+                <span className="text-gray-600">
+                  {Math.round(mastery * 100)}%
+                  {isClassView && skill.weakStudents > 0 && (
+                    <span className="text-red-600 ms-2">
+                      {t('studentsBelowThreshold', { count: skill.weakStudents, total: skill.students })}
+                    </span>
+                  )}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${barColor(mastery, threshold)}`}
+                  style={{ width: `${Math.max(mastery * 100, 2)}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {data.recommendations?.length > 0 && (
+        <div className="mt-5 pt-4 border-t border-gray-200 space-y-3">
+          <h3 className="text-sm font-bold text-gray-900">{t('recommendations')}</h3>
+          {data.recommendations.map((rec) => (
+            <div key={rec.tag} className="p-3 bg-green-50 rounded-lg border border-green-200">
+              <SkillRecommendation rec={rec} />
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
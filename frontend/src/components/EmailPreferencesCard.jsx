@@ -0,0 +1,83 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { Mail } from 'lucide-react';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Reminder/digest email opt-outs and the language emails are written in; each change is saved right away
+ */
+export default function EmailPreferencesCard() {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery({
+    queryKey: ['email-preferences'],
+    queryFn: () => api.getEmailPreferences(),
+  });
+
+  const { mutate: updatePreferences, isPending } = useMutation({
+    mutationFn: (changes) => api.updateEmailPreferences(changes),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['email-preferences'], response);
+      addToast(t('emailPreferencesSaved'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const preferences = data?.data;
+  if (!preferences) {
+    return null;
+  }
+
+  const toggles = [
+    { key: 'emailReminders', label: t('emailRemindersOption') },
+    ...(user?.role !== 'STUDENT' ? [{ key: 'emailDigest', label: t('emailDigestOption') }] : []),
+  ];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.33 }}
+      className="bg-white rounded-lg p-3 shadow-sm border border-gray-100"
+    >
+      <h2 className="text-sm font-bold text-gray-900 mb-2 flex items-center gap-1.5">
+        <Mail size={14} />
+        {t('emailPreferences')}
+      </h2>
+      <div className="space-y-2">
+        {toggles.map(({ key, label }) => (
+          <label key={key} className="flex items-center justify-between gap-2 text-xs text-gray-700">
+            <span>{label}</span>
+            <input
+              type="checkbox"
+              checked={preferences[key]}
+              disabled={isPending}
+              onChange={(e) => updatePreferences({ [key]: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+          </label>
+        ))}
+        <label className="flex items-center justify-between gap-2 text-xs text-gray-700">
+          <span>{t('emailLanguage')}</span>
+          <select
+            value={preferences.emailLanguage}
+            disabled={isPending}
+            onChange={(e) => updatePreferences({ emailLanguage: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-xs focus:ring-1 focus:ring-primary-500"
+          >
+            <option value="ar">العربية</option>
+            <option value="en">English</option>
+          </select>
+        </label>
+      </div>
+    </motion.div>
+  );
+}
@@ -5,8 +5,10 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
-import { ArrowLeft, Save, Plus, Trash2, Edit2, X, LayoutGrid } from 'lucide-react';
+import { ArrowLeft, Save, Plus, Trash2, Edit2, X, LayoutGrid, Library } from 'lucide-react';
 import GoogleFormsQuestionBuilder from './GoogleFormsQuestionBuilder';
+import QuestionBankPicker, { DIFFICULTIES, difficultyLabel } from './QuestionBankPicker';
+import TagsInput from './TagsInput';
 
 export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
   const { t } = useTranslation();
@@ -24,12 +26,19 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
     showSolutionsAfterSubmit: false,
     availableFrom: '',
     availableTo: '',
+    bankDrawRules: [],
   });
 
   const [questions, setQuestions] = useState([]);
   const [editingQuestion, setEditingQuestion] = useState(null);
   const [showQuestionForm, setShowQuestionForm] = useState(false);
   const [showGoogleFormsBuilder, setShowGoogleFormsBuilder] = useState(false);
+  const [showBankPicker, setShowBankPicker] = useState(false);
+
+  const { data: bankData } = useQuery({
+    queryKey: ['question-bank', { forExam: 'true' }],
+    queryFn: () => api.getBankQuestions({ forExam: 'true' }),
+  });
 
   // Load exam if editing
   const { data: examDataLoaded, isLoading } = useQuery({
@@ -45,12 +54,13 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
         type: exam.type,
         title: exam.title,
         description: exam.description || '',
-        examQuestionCount: exam.examQuestionCount || 10,
+        examQuestionCount: exam.examQuestionCount ?? 10,
         timeLimitMinutes: exam.timeLimitMinutes || '',
         attemptsAllowed: exam.attemptsAllowed || 1,
         showSolutionsAfterSubmit: exam.showSolutionsAfterSubmit || false,
         availableFrom: exam.availableFrom ? new Date(exam.availableFrom).toISOString().slice(0, 16) : '',
         availableTo: exam.availableTo ? new Date(exam.availableTo).toISOString().slice(0, 16) : '',
+        bankDrawRules: Array.isArray(exam.bankDrawRules) ? exam.bankDrawRules : [],
       });
       setQuestions(exam.questions || []);
     }
@@ -138,13 +148,23 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
       return;
     }
 
-    if (!examData.examQuestionCount || examData.examQuestionCount < 1) {
-      addToast('Exam question count must be at least 1', 'error');
+    const bankDrawRules = examData.bankDrawRules
+      .filter((rule) => rule.count > 0)
+      .map((rule) => ({
+        tag: rule.tag || null,
+        topic: rule.topic || null,
+        difficulty: rule.difficulty || null,
+        count: rule.count,
+      }));
+
+    if (examData.examQuestionCount < 1 && bankDrawRules.length === 0) {
+      addToast(t('examNeedsQuestions'), 'error');
       return;
     }
 
     const data = {
       ...examData,
+      bankDrawRules,
       timeLimitMinutes: examData.timeLimitMinutes ? parseInt(examData.timeLimitMinutes) : null,
       attemptsAllowed: examData.attemptsAllowed || 1,
       availableFrom: examData.availableFrom && examData.availableFrom.trim() !== '' ? examData.availableFrom : null,
@@ -158,6 +178,13 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
     }
   };
 
+  const updateDrawRule = (index, field, value) => {
+    setExamData({
+      ...examData,
+      bankDrawRules: examData.bankDrawRules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)),
+    });
+  };
+
   const handleSaveQuestion = (questionData) => {
     if (editingQuestion) {
       updateQuestion({ questionId: editingQuestion.id, data: questionData });
@@ -231,14 +258,74 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
               <label className="block text-sm font-medium mb-2">{t('examQuestionCount')} *</label>
               <input
                 type="number"
-                min="1"
+                min="0"
                 value={examData.examQuestionCount}
-                onChange={(e) => setExamData({ ...examData, examQuestionCount: parseInt(e.target.value) || 1 })}
+                onChange={(e) => setExamData({ ...examData, examQuestionCount: parseInt(e.target.value) || 0 })}
                 className="w-full p-2 border rounded-lg"
               />
               <p className="text-xs text-gray-500 mt-1">{t('examQuestionCountHint')}</p>
             </div>
 
+            <div>
+              <label className="block text-sm font-medium mb-2">{t('bankDrawRules')}</label>
+              <p className="text-xs text-gray-500 mb-2">{t('bankDrawRulesHint')}</p>
+              <div className="space-y-2">
+                {examData.bankDrawRules.map((rule, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <select
+                      value={rule.tag || ''}
+                      onChange={(e) => updateDrawRule(index, 'tag', e.target.value)}
+                      className="flex-1 p-2 border rounded-lg text-sm"
+                    >
+                      <option value="">{t('allTags')}</option>
+                      {(bankData?.tags || []).map((tag) => (
+                        <option key={tag} value={tag}>{tag}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={rule.difficulty || ''}
+                      onChange={(e) => updateDrawRule(index, 'difficulty', e.target.value)}
+                      className="flex-1 p-2 border rounded-lg text-sm"
+                    >
+                      <option value="">{t('allDifficulties')}</option>
+                      {DIFFICULTIES.map((difficulty) => (
+                        <option key={difficulty} value={difficulty}>{difficultyLabel(t, difficulty)}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      value={rule.count}
+                      onChange={(e) => updateDrawRule(index, 'count', parseInt(e.target.value) || 0)}
+                      className="w-20 p-2 border rounded-lg text-sm"
+                      title={t('questionCount')}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setExamData({
+                        ...examData,
+                        bankDrawRules: examData.bankDrawRules.filter((_, i) => i !== index),
+                      })}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setExamData({
+                    ...examData,
+                    bankDrawRules: [...examData.bankDrawRules, { tag: '', difficulty: '', count: 1 }],
+                  })}
+                  className="text-blue-600 hover:text-blue-700 text-sm flex items-center gap-1"
+                >
+                  <Plus className="w-4 h-4" />
+                  {t('addDrawRule')}
+                </button>
+              </div>
+            </div>
+
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium mb-2">{t('timeLimitMinutes')}</label>
@@ -318,6 +405,13 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-bold">{t('examQuestionBank')}</h2>
               <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowBankPicker(true)}
+                  className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 flex items-center gap-2"
+                >
+                  <Library className="w-4 h-4" />
+                  {t('importFromBank')}
+                </button>
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
@@ -454,6 +548,17 @@ export default function ExamBuilder({ courseId, sessionId, examId, onClose }) {
           )}
         </AnimatePresence>
 
+        {/* Question Bank Import Modal */}
+        <AnimatePresence>
+          {showBankPicker && (
+            <QuestionBankPicker
+              target="exam"
+              targetId={examId}
+              onClose={() => setShowBankPicker(false)}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Google Forms Builder Modal */}
         <AnimatePresence>
           {showGoogleFormsBuilder && (
@@ -492,6 +597,7 @@ function QuestionForm({ question, onSave, onClose }) {
       : (question?.questionType === 'MCQ' ? 0 : true),
     points: question?.points || 1,
     explanation: question?.explanation || '',
+    tags: question?.tags || [],
   });
   const [errors, setErrors] = useState({});
 
@@ -539,6 +645,7 @@ function QuestionForm({ question, onSave, onClose }) {
         correctAnswer: parseInt(formData.correctAnswer),
         points: formData.points,
         explanation: formData.explanation.trim() || null,
+        tags: formData.tags,
       };
       onSave(data);
     } else {
@@ -548,6 +655,7 @@ function QuestionForm({ question, onSave, onClose }) {
         correctAnswer: formData.correctAnswer === true || formData.correctAnswer === 'true',
         points: formData.points,
         explanation: formData.explanation.trim() || null,
+        tags: formData.tags,
       };
       onSave(data);
     }
@@ -766,6 +874,16 @@ function QuestionForm({ question, onSave, onClose }) {
             <p className="text-xs text-gray-500 mt-1">{t('explanationHint') || 'This explanation can be shown to students after they submit'}</p>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium mb-2">{t('skillTags')}</label>
+            <TagsInput
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('questionTagsHint')}</p>
+          </div>
+
           <div className="flex gap-2">
             <button
               type="submit"
@@ -0,0 +1,38 @@
+import { useTranslation } from 'react-i18next';
+import { Paperclip } from 'lucide-react';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Link to an excuse request's attachment; like submission files it is opened through a short-lived URL
+ */
+export default function ExcuseAttachmentLink({ excuse }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+
+  const handleClick = (e) => {
+    e.preventDefault();
+
+    // Open the tab synchronously so popup blockers allow it, then point it at the file
+    const win = window.open('', '_blank');
+    api.getExcuseAttachmentUrl(excuse.id)
+      .then(({ url }) => {
+        if (win) {
+          win.location.href = url;
+        } else {
+          window.location.href = url;
+        }
+      })
+      .catch((error) => {
+        win?.close();
+        addToast(error.message || t('downloadFailed'), 'error');
+      });
+  };
+
+  return (
+    <a href="#" onClick={handleClick} className="inline-flex items-center gap-1 text-xs text-primary-600 hover:underline">
+      <Paperclip size={12} />
+      {excuse.attachmentName || t('attachment')}
+    </a>
+  );
+}
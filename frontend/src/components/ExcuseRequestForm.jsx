@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { Send, X } from 'lucide-react';
+
+/**
+ * Student form to explain an absence: a reason plus an optional supporting document.
+ * Re-filing after a rejection replaces the previous request.
+ */
+export default function ExcuseRequestForm({ sessionId, initialReason = '', onClose }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState(initialReason);
+  const [attachment, setAttachment] = useState(null);
+
+  const { mutate: submitExcuse, isPending } = useMutation({
+    mutationFn: () => api.createExcuseRequest({ sessionId, reason: reason.trim(), attachment }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['attendance-summaries']);
+      addToast(t('excuseRequestSent'), 'success');
+      onClose();
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (reason.trim().length < 3) {
+      addToast(t('excuseReasonRequired'), 'error');
+      return;
+    }
+    submitExcuse();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 p-3 bg-white rounded-lg border border-gray-200 space-y-2 text-gray-700">
+      <textarea
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        rows={3}
+        maxLength={2000}
+        placeholder={t('excuseReasonPlaceholder')}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        required
+      />
+      <input
+        type="file"
+        onChange={(e) => setAttachment(e.target.files?.[0] || null)}
+        className="block w-full text-xs text-gray-600 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-primary-50 file:text-primary-700"
+      />
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex items-center gap-1 px-3 py-1.5 text-xs text-gray-600 hover:bg-gray-100 rounded-lg transition"
+        >
+          <X size={14} />
+          {t('cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={isPending}
+          className="flex items-center gap-1 px-3 py-1.5 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition text-xs font-semibold disabled:opacity-50"
+        >
+          <Send size={14} />
+          {t('sendExcuseRequest')}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,61 @@
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Late policy inputs shared by the create and edit assignment forms.
+ * `value` holds latePolicy, latePenaltyPerDay and latePenaltyMax; `onChange` receives a partial update.
+ */
+export default function LatePolicyFields({ value, onChange }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          {t('latePolicy')}
+        </label>
+        <select
+          value={value.latePolicy}
+          onChange={(e) => onChange({ latePolicy: e.target.value })}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-white"
+        >
+          <option value="ACCEPT">{t('latePolicyAccept')}</option>
+          <option value="PENALTY">{t('latePolicyPenalty')}</option>
+          <option value="HARD_CLOSE">{t('latePolicyHardClose')}</option>
+        </select>
+      </div>
+
+      {value.latePolicy === 'PENALTY' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('latePenaltyPerDay')}
+            </label>
+            <input
+              type="number"
+              value={value.latePenaltyPerDay}
+              onChange={(e) => onChange({ latePenaltyPerDay: parseFloat(e.target.value) || 0 })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              min="0"
+              max="100"
+              step="0.5"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('latePenaltyMax')}
+            </label>
+            <input
+              type="number"
+              value={value.latePenaltyMax}
+              onChange={(e) => onChange({ latePenaltyMax: parseFloat(e.target.value) || 0 })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              min="0"
+              max="100"
+              step="0.5"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import { useTranslation } from 'react-i18next';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { Home, BookOpen, Calendar, FileText, User, HelpCircle, Users, Clock } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const getNavItems = (userRole) => {
   const baseItems = [
@@ -87,6 +88,7 @@ export default function Layout({ children }) {
               </button>
             );
           })}
+          <NotificationBell />
         </div>
       </nav>
     </div>
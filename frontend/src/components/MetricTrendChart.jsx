@@ -0,0 +1,96 @@
+import { useQuery } from '@tanstack/react-query';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+
+// Every series as 0..100
+const SERIES = [
+  { key: 'overallScore', label: 'overallScore', stroke: 'stroke-primary-600', fill: 'fill-primary-600', bg: 'bg-primary-600', value: (s) => s.overallScore },
+  { key: 'attendanceRate', label: 'attendance', stroke: 'stroke-blue-500', fill: 'fill-blue-500', bg: 'bg-blue-500', value: (s) => s.attendanceRate * 100 },
+  { key: 'assignmentQuality', label: 'trendAssignmentQuality', stroke: 'stroke-green-500', fill: 'fill-green-500', bg: 'bg-green-500', value: (s) => s.assignmentQuality * 100 },
+  { key: 'examsAvg', label: 'trendExams', stroke: 'stroke-purple-500', fill: 'fill-purple-500', bg: 'bg-purple-500', value: (s) => s.examsAvg * 100 },
+];
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 32 };
+const GRID_LINES = [0, 25, 50, 75, 100];
+
+/**
+ * Weekly trend of a student's metrics in a course (from the metric snapshots), oldest week on the left.
+ * Students see their own; staff pass `studentId`.
+ */
+export default function MetricTrendChart({ courseId, studentId, weeks = 12 }) {
+  const { t } = useTranslation();
+
+  const { data } = useQuery({
+    queryKey: ['metric-history', courseId, studentId || 'me', weeks],
+    queryFn: () => api.getMetricHistory(courseId, studentId ? { studentId, weeks } : { weeks }),
+    enabled: !!courseId,
+  });
+
+  if (!data) {
+    return null;
+  }
+
+  const { snapshots } = data;
+
+  if (snapshots.length < 2) {
+    return <p className="text-xs text-gray-500">{t('notEnoughTrendData')}</p>;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (i / (snapshots.length - 1)) * plotWidth;
+  const y = (value) => PADDING.top + (1 - Math.max(0, Math.min(100, value)) / 100) * plotHeight;
+  const weekLabel = (snapshot) =>
+    new Date(snapshot.weekStart).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  // Label every week when they fit, else about six of them
+  const labelStep = Math.max(1, Math.ceil(snapshots.length / 6));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" dir="ltr" role="img" aria-label={t('metricTrends')}>
+        {GRID_LINES.map((value) => (
+          <g key={value}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} className="stroke-gray-200" strokeWidth="1" />
+            <text x={PADDING.left - 6} y={y(value) + 3} textAnchor="end" className="fill-gray-400 text-[10px]">
+              {value}
+            </text>
+          </g>
+        ))}
+        {snapshots.map((snapshot, i) =>
+          i % labelStep === 0 || i === snapshots.length - 1 ? (
+            <text key={snapshot.weekStart} x={x(i)} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-400 text-[10px]">
+              {weekLabel(snapshot)}
+            </text>
+          ) : null
+        )}
+        {SERIES.map((series) => (
+          <g key={series.key}>
+            <polyline
+              points={snapshots.map((snapshot, i) => `${x(i)},${y(series.value(snapshot))}`).join(' ')}
+              fill="none"
+              className={series.stroke}
+              strokeWidth={series.key === 'overallScore' ? 2.5 : 1.5}
+              strokeLinejoin="round"
+            />
+            {snapshots.map((snapshot, i) => (
+              <circle key={snapshot.weekStart} cx={x(i)} cy={y(series.value(snapshot))} r="2.5" className={series.fill}>
+                <title>{`${t(series.label)} · ${weekLabel(snapshot)}: ${Math.round(series.value(snapshot))}%`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-gray-600">
+        {SERIES.map((series) => (
+          <span key={series.key} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-0.5 ${series.bg}`} />
+            {t(series.label)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
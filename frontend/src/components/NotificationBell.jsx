@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { useNavigate } from 'react-router-dom';
+import api from '../utils/api';
+import { Bell, FileText, MessageSquare, GraduationCap, AlertTriangle, CheckCheck } from 'lucide-react';
+
+const UNREAD_POLL_MS = 60000;
+
+const NOTIFICATION_ICONS = {
+  ASSIGNMENT_PUBLISHED: FileText,
+  REVIEW_RECEIVED: MessageSquare,
+  EXAM_OPENED: GraduationCap,
+  HIGH_ABSENCE: AlertTriangle,
+};
+
+/**
+ * Bottom-navigation bell with the unread count; opens the notification inbox above the navigation bar
+ */
+export default function NotificationBell() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+
+  const { data: countData } = useQuery({
+    queryKey: ['notifications', 'unread-count'],
+    queryFn: () => api.getUnreadNotificationCount(),
+    refetchInterval: UNREAD_POLL_MS,
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['notifications', 'list'],
+    queryFn: () => api.getNotifications(),
+    enabled: open,
+  });
+
+  const { mutate: markRead } = useMutation({
+    mutationFn: (ids) => api.markNotificationsRead(ids),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    },
+  });
+
+  const unreadCount = data?.unreadCount ?? countData?.unreadCount ?? 0;
+  const notifications = data?.notifications || [];
+
+  const formatDate = (value) => new Date(value).toLocaleDateString();
+
+  const getMessage = ({ type, params }) => {
+    switch (type) {
+      case 'ASSIGNMENT_PUBLISHED':
+        return t('notifAssignmentPublished', params);
+      case 'REVIEW_RECEIVED':
+        return params.score != null
+          ? t('notifReviewReceivedScore', params)
+          : t('notifReviewReceived', params);
+      case 'EXAM_OPENED':
+        return params.availableFrom && new Date(params.availableFrom) > new Date()
+          ? t('notifExamScheduled', { ...params, date: formatDate(params.availableFrom) })
+          : t('notifExamOpened', params);
+      case 'HIGH_ABSENCE':
+        return t('notifHighAbsence', params);
+      default:
+        return type;
+    }
+  };
+
+  const handleOpenNotification = (notification) => {
+    if (!notification.readAt) {
+      markRead([notification.id]);
+    }
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen((value) => !value)}
+        className={`relative flex flex-col items-center justify-center flex-1 h-full transition-colors ${
+          open ? 'text-primary-600' : 'text-gray-400'
+        }`}
+        aria-label={t('notifications')}
+      >
+        <motion.div whileTap={{ scale: 0.9 }} className="p-2 relative">
+          <Bell size={22} />
+          {unreadCount > 0 && (
+            <span className="absolute top-0.5 end-0.5 min-w-[18px] h-[18px] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </span>
+          )}
+        </motion.div>
+        <span className="text-xs mt-0.5">{t('notifications')}</span>
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <>
+            <div className="fixed inset-0 bottom-16 z-40" onClick={() => setOpen(false)} />
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 20 }}
+              className="fixed bottom-16 end-2 start-2 sm:start-auto sm:w-96 max-h-[70vh] flex flex-col bg-white rounded-xl shadow-xl border border-gray-200 z-50"
+            >
+              <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                <h2 className="text-sm font-bold text-gray-900">{t('notifications')}</h2>
+                {unreadCount > 0 && (
+                  <button
+                    onClick={() => markRead()}
+                    className="flex items-center gap-1 text-xs text-primary-600 hover:underline"
+                  >
+                    <CheckCheck size={14} />
+                    {t('markAllRead')}
+                  </button>
+                )}
+              </div>
+
+              <div className="overflow-y-auto">
+                {isLoading ? (
+                  <p className="p-4 text-sm text-gray-500">{t('loading')}</p>
+                ) : notifications.length === 0 ? (
+                  <p className="p-6 text-center text-sm text-gray-500">{t('noNotifications')}</p>
+                ) : (
+                  notifications.map((notification) => {
+                    const Icon = NOTIFICATION_ICONS[notification.type] || Bell;
+                    return (
+                      <button
+                        key={notification.id}
+                        onClick={() => handleOpenNotification(notification)}
+                        className={`w-full flex items-start gap-3 px-4 py-3 text-start border-b border-gray-50 hover:bg-gray-50 transition-colors ${
+                          notification.readAt ? '' : 'bg-primary-50/50'
+                        }`}
+                      >
+                        <Icon
+                          size={18}
+                          className={`flex-shrink-0 mt-0.5 ${notification.type === 'HIGH_ABSENCE' ? 'text-red-500' : 'text-primary-600'}`}
+                        />
+                        <div className="flex-1 min-w-0">
+                          <p className={`text-sm ${notification.readAt ? 'text-gray-600' : 'text-gray-900 font-medium'}`}>
+                            {getMessage(notification)}
+                          </p>
+                          <p className="text-xs text-gray-400 mt-0.5">{new Date(notification.createdAt).toLocaleString()}</p>
+                        </div>
+                        {!notification.readAt && <span className="w-2 h-2 mt-1.5 rounded-full bg-primary-600 flex-shrink-0" />}
+                      </button>
+                    );
+                  })
+                )}
+              </div>
+            </motion.div>
+          </>
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
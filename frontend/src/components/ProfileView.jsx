@@ -1,6 +1,8 @@
 import { motion } from 'framer-motion';
 import { Mail, Phone, MapPin, GraduationCap, Briefcase, Link as LinkIcon, ExternalLink, User, Globe, Edit2, LogOut } from 'lucide-react';
 import { getImageUrl } from '../utils/api';
+import ChangePasswordForm from './ChangePasswordForm';
+import EmailPreferencesCard from './EmailPreferencesCard';
 
 // Helper to get initials from name
 function getInitials(name) {
@@ -12,7 +14,7 @@ function getInitials(name) {
   return name.substring(0, 2).toUpperCase();
 }
 
-export default function ProfileView({ profile, user, t, onEdit, logout }) {
+export default function ProfileView({ profile, user, t, onEdit, logout, logoutAll }) {
   if (!profile) return null;
 
   const {
@@ -291,6 +293,12 @@ export default function ProfileView({ profile, user, t, onEdit, logout }) {
         </motion.div>
       )}
 
+      {/* Email Preferences Card */}
+      <EmailPreferencesCard />
+
+      {/* Change Password Card */}
+      <ChangePasswordForm />
+
       {/* Edit and Logout Buttons */}
       <motion.div
         initial={{ opacity: 0 }}
@@ -319,6 +327,19 @@ export default function ProfileView({ profile, user, t, onEdit, logout }) {
               {t('logout')}
             </button>
           )}
+          {logoutAll && (
+            <button
+              onClick={() => {
+                if (window.confirm(t('confirmLogoutAllDevices'))) {
+                  logoutAll();
+                }
+              }}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2.5 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 transition font-semibold text-sm"
+            >
+              <LogOut size={18} />
+              {t('logoutAllDevices')}
+            </button>
+          )}
         </div>
       </motion.div>
     </div>
@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { Library, Search, X } from 'lucide-react';
+
+export const DIFFICULTIES = ['EASY', 'MEDIUM', 'HARD'];
+
+export const difficultyLabel = (t, difficulty) =>
+  ({ EASY: t('difficultyEasy'), MEDIUM: t('difficultyMedium'), HARD: t('difficultyHard') })[difficulty] || difficulty;
+
+const typeLabel = (t, type) =>
+  type === 'MCQ' ? t('mcq') : type === 'TRUE_FALSE' ? t('trueFalse') : t('shortText');
+
+/**
+ * Modal to pick questions from the shared bank and copy them into a quiz or an exam
+ */
+export default function QuestionBankPicker({ target, targetId, onClose }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ search: '', tag: '', difficulty: '', topic: '' });
+  const [selected, setSelected] = useState([]);
+
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+  if (target === 'exam') {
+    params.forExam = 'true';
+  }
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['question-bank', params],
+    queryFn: () => api.getBankQuestions(params),
+  });
+
+  const questions = data?.questions || [];
+
+  const { mutate: importQuestions, isPending } = useMutation({
+    mutationFn: () => target === 'exam'
+      ? api.importBankQuestionsToExam(targetId, selected)
+      : api.importBankQuestionsToQuiz(targetId, selected),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries([target, targetId]);
+      addToast(t('questionsImported', { count: response.questions.length }), 'success');
+      onClose();
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-xl p-6 max-w-3xl w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Library size={22} />
+            {t('importFromBank')}
+          </h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+          <div className="relative col-span-2 md:col-span-1">
+            <Search size={16} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              placeholder={t('search')}
+              className={`${selectClass} w-full pl-8`}
+            />
+          </div>
+          <select
+            value={filters.tag}
+            onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allTags')}</option>
+            {(data?.tags || []).map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+          <select
+            value={filters.topic}
+            onChange={(e) => setFilters({ ...filters, topic: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allTopics')}</option>
+            {(data?.topics || []).map((topic) => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+          <select
+            value={filters.difficulty}
+            onChange={(e) => setFilters({ ...filters, difficulty: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allDifficulties')}</option>
+            {DIFFICULTIES.map((difficulty) => (
+              <option key={difficulty} value={difficulty}>{difficultyLabel(t, difficulty)}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+          {isLoading ? (
+            <p className="text-gray-500 text-center py-8">{t('loading')}</p>
+          ) : questions.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">{t('noBankQuestions')}</p>
+          ) : (
+            questions.map((question) => (
+              <label
+                key={question.id}
+                className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer transition-colors ${
+                  selected.includes(question.id) ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.includes(question.id)}
+                  onChange={() => toggle(question.id)}
+                  className="w-4 h-4 mt-1"
+                />
+                <div className="flex-1">
+                  <p className="font-medium text-gray-900">{question.prompt}</p>
+                  <div className="flex flex-wrap gap-1 mt-1 text-xs">
+                    <span className="px-2 py-0.5 bg-gray-100 rounded">{typeLabel(t, question.type)}</span>
+                    <span className="px-2 py-0.5 bg-amber-100 text-amber-800 rounded">{difficultyLabel(t, question.difficulty)}</span>
+                    {question.topic && (
+                      <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded">{question.topic}</span>
+                    )}
+                    {(question.tags || []).map((tag) => (
+                      <span key={tag} className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded">{tag}</span>
+                    ))}
+                  </div>
+                </div>
+              </label>
+            ))
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            {t('cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={() => importQuestions()}
+            disabled={selected.length === 0 || isPending}
+            className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+          >
+            {t('importSelected', { count: selected.length })}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
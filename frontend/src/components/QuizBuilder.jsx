@@ -5,7 +5,33 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
-import { ArrowLeft, Save, Plus, Trash2, Edit2, GripVertical, X } from 'lucide-react';
+import { ArrowLeft, Save, Plus, Trash2, Edit2, GripVertical, X, Library } from 'lucide-react';
+import QuestionBankPicker from './QuestionBankPicker';
+
+// SHORT_TEXT answer keys may be a legacy string/array or the structured object
+function toShortTextKey(correctAnswer) {
+  if (correctAnswer && typeof correctAnswer === 'object' && !Array.isArray(correctAnswer)) {
+    return {
+      acceptedAnswers: correctAnswer.acceptedAnswers || [],
+      patterns: correctAnswer.patterns || [],
+      keywords: correctAnswer.keywords || [],
+      minKeywords: correctAnswer.minKeywords || '',
+      caseSensitive: !!correctAnswer.caseSensitive,
+      manualGrading: !!correctAnswer.manualGrading,
+    };
+  }
+  const accepted = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+  return {
+    acceptedAnswers: accepted.filter((a) => a !== null && a !== undefined && String(a).trim() !== '').map(String),
+    patterns: [],
+    keywords: [],
+    minKeywords: '',
+    caseSensitive: false,
+    manualGrading: false,
+  };
+}
+
+const splitLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
 
 export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
   const { t } = useTranslation();
@@ -26,6 +52,7 @@ export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
   const [questions, setQuestions] = useState([]);
   const [editingQuestion, setEditingQuestion] = useState(null);
   const [showQuestionForm, setShowQuestionForm] = useState(false);
+  const [showBankPicker, setShowBankPicker] = useState(false);
 
   // Load quiz if editing
   const { data: quizDataLoaded, isLoading } = useQuery({
@@ -165,7 +192,7 @@ export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
     const data = {
       ...questionData,
       choices: questionData.type === 'SHORT_TEXT' ? null : questionData.choices,
-      correctAnswer: typeof questionData.correctAnswer === 'string'
+      correctAnswer: questionData.type === 'SHORT_TEXT' || typeof questionData.correctAnswer === 'string'
         ? questionData.correctAnswer
         : JSON.stringify(questionData.correctAnswer),
       tags: Array.isArray(questionData.tags)
@@ -309,16 +336,25 @@ export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
           <div className="mb-6">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-bold text-gray-900">{t('questions')}</h2>
-              <button
-                onClick={() => {
-                  setEditingQuestion(null);
-                  setShowQuestionForm(true);
-                }}
-                className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
-              >
-                <Plus size={20} />
-                {t('addQuestion')}
-              </button>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setShowBankPicker(true)}
+                  className="flex items-center gap-2 px-4 py-2 border border-primary-600 text-primary-600 rounded-lg hover:bg-primary-50 transition-colors"
+                >
+                  <Library size={20} />
+                  {t('importFromBank')}
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingQuestion(null);
+                    setShowQuestionForm(true);
+                  }}
+                  className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+                >
+                  <Plus size={20} />
+                  {t('addQuestion')}
+                </button>
+              </div>
             </div>
 
             <AnimatePresence>
@@ -390,6 +426,25 @@ export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
                               </span>
                             </div>
                           )}
+                          {question.type === 'SHORT_TEXT' && (() => {
+                            const key = toShortTextKey(question.correctAnswer);
+                            return (
+                              <div className="p-2 rounded mb-2 bg-gray-50 border border-gray-200 text-sm text-gray-700 space-y-1">
+                                {key.acceptedAnswers.length > 0 && (
+                                  <p>{t('acceptedAnswers')}: <span className="font-semibold text-green-800">{key.acceptedAnswers.join(' | ')}</span></p>
+                                )}
+                                {key.patterns.length > 0 && (
+                                  <p>{t('answerPatterns')}: <code className="text-xs">{key.patterns.join('  ')}</code></p>
+                                )}
+                                {key.keywords.length > 0 && (
+                                  <p>{t('answerKeywords')}: {key.keywords.join(', ')}</p>
+                                )}
+                                {key.manualGrading && (
+                                  <p className="text-amber-700">{t('manualGradingFallback')}</p>
+                                )}
+                              </div>
+                            );
+                          })()}
                           {question.tags && Array.isArray(question.tags) && question.tags.length > 0 && (
                             <div className="flex flex-wrap gap-1 mt-2">
                               {question.tags.map((tag, i) => (
@@ -444,6 +499,17 @@ export default function QuizBuilder({ courseId, sessionId, quizId, onClose }) {
           )}
         </AnimatePresence>
 
+        {/* Question Bank Import Modal */}
+        <AnimatePresence>
+          {showBankPicker && (
+            <QuestionBankPicker
+              target="quiz"
+              targetId={quizId}
+              onClose={() => setShowBankPicker(false)}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Save Button */}
         <div className="flex justify-end gap-4 mt-6">
           {onClose && (
@@ -475,6 +541,15 @@ function QuestionForm({ question, onSave, onClose }) {
     prompt: question?.prompt || '',
     choices: question?.choices || ['', ''],
     correctAnswer: question?.correctAnswer || '',
+    shortText: (() => {
+      const key = toShortTextKey(question?.type === 'SHORT_TEXT' ? question.correctAnswer : '');
+      return {
+        ...key,
+        acceptedAnswers: key.acceptedAnswers.join('\n'),
+        patterns: key.patterns.join('\n'),
+        keywords: key.keywords.join(', '),
+      };
+    })(),
     points: question?.points || 1,
     tags: Array.isArray(question?.tags) ? question.tags.join(', ') : question?.tags || '',
     orderIndex: question?.orderIndex || 0,
@@ -503,6 +578,22 @@ function QuestionForm({ question, onSave, onClose }) {
     }
 
     let correctAnswer = formData.correctAnswer;
+
+    if (formData.type === 'SHORT_TEXT') {
+      const { shortText } = formData;
+      correctAnswer = {
+        acceptedAnswers: splitLines(shortText.acceptedAnswers),
+        patterns: splitLines(shortText.patterns),
+        keywords: shortText.keywords.split(',').map((k) => k.trim()).filter(Boolean),
+        minKeywords: parseInt(shortText.minKeywords) || null,
+        caseSensitive: shortText.caseSensitive,
+        manualGrading: shortText.manualGrading,
+      };
+      const hasRule = correctAnswer.acceptedAnswers.length > 0 || correctAnswer.patterns.length > 0 || correctAnswer.keywords.length > 0;
+      if (!hasRule && !correctAnswer.manualGrading) {
+        return;
+      }
+    }
     
     // For MCQ, ensure correctAnswer is the index (number)
     if (formData.type === 'MCQ' && Array.isArray(formData.choices)) {
@@ -515,13 +606,19 @@ function QuestionForm({ question, onSave, onClose }) {
       }
     }
 
+    const { shortText, ...questionFields } = formData;
+
     onSave({
-      ...formData,
+      ...questionFields,
       correctAnswer,
       choices: formData.type === 'MCQ' ? formData.choices.filter(c => c.trim()) : formData.choices,
     });
   };
 
+  const updateShortText = (field, value) => {
+    setFormData({ ...formData, shortText: { ...formData.shortText, [field]: value } });
+  };
+
   const addChoice = () => {
     setFormData({
       ...formData,
@@ -707,17 +804,77 @@ function QuestionForm({ question, onSave, onClose }) {
           )}
 
           {formData.type === 'SHORT_TEXT' && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                {t('correctAnswer')} *
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">{t('shortTextKeyHint')}</p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('acceptedAnswers')}
+                </label>
+                <textarea
+                  value={formData.shortText.acceptedAnswers}
+                  onChange={(e) => updateShortText('acceptedAnswers', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  rows={3}
+                  placeholder={t('onePerLine')}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('answerPatterns')}
+                </label>
+                <textarea
+                  value={formData.shortText.patterns}
+                  onChange={(e) => updateShortText('patterns', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 font-mono text-sm"
+                  rows={2}
+                  placeholder="^use(State|Effect)$"
+                />
+              </div>
+              <div className="grid grid-cols-3 gap-4">
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('answerKeywords')}
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.shortText.keywords}
+                    onChange={(e) => updateShortText('keywords', e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    placeholder="state, render"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('minKeywords')}
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.shortText.minKeywords}
+                    onChange={(e) => updateShortText('minKeywords', e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    placeholder={t('all')}
+                  />
+                </div>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.shortText.caseSensitive}
+                  onChange={(e) => updateShortText('caseSensitive', e.target.checked)}
+                  className="w-4 h-4 text-primary-600"
+                />
+                {t('caseSensitive')}
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.shortText.manualGrading}
+                  onChange={(e) => updateShortText('manualGrading', e.target.checked)}
+                  className="w-4 h-4 text-primary-600"
+                />
+                {t('manualGradingFallback')}
               </label>
-              <input
-                type="text"
-                value={formData.correctAnswer}
-                onChange={(e) => setFormData({ ...formData, correctAnswer: e.target.value })}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
-                required
-              />
             </div>
           )}
 
@@ -0,0 +1,61 @@
+import { useQuery } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { ClipboardCheck } from 'lucide-react';
+
+/**
+ * Rubric criteria of a course's assignments, most failed first (instructors/admins)
+ */
+export default function RubricAnalytics({ courseId }) {
+  const { t } = useTranslation();
+
+  const { data } = useQuery({
+    queryKey: ['rubric-analytics', courseId],
+    queryFn: () => api.getCourseRubricAnalytics(courseId),
+    enabled: !!courseId,
+  });
+
+  const criteria = (data?.criteria || []).filter((c) => c.assessed > 0);
+
+  if (criteria.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+    >
+      <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2 mb-1">
+        <ClipboardCheck size={24} className="text-primary-600" />
+        {t('rubricAnalytics')}
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('rubricAnalyticsHint', { percent: Math.round((data.failRatio || 0) * 100) })}
+      </p>
+      <div className="space-y-3">
+        {criteria.slice(0, 10).map((criterion) => (
+          <div key={`${criterion.assignmentId}-${criterion.criterionId}`}>
+            <div className="flex items-center justify-between text-sm mb-1">
+              <span className="text-gray-900">
+                <span className="font-semibold">{criterion.criterionTitle}</span>
+                <span className="text-gray-500"> · {criterion.assignmentTitle}</span>
+              </span>
+              <span className="text-gray-600">
+                {t('failedOf', { failed: criterion.failed, total: criterion.assessed })}
+              </span>
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${criterion.failRate >= 0.5 ? 'bg-red-500' : criterion.failRate > 0 ? 'bg-yellow-500' : 'bg-green-500'}`}
+                style={{ width: `${Math.max(criterion.failRate * 100, 2)}%` }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useTranslation } from 'react-i18next';
+import { motion } from 'framer-motion';
+import { Plus, Trash2, X } from 'lucide-react';
+import { createEmptyCriterion, newRubricId } from '../utils/rubric';
+import TagsInput from './TagsInput';
+
+/**
+ * Editor for an assignment rubric ({ criteria: [{ id, title, weight, tags, levels: [{ id, label, points }] }] }).
+ * `value` is null when the assignment is scored manually.
+ */
+export default function RubricEditor({ value, onChange }) {
+  const { t } = useTranslation();
+  const criteria = value?.criteria || [];
+
+  const setCriteria = (next) => onChange(next.length > 0 ? { criteria: next } : null);
+
+  const updateCriterion = (index, patch) => {
+    setCriteria(criteria.map((c, i) => (i === index ? { ...c, ...patch } : c)));
+  };
+
+  const updateLevel = (criterionIndex, levelIndex, patch) => {
+    const levels = criteria[criterionIndex].levels.map((l, i) => (i === levelIndex ? { ...l, ...patch } : l));
+    updateCriterion(criterionIndex, { levels });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('rubric')}</label>
+          <p className="text-xs text-gray-500">{t('rubricHint')}</p>
+        </div>
+        <motion.button
+          whileTap={{ scale: 0.95 }}
+          type="button"
+          onClick={() => setCriteria([...criteria, createEmptyCriterion()])}
+          className="flex items-center gap-1 px-3 py-2 bg-primary-50 text-primary-700 rounded-lg hover:bg-primary-100 transition text-sm font-semibold"
+        >
+          <Plus size={16} />
+          {t('addCriterion')}
+        </motion.button>
+      </div>
+
+      {criteria.map((criterion, criterionIndex) => (
+        <div key={criterion.id} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={criterion.title}
+              onChange={(e) => updateCriterion(criterionIndex, { title: e.target.value })}
+              placeholder={t('criterionTitle')}
+              className={inputClass}
+              required
+            />
+            <input
+              type="number"
+              value={criterion.weight}
+              onChange={(e) => updateCriterion(criterionIndex, { weight: parseFloat(e.target.value) || 0 })}
+              title={t('weight')}
+              className={`${inputClass} w-24`}
+              min="0.1"
+              step="0.1"
+              required
+            />
+            <button
+              type="button"
+              onClick={() => setCriteria(criteria.filter((_, i) => i !== criterionIndex))}
+              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+              title={t('delete')}
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
+
+          <TagsInput
+            value={criterion.tags}
+            onChange={(tags) => updateCriterion(criterionIndex, { tags })}
+            placeholder={t('criterionTagsPlaceholder')}
+            className={inputClass}
+          />
+
+          <div className="space-y-2">
+            {criterion.levels.map((level, levelIndex) => (
+              <div key={level.id} className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  value={level.label}
+                  onChange={(e) => updateLevel(criterionIndex, levelIndex, { label: e.target.value })}
+                  placeholder={t('levelLabel')}
+                  className={inputClass}
+                  required
+                />
+                <input
+                  type="number"
+                  value={level.points}
+                  onChange={(e) => updateLevel(criterionIndex, levelIndex, { points: parseFloat(e.target.value) || 0 })}
+                  title={t('points')}
+                  className={`${inputClass} w-24`}
+                  min="0"
+                  step="0.5"
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => updateCriterion(criterionIndex, {
+                    levels: criterion.levels.filter((_, i) => i !== levelIndex),
+                  })}
+                  disabled={criterion.levels.length <= 2}
+                  className="p-2 text-gray-500 hover:bg-gray-100 rounded-lg transition disabled:opacity-30"
+                  title={t('delete')}
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => updateCriterion(criterionIndex, {
+                levels: [...criterion.levels, { id: newRubricId(), label: '', points: 0 }],
+              })}
+              className="text-sm text-primary-600 hover:underline"
+            >
+              + {t('addLevel')}
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * Selected level and feedback per criterion of a rubric review
+ */
+export default function RubricFeedback({ rubric, rubricResult, className = '' }) {
+  if (!rubric || !rubricResult?.criteria) {
+    return null;
+  }
+
+  return (
+    <ul className={`space-y-1 ${className}`}>
+      {rubric.criteria.map((criterion) => {
+        const result = rubricResult.criteria[criterion.id];
+        const level = criterion.levels.find((l) => l.id === result?.levelId);
+        return level ? (
+          <li key={criterion.id}>
+            <span className="font-medium">{criterion.title}:</span> {level.label}
+            {result.feedback && ` - ${result.feedback}`}
+          </li>
+        ) : null;
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,58 @@
+import { useTranslation } from 'react-i18next';
+
+/**
+ * Rubric scoring grid: one row per criterion, one selectable cell per level, plus feedback per criterion.
+ * `selections` is { [criterionId]: { levelId, feedback } }; `onChange` receives the whole updated object.
+ */
+export default function RubricGrid({ rubric, selections, onChange }) {
+  const { t } = useTranslation();
+
+  const update = (criterionId, patch) => {
+    onChange({
+      ...selections,
+      [criterionId]: { ...selections[criterionId], ...patch },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {rubric.criteria.map((criterion) => {
+        const selected = selections[criterion.id]?.levelId;
+        return (
+          <div key={criterion.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-semibold text-gray-900">{criterion.title}</h4>
+              <span className="text-xs text-gray-500">{t('weight')}: {criterion.weight}</span>
+            </div>
+            {criterion.description && <p className="text-sm text-gray-600 mb-2">{criterion.description}</p>}
+            <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${criterion.levels.length}, minmax(0, 1fr))` }}>
+              {criterion.levels.map((level) => (
+                <button
+                  key={level.id}
+                  type="button"
+                  onClick={() => update(criterion.id, { levelId: level.id })}
+                  className={`p-2 rounded-lg border text-sm text-start transition ${
+                    selected === level.id
+                      ? 'border-primary-600 bg-primary-50 text-primary-800'
+                      : 'border-gray-200 hover:border-primary-300 text-gray-700'
+                  }`}
+                >
+                  <span className="block font-semibold">{level.label}</span>
+                  <span className="block text-xs text-gray-500">{t('pointsCount', { count: level.points })}</span>
+                  {level.description && <span className="block text-xs mt-1">{level.description}</span>}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={selections[criterion.id]?.feedback || ''}
+              onChange={(e) => update(criterion.id, { feedback: e.target.value })}
+              placeholder={t('criterionFeedback')}
+              className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { CalendarRange, Eye, Plus, Save, X } from 'lucide-react';
+
+const WEEKDAYS = ['weekdaySun', 'weekdayMon', 'weekdayTue', 'weekdayWed', 'weekdayThu', 'weekdayFri', 'weekdaySat'];
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-blue-100 text-blue-700',
+  unchanged: 'bg-gray-100 text-gray-600',
+  remove: 'bg-red-100 text-red-700',
+  preserved: 'bg-yellow-100 text-yellow-800',
+};
+
+const ACTION_LABELS = {
+  create: 'scheduleActionCreate',
+  update: 'scheduleActionUpdate',
+  unchanged: 'scheduleActionUnchanged',
+  remove: 'scheduleActionRemove',
+  preserved: 'scheduleActionPreserved',
+};
+
+/**
+ * Recurring schedule rule for a course (weekdays, times, date range, holidays) with a preview of
+ * what generating/regenerating its sessions would change before applying it
+ */
+export default function SessionScheduleForm({ courseId, onApplied }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [rule, setRule] = useState({
+    weekdays: [],
+    startTime: '',
+    endTime: '',
+    startDate: '',
+    endDate: '',
+    skipDates: [],
+    topic: '',
+  });
+  const [skipDate, setSkipDate] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  const { data } = useQuery({
+    queryKey: ['session-schedule', courseId],
+    queryFn: () => api.getSessionSchedule(courseId),
+    enabled: !!courseId,
+  });
+
+  // Start from the saved rule, or the course's date range for a new one
+  useEffect(() => {
+    if (!data) return;
+    setRule((current) => ({
+      ...current,
+      startDate: data.defaults.startDate,
+      endDate: data.defaults.endDate,
+      ...(data.schedule || {}),
+      topic: data.schedule?.topic || '',
+    }));
+  }, [data]);
+
+  const update = (patch) => {
+    setRule((current) => ({ ...current, ...patch }));
+    setPreview(null);
+  };
+
+  const toggleWeekday = (day) => {
+    update({
+      weekdays: rule.weekdays.includes(day)
+        ? rule.weekdays.filter((d) => d !== day)
+        : [...rule.weekdays, day],
+    });
+  };
+
+  const addSkipDate = () => {
+    if (skipDate && !rule.skipDates.includes(skipDate)) {
+      update({ skipDates: [...rule.skipDates, skipDate].sort() });
+    }
+    setSkipDate('');
+  };
+
+  const toPayload = () => ({
+    ...rule,
+    topic: rule.topic || undefined,
+  });
+
+  const isComplete = rule.weekdays.length > 0 && rule.startTime && rule.endTime;
+
+  const { mutate: loadPreview, isPending: isPreviewing } = useMutation({
+    mutationFn: () => api.previewSessionSchedule(courseId, toPayload()),
+    onSuccess: (response) => setPreview(response),
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const { mutate: applySchedule, isPending: isApplying } = useMutation({
+    mutationFn: () => api.applySessionSchedule(courseId, toPayload()),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['sessions', courseId]);
+      queryClient.invalidateQueries(['session-schedule', courseId]);
+      addToast(t('scheduleApplied', response.summary), 'success');
+      setPreview(null);
+      onApplied?.();
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    if (!isComplete) {
+      addToast(t('fillRequiredFields'), 'error');
+      return;
+    }
+    loadPreview();
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handlePreview} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{t('scheduleWeekdays')} *</label>
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((key, day) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-3 py-1.5 rounded-full text-sm font-medium border transition ${
+                rule.weekdays.includes(day)
+                  ? 'bg-primary-600 text-white border-primary-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:border-primary-400'
+              }`}
+            >
+              {t(key)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{t('startTime')} *</label>
+          <input type="time" value={rule.startTime} onChange={(e) => update({ startTime: e.target.value })} className={inputClass} required />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{t('endTime')} *</label>
+          <input type="time" value={rule.endTime} onChange={(e) => update({ endTime: e.target.value })} className={inputClass} required />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{t('startDate')}</label>
+          <input type="date" value={rule.startDate} onChange={(e) => update({ startDate: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{t('endDate')}</label>
+          <input type="date" value={rule.endDate} onChange={(e) => update({ endDate: e.target.value })} className={inputClass} />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{t('scheduleSkipDates')}</label>
+        <div className="flex gap-2">
+          <input type="date" value={skipDate} onChange={(e) => setSkipDate(e.target.value)} className={inputClass} />
+          <button
+            type="button"
+            onClick={addSkipDate}
+            className="flex items-center gap-1 px-3 py-2 bg-primary-50 text-primary-700 rounded-lg hover:bg-primary-100 transition text-sm font-semibold"
+          >
+            <Plus size={16} />
+            {t('add')}
+          </button>
+        </div>
+        {rule.skipDates.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {rule.skipDates.map((date) => (
+              <span key={date} className="flex items-center gap-1 px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs">
+                {new Date(date).toLocaleDateString()}
+                <button
+                  type="button"
+                  onClick={() => update({ skipDates: rule.skipDates.filter((d) => d !== date) })}
+                  className="text-gray-500 hover:text-red-600"
+                >
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{t('topic')}</label>
+        <input
+          type="text"
+          value={rule.topic}
+          onChange={(e) => update({ topic: e.target.value })}
+          className={inputClass}
+          placeholder={t('scheduleTopicHint')}
+        />
+      </div>
+
+      <motion.button
+        whileTap={{ scale: 0.98 }}
+        type="submit"
+        disabled={isPreviewing}
+        className="w-full flex items-center justify-center gap-2 bg-white text-primary-700 border border-primary-600 py-3 rounded-lg font-semibold hover:bg-primary-50 transition disabled:opacity-50"
+      >
+        <Eye size={20} />
+        {t('schedulePreview')}
+      </motion.button>
+
+      {preview && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(preview.summary).map(([action, count]) => (
+              <span key={action} className={`px-2 py-1 rounded text-xs font-semibold ${ACTION_STYLES[action]}`}>
+                {t(ACTION_LABELS[action])}: {count}
+              </span>
+            ))}
+          </div>
+
+          {preview.summary.preserved > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3">{t('schedulePreservedHint')}</p>
+          )}
+
+          <div className="max-h-72 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {preview.sessions.length === 0 ? (
+              <p className="p-3 text-sm text-gray-500 flex items-center gap-2">
+                <CalendarRange size={16} />
+                {t('scheduleNoSessions')}
+              </p>
+            ) : (
+              preview.sessions.map((session) => (
+                <div key={`${session.action}-${session.id || session.date}`} className="flex items-center justify-between p-2 text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">{new Date(session.date).toLocaleDateString()}</span>
+                    <span className="text-gray-500 ms-2">{session.startTime} - {session.endTime}</span>
+                    {session.topic && <span className="text-gray-500 ms-2">· {session.topic}</span>}
+                  </div>
+                  <span className={`px-2 py-0.5 rounded text-xs font-semibold ${ACTION_STYLES[session.action]}`}>
+                    {t(ACTION_LABELS[session.action])}
+                  </span>
+                </div>
+              ))
+            )}
+          </div>
+
+          <motion.button
+            whileTap={{ scale: 0.98 }}
+            type="button"
+            onClick={() => applySchedule()}
+            disabled={isApplying}
+            className="w-full flex items-center justify-center gap-2 bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50"
+          >
+            <Save size={20} />
+            {t('scheduleApply')}
+          </motion.button>
+        </div>
+      )}
+    </form>
+  );
+}
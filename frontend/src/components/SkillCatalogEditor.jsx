@@ -0,0 +1,151 @@
+import { useTranslation } from 'react-i18next';
+import { motion } from 'framer-motion';
+import { Plus, Trash2, X } from 'lucide-react';
+
+const EMPTY_ENTRY = { tag: '', advice: { en: '', ar: '' }, resources: [] };
+
+/**
+ * Catalogue entries as the API expects them: blank advice and resource rows dropped, untagged entries skipped
+ */
+export const toSkillCatalog = (entries) =>
+  entries
+    .filter((entry) => entry.tag.trim())
+    .map((entry) => ({
+      tag: entry.tag.trim(),
+      advice: Object.fromEntries(
+        Object.entries(entry.advice).filter(([, text]) => text.trim()).map(([lang, text]) => [lang, text.trim()])
+      ),
+      resources: entry.resources
+        .filter((resource) => resource.title.trim() && resource.url.trim())
+        .map((resource) => ({ title: resource.title.trim(), url: resource.url.trim() })),
+    }));
+
+/**
+ * Editable form of a stored catalogue (missing advice languages become empty strings)
+ */
+export const fromSkillCatalog = (catalog) =>
+  (Array.isArray(catalog) ? catalog : []).map((entry) => ({
+    tag: entry.tag,
+    advice: { en: entry.advice?.en || '', ar: entry.advice?.ar || '' },
+    resources: entry.resources || [],
+  }));
+
+/**
+ * Editor for a course's skill catalogue: advice (English and Arabic) and resource links per skill tag,
+ * shown to students whose mastery of the tag is low. `tags` are the tags used in the course, offered as suggestions.
+ */
+export default function SkillCatalogEditor({ value, onChange, tags = [] }) {
+  const { t } = useTranslation();
+
+  const updateEntry = (index, patch) => {
+    onChange(value.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)));
+  };
+
+  const updateResource = (entryIndex, resourceIndex, patch) => {
+    const resources = value[entryIndex].resources.map((r, i) => (i === resourceIndex ? { ...r, ...patch } : r));
+    updateEntry(entryIndex, { resources });
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm';
+  const usedTags = new Set(value.map((entry) => entry.tag.trim().toLowerCase()));
+
+  return (
+    <div className="space-y-3">
+      <datalist id="skill-catalog-tags">
+        {tags.filter((tag) => !usedTags.has(tag)).map((tag) => (
+          <option key={tag} value={tag} />
+        ))}
+      </datalist>
+
+      {value.map((entry, entryIndex) => (
+        <div key={entryIndex} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              list="skill-catalog-tags"
+              value={entry.tag}
+              onChange={(e) => updateEntry(entryIndex, { tag: e.target.value })}
+              placeholder={t('skillTag')}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => onChange(value.filter((_, i) => i !== entryIndex))}
+              className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition"
+              title={t('delete')}
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <textarea
+              value={entry.advice.en}
+              onChange={(e) => updateEntry(entryIndex, { advice: { ...entry.advice, en: e.target.value } })}
+              placeholder={t('skillAdviceEnglish')}
+              rows={2}
+              dir="ltr"
+              className={inputClass}
+            />
+            <textarea
+              value={entry.advice.ar}
+              onChange={(e) => updateEntry(entryIndex, { advice: { ...entry.advice, ar: e.target.value } })}
+              placeholder={t('skillAdviceArabic')}
+              rows={2}
+              dir="rtl"
+              className={inputClass}
+            />
+          </div>
+
+          <div className="space-y-2">
+            {entry.resources.map((resource, resourceIndex) => (
+              <div key={resourceIndex} className="flex gap-2 items-center">
+                <input
+                  type="text"
+                  value={resource.title}
+                  onChange={(e) => updateResource(entryIndex, resourceIndex, { title: e.target.value })}
+                  placeholder={t('resourceTitle')}
+                  className={inputClass}
+                />
+                <input
+                  type="url"
+                  value={resource.url}
+                  onChange={(e) => updateResource(entryIndex, resourceIndex, { url: e.target.value })}
+                  placeholder="https://"
+                  dir="ltr"
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => updateEntry(entryIndex, { resources: entry.resources.filter((_, i) => i !== resourceIndex) })}
+                  className="p-1.5 text-gray-500 hover:text-red-600 rounded-lg transition"
+                  title={t('delete')}
+                >
+                  <X size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => updateEntry(entryIndex, { resources: [...entry.resources, { title: '', url: '' }] })}
+              className="flex items-center gap-1 text-sm text-primary-600 hover:underline"
+            >
+              <Plus size={14} />
+              {t('addResourceLink')}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <motion.button
+        whileTap={{ scale: 0.95 }}
+        type="button"
+        onClick={() => onChange([...value, EMPTY_ENTRY])}
+        className="flex items-center gap-1 px-3 py-2 bg-primary-50 text-primary-700 rounded-lg hover:bg-primary-100 transition text-sm font-semibold"
+      >
+        <Plus size={16} />
+        {t('addSkill')}
+      </motion.button>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { useTranslation } from 'react-i18next';
+import { ExternalLink, Calendar } from 'lucide-react';
+import { normalizeRecommendation } from '../utils/messages';
+
+/**
+ * Text of a stored recommendation message ({ key, params }, see utils/messages.js). Skill recommendations
+ * also carry { tag, mastery, advice: { ar, en }, resources, sessions }, shown with their advice in the
+ * current language.
+ */
+export default function SkillRecommendation({ rec }) {
+  const { t, i18n } = useTranslation();
+  const message = normalizeRecommendation(rec);
+
+  if (typeof message === 'string') {
+    return <p className="text-sm text-gray-800 leading-relaxed">{message}</p>;
+  }
+
+  if (!message.tag) {
+    return <p className="text-sm text-gray-800 leading-relaxed">{t(message.key, message.params)}</p>;
+  }
+
+  const advice = message.advice?.[i18n.language] || message.advice?.en || message.advice?.ar;
+
+  return (
+    <div className="text-sm text-gray-800 leading-relaxed space-y-1">
+      <p>
+        <span className="font-semibold">{t(message.key, message.params)}:</span>
+        {advice ? ` ${advice}` : ` ${t('reviewSkill', { tag: message.tag })}`}
+      </p>
+      {message.resources?.length > 0 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1">
+          {message.resources.map((resource) => (
+            <a
+              key={resource.url}
+              href={resource.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-1 text-xs text-primary-600 hover:underline"
+            >
+              <ExternalLink size={12} />
+              {resource.title}
+            </a>
+          ))}
+        </div>
+      )}
+      {message.sessions?.length > 0 && (
+        <p className="flex items-center gap-1 text-xs text-gray-500">
+          <Calendar size={12} />
+          {t('relatedSessions')}:{' '}
+          {message.sessions
+            .map((session) => `${session.topic || t('session')} (${new Date(session.date).toLocaleDateString()})`)
+            .join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+
+/**
+ * Link to a submission asset. Uploaded files are private: clicking asks the API for a
+ * short-lived download URL and opens it; links open directly.
+ */
+export default function SubmissionAssetLink({ asset, className, children }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+
+  const handleClick = (e) => {
+    if (asset.type !== 'FILE') return;
+    e.preventDefault();
+
+    // Open the tab synchronously so popup blockers allow it, then point it at the file
+    const win = window.open('', '_blank');
+    api.getSubmissionAssetUrl(asset.id)
+      .then(({ url }) => {
+        if (win) {
+          win.location.href = url;
+        } else {
+          window.location.href = url;
+        }
+      })
+      .catch((error) => {
+        win?.close();
+        addToast(error.message || t('downloadFailed'), 'error');
+      });
+  };
+
+  return (
+    <a
+      href={asset.type === 'FILE' ? '#' : asset.url}
+      onClick={handleClick}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={className}
+    >
+      {children || asset.name}
+    </a>
+  );
+}
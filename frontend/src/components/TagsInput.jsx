@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react';
+
+const parseTags = (text) => text.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+/**
+ * Comma-separated skill tags input. `value` is an array of tags; `onChange` receives the parsed array.
+ * The typed text is kept as-is so trailing commas and spaces survive while typing.
+ */
+export default function TagsInput({ value, onChange, className, placeholder = 'React, API, SQL' }) {
+  const tags = value || [];
+  const joined = tags.join(',');
+  const [text, setText] = useState(tags.join(', '));
+
+  // Pick up values set from outside (e.g. an edit form loading its data)
+  useEffect(() => {
+    if (parseTags(text).join(',') !== joined) {
+      setText(tags.join(', '));
+    }
+  }, [joined]);
+
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(parseTags(e.target.value));
+      }}
+      className={className}
+      placeholder={placeholder}
+    />
+  );
+}
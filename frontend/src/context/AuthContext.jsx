@@ -86,17 +86,17 @@ export const AuthProvider = ({ children }) => {
 
   const register = async (data) => {
     try {
-      const { user, accessToken, refreshToken } = await api.register(data);
+      const { user, accessToken, refreshToken, courseInvite } = await api.register(data);
       localStorage.setItem('accessToken', accessToken);
       localStorage.setItem('refreshToken', refreshToken);
       setUser(user);
-      return { success: true };
+      return { success: true, courseInvite };
     } catch (error) {
       return { success: false, error: error.message };
     }
   };
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('accessToken');
     localStorage.removeItem('refreshToken');
     setUser(null);
@@ -104,8 +104,30 @@ export const AuthProvider = ({ children }) => {
     window.location.href = '/';
   };
 
+  const logout = async () => {
+    // Revoke the refresh token server-side; local logout must still happen if this fails
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      try {
+        await api.logout(refreshToken);
+      } catch (error) {
+        console.error('Logout request failed:', error);
+      }
+    }
+    clearSession();
+  };
+
+  const logoutAll = async () => {
+    try {
+      await api.logoutAll();
+    } catch (error) {
+      console.error('Logout all request failed:', error);
+    }
+    clearSession();
+  };
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, register, logout, logoutAll }}>
       {children}
     </AuthContext.Provider>
   );
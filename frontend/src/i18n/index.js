@@ -517,6 +517,427 @@ const resources = {
       avatarUploadFailed: 'فشل رفع الصورة الشخصية',
       invalidImageType: 'نوع الملف غير صحيح. يرجى رفع صورة فقط',
       imageTooLarge: 'حجم الصورة كبير جداً. الحد الأقصى 5 ميجابايت',
+      
+      // Grading Policy
+      gradingPolicy: 'سياسة التقييم',
+      gradingPolicyHint: 'تحدد هذه القيم أوزان النتيجة الإجمالية وحساب الحضور وحدود التنبيهات لهذه الدورة. يتم إعادة حساب مقاييس الطلاب عند الحفظ.',
+      weightAttendance: 'وزن الحضور',
+      weightAssignments: 'وزن الواجبات',
+      weightExams: 'وزن الامتحانات',
+      lateCredit: 'احتساب التأخير',
+      excusedCredit: 'احتساب الغياب بعذر',
+      highAbsenceThreshold: 'حد تنبيه الغياب العالي',
+      lowExamsThreshold: 'حد تنبيه الامتحانات المنخفضة',
+      gradingWeightsTotal: 'مجموع الأوزان: {{total}}% (تتم إعادة توزيعها تلقائياً)',
+      gradingWeightsRequired: 'يجب أن يكون وزن واحد على الأقل أكبر من صفر',
+      
+      // Login Sessions
+      logoutAllDevices: 'تسجيل الخروج من جميع الأجهزة',
+      confirmLogoutAllDevices: 'سيتم تسجيل خروجك من جميع الأجهزة. هل تريد المتابعة؟',
+      loginSessions: 'جلسات تسجيل الدخول',
+      activeSessionsCount: 'الجلسات النشطة: {{count}}',
+      revokeAllSessions: 'إلغاء جميع الجلسات',
+      confirmRevokeSessions: 'سيتم تسجيل خروج المستخدم من جميع الأجهزة. هل تريد المتابعة؟',
+      sessionsRevoked: 'تم إلغاء جميع الجلسات',
+      
+      // Password reset
+      forgotPassword: 'نسيت كلمة المرور',
+      forgotPasswordLink: 'نسيت كلمة المرور؟',
+      forgotPasswordHint: 'أدخل بريدك الإلكتروني وسنرسل لك رابطاً لإعادة تعيين كلمة المرور',
+      sendResetLink: 'إرسال رابط إعادة التعيين',
+      resetLinkSent: 'إذا كان هناك حساب مرتبط بهذا البريد، فقد أرسلنا إليه رابط إعادة التعيين',
+      resetPassword: 'إعادة تعيين كلمة المرور',
+      resetLinkInvalid: 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية',
+      passwordResetSuccess: 'تم إعادة تعيين كلمة المرور، يمكنك تسجيل الدخول الآن',
+      backToLogin: 'العودة لتسجيل الدخول',
+      changePassword: 'تغيير كلمة المرور',
+      currentPassword: 'كلمة المرور الحالية',
+      confirmPassword: 'تأكيد كلمة المرور',
+      passwordsDoNotMatch: 'كلمتا المرور غير متطابقتين',
+      passwordChanged: 'تم تغيير كلمة المرور وتسجيل الخروج من الأجهزة الأخرى',
+      passwordRequirements: '12 حرفاً على الأقل مع حرف كبير وحرف صغير ورقم ورمز خاص',
+      
+      // Short text grading
+      shortTextKeyHint: 'تُقبل الإجابة إذا طابقت إحدى الإجابات المقبولة أو أحد الأنماط أو احتوت على الكلمات المفتاحية',
+      acceptedAnswers: 'الإجابات المقبولة',
+      onePerLine: 'إجابة واحدة في كل سطر',
+      answerPatterns: 'أنماط (تعابير نمطية)',
+      answerKeywords: 'كلمات مفتاحية',
+      minKeywords: 'الحد الأدنى للكلمات',
+      caseSensitive: 'مطابقة حالة الأحرف',
+      manualGradingFallback: 'إرسال الإجابات غير المطابقة للتصحيح اليدوي',
+      gradingQueue: 'قائمة التصحيح',
+      pendingAnswersCount: '{{count}} إجابة بانتظار التصحيح',
+      allCourses: 'جميع الدورات',
+      noPendingAnswers: 'لا توجد إجابات بانتظار التصحيح',
+      earnedPoints: 'النقاط المكتسبة',
+      saveGrade: 'حفظ الدرجة',
+      answerGraded: 'تم حفظ الدرجة',
+      attemptFullyGraded: 'تم تصحيح المحاولة بالكامل وتحديث النتائج',
+      pointsOutOfRange: 'يجب أن تكون النقاط بين 0 و {{max}}',
+      
+      // Question bank
+      questionBank: 'بنك الأسئلة',
+      importFromBank: 'استيراد من بنك الأسئلة',
+      importSelected: 'استيراد المحدد ({{count}})',
+      questionsImported: 'تم استيراد {{count}} سؤال',
+      noBankQuestions: 'لا توجد أسئلة في البنك',
+      bankQuestionsCount: '{{count}} سؤال',
+      bankQuestionUsage: 'مستخدم في {{quizzes}} اختبار قصير و {{exams}} امتحان',
+      newBankQuestion: 'سؤال جديد',
+      editBankQuestion: 'تعديل السؤال',
+      confirmDeleteBankQuestion: 'هل أنت متأكد من حذف هذا السؤال من البنك؟ النسخ المستوردة في الاختبارات لن تتأثر.',
+      allTags: 'كل العلامات',
+      allTopics: 'كل المواضيع',
+      allTypes: 'كل الأنواع',
+      allDifficulties: 'كل المستويات',
+      difficulty: 'مستوى الصعوبة',
+      difficultyEasy: 'سهل',
+      difficultyMedium: 'متوسط',
+      difficultyHard: 'صعب',
+      mcqNeedsChoices: 'أدخل خيارين على الأقل واختر الإجابة الصحيحة',
+      bankDrawRules: 'السحب من بنك الأسئلة',
+      bankDrawRulesHint: 'يحصل كل طالب على أسئلة عشوائية من البنك حسب هذه القواعد بالإضافة إلى أسئلة الامتحان',
+      addDrawRule: 'إضافة قاعدة',
+      questionCount: 'عدد الأسئلة',
+      examNeedsQuestions: 'حدد عدد أسئلة الامتحان أو أضف قاعدة سحب من البنك',
+      
+      // Submission files
+      submissionText: 'نص التسليم',
+      enterSubmissionText: 'اكتب تسليمك هنا...',
+      submissionHint: 'يمكنك كتابة نص أو إرفاق ملفات أو إضافة روابط (مثل GitHub)',
+      attachFiles: 'الملفات المرفقة',
+      chooseFiles: 'اختر ملفات',
+      submissionContentRequired: 'أضف نصاً أو ملفاً أو رابطاً قبل التسليم',
+      
+      // Submission versions
+      versionHistory: 'سجل النسخ',
+      versionNumber: 'النسخة {{number}}',
+      currentVersion: 'الحالية',
+      compareWith: 'مقارنة مع',
+      noComparison: 'بدون مقارنة',
+      changesSince: 'التغييرات منذ النسخة {{number}}',
+      noChanges: 'لا توجد تغييرات',
+      added: 'مضاف',
+      removed: 'محذوف',
+      reviews: 'المراجعات',
+      reviewerNote: 'ملاحظة المراجع',
+      resubmit: 'إعادة التسليم',
+      
+      // Late submissions
+      latePolicy: 'سياسة التأخير',
+      latePolicyAccept: 'قبول التسليم المتأخر بدون خصم',
+      latePolicyPenalty: 'خصم نسبة عن كل يوم تأخير',
+      latePolicyHardClose: 'إغلاق التسليم بعد الموعد النهائي',
+      latePenaltyPerDay: 'الخصم لكل يوم (%)',
+      latePenaltyMax: 'الحد الأقصى للخصم (%)',
+      latePolicyAcceptInfo: 'يُقبل التسليم المتأخر ويُعلَّم كمتأخر.',
+      latePolicyPenaltyInfo: 'يُخصم {{perDay}}% عن كل يوم تأخير بحد أقصى {{max}}%.',
+      latePolicyHardCloseInfo: 'لا يُقبل التسليم بعد الموعد النهائي.',
+      lateSubmission: 'متأخر',
+      lateWithPenalty: 'متأخر (-{{penalty}}%)',
+      extendedTo: 'تم التمديد حتى {{date}}',
+      submissionClosed: 'انتهى موعد التسليم',
+      extensions: 'تمديدات الموعد',
+      grantExtension: 'منح تمديد',
+      selectStudent: 'اختر طالباً',
+      newDueDate: 'الموعد الجديد',
+      reason: 'السبب',
+      noExtensions: 'لا توجد تمديدات',
+      extensionSaved: 'تم حفظ التمديد',
+      extensionRemoved: 'تم إلغاء التمديد',
+      
+      // Rubrics
+      rubric: 'معايير التقييم',
+      rubricHint: 'عند استخدام المعايير تُحسب الدرجة من المستويات المختارة.',
+      addCriterion: 'إضافة معيار',
+      criterionTitle: 'عنوان المعيار',
+      weight: 'الوزن',
+      levelLabel: 'اسم المستوى',
+      addLevel: 'إضافة مستوى',
+      pointsCount: '{{count}} نقطة',
+      criterionFeedback: 'ملاحظة على هذا المعيار',
+      rubricIncomplete: 'اختر مستوى لكل معيار',
+      scoreFromRubric: 'محسوبة من معايير التقييم',
+      rubricAnalytics: 'تحليل معايير التقييم',
+      rubricAnalyticsHint: 'المعايير الأكثر إخفاقاً أولاً (أقل من {{percent}}% من أعلى مستوى).',
+      failedOf: '{{failed}} من {{total}} أخفقوا',
+      
+      // Recurring session schedule
+      singleSession: 'جلسة واحدة',
+      recurringSchedule: 'جدول متكرر',
+      scheduleWeekdays: 'أيام الأسبوع',
+      weekdaySun: 'الأحد',
+      weekdayMon: 'الاثنين',
+      weekdayTue: 'الثلاثاء',
+      weekdayWed: 'الأربعاء',
+      weekdayThu: 'الخميس',
+      weekdayFri: 'الجمعة',
+      weekdaySat: 'السبت',
+      scheduleSkipDates: 'أيام العطل (يتم تخطيها)',
+      scheduleTopicHint: 'عنوان للجلسات الجديدة (اختياري)',
+      schedulePreview: 'معاينة الجلسات',
+      scheduleApply: 'تطبيق الجدول',
+      scheduleActionCreate: 'جديدة',
+      scheduleActionUpdate: 'تحديث الوقت',
+      scheduleActionUnchanged: 'بدون تغيير',
+      scheduleActionRemove: 'حذف',
+      scheduleActionPreserved: 'محفوظة',
+      schedulePreservedHint: 'بعض الجلسات لم تعد ضمن الجدول لكنها تحتوي على حضور أو اختبارات أو تقييمات، لذلك سيتم الاحتفاظ بها.',
+      scheduleNoSessions: 'لا توجد جلسات ضمن هذا الجدول',
+      scheduleApplied: 'تم تطبيق الجدول: {{create}} جديدة، {{update}} محدثة، {{remove}} محذوفة',
+      
+      // Calendar feeds
+      subscribeCalendar: 'اشتراك في التقويم',
+      myCalendarFeed: 'تقويمي',
+      courseCalendarFeed: 'تقويم الدورة',
+      calendarFeedHint: 'أضف هذا الرابط إلى Google Calendar أو Outlook أو تقويم Apple للحصول على الجلسات والمواعيد النهائية والاختبارات. لا تشارك الرابط مع أحد.',
+      copyLink: 'نسخ الرابط',
+      openInCalendarApp: 'فتح في تطبيق التقويم',
+      resetCalendarLink: 'إنشاء رابط جديد',
+      confirmResetCalendarLink: 'سيتوقف الرابط الحالي عن العمل في كل التقويمات المشتركة. هل تريد المتابعة؟',
+      calendarLinkCopied: 'تم نسخ رابط التقويم',
+      calendarLinkReset: 'تم إنشاء رابط تقويم جديد',
+      
+      // Self check-in
+      selfCheckIn: 'تسجيل الحضور الذاتي',
+      lateAfterMinutes: 'متأخر بعد (دقيقة)',
+      checkInDurationMinutes: 'مدة الفتح (دقيقة)',
+      openCheckIn: 'فتح تسجيل الحضور',
+      closeCheckIn: 'إغلاق',
+      checkInClosed: 'تم إغلاق تسجيل الحضور',
+      checkInClosedSummary: 'تسجيل الحضور مغلق. سجّل {{count}} طالب حضورهم.',
+      checkInCode: 'رمز الحضور',
+      checkInCodeRotates: 'يتغير الرمز كل بضع ثوانٍ، اطلب من الطلاب مسح رمز QR أو إدخال الرمز.',
+      checkInLateAt: 'يُسجَّل متأخراً بعد {{time}}',
+      checkInClosesAt: 'يُغلق عند {{time}}',
+      checkedInCount: 'سجّل {{count}} طالب',
+      checkedInAt: 'سجّل حضوره {{time}}',
+      checkIn: 'تسجيل الحضور',
+      checkInInstructions: 'امسح رمز QR المعروض في القاعة أو أدخل الرمز المكوّن من 6 أرقام.',
+      checkInAlreadyRecorded: 'تم تسجيل حضورك لهذه الجلسة مسبقاً',
+      checkInInvalidCode: 'الرمز غير صحيح أو منتهي، حاول مرة أخرى بالرمز الحالي',
+      checkedInLate: 'تم تسجيل حضورك (متأخر)',
+      checkedInPresent: 'تم تسجيل حضورك',
+      
+      // Excuse requests
+      excuseRequests: 'طلبات الأعذار',
+      requestExcuse: 'طلب عذر',
+      sendExcuseRequest: 'إرسال الطلب',
+      excuseRequestSent: 'تم إرسال طلب العذر',
+      excuseReasonRequired: 'يرجى كتابة سبب الغياب',
+      excuseReasonPlaceholder: 'اشرح سبب الغياب أو التأخير...',
+      attachment: 'مرفق',
+      excusePending: 'عذر قيد المراجعة',
+      excuseApproved: 'عذر مقبول',
+      excuseRejected: 'عذر مرفوض',
+      excuseRequestsCount: '{{count}} طلب',
+      noExcuseRequests: 'لا توجد طلبات أعذار',
+      reviewNote: 'ملاحظة المراجعة',
+      approveExcuse: 'قبول',
+      rejectExcuse: 'رفض',
+      excuseApprovedToast: 'تم قبول العذر وتسجيل الحضور كمعذور',
+      excuseRejectedToast: 'تم رفض العذر',
+      excuseReviewedBy: 'راجعه {{name}} بتاريخ {{date}}',
+      
+      // Audit history
+      changeHistory: 'سجل التغييرات',
+      allChanges: 'كل التغييرات',
+      noChangeHistory: 'لا توجد تغييرات مسجلة',
+      changedBy: 'بواسطة {{name}}',
+      auditAttendance: 'الحضور',
+      auditReview: 'التقييم',
+      auditSubmission: 'التسليم',
+      auditExam: 'الامتحان',
+      auditEnrollment: 'التسجيل',
+      rubricLevelsSelected: 'مستويات المعايير',
+      active: 'نشط',
+      completed: 'مكتمل',
+      dropped: 'منسحب',
+      
+      // Notifications
+      notifications: 'الإشعارات',
+      markAllRead: 'تعليم الكل كمقروء',
+      noNotifications: 'لا توجد إشعارات',
+      notifAssignmentPublished: 'واجب جديد "{{assignmentTitle}}" في {{courseTitle}}',
+      notifReviewReceived: 'تمت مراجعة تسليمك للواجب "{{assignmentTitle}}"',
+      notifReviewReceivedScore: 'تمت مراجعة تسليمك للواجب "{{assignmentTitle}}": {{score}}/{{maxScore}}',
+      notifExamOpened: 'الامتحان "{{examTitle}}" متاح الآن في {{courseTitle}}',
+      notifExamScheduled: 'الامتحان "{{examTitle}}" في {{courseTitle}} يفتح بتاريخ {{date}}',
+      notifHighAbsence: 'انخفضت نسبة حضورك في {{courseTitle}} إلى {{rate}}%',
+      
+      // Email preferences
+      emailPreferences: 'إعدادات البريد الإلكتروني',
+      emailRemindersOption: 'تذكيرات المواعيد (الواجبات، الامتحانات، المحاضرات)',
+      emailDigestOption: 'الملخص الأسبوعي للطلاب الذين لديهم تنبيهات',
+      emailLanguage: 'لغة الرسائل',
+      emailPreferencesSaved: 'تم حفظ إعدادات البريد',
+      
+      // Bulk student import
+      importStudents: 'استيراد الطلاب',
+      importStudentsHint: 'أضف مجموعة من الطلاب دفعة واحدة من ملف CSV أو Excel، مع معاينة قبل الإنشاء',
+      downloadTemplate: 'تحميل النموذج',
+      importFile: 'ملف الطلاب (.csv أو .xlsx)',
+      importColumnsHint: 'الصف الأول يحتوي أسماء الأعمدة: {{columns}} (الاسم والبريد مطلوبان)',
+      enrollInCourse: 'التسجيل في دورة',
+      noCourseEnrollment: 'بدون تسجيل',
+      initialPasswords: 'كلمات المرور الأولى',
+      passwordModeTemporary: 'كلمات مرور مؤقتة تظهر بعد الاستيراد',
+      passwordModeInvite: 'رابط دعوة بالبريد لاختيار كلمة المرور',
+      previewImport: 'معاينة',
+      confirmImport: 'استيراد',
+      importPreview: 'معاينة الاستيراد',
+      importResult: 'نتيجة الاستيراد',
+      importPreviewHint: 'سيتم إنشاء حسابات للصفوف الجديدة فقط، وتُتجاهل الصفوف المكررة وغير الصالحة.',
+      importPreviewHintCourse: 'سيتم إنشاء حسابات للصفوف الجديدة، وتسجيل الطلاب الجدد والموجودين في الدورة. تُتجاهل الصفوف المكررة وغير الصالحة.',
+      importStatusNew: 'جديد',
+      importStatusExisting: 'حساب موجود',
+      importStatusDuplicate: 'مكرر',
+      importStatusInvalid: 'غير صالح',
+      importCreatedEnrolled: 'تم إنشاء {{created}} وتسجيل {{enrolled}}',
+      importUnknownColumns: 'أعمدة غير معروفة تم تجاهلها: {{columns}}',
+      importRow: 'الصف',
+      details: 'التفاصيل',
+      temporaryPassword: 'كلمة المرور المؤقتة',
+      temporaryPasswordsWarning: 'لن تظهر كلمات المرور المؤقتة مرة أخرى. قم بتحميلها الآن وشاركها مع الطلاب.',
+      downloadCredentials: 'تحميل بيانات الدخول',
+      inviteSent: 'تم إرسال الدعوة',
+      inviteFailed: 'تعذّر إرسال الدعوة',
+      studentsImported: 'تم استيراد {{count}} طالب',
+      setYourPassword: 'اختر كلمة المرور',
+      
+      // Course invites
+      courseInvites: 'رموز ودعوات التسجيل',
+      newInvite: 'دعوة جديدة',
+      inviteKind: 'النوع',
+      inviteKindCode: 'رمز تسجيل',
+      inviteKindLink: 'رابط دعوة',
+      inviteMaxUses: 'الحد الأقصى للاستخدام',
+      unlimited: 'غير محدود',
+      inviteExpiresAt: 'تنتهي في',
+      inviteRequiresApproval: 'يتطلب موافقة',
+      inviteCreated: 'تم إنشاء الدعوة',
+      confirmRevokeInvite: 'إلغاء هذه الدعوة؟ يبقى الطلاب المسجلون بها في الدورة.',
+      pendingJoinRequests: 'طلبات انضمام بانتظار الموافقة ({{count}})',
+      approve: 'موافقة',
+      reject: 'رفض',
+      revoke: 'إلغاء',
+      copy: 'نسخ',
+      copied: 'تم النسخ',
+      noInvites: 'لا توجد رموز أو دعوات بعد',
+      inviteStateActive: 'فعّالة',
+      inviteStateExpired: 'منتهية',
+      inviteStateRevoked: 'ملغاة',
+      inviteStateUsedUp: 'مستنفدة',
+      inviteUses: 'الاستخدام: {{used}} / {{max}}',
+      inviteExpires: 'تنتهي {{date}}',
+      createdBy: 'أنشأها {{name}}',
+      courseInvite: 'دعوة للانضمام إلى دورة',
+      joinCourse: 'انضم إلى الدورة',
+      requestToJoin: 'اطلب الانضمام',
+      registerToJoin: 'أنشئ حساباً للانضمام',
+      loginToJoin: 'لدي حساب، تسجيل الدخول',
+      inviteStudentsOnly: 'الانضمام عبر الدعوات متاح للطلاب فقط.',
+      inviteNeedsApprovalHint: 'سيراجع المدرّس طلبك قبل تسجيلك.',
+      inviteNotFound: 'الدعوة غير موجودة. تأكد من الرمز أو الرابط.',
+      inviteExpiredMessage: 'انتهت صلاحية هذه الدعوة.',
+      inviteRevokedMessage: 'لم تعد هذه الدعوة صالحة.',
+      inviteUsedUpMessage: 'وصلت هذه الدعوة إلى الحد الأقصى من الاستخدام.',
+      joinedCourse: 'تم تسجيلك في {{title}}',
+      joinRequestPending: 'تم إرسال طلب الانضمام إلى {{title}} وهو بانتظار موافقة المدرّس',
+      registerInvite: 'بعد إنشاء الحساب سيتم تسجيلك في {{title}}.',
+      registerInviteApproval: 'بعد إنشاء الحساب سيُرسل طلب انضمامك إلى {{title}} للموافقة.',
+      enrollmentCodePlaceholder: 'رمز التسجيل',
+      joinWithCode: 'انضم برمز',
+      
+      // Skill tags, mastery and recommendations
+      skillTags: 'وسوم المهارات',
+      skillTagsHint: 'افصل بين الوسوم بفواصل. تُستخدم لحساب إتقان الطلاب للمهارات وتوصياتهم.',
+      sessionTagsHint: 'أسئلة الاختبارات غير الموسومة في هذه الجلسة ترث وسومها.',
+      questionTagsHint: 'اتركها فارغة لاستخدام وسوم الجلسة.',
+      criterionTagsPlaceholder: 'وسوم مهارات المعيار (افتراضياً وسوم الواجب)',
+      lowMasteryThreshold: 'حد الإتقان المنخفض للمهارة',
+      skillCatalog: 'دليل المهارات',
+      skillCatalogHint: 'نصيحة وروابط لكل وسم مهارة، تظهر للطلاب الذين يقل إتقانهم لها عن الحد.',
+      skillTag: 'وسم المهارة',
+      skillAdviceEnglish: 'النصيحة بالإنجليزية',
+      skillAdviceArabic: 'النصيحة بالعربية',
+      resourceTitle: 'عنوان المصدر',
+      addResourceLink: 'إضافة رابط',
+      reviewSkill: 'راجع الأعمال والجلسات الخاصة بـ {{tag}}.',
+      relatedSessions: 'جلسات ذات صلة',
+      classSkills: 'مهارات الفصل',
+      mySkills: 'مهاراتي',
+      skillMasteryHint: 'الإتقان هو نسبة الدرجات المكتسبة في الأعمال الموسومة بكل مهارة. أقل من {{percent}}% يعتبر ضعيفاً.',
+      studentsBelowThreshold: '{{count}} من {{total}} دون الحد',
+      skillMastery: 'إتقان المهارات',
+      skillEvidence: 'بناءً على {{count}} من الإجابات والتقييمات',
+      
+      // Metric alert details and recommendations (mirrored in backend/utils/messages.js)
+      alertHighAbsence: 'نسبة الحضور {{rate}}%، أقل من الحد المطلوب {{threshold}}%',
+      alertMissingAssignments: 'تم تسليم {{submitted}} من {{total}} واجبات',
+      alertLowExams: 'معدل الاختبارات {{average}}/10، أقل من {{threshold}}/10',
+      alertNoActivity: 'لا يوجد نشاط خلال آخر {{days}} يوماً',
+      recAttendNextSessions: 'ضع تذكيراً واحرص على حضور الجلسات القادمة',
+      recNextAssignmentChecklist: 'ركّز على الواجب التالي وأعدّ قائمة بالمهام المطلوبة',
+      recExamReviewPlan: 'ضع خطة مراجعة لمواضيع الاختبارات',
+      recReviewSkill: 'عزّز مهارة {{tag}} (الإتقان {{mastery}}%)',
+      
+      // Metric trends (weekly snapshots)
+      decliningTrend: 'تراجع مستمر',
+      alertDecliningTrend: 'انخفضت الدرجة الإجمالية من {{from}} إلى {{to}} خلال {{weeks}} أسابيع',
+      recDecliningTrend: 'نتائجك في تراجع منذ عدة أسابيع: راجع المواضيع الأخيرة وتواصل مع المدرّب',
+      decliningTrendThreshold: 'حد التراجع المستمر في الدرجة الإجمالية',
+      metricTrends: 'تطور المؤشرات أسبوعياً',
+      myProgress: 'تقدّمي',
+      notEnoughTrendData: 'لا توجد بيانات كافية بعد: يظهر المنحنى بعد أسبوعين من النشاط.',
+      trendAssignmentQuality: 'جودة الواجبات',
+      trendExams: 'الاختبارات',
+      
+      // At-risk students and interventions
+      atRiskStudents: 'الطلاب المعرّضون للخطر',
+      atRiskHint: 'درجة خطر من مؤشرات مبكرة: {{high}} فأكثر خطر مرتفع، و{{medium}} فأكثر خطر متوسط.',
+      flaggedOnly: 'المعرّضون للخطر فقط',
+      noAtRiskStudents: 'لا يوجد طلاب معرّضون للخطر حالياً',
+      riskLevelHigh: 'خطر مرتفع',
+      riskLevelMedium: 'خطر متوسط',
+      riskLevelLow: 'خطر منخفض',
+      riskBreakdown: 'تفاصيل درجة الخطر',
+      riskNotComputed: 'لم تُحسب مؤشرات هذا الطالب بعد',
+      riskPoints: '{{points}}/{{max}} نقطة',
+      riskFactorConsecutiveAbsences: 'غياب متتالٍ',
+      riskFactorMissedFirstAssignments: 'الواجبات الأولى غير المسلّمة',
+      riskFactorLowPreScore: 'نتيجة الاختبار القبلي',
+      riskFactorDecliningTrend: 'تراجع مستمر',
+      riskFactorNoActivity: 'عدم النشاط',
+      riskConsecutiveAbsences: '{{count}} غيابات متتالية حتى آخر جلسة',
+      riskMissedFirstAssignments: 'لم يُسلَّم {{missed}} من أول {{total}} واجبات انتهى موعدها',
+      riskLowPreScore: 'معدل الاختبارات القبلية {{score}}%، والحد {{threshold}}%',
+      riskNoPreScore: 'لم يُقدَّم أي اختبار قبلي بعد',
+      riskNoDecliningTrend: 'الدرجة الإجمالية لا تتراجع',
+      riskDaysInactive: '{{days}} يوماً منذ آخر نشاط',
+      interventions: 'التدخلات',
+      interventionCount: 'التدخلات: {{count}}',
+      logIntervention: 'تسجيل تدخل',
+      interventionLogged: 'تم تسجيل التدخل',
+      noInterventions: 'لا توجد تدخلات مسجّلة',
+      interventionKind: 'نوع التدخل',
+      interventionOutcome: 'النتيجة',
+      interventionNotePlaceholder: 'ماذا فعلت؟ (رسالة، مكالمة، اتفاق مع الطالب...)',
+      riskAtTime: 'الخطر حينها: {{score}}',
+      interventionKindMessage: 'رسالة',
+      interventionKindEmail: 'بريد إلكتروني',
+      interventionKindCall: 'مكالمة',
+      interventionKindMeeting: 'اجتماع',
+      interventionKindOther: 'أخرى',
+      outcomePending: 'قيد المتابعة',
+      outcomeNoResponse: 'لا رد',
+      outcomeReached: 'تم التواصل',
+      outcomeImproved: 'تحسّن',
+      outcomeNotImproved: 'لم يتحسّن',
+      
+      // Audit history: submission lateness
+      latePenalty: 'خصم التأخير',
     },
   },
   en: {
@@ -1038,6 +1459,427 @@ const resources = {
       avatarUploadFailed: 'Failed to upload avatar',
       invalidImageType: 'Invalid file type. Please upload an image only',
       imageTooLarge: 'Image is too large. Maximum size is 5MB',
+      
+      // Grading Policy
+      gradingPolicy: 'Grading Policy',
+      gradingPolicyHint: 'These values drive the overall score weights, attendance credit and alert thresholds for this course. Student metrics are recomputed on save.',
+      weightAttendance: 'Attendance weight',
+      weightAssignments: 'Assignments weight',
+      weightExams: 'Exams weight',
+      lateCredit: 'Late attendance credit',
+      excusedCredit: 'Excused absence credit',
+      highAbsenceThreshold: 'High absence alert threshold',
+      lowExamsThreshold: 'Low exams alert threshold',
+      gradingWeightsTotal: 'Weights total: {{total}}% (normalized automatically)',
+      gradingWeightsRequired: 'At least one weight must be greater than zero',
+      
+      // Login Sessions
+      logoutAllDevices: 'Log out of all devices',
+      confirmLogoutAllDevices: 'You will be logged out on every device. Continue?',
+      loginSessions: 'Login Sessions',
+      activeSessionsCount: 'Active sessions: {{count}}',
+      revokeAllSessions: 'Revoke all sessions',
+      confirmRevokeSessions: 'This user will be logged out on every device. Continue?',
+      sessionsRevoked: 'All sessions revoked',
+      
+      // Password reset
+      forgotPassword: 'Forgot Password',
+      forgotPasswordLink: 'Forgot password?',
+      forgotPasswordHint: 'Enter your email and we will send you a link to reset your password',
+      sendResetLink: 'Send Reset Link',
+      resetLinkSent: 'If an account exists for this email, a reset link has been sent to it',
+      resetPassword: 'Reset Password',
+      resetLinkInvalid: 'This reset link is invalid or has expired',
+      passwordResetSuccess: 'Password reset. You can now log in',
+      backToLogin: 'Back to login',
+      changePassword: 'Change Password',
+      currentPassword: 'Current Password',
+      confirmPassword: 'Confirm Password',
+      passwordsDoNotMatch: 'Passwords do not match',
+      passwordChanged: 'Password changed and other devices signed out',
+      passwordRequirements: 'At least 12 characters with an uppercase letter, a lowercase letter, a number and a special character',
+      
+      // Short text grading
+      shortTextKeyHint: 'An answer is accepted if it matches an accepted answer or a pattern, or contains the keywords',
+      acceptedAnswers: 'Accepted Answers',
+      onePerLine: 'One answer per line',
+      answerPatterns: 'Patterns (regular expressions)',
+      answerKeywords: 'Keywords',
+      minKeywords: 'Minimum keywords',
+      caseSensitive: 'Case sensitive',
+      manualGradingFallback: 'Send unmatched answers to manual grading',
+      gradingQueue: 'Grading Queue',
+      pendingAnswersCount: '{{count}} answers waiting for grading',
+      allCourses: 'All courses',
+      noPendingAnswers: 'No answers waiting for grading',
+      earnedPoints: 'Earned Points',
+      saveGrade: 'Save Grade',
+      answerGraded: 'Grade saved',
+      attemptFullyGraded: 'Attempt fully graded and results updated',
+      pointsOutOfRange: 'Points must be between 0 and {{max}}',
+      
+      // Question bank
+      questionBank: 'Question Bank',
+      importFromBank: 'Import from Bank',
+      importSelected: 'Import Selected ({{count}})',
+      questionsImported: '{{count}} question(s) imported',
+      noBankQuestions: 'No questions in the bank',
+      bankQuestionsCount: '{{count}} question(s)',
+      bankQuestionUsage: 'Used in {{quizzes}} quiz(zes) and {{exams}} exam(s)',
+      newBankQuestion: 'New Question',
+      editBankQuestion: 'Edit Question',
+      confirmDeleteBankQuestion: 'Delete this question from the bank? Copies already imported into quizzes and exams are kept.',
+      allTags: 'All Tags',
+      allTopics: 'All Topics',
+      allTypes: 'All Types',
+      allDifficulties: 'All Difficulties',
+      difficulty: 'Difficulty',
+      difficultyEasy: 'Easy',
+      difficultyMedium: 'Medium',
+      difficultyHard: 'Hard',
+      mcqNeedsChoices: 'Enter at least two choices and select the correct one',
+      bankDrawRules: 'Draw from Question Bank',
+      bankDrawRulesHint: 'Each student also gets random bank questions matching these rules, in addition to the exam\'s own questions',
+      addDrawRule: 'Add Rule',
+      questionCount: 'Number of questions',
+      examNeedsQuestions: 'Set an exam question count or add a bank draw rule',
+      
+      // Submission files
+      submissionText: 'Submission Text',
+      enterSubmissionText: 'Write your submission here...',
+      submissionHint: 'You can write text, attach files and add links (e.g. GitHub)',
+      attachFiles: 'Attached Files',
+      chooseFiles: 'Choose files',
+      submissionContentRequired: 'Add text, a file or a link before submitting',
+      
+      // Submission versions
+      versionHistory: 'Version history',
+      versionNumber: 'Version {{number}}',
+      currentVersion: 'current',
+      compareWith: 'Compare with',
+      noComparison: 'No comparison',
+      changesSince: 'Changes since version {{number}}',
+      noChanges: 'No changes',
+      added: 'Added',
+      removed: 'Removed',
+      reviews: 'Reviews',
+      reviewerNote: 'Reviewer note',
+      resubmit: 'Resubmit',
+      
+      // Late submissions
+      latePolicy: 'Late policy',
+      latePolicyAccept: 'Accept late submissions without penalty',
+      latePolicyPenalty: 'Deduct a percentage per day late',
+      latePolicyHardClose: 'Close submissions at the due date',
+      latePenaltyPerDay: 'Penalty per day (%)',
+      latePenaltyMax: 'Maximum penalty (%)',
+      latePolicyAcceptInfo: 'Late submissions are accepted and flagged as late.',
+      latePolicyPenaltyInfo: '{{perDay}}% is deducted per day late, up to {{max}}%.',
+      latePolicyHardCloseInfo: 'No submissions are accepted after the due date.',
+      lateSubmission: 'Late',
+      lateWithPenalty: 'Late (-{{penalty}}%)',
+      extendedTo: 'Extended to {{date}}',
+      submissionClosed: 'Submissions are closed',
+      extensions: 'Extensions',
+      grantExtension: 'Grant extension',
+      selectStudent: 'Select a student',
+      newDueDate: 'New due date',
+      reason: 'Reason',
+      noExtensions: 'No extensions',
+      extensionSaved: 'Extension saved',
+      extensionRemoved: 'Extension removed',
+      
+      // Rubrics
+      rubric: 'Rubric',
+      rubricHint: 'With a rubric, the score is computed from the selected levels.',
+      addCriterion: 'Add criterion',
+      criterionTitle: 'Criterion title',
+      weight: 'Weight',
+      levelLabel: 'Level label',
+      addLevel: 'Add level',
+      pointsCount: '{{count}} pts',
+      criterionFeedback: 'Feedback on this criterion',
+      rubricIncomplete: 'Select a level for every criterion',
+      scoreFromRubric: 'computed from the rubric',
+      rubricAnalytics: 'Rubric analytics',
+      rubricAnalyticsHint: 'Most failed criteria first (below {{percent}}% of the top level).',
+      failedOf: '{{failed}} of {{total}} failed',
+      
+      // Recurring session schedule
+      singleSession: 'Single session',
+      recurringSchedule: 'Recurring schedule',
+      scheduleWeekdays: 'Weekdays',
+      weekdaySun: 'Sun',
+      weekdayMon: 'Mon',
+      weekdayTue: 'Tue',
+      weekdayWed: 'Wed',
+      weekdayThu: 'Thu',
+      weekdayFri: 'Fri',
+      weekdaySat: 'Sat',
+      scheduleSkipDates: 'Holidays (skipped dates)',
+      scheduleTopicHint: 'Topic for new sessions (optional)',
+      schedulePreview: 'Preview sessions',
+      scheduleApply: 'Apply schedule',
+      scheduleActionCreate: 'New',
+      scheduleActionUpdate: 'Time updated',
+      scheduleActionUnchanged: 'Unchanged',
+      scheduleActionRemove: 'Removed',
+      scheduleActionPreserved: 'Kept',
+      schedulePreservedHint: 'Some sessions are no longer in the schedule but have attendance, quizzes, exams or evaluations, so they will be kept.',
+      scheduleNoSessions: 'No sessions match this schedule',
+      scheduleApplied: 'Schedule applied: {{create}} new, {{update}} updated, {{remove}} removed',
+      
+      // Calendar feeds
+      subscribeCalendar: 'Subscribe to calendar',
+      myCalendarFeed: 'My calendar',
+      courseCalendarFeed: 'Course calendar',
+      calendarFeedHint: 'Add this link to Google Calendar, Outlook or Apple Calendar to get sessions, deadlines and quizzes. Keep it private.',
+      copyLink: 'Copy link',
+      openInCalendarApp: 'Open in calendar app',
+      resetCalendarLink: 'New link',
+      confirmResetCalendarLink: 'The current link will stop working in every subscribed calendar. Continue?',
+      calendarLinkCopied: 'Calendar link copied',
+      calendarLinkReset: 'A new calendar link was created',
+      
+      // Self check-in
+      selfCheckIn: 'Self check-in',
+      lateAfterMinutes: 'Late after (minutes)',
+      checkInDurationMinutes: 'Open for (minutes)',
+      openCheckIn: 'Open check-in',
+      closeCheckIn: 'Close',
+      checkInClosed: 'Check-in closed',
+      checkInClosedSummary: 'Check-in is closed. {{count}} students checked in.',
+      checkInCode: 'Check-in code',
+      checkInCodeRotates: 'The code changes every few seconds; students scan the QR code or type the code.',
+      checkInLateAt: 'Counted as late after {{time}}',
+      checkInClosesAt: 'Closes at {{time}}',
+      checkedInCount: '{{count}} checked in',
+      checkedInAt: 'Checked in at {{time}}',
+      checkIn: 'Check in',
+      checkInInstructions: 'Scan the QR code shown in class or enter the 6-digit code.',
+      checkInAlreadyRecorded: 'Your attendance for this session is already recorded',
+      checkInInvalidCode: 'Invalid or expired code, try again with the current code',
+      checkedInLate: 'You\'re checked in (late)',
+      checkedInPresent: 'You\'re checked in',
+      
+      // Excuse requests
+      excuseRequests: 'Excuse requests',
+      requestExcuse: 'Request excuse',
+      sendExcuseRequest: 'Send request',
+      excuseRequestSent: 'Excuse request sent',
+      excuseReasonRequired: 'Please explain the reason for your absence',
+      excuseReasonPlaceholder: 'Explain why you were absent or late...',
+      attachment: 'Attachment',
+      excusePending: 'Excuse pending',
+      excuseApproved: 'Excuse approved',
+      excuseRejected: 'Excuse rejected',
+      excuseRequestsCount: '{{count}} requests',
+      noExcuseRequests: 'No excuse requests',
+      reviewNote: 'Review note',
+      approveExcuse: 'Approve',
+      rejectExcuse: 'Reject',
+      excuseApprovedToast: 'Excuse approved and attendance marked as excused',
+      excuseRejectedToast: 'Excuse rejected',
+      excuseReviewedBy: 'Reviewed by {{name}} on {{date}}',
+      
+      // Audit history
+      changeHistory: 'Change history',
+      allChanges: 'All changes',
+      noChangeHistory: 'No recorded changes',
+      changedBy: 'by {{name}}',
+      auditAttendance: 'Attendance',
+      auditReview: 'Review',
+      auditSubmission: 'Submission',
+      auditExam: 'Exam',
+      auditEnrollment: 'Enrollment',
+      rubricLevelsSelected: 'Rubric levels',
+      active: 'Active',
+      completed: 'Completed',
+      dropped: 'Dropped',
+      
+      // Notifications
+      notifications: 'Notifications',
+      markAllRead: 'Mark all as read',
+      noNotifications: 'No notifications',
+      notifAssignmentPublished: 'New assignment "{{assignmentTitle}}" in {{courseTitle}}',
+      notifReviewReceived: 'Your submission for "{{assignmentTitle}}" was reviewed',
+      notifReviewReceivedScore: 'Your submission for "{{assignmentTitle}}" was reviewed: {{score}}/{{maxScore}}',
+      notifExamOpened: 'Exam "{{examTitle}}" is now available in {{courseTitle}}',
+      notifExamScheduled: 'Exam "{{examTitle}}" in {{courseTitle}} opens on {{date}}',
+      notifHighAbsence: 'Your attendance in {{courseTitle}} dropped to {{rate}}%',
+      
+      // Email preferences
+      emailPreferences: 'Email preferences',
+      emailRemindersOption: 'Deadline reminders (assignments, exams, sessions)',
+      emailDigestOption: 'Weekly digest of students with alerts',
+      emailLanguage: 'Email language',
+      emailPreferencesSaved: 'Email preferences saved',
+      
+      // Bulk student import
+      importStudents: 'Import students',
+      importStudentsHint: 'Add a group of students at once from a CSV or Excel file, with a preview before anything is created',
+      downloadTemplate: 'Download template',
+      importFile: 'Students file (.csv or .xlsx)',
+      importColumnsHint: 'The first row holds the column names: {{columns}} (name and email are required)',
+      enrollInCourse: 'Enroll in course',
+      noCourseEnrollment: 'Don\'t enroll',
+      initialPasswords: 'Initial passwords',
+      passwordModeTemporary: 'Temporary passwords shown after the import',
+      passwordModeInvite: 'Email an invite link to choose a password',
+      previewImport: 'Preview',
+      confirmImport: 'Import',
+      importPreview: 'Import preview',
+      importResult: 'Import result',
+      importPreviewHint: 'Accounts are created for the new rows only; duplicate and invalid rows are skipped.',
+      importPreviewHintCourse: 'Accounts are created for the new rows, and new and existing students are enrolled in the course. Duplicate and invalid rows are skipped.',
+      importStatusNew: 'New',
+      importStatusExisting: 'Existing account',
+      importStatusDuplicate: 'Duplicate',
+      importStatusInvalid: 'Invalid',
+      importCreatedEnrolled: '{{created}} created, {{enrolled}} enrolled',
+      importUnknownColumns: 'Unknown columns ignored: {{columns}}',
+      importRow: 'Row',
+      details: 'Details',
+      temporaryPassword: 'Temporary password',
+      temporaryPasswordsWarning: 'Temporary passwords won\'t be shown again. Download them now and share them with the students.',
+      downloadCredentials: 'Download credentials',
+      inviteSent: 'Invite sent',
+      inviteFailed: 'Invite could not be sent',
+      studentsImported: '{{count}} students imported',
+      setYourPassword: 'Choose your password',
+      
+      // Course invites
+      courseInvites: 'Enrollment codes & invites',
+      newInvite: 'New invite',
+      inviteKind: 'Type',
+      inviteKindCode: 'Enrollment code',
+      inviteKindLink: 'Invite link',
+      inviteMaxUses: 'Max uses',
+      unlimited: 'Unlimited',
+      inviteExpiresAt: 'Expires at',
+      inviteRequiresApproval: 'Requires approval',
+      inviteCreated: 'Invite created',
+      confirmRevokeInvite: 'Revoke this invite? Students who joined with it stay enrolled.',
+      pendingJoinRequests: 'Join requests waiting for approval ({{count}})',
+      approve: 'Approve',
+      reject: 'Reject',
+      revoke: 'Revoke',
+      copy: 'Copy',
+      copied: 'Copied',
+      noInvites: 'No codes or invites yet',
+      inviteStateActive: 'Active',
+      inviteStateExpired: 'Expired',
+      inviteStateRevoked: 'Revoked',
+      inviteStateUsedUp: 'Used up',
+      inviteUses: 'Uses: {{used}} / {{max}}',
+      inviteExpires: 'Expires {{date}}',
+      createdBy: 'Created by {{name}}',
+      courseInvite: 'Course invite',
+      joinCourse: 'Join course',
+      requestToJoin: 'Request to join',
+      registerToJoin: 'Create an account to join',
+      loginToJoin: 'I have an account, log in',
+      inviteStudentsOnly: 'Only students can join courses with invites.',
+      inviteNeedsApprovalHint: 'An instructor will review your request before you are enrolled.',
+      inviteNotFound: 'Invite not found. Check the code or link.',
+      inviteExpiredMessage: 'This invite has expired.',
+      inviteRevokedMessage: 'This invite is no longer valid.',
+      inviteUsedUpMessage: 'This invite has reached its maximum number of uses.',
+      joinedCourse: 'You are now enrolled in {{title}}',
+      joinRequestPending: 'Your request to join {{title}} was sent and is waiting for an instructor\'s approval',
+      registerInvite: 'After signing up you will be enrolled in {{title}}.',
+      registerInviteApproval: 'After signing up your request to join {{title}} will be sent for approval.',
+      enrollmentCodePlaceholder: 'Enrollment code',
+      joinWithCode: 'Join with code',
+      
+      // Skill tags, mastery and recommendations
+      skillTags: 'Skill tags',
+      skillTagsHint: 'Separate tags with commas. They drive students\' skill mastery and recommendations.',
+      sessionTagsHint: 'Untagged quiz and exam questions of this session inherit these tags.',
+      questionTagsHint: 'Leave empty to use the session\'s tags.',
+      criterionTagsPlaceholder: 'Criterion skill tags (defaults to the assignment\'s tags)',
+      lowMasteryThreshold: 'Low skill mastery threshold',
+      skillCatalog: 'Skill Catalogue',
+      skillCatalogHint: 'Advice and links per skill tag, shown to students whose mastery of it is below the threshold.',
+      skillTag: 'Skill tag',
+      skillAdviceEnglish: 'Advice in English',
+      skillAdviceArabic: 'Advice in Arabic',
+      resourceTitle: 'Resource title',
+      addResourceLink: 'Add link',
+      reviewSkill: 'Review the work and sessions on {{tag}}.',
+      relatedSessions: 'Related sessions',
+      classSkills: 'Class Skills',
+      mySkills: 'My Skills',
+      skillMasteryHint: 'Mastery is the share of points earned on work tagged with each skill. Below {{percent}}% counts as weak.',
+      studentsBelowThreshold: '{{count}} of {{total}} below threshold',
+      skillMastery: 'Skill Mastery',
+      skillEvidence: 'Based on {{count}} answers and reviews',
+      
+      // Metric alert details and recommendations (mirrored in backend/utils/messages.js)
+      alertHighAbsence: 'Attendance is {{rate}}%, below the required {{threshold}}%',
+      alertMissingAssignments: '{{submitted}} of {{total}} assignments submitted',
+      alertLowExams: 'Exam average is {{average}}/10, below {{threshold}}/10',
+      alertNoActivity: 'No activity in the last {{days}} days',
+      recAttendNextSessions: 'Set a reminder and attend the next sessions',
+      recNextAssignmentChecklist: 'Focus on the next assignment and make a checklist of what it needs',
+      recExamReviewPlan: 'Create a review plan for the exam topics',
+      recReviewSkill: 'Strengthen {{tag}} (mastery {{mastery}}%)',
+      
+      // Metric trends (weekly snapshots)
+      decliningTrend: 'Declining Trend',
+      alertDecliningTrend: 'Overall score fell from {{from}} to {{to}} over {{weeks}} weeks',
+      recDecliningTrend: 'Your results have dropped for several weeks: review recent topics and talk to your instructor',
+      decliningTrendThreshold: 'Declining overall score threshold',
+      metricTrends: 'Weekly metric trends',
+      myProgress: 'My Progress',
+      notEnoughTrendData: 'Not enough data yet: the chart appears after two weeks of activity.',
+      trendAssignmentQuality: 'Assignment quality',
+      trendExams: 'Exams',
+      
+      // At-risk students and interventions
+      atRiskStudents: 'At-Risk Students',
+      atRiskHint: 'Risk score from leading indicators: {{high}} or more is high risk, {{medium}} or more medium risk.',
+      flaggedOnly: 'Flagged only',
+      noAtRiskStudents: 'No students are at risk right now',
+      riskLevelHigh: 'High risk',
+      riskLevelMedium: 'Medium risk',
+      riskLevelLow: 'Low risk',
+      riskBreakdown: 'Risk score breakdown',
+      riskNotComputed: 'This student\'s metrics haven\'t been computed yet',
+      riskPoints: '{{points}}/{{max}} pts',
+      riskFactorConsecutiveAbsences: 'Consecutive absences',
+      riskFactorMissedFirstAssignments: 'Missed first assignments',
+      riskFactorLowPreScore: 'Pre-test score',
+      riskFactorDecliningTrend: 'Declining trend',
+      riskFactorNoActivity: 'No activity',
+      riskConsecutiveAbsences: '{{count}} absences in a row up to the last session',
+      riskMissedFirstAssignments: '{{missed}} of the first {{total}} due assignments not submitted',
+      riskLowPreScore: 'Pre-test average {{score}}%, threshold {{threshold}}%',
+      riskNoPreScore: 'No pre-test taken yet',
+      riskNoDecliningTrend: 'Overall score is not declining',
+      riskDaysInactive: '{{days}} days since the last activity',
+      interventions: 'Interventions',
+      interventionCount: 'Interventions: {{count}}',
+      logIntervention: 'Log intervention',
+      interventionLogged: 'Intervention logged',
+      noInterventions: 'No interventions logged',
+      interventionKind: 'Intervention type',
+      interventionOutcome: 'Outcome',
+      interventionNotePlaceholder: 'What did you do? (message, call, agreement with the student...)',
+      riskAtTime: 'Risk at the time: {{score}}',
+      interventionKindMessage: 'Message',
+      interventionKindEmail: 'Email',
+      interventionKindCall: 'Call',
+      interventionKindMeeting: 'Meeting',
+      interventionKindOther: 'Other',
+      outcomePending: 'Pending',
+      outcomeNoResponse: 'No response',
+      outcomeReached: 'Reached',
+      outcomeImproved: 'Improved',
+      outcomeNotImproved: 'Not improved',
+      
+      // Audit history: submission lateness
+      latePenalty: 'Late penalty',
     },
   },
 };
@@ -5,9 +5,23 @@ import { useTranslation } from 'react-i18next';
 import { ArrowLeft, Download, AlertTriangle, CheckCircle, Clock, FileText, BookOpen, User, Mail, Phone, MapPin, GraduationCap, Award } from 'lucide-react';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
+import AuditHistoryPanel from '../components/AuditHistoryPanel';
+import SkillRecommendation from '../components/SkillRecommendation';
+import MetricTrendChart from '../components/MetricTrendChart';
+import { alertCode, alertLabel, alertDetails } from '../utils/messages';
+
+const ALERT_STYLES = {
+  HIGH_ABSENCE: { color: 'text-red-700 bg-red-50 border-red-200', icon: '⚠️' },
+  MISSING_ASSIGNMENTS: { color: 'text-yellow-700 bg-yellow-50 border-yellow-200', icon: '📝' },
+  LOW_EXAMS: { color: 'text-orange-700 bg-orange-50 border-orange-200', icon: '📊' },
+  NO_ACTIVITY_14_DAYS: { color: 'text-gray-700 bg-gray-50 border-gray-200', icon: '⏰' },
+  DECLINING_TREND: { color: 'text-rose-700 bg-rose-50 border-rose-200', icon: '📉' },
+};
+
+const DEFAULT_ALERT_STYLE = { color: 'text-gray-700 bg-gray-50 border-gray-200', icon: 'ℹ️' };
 
 export default function AdminStudentReport() {
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
   const { studentId } = useParams();
   const navigate = useNavigate();
   const { addToast } = useToast();
@@ -22,52 +36,18 @@ export default function AdminStudentReport() {
 
   const handleDownloadPDF = async () => {
     try {
-      await api.downloadStudentReportPDF(studentId);
+      await api.downloadStudentReportPDF(studentId, i18n.language);
       addToast(t('pdfDownloaded'), 'success');
     } catch (error) {
       addToast(t('pdfDownloadFailed'), 'error');
     }
   };
 
-  const getAlertInfo = (alert) => {
-    switch (alert) {
-      case 'HIGH_ABSENCE':
-        return {
-          color: 'text-red-700 bg-red-50 border-red-200',
-          icon: '⚠️',
-          label: t('highAbsence') || 'غياب عالي',
-          description: t('highAbsenceDesc') || 'نسبة الحضور منخفضة'
-        };
-      case 'MISSING_ASSIGNMENTS':
-        return {
-          color: 'text-yellow-700 bg-yellow-50 border-yellow-200',
-          icon: '📝',
-          label: t('missingAssignments') || 'واجبات مفقودة',
-          description: t('missingAssignmentsDesc') || 'واجبات غير مكتملة'
-        };
-      case 'LOW_EXAMS':
-        return {
-          color: 'text-orange-700 bg-orange-50 border-orange-200',
-          icon: '📊',
-          label: t('lowExams') || 'نتائج منخفضة',
-          description: t('lowExamsDesc') || 'نتائج الاختبارات منخفضة'
-        };
-      case 'NO_ACTIVITY_14_DAYS':
-        return {
-          color: 'text-gray-700 bg-gray-50 border-gray-200',
-          icon: '⏰',
-          label: t('noActivity') || 'لا يوجد نشاط',
-          description: t('noActivityDesc') || 'لا يوجد نشاط خلال 14 يوم'
-        };
-      default:
-        return {
-          color: 'text-gray-700 bg-gray-50 border-gray-200',
-          icon: 'ℹ️',
-          label: alert,
-          description: ''
-        };
-    }
-  };
+  const getAlertInfo = (alert) => ({
+    ...(ALERT_STYLES[alertCode(alert)] || DEFAULT_ALERT_STYLE),
+    label: alertLabel(t, alert),
+    description: alertDetails(t, alert),
+  });
 
   if (isLoading) {
     return (
@@ -330,6 +310,32 @@ export default function AdminStudentReport() {
                 </div>
               </div>
 
+              {/* Weekly trend of the metrics */}
+              {course?.id && (
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <h3 className="text-sm font-bold text-gray-900 mb-2">{t('metricTrends')}</h3>
+                  <MetricTrendChart courseId={course.id} studentId={studentId} />
+                </div>
+              )}
+
+              {/* Skill mastery per tag, weakest first */}
+              {metrics?.skills?.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-gray-200">
+                  <h3 className="text-sm font-bold text-gray-900 mb-2">{t('skillMastery')}</h3>
+                  <div className="flex flex-wrap gap-1.5">
+                    {metrics.skills.map((skill) => (
+                      <span
+                        key={skill.tag}
+                        className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700"
+                        title={t('skillEvidence', { count: skill.evidence })}
+                      >
+                        {skill.tag} · {Math.round(skill.mastery * 100)}%
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Alerts & Recommendations - Beautiful Design */}
               {(metrics?.alerts?.length > 0 || metrics?.recommendations?.length > 0) && (
                 <div className="mt-4 pt-4 border-t border-gray-200">
@@ -388,7 +394,7 @@ export default function AdminStudentReport() {
                               </div>
                             </div>
                             <div className="flex-1">
-                              <p className="text-sm text-gray-800 leading-relaxed">{rec}</p>
+                              <SkillRecommendation rec={rec} />
                             </div>
                           </motion.div>
                         ))}
@@ -446,6 +452,18 @@ export default function AdminStudentReport() {
           </div>
         </motion.div>
       )}
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: (enrollments.length + 1) * 0.05 }}
+        className="mt-4"
+      >
+        <AuditHistoryPanel
+          studentId={studentId}
+          courses={enrollments.map((enrollment) => enrollment.course).filter(Boolean)}
+        />
+      </motion.div>
     </div>
   );
 }
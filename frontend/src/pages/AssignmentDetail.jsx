@@ -7,7 +7,11 @@ import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
 import Skeleton from '../components/Skeleton';
 import AssignmentResources from '../components/AssignmentResources';
-import { ArrowLeft, Clock, FileText, Plus, Eye, EyeOff, Edit, Users, CheckCircle, XCircle, AlertCircle, Download } from 'lucide-react';
+import SubmissionAssetLink from '../components/SubmissionAssetLink';
+import AssignmentExtensions from '../components/AssignmentExtensions';
+import RubricFeedback from '../components/RubricFeedback';
+import { isRubric } from '../utils/rubric';
+import { ArrowLeft, Clock, FileText, Plus, Eye, EyeOff, Edit, Users, CheckCircle, XCircle, AlertCircle, Download, RotateCcw } from 'lucide-react';
 
 export default function AssignmentDetail() {
   const { t } = useTranslation();
@@ -76,6 +80,22 @@ export default function AssignmentDetail() {
   const isStudent = user?.role === 'STUDENT';
   const isAdmin = user?.role === 'ADMIN' || user?.role === 'INSTRUCTOR';
   const hasSubmission = assignment.mySubmission;
+  const effectiveDueDate = new Date(assignment.myExtension?.dueDate || assignment.dueDate);
+  const isClosed = assignment.latePolicy === 'HARD_CLOSE' && effectiveDueDate < new Date();
+
+  const latePolicyText = assignment.latePolicy === 'PENALTY'
+    ? t('latePolicyPenaltyInfo', { perDay: assignment.latePenaltyPerDay, max: assignment.latePenaltyMax })
+    : assignment.latePolicy === 'HARD_CLOSE'
+      ? t('latePolicyHardCloseInfo')
+      : t('latePolicyAcceptInfo');
+
+  const lateBadge = (submission) => submission?.late && (
+    <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+      {submission.latePenalty > 0
+        ? t('lateWithPenalty', { penalty: submission.latePenalty })
+        : t('lateSubmission')}
+    </span>
+  );
 
   return (
     <div className="max-w-4xl mx-auto px-4 py-6">
@@ -131,8 +151,14 @@ export default function AssignmentDetail() {
             <Clock size={16} />
             <span>{t('dueDate')}: {new Date(assignment.dueDate).toLocaleDateString()}</span>
           </div>
+          {assignment.myExtension && (
+            <span className="font-semibold text-primary-700">
+              {t('extendedTo', { date: effectiveDueDate.toLocaleString() })}
+            </span>
+          )}
           <span>{t('maxScore')}: {assignment.maxScore}</span>
         </div>
+        <p className="mt-2 text-sm text-gray-500">{latePolicyText}</p>
       </motion.div>
 
       {/* Assignment Resources */}
@@ -141,6 +167,8 @@ export default function AssignmentDetail() {
         canManage={isAdmin}
       />
 
+      {isAdmin && <AssignmentExtensions assignmentId={id} courseId={assignment.courseId} />}
+
       {/* Submissions List for Admin/Instructor */}
       {isAdmin && (
         <motion.div
@@ -190,10 +218,14 @@ export default function AssignmentDetail() {
                            submission.status === 'NEEDS_CHANGES' ? t('needsChanges') :
                            t('submitted')}
                         </span>
+                        {lateBadge(submission)}
                       </div>
                       <p className="text-sm text-gray-600 mb-2">{submission.note || t('noNote')}</p>
                       <div className="flex items-center gap-4 text-xs text-gray-500">
                         <span>{t('submittedAt')}: {new Date(submission.submittedAt).toLocaleString()}</span>
+                        {submission.currentVersion > 1 && (
+                          <span>{t('versionNumber', { number: submission.currentVersion })}</span>
+                        )}
                         {submission.reviews?.[0]?.score && (
                           <span className="font-semibold text-gray-700">
                             {t('score')}: {submission.reviews[0].score}/{assignment.maxScore}
@@ -203,16 +235,14 @@ export default function AssignmentDetail() {
                       {submission.assets && submission.assets.length > 0 && (
                         <div className="flex flex-wrap gap-2 mt-3">
                           {submission.assets.map((asset) => (
-                            <a
+                            <SubmissionAssetLink
                               key={asset.id}
-                              href={asset.url}
-                              target="_blank"
-                              rel="noopener noreferrer"
+                              asset={asset}
                               className="flex items-center gap-1 px-3 py-1 bg-gray-100 hover:bg-gray-200 rounded-lg text-sm text-gray-700 transition"
                             >
                               <Download size={14} />
                               {asset.name}
-                            </a>
+                            </SubmissionAssetLink>
                           ))}
                         </div>
                       )}
@@ -240,21 +270,73 @@ export default function AssignmentDetail() {
         >
           {hasSubmission ? (
             <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200">
-              <h2 className="text-xl font-bold text-gray-900 mb-4">{t('mySubmission')}</h2>
-              <p className="text-gray-600 mb-4">{hasSubmission.note}</p>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-bold text-gray-900">{t('mySubmission')}</h2>
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="text-gray-500">{t('versionNumber', { number: hasSubmission.currentVersion || 1 })}</span>
+                  <span className={`px-2 py-1 rounded-full text-xs font-semibold ${
+                    hasSubmission.status === 'APPROVED' ? 'bg-green-100 text-green-700' :
+                    hasSubmission.status === 'NEEDS_CHANGES' ? 'bg-yellow-100 text-yellow-700' :
+                    'bg-blue-100 text-blue-700'
+                  }`}>
+                    {hasSubmission.status === 'APPROVED' ? t('approved') :
+                     hasSubmission.status === 'NEEDS_CHANGES' ? t('needsChanges') :
+                     t('submitted')}
+                  </span>
+                  {lateBadge(hasSubmission)}
+                </div>
+              </div>
+              {hasSubmission.statusNote && (
+                <div className="p-4 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                  <h3 className="font-semibold text-gray-900 mb-1">{t('reviewerNote')}</h3>
+                  <p className="text-gray-700 whitespace-pre-wrap">{hasSubmission.statusNote}</p>
+                </div>
+              )}
+              {hasSubmission.reviews?.[0] && (
+                <div className="p-4 mb-4 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                  <div className="flex items-center justify-between mb-1">
+                    <h3 className="font-semibold text-gray-900">{t('feedback')}</h3>
+                    {hasSubmission.reviews[0].score !== null && (
+                      <span className="font-semibold text-gray-700">
+                        {t('score')}: {hasSubmission.reviews[0].score}/{assignment.maxScore}
+                      </span>
+                    )}
+                  </div>
+                  {hasSubmission.reviews[0].feedback && (
+                    <p className="text-gray-700 whitespace-pre-wrap">{hasSubmission.reviews[0].feedback}</p>
+                  )}
+                  <RubricFeedback
+                    rubric={isRubric(assignment.rubric) ? assignment.rubric : null}
+                    rubricResult={hasSubmission.reviews[0].rubricResult}
+                    className="mt-2 text-gray-600"
+                  />
+                </div>
+              )}
+              <p className="text-gray-600 mb-4 whitespace-pre-wrap">{hasSubmission.note}</p>
               <div className="flex gap-2">
                 {hasSubmission.assets?.map((asset) => (
-                  <a
+                  <SubmissionAssetLink
                     key={asset.id}
-                    href={asset.url}
-                    target="_blank"
-                    rel="noopener noreferrer"
+                    asset={asset}
                     className="px-4 py-2 bg-primary-100 text-primary-700 rounded-lg hover:bg-primary-200 transition"
-                  >
-                    {asset.name}
-                  </a>
+                  />
                 ))}
               </div>
+              {hasSubmission.status === 'NEEDS_CHANGES' && (
+                <motion.button
+                  whileTap={{ scale: 0.95 }}
+                  onClick={() => navigate(`/assignments/${id}/submit`)}
+                  className="w-full flex items-center justify-center gap-2 mt-4 bg-yellow-600 text-white py-3 rounded-lg font-semibold hover:bg-yellow-700 transition"
+                >
+                  <RotateCcw size={20} />
+                  {t('resubmit')}
+                </motion.button>
+              )}
+            </div>
+          ) : isClosed ? (
+            <div className="w-full flex items-center justify-center gap-2 bg-gray-100 text-gray-600 py-4 rounded-lg font-semibold">
+              <AlertCircle size={20} />
+              {t('submissionClosed')}
             </div>
           ) : (
             <motion.button
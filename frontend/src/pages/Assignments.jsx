@@ -167,7 +167,7 @@ export default function Assignments() {
                 <div className="flex items-center gap-4">
                   <div className="flex items-center gap-2 text-sm text-gray-500">
                     <Clock size={16} />
-                    <span>{new Date(assignment.dueDate).toLocaleDateString()}</span>
+                    <span>{new Date(assignment.myExtension?.dueDate || assignment.dueDate).toLocaleDateString()}</span>
                   </div>
                   
                   {/* Student Actions */}
@@ -177,6 +177,11 @@ export default function Assignments() {
                         <div className="flex items-center gap-2">
                           <CheckCircle className="text-green-600" size={18} />
                           <span className="text-sm text-green-600 font-semibold">{t('submitted')}</span>
+                          {assignment.mySubmission.late && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                              {t('lateSubmission')}
+                            </span>
+                          )}
                           <motion.button
                             whileTap={{ scale: 0.95 }}
                             onClick={() => navigate(`/assignments/${assignment.id}`)}
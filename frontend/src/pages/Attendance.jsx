@@ -5,9 +5,17 @@ import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import Skeleton from '../components/Skeleton';
-import { CheckCircle, XCircle, Clock, Calendar, BookOpen, Users } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, Calendar, BookOpen, Users, QrCode, FileQuestion, Inbox } from 'lucide-react';
+import { useState } from 'react';
+import ExcuseRequestForm from '../components/ExcuseRequestForm';
 import { getImageUrl } from '../utils/api';
 
+const EXCUSE_STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-blue-100 text-blue-700',
+  REJECTED: 'bg-gray-200 text-gray-700',
+};
+
 // Helper to get initials from name
 function getInitials(name) {
   if (!name) return 'U';
@@ -23,6 +31,8 @@ export default function Attendance() {
   const { user } = useAuth();
   const navigate = useNavigate();
   const isAdmin = user?.role === 'ADMIN';
+  const isStudent = user?.role === 'STUDENT';
+  const [excuseFormSession, setExcuseFormSession] = useState(null);
 
   const { data: coursesData, isLoading: coursesLoading } = useQuery({
     queryKey: ['courses'],
@@ -104,9 +114,30 @@ export default function Attendance() {
           </p>
         )}
         {!isAdmin && (
-          <p className="text-sm text-gray-500">
-            {t('attendanceReport')}
-          </p>
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-sm text-gray-500">
+              {t('attendanceReport')}
+            </p>
+            {isStudent ? (
+              <motion.button
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/check-in')}
+                className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
+              >
+                <QrCode size={16} />
+                {t('checkIn')}
+              </motion.button>
+            ) : (
+              <motion.button
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/excuse-requests')}
+                className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
+              >
+                <Inbox size={16} />
+                {t('excuseRequests')}
+              </motion.button>
+            )}
+          </div>
         )}
       </motion.div>
 
@@ -313,23 +344,56 @@ export default function Attendance() {
                               };
                               const Icon = config.icon;
                               
+                              const { excuse } = session;
+                              const canRequestExcuse = isStudent
+                                && ['ABSENT', 'LATE'].includes(session.status)
+                                && !['PENDING', 'APPROVED'].includes(excuse?.status);
+
                               return (
                                 <div
                                   key={session.id}
-                                  className={`flex items-center justify-between p-2.5 rounded-lg border ${config.bg} ${config.border} ${config.text}`}
+                                  className={`p-2.5 rounded-lg border ${config.bg} ${config.border} ${config.text}`}
                                 >
-                                  <div className="flex items-center gap-2 flex-1">
-                                    <Icon className={config.iconColor} size={16} />
-                                    <div>
-                                      <span className="font-medium text-sm">{session.topic || t('session')}</span>
-                                      <span className="text-xs ml-2 opacity-75">
-                                        {new Date(session.date).toLocaleDateString()}
+                                  <div className="flex items-center justify-between">
+                                    <div className="flex items-center gap-2 flex-1">
+                                      <Icon className={config.iconColor} size={16} />
+                                      <div>
+                                        <span className="font-medium text-sm">{session.topic || t('session')}</span>
+                                        <span className="text-xs ml-2 opacity-75">
+                                          {new Date(session.date).toLocaleDateString()}
+                                        </span>
+                                      </div>
+                                    </div>
+                                    <div className="flex items-center gap-1.5">
+                                      {excuse && (
+                                        <span className={`text-[10px] font-semibold px-2 py-0.5 rounded-full ${EXCUSE_STATUS_STYLES[excuse.status]}`}>
+                                          {t(`excuse${excuse.status.charAt(0)}${excuse.status.slice(1).toLowerCase()}`)}
+                                        </span>
+                                      )}
+                                      {canRequestExcuse && excuseFormSession !== session.id && (
+                                        <button
+                                          onClick={() => setExcuseFormSession(session.id)}
+                                          className="flex items-center gap-1 text-[10px] font-semibold px-2 py-0.5 rounded-full bg-white/70 hover:bg-white transition"
+                                        >
+                                          <FileQuestion size={12} />
+                                          {t('requestExcuse')}
+                                        </button>
+                                      )}
+                                      <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-white/50">
+                                        {t(session.status.toLowerCase())}
                                       </span>
                                     </div>
                                   </div>
-                                  <span className="text-xs font-semibold px-2 py-0.5 rounded-full bg-white/50">
-                                    {t(session.status.toLowerCase())}
-                                  </span>
+                                  {excuse?.status === 'REJECTED' && excuse.reviewNote && (
+                                    <p className="text-xs mt-1 opacity-75">{excuse.reviewNote}</p>
+                                  )}
+                                  {excuseFormSession === session.id && (
+                                    <ExcuseRequestForm
+                                      sessionId={session.id}
+                                      initialReason={excuse?.reason}
+                                      onClose={() => setExcuseFormSession(null)}
+                                    />
+                                  )}
                                 </div>
                               );
                             })}
@@ -8,6 +8,7 @@ import Skeleton from '../components/Skeleton';
 import { useToast } from '../context/ToastContext';
 import { ArrowLeft, CheckCircle, XCircle, Clock, FileDown } from 'lucide-react';
 import { getImageUrl } from '../utils/api';
+import CheckInPanel from '../components/CheckInPanel';
 
 // Helper to get initials from name
 function getInitials(name) {
@@ -40,9 +41,16 @@ export default function AttendanceSheet() {
     queryFn: () => api.getSession(sessionId),
   });
 
+  // Shared with CheckInPanel; while check-in is open the sheet refreshes to show students checking in
+  const { data: checkInData } = useQuery({
+    queryKey: ['check-in', sessionId],
+    queryFn: () => api.getCheckIn(sessionId),
+  });
+
   const { data, isLoading: attendanceLoading } = useQuery({
     queryKey: ['attendance', sessionId],
     queryFn: () => api.getAttendance(sessionId),
+    refetchInterval: checkInData?.checkIn?.open ? 5000 : false,
   });
 
   const session = sessionData?.session;
@@ -173,6 +181,8 @@ export default function AttendanceSheet() {
         </motion.div>
       )}
 
+      <CheckInPanel sessionId={sessionId} />
+
       <div className="flex justify-between items-center mb-3">
         <h2 className="text-base font-bold text-gray-900">{t('markAttendance')}</h2>
         <motion.button
@@ -241,6 +251,11 @@ export default function AttendanceSheet() {
                       <div className="flex-1 min-w-0">
                         <h3 className="text-sm font-semibold text-gray-900 truncate">{student.name}</h3>
                         <p className="text-xs text-gray-500 truncate">{student.email}</p>
+                        {attendance.checkedInAt && (
+                          <p className="text-xs text-primary-600">
+                            {t('checkedInAt', { time: new Date(attendance.checkedInAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) })}
+                          </p>
+                        )}
                       </div>
                     </div>
                     <div className="flex gap-1.5 flex-shrink-0">
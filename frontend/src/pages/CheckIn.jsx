@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { ArrowLeft, CheckCircle, Clock, QrCode, XCircle } from 'lucide-react';
+
+/**
+ * Student self check-in. Scanning the instructor's QR code opens this page with the session and code
+ * filled in and checks in right away; otherwise the student types the 6-digit code shown in class.
+ */
+export default function CheckIn() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [searchParams] = useSearchParams();
+  const sessionId = searchParams.get('session') || undefined;
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [result, setResult] = useState(null);
+  const autoSubmitted = useRef(false);
+
+  const { mutate: checkIn, isPending } = useMutation({
+    mutationFn: (value) => api.checkIn({ code: value, sessionId }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['attendance']);
+      setResult({ type: 'success', ...response });
+    },
+    onError: (error) => {
+      setResult({
+        type: 'error',
+        message: error.status === 409 ? t('checkInAlreadyRecorded') : t('checkInInvalidCode'),
+      });
+    },
+  });
+
+  // Codes from a scanned QR link are submitted immediately, before they rotate
+  useEffect(() => {
+    if (!autoSubmitted.current && sessionId && /^\d{6}$/.test(code)) {
+      autoSubmitted.current = true;
+      checkIn(code);
+    }
+  }, [sessionId, code, checkIn]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setResult(null);
+    checkIn(code.trim());
+  };
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-6">
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft size={20} />
+        {t('back')}
+      </motion.button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 text-center"
+      >
+        <QrCode className="mx-auto text-primary-600 mb-3" size={40} />
+        <h1 className="text-xl font-bold text-gray-900 mb-1">{t('selfCheckIn')}</h1>
+        <p className="text-sm text-gray-500 mb-6">{t('checkInInstructions')}</p>
+
+        {result?.type === 'success' ? (
+          <div className="space-y-2">
+            {result.attendance.status === 'LATE' ? (
+              <Clock className="mx-auto text-yellow-600" size={48} />
+            ) : (
+              <CheckCircle className="mx-auto text-green-600" size={48} />
+            )}
+            <p className="text-lg font-semibold text-gray-900">
+              {t(result.attendance.status === 'LATE' ? 'checkedInLate' : 'checkedInPresent')}
+            </p>
+            <p className="text-sm text-gray-600">
+              {result.session.course.title} • {result.session.topic || t('session')}
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              placeholder="000000"
+              dir="ltr"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-3xl font-mono tracking-widest focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            {result?.type === 'error' && (
+              <p className="flex items-center justify-center gap-1 text-sm text-red-600">
+                <XCircle size={16} />
+                {result.message}
+              </p>
+            )}
+            <motion.button
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={isPending || code.length !== 6}
+              className="w-full bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50"
+            >
+              {t('checkIn')}
+            </motion.button>
+          </form>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -5,6 +5,10 @@ import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import Skeleton from '../components/Skeleton';
+import RubricAnalytics from '../components/RubricAnalytics';
+import CourseInvitesPanel from '../components/CourseInvitesPanel';
+import CourseSkills from '../components/CourseSkills';
+import AtRiskCohort from '../components/AtRiskCohort';
 import { ArrowLeft, Calendar, Users, BookOpen, Plus, HelpCircle, Edit2 } from 'lucide-react';
 
 export default function CourseDetail() {
@@ -154,6 +158,14 @@ export default function CourseDetail() {
         </motion.div>
       </div>
 
+      {canCreate && <CourseInvitesPanel courseId={id} />}
+
+      {canCreate && <AtRiskCohort courseId={id} />}
+
+      {canCreate && <RubricAnalytics courseId={id} />}
+
+      <CourseSkills courseId={id} />
+
       {/* Quizzes Section */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -1,3 +1,4 @@
+import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
 import { useTranslation } from 'react-i18next';
@@ -5,12 +6,13 @@ import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import Skeleton from '../components/Skeleton';
-import { Plus, BookOpen, Users, Calendar, FileText, Clock } from 'lucide-react';
+import { Plus, BookOpen, Users, Calendar, FileText, Clock, Ticket } from 'lucide-react';
 
 export default function Courses() {
   const { t } = useTranslation();
   const { user } = useAuth();
   const navigate = useNavigate();
+  const [joinCode, setJoinCode] = useState('');
 
   const { data, isLoading, error } = useQuery({
     queryKey: ['courses', user?.id],
@@ -57,6 +59,32 @@ export default function Courses() {
             {t('helpGuide.courses')}
           </p>
         )}
+        {isStudent && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (joinCode.trim()) navigate(`/join/${encodeURIComponent(joinCode.trim())}`);
+            }}
+            className="flex gap-2 mt-2"
+          >
+            <input
+              type="text"
+              value={joinCode}
+              onChange={(e) => setJoinCode(e.target.value)}
+              placeholder={t('enrollmentCodePlaceholder')}
+              className="flex-1 max-w-xs px-3 py-2 text-sm border border-gray-300 rounded-lg uppercase focus:ring-2 focus:ring-primary-500"
+              dir="ltr"
+            />
+            <button
+              type="submit"
+              disabled={!joinCode.trim()}
+              className="flex items-center gap-1.5 px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Ticket size={16} />
+              {t('joinWithCode')}
+            </button>
+          </form>
+        )}
       </div>
 
       {isLoading ? (
@@ -5,6 +5,9 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
+import LatePolicyFields from '../components/LatePolicyFields';
+import RubricEditor from '../components/RubricEditor';
+import TagsInput from '../components/TagsInput';
 import { ArrowLeft, Save, BookOpen } from 'lucide-react';
 
 export default function CreateAssignment() {
@@ -27,6 +30,11 @@ export default function CreateAssignment() {
     dueDate: '',
     maxScore: 100,
     isPublished: false,
+    latePolicy: 'ACCEPT',
+    latePenaltyPerDay: 10,
+    latePenaltyMax: 50,
+    rubric: null,
+    tags: [],
   });
 
   const { mutate: createAssignment, isPending } = useMutation({
@@ -145,6 +153,28 @@ export default function CreateAssignment() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('skillTags')}
+            </label>
+            <TagsInput
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('skillTagsHint')}</p>
+          </div>
+
+          <RubricEditor
+            value={formData.rubric}
+            onChange={(rubric) => setFormData({ ...formData, rubric })}
+          />
+
+          <LatePolicyFields
+            value={formData}
+            onChange={(patch) => setFormData({ ...formData, ...patch })}
+          />
+
           <div className="flex items-center gap-3">
             <input
               type="checkbox"
@@ -6,6 +6,8 @@ import { useMutation, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
 import { ArrowLeft, Save, X } from 'lucide-react';
+import SessionScheduleForm from '../components/SessionScheduleForm';
+import TagsInput from '../components/TagsInput';
 
 export default function CreateSession() {
   const { t } = useTranslation();
@@ -13,6 +15,7 @@ export default function CreateSession() {
   const navigate = useNavigate();
   const { addToast } = useToast();
   const queryClient = useQueryClient();
+  const [mode, setMode] = useState('single');
 
   const [formData, setFormData] = useState({
     courseId: courseId || '',
@@ -21,6 +24,7 @@ export default function CreateSession() {
     endTime: '',
     topic: '',
     notes: '',
+    tags: [],
   });
 
   const { mutate: createSession, isPending } = useMutation({
@@ -61,86 +65,117 @@ export default function CreateSession() {
         animate={{ opacity: 1, y: 0 }}
         className="bg-white rounded-xl p-6 shadow-sm border border-gray-200"
       >
-        <h1 className="text-2xl font-bold text-gray-900 mb-6">{t('createSession')}</h1>
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">{t('createSession')}</h1>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              {t('date')} *
-            </label>
-            <input
-              type="date"
-              value={formData.date}
-              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              required
-            />
-          </div>
+        <div className="flex gap-2 mb-6">
+          {['single', 'recurring'].map((value) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setMode(value)}
+              className={`flex-1 py-2 rounded-lg text-sm font-semibold transition ${
+                mode === value ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {t(value === 'single' ? 'singleSession' : 'recurringSchedule')}
+            </button>
+          ))}
+        </div>
 
-          <div className="grid grid-cols-2 gap-4">
+        {mode === 'recurring' ? (
+          <SessionScheduleForm courseId={courseId} onApplied={() => navigate(`/sessions/${courseId}`)} />
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                {t('startTime')} *
+                {t('date')} *
               </label>
               <input
-                type="time"
-                value={formData.startTime}
-                onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                type="date"
+                value={formData.date}
+                onChange={(e) => setFormData({ ...formData, date: e.target.value })}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
                 required
               />
             </div>
 
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('startTime')} *
+                </label>
+                <input
+                  type="time"
+                  value={formData.startTime}
+                  onChange={(e) => setFormData({ ...formData, startTime: e.target.value })}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('endTime')} *
+                </label>
+                <input
+                  type="time"
+                  value={formData.endTime}
+                  onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  required
+                />
+              </div>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                {t('endTime')} *
+                {t('topic')}
               </label>
               <input
-                type="time"
-                value={formData.endTime}
-                onChange={(e) => setFormData({ ...formData, endTime: e.target.value })}
+                type="text"
+                value={formData.topic}
+                onChange={(e) => setFormData({ ...formData, topic: e.target.value })}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                required
+                placeholder={t('sessionTopic')}
               />
             </div>
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              {t('topic')}
-            </label>
-            <input
-              type="text"
-              value={formData.topic}
-              onChange={(e) => setFormData({ ...formData, topic: e.target.value })}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              placeholder={t('sessionTopic')}
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t('skillTags')}
+              </label>
+              <TagsInput
+                value={formData.tags}
+                onChange={(tags) => setFormData({ ...formData, tags })}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">{t('sessionTagsHint')}</p>
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              {t('notes')}
-            </label>
-            <textarea
-              value={formData.notes}
-              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
-              rows={4}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              placeholder={t('sessionNotes')}
-            />
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t('notes')}
+              </label>
+              <textarea
+                value={formData.notes}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                rows={4}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                placeholder={t('sessionNotes')}
+              />
+            </div>
 
-          <motion.button
-            whileTap={{ scale: 0.98 }}
-            type="submit"
-            disabled={isPending}
-            className="w-full flex items-center justify-center gap-2 bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50"
-          >
-            <Save size={20} />
-            {t('create')}
-          </motion.button>
-        </form>
+            <motion.button
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={isPending}
+              className="w-full flex items-center justify-center gap-2 bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50"
+            >
+              <Save size={20} />
+              {t('create')}
+            </motion.button>
+          </form>
+        )}
       </motion.div>
     </div>
   );
@@ -6,239 +6,55 @@ import { useNavigate } from 'react-router-dom';
 import { useState, useMemo } from 'react';
 import api from '../utils/api';
 import Skeleton from '../components/Skeleton';
+import CalendarSubscribe from '../components/CalendarSubscribe';
+import MetricTrendChart from '../components/MetricTrendChart';
+import { alertCode, alertLabel, alertDetails } from '../utils/messages';
 import { BookOpen, Calendar, FileText, TrendingUp, ChevronRight, Clock, Users, CheckCircle, XCircle, User, Mail, Phone, X, CheckCircle2, AlertCircle, HelpCircle } from 'lucide-react';
 
+const DASHBOARD_QUERIES = {
+  STUDENT: () => api.getStudentDashboard(),
+  INSTRUCTOR: () => api.getInstructorDashboard(),
+  ADMIN: () => api.getAdminDashboard(),
+};
+
 export default function Dashboard() {
   const { t } = useTranslation();
   const { user } = useAuth();
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('overview');
   const [selectedStudent, setSelectedStudent] = useState(null);
 
-  const { data: coursesData, isLoading: coursesLoading } = useQuery({
-    queryKey: ['courses'],
-    queryFn: () => api.getCourses(),
-  });
-
-  const courses = coursesData?.courses || [];
-
-  // Fetch sessions for all courses
-  const { data: sessionsData } = useQuery({
-    queryKey: ['all-sessions'],
-    queryFn: async () => {
-      const sessionsPromises = courses.map((course) => api.getSessions(course.id));
-      const results = await Promise.all(sessionsPromises);
-      return results.flatMap((r) => r.sessions || []);
-    },
-    enabled: courses.length > 0,
-  });
-
-  const allSessions = sessionsData || [];
-
-  // Get today's sessions
-  const todaySessions = allSessions.filter((s) => {
-    const sessionDate = new Date(s.date);
-    const today = new Date();
-    return sessionDate.toDateString() === today.toDateString();
-  });
-
-  // Fetch assignments for all courses
-  const { data: assignmentsData } = useQuery({
-    queryKey: ['all-assignments'],
-    queryFn: async () => {
-      const assignmentsPromises = courses.map((course) => api.getAssignments(course.id));
-      const results = await Promise.all(assignmentsPromises);
-      return results.flatMap((r) => r.assignments || []);
-    },
-    enabled: courses.length > 0,
-  });
-
-  const allAssignments = assignmentsData || [];
-
-  // Get pending assignments
-  const pendingAssignments = allAssignments.filter((a) => {
-    if (user?.role === 'STUDENT') {
-      return a.isPublished && !a.mySubmission;
-    }
-    return !a.isPublished;
-  });
-
-  // Fetch attendance summary for all courses (for students only)
-  const { data: attendanceSummariesData, isLoading: attendanceLoading } = useQuery({
-    queryKey: ['attendance-summaries', user?.id],
-    queryFn: async () => {
-      if (user?.role !== 'STUDENT' || courses.length === 0) {
-        return [];
-      }
-      const summariesPromises = courses.map((course) =>
-        api.getAttendanceSummary(user.id, course.id).catch(() => null)
-      );
-      const results = await Promise.all(summariesPromises);
-      return results.filter(r => r !== null);
-    },
-    enabled: user?.role === 'STUDENT' && courses.length > 0,
-  });
-
-  // Calculate total attendance stats for students
-  const attendanceStats = useMemo(() => {
-    if (user?.role !== 'STUDENT' || !attendanceSummariesData) {
-      return { presentCount: 0, absentCount: 0, totalSessions: 0, attendanceRate: 0 };
-    }
-    
-    let totalPresent = 0;
-    let totalAbsent = 0;
-    let totalSessions = 0;
-    
-    attendanceSummariesData.forEach((summaryData) => {
-      const summary = summaryData?.summary;
-      if (summary) {
-        totalPresent += summary.presentCount || 0;
-        totalAbsent += summary.absentCount || 0;
-        totalSessions += summary.totalSessions || 0;
-      }
-    });
-    
-    const attendanceRate = totalSessions > 0 ? Math.round((totalPresent / totalSessions) * 100) : 0;
-    
-    return {
-      presentCount: totalPresent,
-      absentCount: totalAbsent,
-      totalSessions,
-      attendanceRate,
-    };
-  }, [attendanceSummariesData, user?.role]);
+  const isStudent = user?.role === 'STUDENT';
 
-  // Fetch all students attendance summary (for admin only)
-  const { data: studentsAttendanceData, isLoading: studentsAttendanceLoading } = useQuery({
-    queryKey: ['all-students-attendance'],
-    queryFn: () => api.getAllStudentsAttendanceSummary(),
-    enabled: user?.role === 'ADMIN',
+  // One aggregated request per role instead of one per course/assignment
+  const { data: dashboard, isLoading } = useQuery({
+    queryKey: ['dashboard', user?.role],
+    queryFn: DASHBOARD_QUERIES[user?.role],
+    enabled: !!DASHBOARD_QUERIES[user?.role],
   });
 
-  const studentsAttendance = studentsAttendanceData?.summaries || [];
-
-  // Fetch students count (for admin/instructor only)
-  const { data: studentsData } = useQuery({
-    queryKey: ['students-count'],
-    queryFn: () => api.getUsers({ role: 'STUDENT' }),
-    enabled: user?.role === 'ADMIN' || user?.role === 'INSTRUCTOR',
-  });
-
-  const studentsCount = studentsData?.users?.length || 0;
-
-  // Fetch available quizzes for students
-  const { data: quizzesData } = useQuery({
-    queryKey: ['my-quizzes'],
-    queryFn: () => api.getMyQuizzes(),
-    enabled: user?.role === 'STUDENT',
-  });
-
-  const availableQuizzes = quizzesData?.quizzes || [];
-
-  // Fetch available exams for students
-  const { data: examsData } = useQuery({
-    queryKey: ['my-exams'],
-    queryFn: () => api.getMyExams(),
-    enabled: user?.role === 'STUDENT',
-  });
-
-  const availableExams = examsData?.exams || [];
-
-  // Calculate overall attendance rate for admin/instructor
-  const overallAttendanceRate = useMemo(() => {
-    if (user?.role !== 'ADMIN' && user?.role !== 'INSTRUCTOR') {
-      return 0;
-    }
-    
-    if (studentsAttendance.length === 0) {
-      return 0;
-    }
-    
-    // Calculate average attendance rate across all students
-    const totalRate = studentsAttendance.reduce((sum, item) => sum + (item.summary?.attendanceRate || 0), 0);
-    const averageRate = Math.round(totalRate / studentsAttendance.length);
-    
-    return averageRate;
-  }, [studentsAttendance, user?.role]);
-
-  // Fetch detailed attendance and assignments for selected student
-  const { data: studentDetailsData, isLoading: studentDetailsLoading } = useQuery({
-    queryKey: ['student-details', selectedStudent?.id],
-    queryFn: async () => {
-      if (!selectedStudent) return null;
-      
-      // Get all courses
-      const coursesData = await api.getCourses();
-      const courses = coursesData?.courses || [];
-      
-      // Get attendance summary for each course
-      const attendancePromises = courses.map((course) =>
-        api.getAttendanceSummary(selectedStudent.id, course.id).catch(() => null)
-      );
-      const attendanceResults = await Promise.all(attendancePromises);
-      
-      // Get all assignments for all courses
-      const assignmentsPromises = courses.map((course) =>
-        api.getAssignments(course.id).catch(() => null)
-      );
-      const assignmentsResults = await Promise.all(assignmentsPromises);
-      
-      // Get all assignments (flatten)
-      const allAssignments = assignmentsResults
-        .filter(r => r !== null)
-        .flatMap(r => r.assignments || [])
-        .filter(a => a.isPublished); // Only published assignments
-      
-      // Get submissions for each assignment
-      const submissionsPromises = allAssignments.map((assignment) =>
-        api.getSubmissions(assignment.id).catch(() => null)
-      );
-      const submissionsResults = await Promise.all(submissionsPromises);
-      
-      // Find student's submissions
-      const studentSubmissions = submissionsResults
-        .filter(r => r !== null)
-        .flatMap(r => r.submissions || [])
-        .filter(s => s.studentId === selectedStudent.id);
-      
-      // Calculate assignment stats
-      const submittedAssignmentIds = new Set(studentSubmissions.map(s => s.assignmentId));
-      const submittedCount = submittedAssignmentIds.size;
-      const notSubmittedCount = allAssignments.length - submittedCount;
-      
-      return {
-        student: selectedStudent,
-        courses: courses.map((course, index) => ({
-          ...course,
-          attendance: attendanceResults[index],
-        })).filter(c => c.attendance),
-        assignments: {
-          total: allAssignments.length,
-          submitted: submittedCount,
-          notSubmitted: notSubmittedCount,
-          submissions: studentSubmissions,
-        },
-      };
-    },
-    enabled: !!selectedStudent && user?.role === 'ADMIN',
-  });
-
-  // Calculate total assignments for admin/instructor
-  const totalAssignments = useMemo(() => {
-    if (user?.role === 'STUDENT') {
-      return pendingAssignments.length;
-    }
-    // For admin/instructor, show total published assignments
-    return allAssignments.filter(a => a.isPublished).length;
-  }, [allAssignments, pendingAssignments.length, user?.role]);
+  const courses = dashboard?.courses || [];
+  const counts = dashboard?.counts || {};
+  const upcomingSessions = dashboard?.upcomingSessions || [];
+  // Students: unsubmitted assignments; instructors/admins: unpublished ones
+  const pendingAssignments = (isStudent ? dashboard?.dueAssignments : dashboard?.draftAssignments) || [];
+  const availableQuizzes = dashboard?.openQuizzes || [];
+  const availableExams = dashboard?.openExams || [];
+  const alerts = dashboard?.alerts || [];
+  const studentsAttendance = dashboard?.students || [];
+  const attendanceStats = dashboard?.attendance || { presentCount: 0, absentCount: 0 };
+
+  // Details of the student opened from the admin list (already part of the admin dashboard)
+  const studentDetailsData = selectedStudent
+    ? studentsAttendance.find((item) => item.student.id === selectedStudent.id)
+    : null;
 
   const stats = useMemo(() => {
     const baseStats = [
-      { icon: BookOpen, label: t('courses'), value: courses.length, color: 'from-blue-500 to-blue-600', path: '/courses' },
-      { icon: FileText, label: t('assignments'), value: user?.role === 'STUDENT' ? pendingAssignments.length : totalAssignments, color: 'from-purple-500 to-purple-600', path: '/assignments' },
+      { icon: BookOpen, label: t('courses'), value: counts.courses || 0, color: 'from-blue-500 to-blue-600', path: '/courses' },
+      { icon: FileText, label: t('assignments'), value: (isStudent ? counts.dueAssignments : counts.publishedAssignments) || 0, color: 'from-purple-500 to-purple-600', path: '/assignments' },
     ];
 
-    if (user?.role === 'STUDENT') {
+    if (isStudent) {
       // For students, show attendance stats
       baseStats.push(
         { icon: CheckCircle, label: t('presentDays'), value: attendanceStats.presentCount, color: 'from-green-500 to-green-600', path: '/attendance' },
@@ -247,13 +63,13 @@ export default function Dashboard() {
     } else {
       // For admin/instructor, show overall attendance rate and students count
       baseStats.push(
-        { icon: Users, label: t('numberOfSubscribers'), value: studentsCount, color: 'from-green-500 to-green-600', path: '/students' },
-        { icon: TrendingUp, label: t('attendance'), value: `${overallAttendanceRate}%`, color: 'from-orange-500 to-orange-600', path: '/attendance' }
+        { icon: Users, label: t('numberOfSubscribers'), value: counts.students || 0, color: 'from-green-500 to-green-600', path: '/students' },
+        { icon: TrendingUp, label: t('attendance'), value: `${dashboard?.attendanceRate || 0}%`, color: 'from-orange-500 to-orange-600', path: '/attendance' }
       );
     }
 
     return baseStats;
-  }, [courses.length, todaySessions.length, pendingAssignments.length, totalAssignments, user?.role, attendanceStats, overallAttendanceRate, studentsCount, t]);
+  }, [counts, isStudent, attendanceStats, dashboard?.attendanceRate, t]);
 
   return (
     <div className="h-[100dvh] h-[100vh] flex flex-col overflow-hidden bg-gradient-to-br from-gray-50 via-white to-gray-50">
@@ -320,7 +136,10 @@ export default function Dashboard() {
       {/* Stats Cards - Horizontal Scroll on Mobile */}
       <div className="flex-1 overflow-y-auto">
         <div className="px-3 py-3">
-          <div className={`grid ${user?.role === 'STUDENT' ? 'grid-cols-2 lg:grid-cols-3' : 'grid-cols-2 lg:grid-cols-4'} gap-2 mb-3`}>
+          <div className="flex justify-end mb-2">
+            <CalendarSubscribe />
+          </div>
+          <div className={`grid ${isStudent ? 'grid-cols-2 lg:grid-cols-3' : 'grid-cols-2 lg:grid-cols-4'} gap-2 mb-3`}>
             {stats.map((stat, i) => {
               const Icon = stat.icon;
               return (
@@ -352,8 +171,8 @@ export default function Dashboard() {
             })}
           </div>
 
-          {/* Today's Sessions */}
-          {todaySessions.length > 0 && (
+          {/* Upcoming Sessions */}
+          {upcomingSessions.length > 0 && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -363,12 +182,12 @@ export default function Dashboard() {
               <div className="flex items-center justify-between mb-2">
                 <h2 className="text-sm font-bold text-gray-900 flex items-center gap-1.5">
                   <Clock size={16} className="text-primary-600" />
-                  {t('todaySessions')}
+                  {t('upcomingSessions')}
                 </h2>
                 <ChevronRight size={16} className="text-gray-400" />
               </div>
               <div className="space-y-1.5">
-                {todaySessions.slice(0, 2).map((session, i) => (
+                {upcomingSessions.slice(0, 3).map((session, i) => (
                   <motion.div
                     key={session.id}
                     initial={{ opacity: 0, x: -20 }}
@@ -378,8 +197,11 @@ export default function Dashboard() {
                     onClick={() => navigate(`/attendance/${session.id}`)}
                     className="p-2 bg-gradient-to-r from-primary-50 to-primary-100 rounded-lg border border-primary-200 cursor-pointer hover:shadow-sm transition"
                   >
-                    <p className="font-semibold text-gray-900 text-xs">{session.topic}</p>
-                    <p className="text-[10px] text-gray-600">{session.startTime} - {session.endTime}</p>
+                    <p className="font-semibold text-gray-900 text-xs">{session.topic || session.course.title}</p>
+                    <p className="text-[10px] text-gray-600">
+                      {new Date(session.startsAt).toLocaleDateString()} · {session.startTime} - {session.endTime}
+                      {session.topic && ` · ${session.course.title}`}
+                    </p>
                   </motion.div>
                 ))}
               </div>
@@ -397,7 +219,7 @@ export default function Dashboard() {
               <div className="flex items-center justify-between mb-2">
                 <h2 className="text-sm font-bold text-gray-900 flex items-center gap-1.5">
                   <FileText size={16} className="text-purple-600" />
-                  {user?.role === 'STUDENT' ? t('pendingAssignments') : t('unpublishedAssignments')}
+                  {isStudent ? t('pendingAssignments') : t('unpublishedAssignments')}
                 </h2>
                 <ChevronRight size={16} className="text-gray-400" />
               </div>
@@ -413,7 +235,9 @@ export default function Dashboard() {
                     className="p-2 bg-gradient-to-r from-purple-50 to-purple-100 rounded-lg border border-purple-200 cursor-pointer hover:shadow-sm transition"
                   >
                     <p className="font-semibold text-gray-900 text-xs">{assignment.title}</p>
-                    <p className="text-[10px] text-gray-600">{new Date(assignment.dueDate).toLocaleDateString()}</p>
+                    <p className={`text-[10px] ${assignment.overdue ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                      {new Date(assignment.dueDate).toLocaleDateString()} · {assignment.course.title}
+                    </p>
                   </motion.div>
                 ))}
               </div>
@@ -421,7 +245,7 @@ export default function Dashboard() {
           )}
 
           {/* Available Quizzes (Students Only) */}
-          {user?.role === 'STUDENT' && availableQuizzes.length > 0 && (
+          {isStudent && availableQuizzes.length > 0 && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -469,7 +293,7 @@ export default function Dashboard() {
           )}
 
           {/* Available Exams (Students Only) */}
-          {user?.role === 'STUDENT' && availableExams.length > 0 && (
+          {isStudent && availableExams.length > 0 && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
@@ -516,6 +340,53 @@ export default function Dashboard() {
             </motion.div>
           )}
 
+          {/* Alerts: the student's own per course, or students needing attention for instructors/admins */}
+          {alerts.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 1.2 }}
+              className="bg-white rounded-xl shadow-md border border-gray-100 p-3 mb-3"
+            >
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="text-sm font-bold text-gray-900 flex items-center gap-1.5">
+                  <AlertCircle size={16} className="text-red-600" />
+                  {t('alerts')}
+                </h2>
+              </div>
+              <div className="space-y-1.5">
+                {alerts.map((item, i) => (
+                  <motion.div
+                    key={`${item.student?.id || ''}-${item.course.id}`}
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    transition={{ delay: 1.3 + i * 0.05 }}
+                    onClick={() => {
+                      if (user?.role === 'ADMIN') navigate(`/admin/students/${item.student.id}/report`);
+                      else if (isStudent) navigate(`/courses/${item.course.id}`);
+                    }}
+                    className={`p-2 bg-gradient-to-r from-red-50 to-red-100 rounded-lg border border-red-200 ${user?.role === 'INSTRUCTOR' ? '' : 'cursor-pointer hover:shadow-sm'} transition`}
+                  >
+                    <p className="font-semibold text-gray-900 text-xs">
+                      {item.student ? `${item.student.name} · ${item.course.title}` : item.course.title}
+                    </p>
+                    <div className="flex flex-wrap gap-1 mt-0.5">
+                      {item.alerts.map((alert) => (
+                        <span
+                          key={alertCode(alert)}
+                          title={alertDetails(t, alert)}
+                          className="text-[10px] px-1.5 py-0.5 rounded bg-white text-red-700"
+                        >
+                          {alertLabel(t, alert)}
+                        </span>
+                      ))}
+                    </div>
+                  </motion.div>
+                ))}
+              </div>
+            </motion.div>
+          )}
+
           {/* Students Attendance Summary (Admin Only) */}
           {user?.role === 'ADMIN' && (
             <motion.div
@@ -537,7 +408,7 @@ export default function Dashboard() {
                 </button>
               </div>
 
-              {studentsAttendanceLoading ? (
+              {isLoading ? (
                 <div className="space-y-2">
                   <Skeleton className="h-12" count={5} />
                 </div>
@@ -606,7 +477,7 @@ export default function Dashboard() {
               </button>
             </div>
 
-            {coursesLoading ? (
+            {isLoading ? (
               <div className="space-y-2">
                 <Skeleton className="h-16" count={2} />
               </div>
@@ -647,6 +518,27 @@ export default function Dashboard() {
               </div>
             )}
           </motion.div>
+
+          {/* Students: weekly trend of their metrics per course */}
+          {isStudent && courses.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 1.3 }}
+              className="bg-white rounded-xl shadow-md border border-gray-100 p-3 space-y-4"
+            >
+              <h2 className="text-sm font-bold text-gray-900 flex items-center gap-1.5">
+                <TrendingUp size={16} className="text-primary-600" />
+                {t('myProgress')}
+              </h2>
+              {courses.slice(0, 3).map((course) => (
+                <div key={course.id}>
+                  <p className="font-semibold text-gray-700 text-xs mb-1 truncate">{course.title}</p>
+                  <MetricTrendChart courseId={course.id} />
+                </div>
+              ))}
+            </motion.div>
+          )}
         </div>
       </div>
 
@@ -695,16 +587,11 @@ export default function Dashboard() {
 
                 {/* Content */}
                 <div className="flex-1 overflow-y-auto p-6">
-                  {studentDetailsLoading ? (
-                    <div className="space-y-4">
-                      <Skeleton className="h-32" count={3} />
-                    </div>
-                  ) : studentDetailsData ? (
+                  {studentDetailsData ? (
                     <div className="space-y-6">
                       {/* Overall Stats */}
-                      {studentsAttendance.find(s => s.student.id === selectedStudent.id) && (() => {
-                        const overall = studentsAttendance.find(s => s.student.id === selectedStudent.id);
-                        const summary = overall?.summary || {};
+                      {(() => {
+                        const summary = studentDetailsData.summary || {};
                         return (
                           <div className="bg-gradient-to-r from-primary-50 to-primary-100 rounded-xl p-4 border border-primary-200">
                             <h3 className="font-semibold text-gray-900 mb-3">{t('overallStatistics')}</h3>
@@ -760,12 +647,8 @@ export default function Dashboard() {
                           <h3 className="font-semibold text-gray-900 mb-3">{t('courseDetails')}</h3>
                           <div className="space-y-3">
                             {studentDetailsData.courses.map((course, i) => {
-                              const attendance = course.attendance?.summary;
-                              if (!attendance) return null;
-                              
-                              const courseRate = attendance.totalSessions > 0 
-                                ? Math.round((attendance.presentCount / attendance.totalSessions) * 100)
-                                : 0;
+                              const attendance = course.summary;
+                              const courseRate = attendance.attendanceRate;
 
                               return (
                                 <motion.div
@@ -5,6 +5,10 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
+import LatePolicyFields from '../components/LatePolicyFields';
+import RubricEditor from '../components/RubricEditor';
+import TagsInput from '../components/TagsInput';
+import { isRubric } from '../utils/rubric';
 import Skeleton from '../components/Skeleton';
 import { ArrowLeft, Save, BookOpen } from 'lucide-react';
 
@@ -35,6 +39,11 @@ export default function EditAssignment() {
     dueDate: '',
     maxScore: 100,
     isPublished: false,
+    latePolicy: 'ACCEPT',
+    latePenaltyPerDay: 0,
+    latePenaltyMax: 100,
+    rubric: null,
+    tags: [],
   });
 
   useEffect(() => {
@@ -51,6 +60,12 @@ export default function EditAssignment() {
         dueDate: formattedDate,
         maxScore: assignment.maxScore || 100,
         isPublished: assignment.isPublished || false,
+        latePolicy: assignment.latePolicy || 'ACCEPT',
+        latePenaltyPerDay: assignment.latePenaltyPerDay ?? 0,
+        latePenaltyMax: assignment.latePenaltyMax ?? 100,
+        // Free-form rubrics from before the rubric format are left untouched (undefined is not sent)
+        rubric: isRubric(assignment.rubric) ? assignment.rubric : undefined,
+        tags: Array.isArray(assignment.tags) ? assignment.tags : [],
       });
     }
   }, [assignment]);
@@ -185,6 +200,28 @@ export default function EditAssignment() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('skillTags')}
+            </label>
+            <TagsInput
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('skillTagsHint')}</p>
+          </div>
+
+          <RubricEditor
+            value={formData.rubric}
+            onChange={(rubric) => setFormData({ ...formData, rubric })}
+          />
+
+          <LatePolicyFields
+            value={formData}
+            onChange={(patch) => setFormData({ ...formData, ...patch })}
+          />
+
           <div className="flex items-center gap-3">
             <input
               type="checkbox"
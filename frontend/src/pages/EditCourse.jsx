@@ -6,7 +6,35 @@ import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
 import Skeleton from '../components/Skeleton';
-import { ArrowLeft, Save, BookOpen, Calendar, User, X, Plus } from 'lucide-react';
+import { ArrowLeft, Save, BookOpen, Calendar, User, X, Plus, Scale, Lightbulb } from 'lucide-react';
+import SkillCatalogEditor, { toSkillCatalog, fromSkillCatalog } from '../components/SkillCatalogEditor';
+
+// Grading policy values are stored as 0..1 ratios and edited as percentages
+const POLICY_FIELDS = [
+  { group: 'weights', key: 'attendance', label: 'weightAttendance' },
+  { group: 'weights', key: 'assignments', label: 'weightAssignments' },
+  { group: 'weights', key: 'exams', label: 'weightExams' },
+  { group: 'attendanceCredit', key: 'late', label: 'lateCredit' },
+  { group: 'attendanceCredit', key: 'excused', label: 'excusedCredit' },
+  { group: 'thresholds', key: 'highAbsence', label: 'highAbsenceThreshold' },
+  { group: 'thresholds', key: 'lowExams', label: 'lowExamsThreshold' },
+  { group: 'thresholds', key: 'lowMastery', label: 'lowMasteryThreshold' },
+  { group: 'thresholds', key: 'decliningTrend', label: 'decliningTrendThreshold' },
+];
+
+const toPercent = (value) => Math.round((Number(value) || 0) * 100);
+
+const policyToPercents = (policy) =>
+  POLICY_FIELDS.reduce((acc, { group, key }) => {
+    acc[group] = { ...(acc[group] || {}), [key]: toPercent(policy?.[group]?.[key]) };
+    return acc;
+  }, {});
+
+const percentsToPolicy = (percents) =>
+  POLICY_FIELDS.reduce((acc, { group, key }) => {
+    acc[group] = { ...(acc[group] || {}), [key]: (Number(percents[group][key]) || 0) / 100 };
+    return acc;
+  }, {});
 
 export default function EditCourse() {
   const { t } = useTranslation();
@@ -20,6 +48,11 @@ export default function EditCourse() {
     queryFn: () => api.getCourse(id),
   });
 
+  const { data: skillsData } = useQuery({
+    queryKey: ['course-skills', id],
+    queryFn: () => api.getCourseSkills(id),
+  });
+
   const { data: instructorsData } = useQuery({
     queryKey: ['instructors'],
     queryFn: () => api.getInstructors(),
@@ -35,6 +68,8 @@ export default function EditCourse() {
     endDate: '',
     createdBy: '',
     instructorIds: [],
+    gradingPolicy: policyToPercents(null),
+    skillCatalog: [],
   });
 
   useEffect(() => {
@@ -59,6 +94,8 @@ export default function EditCourse() {
         endDate: formattedEndDate,
         createdBy: course.createdBy || '',
         instructorIds,
+        gradingPolicy: policyToPercents(course.gradingPolicy),
+        skillCatalog: fromSkillCatalog(course.skillCatalog),
       });
     }
   }, [course]);
@@ -68,6 +105,7 @@ export default function EditCourse() {
     onSuccess: () => {
       queryClient.invalidateQueries(['course', id]);
       queryClient.invalidateQueries(['courses']);
+      queryClient.invalidateQueries(['adminStudents']);
       addToast(t('success'), 'success');
       navigate(`/courses/${id}`);
     },
@@ -82,9 +120,31 @@ export default function EditCourse() {
       addToast(t('fillRequiredFields'), 'error');
       return;
     }
-    updateCourse(formData);
+    const { weights } = formData.gradingPolicy;
+    if (Number(weights.attendance) + Number(weights.assignments) + Number(weights.exams) <= 0) {
+      addToast(t('gradingWeightsRequired'), 'error');
+      return;
+    }
+    updateCourse({
+      ...formData,
+      gradingPolicy: percentsToPolicy(formData.gradingPolicy),
+      skillCatalog: toSkillCatalog(formData.skillCatalog),
+    });
+  };
+
+  const handlePolicyChange = (group, key, value) => {
+    setFormData({
+      ...formData,
+      gradingPolicy: {
+        ...formData.gradingPolicy,
+        [group]: { ...formData.gradingPolicy[group], [key]: value },
+      },
+    });
   };
 
+  const weightsTotal = ['attendance', 'assignments', 'exams']
+    .reduce((sum, key) => sum + (Number(formData.gradingPolicy.weights[key]) || 0), 0);
+
   const handleAddInstructor = (instructorId) => {
     if (!formData.instructorIds.includes(instructorId) && instructorId !== formData.createdBy) {
       setFormData({
@@ -288,6 +348,50 @@ export default function EditCourse() {
             )}
           </div>
 
+          {/* Grading Policy */}
+          <div className="pt-2 border-t border-gray-200">
+            <div className="flex items-center gap-2 mt-4 mb-1">
+              <Scale size={18} className="text-primary-600" />
+              <h2 className="text-lg font-semibold text-gray-900">{t('gradingPolicy')}</h2>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('gradingPolicyHint')}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              {POLICY_FIELDS.map(({ group, key, label }) => (
+                <div key={`${group}.${key}`}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t(label)} (%)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={formData.gradingPolicy[group][key]}
+                    onChange={(e) => handlePolicyChange(group, key, e.target.value)}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              ))}
+            </div>
+            <p className={`text-sm mt-3 ${weightsTotal === 100 ? 'text-gray-500' : 'text-amber-600'}`}>
+              {t('gradingWeightsTotal', { total: weightsTotal })}
+            </p>
+          </div>
+
+          {/* Skill Catalogue */}
+          <div className="pt-2 border-t border-gray-200">
+            <div className="flex items-center gap-2 mt-4 mb-1">
+              <Lightbulb size={18} className="text-primary-600" />
+              <h2 className="text-lg font-semibold text-gray-900">{t('skillCatalog')}</h2>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">{t('skillCatalogHint')}</p>
+            <SkillCatalogEditor
+              value={formData.skillCatalog}
+              onChange={(skillCatalog) => setFormData({ ...formData, skillCatalog })}
+              tags={skillsData?.tags}
+            />
+          </div>
+
           <div className="flex gap-4 pt-4">
             <motion.button
               type="button"
@@ -7,6 +7,7 @@ import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
 import Skeleton from '../components/Skeleton';
 import { ArrowLeft, Save } from 'lucide-react';
+import TagsInput from '../components/TagsInput';
 
 export default function EditSession() {
   const { t } = useTranslation();
@@ -30,6 +31,7 @@ export default function EditSession() {
     endTime: '',
     topic: '',
     notes: '',
+    tags: [],
   });
 
   useEffect(() => {
@@ -43,6 +45,7 @@ export default function EditSession() {
         endTime: session.endTime,
         topic: session.topic || '',
         notes: session.notes || '',
+        tags: Array.isArray(session.tags) ? session.tags : [],
       });
     }
   }, [session]);
@@ -156,6 +159,18 @@ export default function EditSession() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {t('skillTags')}
+            </label>
+            <TagsInput
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('sessionTagsHint')}</p>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               {t('notes')}
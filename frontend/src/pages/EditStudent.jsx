@@ -5,8 +5,9 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
+import { useAuth } from '../context/AuthContext';
 import Skeleton from '../components/Skeleton';
-import { ArrowLeft, Save, Mail, User, Phone, Lock } from 'lucide-react';
+import { ArrowLeft, Save, Mail, User, Phone, Lock, LogOut, MonitorSmartphone } from 'lucide-react';
 
 export default function EditStudent() {
   const { t } = useTranslation();
@@ -14,6 +15,8 @@ export default function EditStudent() {
   const navigate = useNavigate();
   const { addToast } = useToast();
   const queryClient = useQueryClient();
+  const { user: currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'ADMIN';
 
   const { data, isLoading } = useQuery({
     queryKey: ['user', id],
@@ -21,6 +24,25 @@ export default function EditStudent() {
     enabled: !!id,
   });
 
+  const { data: sessionsData } = useQuery({
+    queryKey: ['userSessions', id],
+    queryFn: () => api.getUserSessions(id),
+    enabled: !!id && isAdmin,
+  });
+
+  const activeSessions = sessionsData?.sessions || [];
+
+  const { mutate: revokeSessions, isPending: isRevoking } = useMutation({
+    mutationFn: () => api.revokeUserSessions(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['userSessions', id]);
+      addToast(t('sessionsRevoked'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
   const student = data?.user;
 
   const [formData, setFormData] = useState({
@@ -178,6 +200,36 @@ export default function EditStudent() {
           </motion.button>
         </form>
       </motion.div>
+
+      {isAdmin && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mt-4"
+        >
+          <div className="flex items-center gap-2 mb-2">
+            <MonitorSmartphone size={20} className="text-gray-600" />
+            <h2 className="text-lg font-semibold text-gray-900">{t('loginSessions')}</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            {t('activeSessionsCount', { count: activeSessions.length })}
+          </p>
+          <motion.button
+            whileTap={{ scale: 0.98 }}
+            type="button"
+            disabled={isRevoking || activeSessions.length === 0}
+            onClick={() => {
+              if (window.confirm(t('confirmRevokeSessions'))) {
+                revokeSessions();
+              }
+            }}
+            className="w-full flex items-center justify-center gap-2 border border-red-300 text-red-600 py-3 rounded-lg font-semibold hover:bg-red-50 transition disabled:opacity-50"
+          >
+            <LogOut size={20} />
+            {t('revokeAllSessions')}
+          </motion.button>
+        </motion.div>
+      )}
     </div>
   );
 }
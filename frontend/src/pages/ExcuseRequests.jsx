@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import Skeleton from '../components/Skeleton';
+import ExcuseAttachmentLink from '../components/ExcuseAttachmentLink';
+import { ArrowLeft, Inbox, User, CheckCircle, XCircle } from 'lucide-react';
+
+const STATUS_FILTERS = ['PENDING', 'APPROVED', 'REJECTED', 'ALL'];
+
+const STATUS_STYLES = {
+  PENDING: 'bg-yellow-100 text-yellow-800',
+  APPROVED: 'bg-green-100 text-green-700',
+  REJECTED: 'bg-red-100 text-red-700',
+};
+
+const statusKey = (status) => `excuse${status.charAt(0)}${status.slice(1).toLowerCase()}`;
+
+export default function ExcuseRequests() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [courseId, setCourseId] = useState('');
+  const [status, setStatus] = useState('PENDING');
+
+  const { data: coursesData } = useQuery({
+    queryKey: ['courses'],
+    queryFn: () => api.getCourses(),
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['excuse-requests', courseId, status],
+    queryFn: () => api.getExcuseRequests({ status, ...(courseId && { courseId }) }),
+  });
+
+  const courses = coursesData?.courses || [];
+  const excuses = data?.excuses || [];
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-6 pb-24">
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft size={20} />
+        {t('back')}
+      </motion.button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <Inbox size={24} />
+              {t('excuseRequests')}
+            </h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {t('excuseRequestsCount', { count: excuses.length })}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              {STATUS_FILTERS.map((value) => (
+                <option key={value} value={value}>
+                  {value === 'ALL' ? t('all') : t(statusKey(value))}
+                </option>
+              ))}
+            </select>
+            <select
+              value={courseId}
+              onChange={(e) => setCourseId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">{t('allCourses')}</option>
+              {courses.map((course) => (
+                <option key={course.id} value={course.id}>{course.title}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </motion.div>
+
+      {isLoading ? (
+        <Skeleton className="h-40" count={3} />
+      ) : excuses.length === 0 ? (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white rounded-xl p-12 text-center border border-gray-200"
+        >
+          <CheckCircle className="mx-auto text-green-500 mb-4" size={64} />
+          <p className="text-gray-600 text-lg">{t('noExcuseRequests')}</p>
+        </motion.div>
+      ) : (
+        <div className="space-y-4">
+          {excuses.map((excuse, index) => (
+            <ExcuseRequestCard key={excuse.id} excuse={excuse} index={index} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ExcuseRequestCard({ excuse, index }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const [reviewNote, setReviewNote] = useState('');
+
+  const { mutate: reviewExcuse, isPending } = useMutation({
+    mutationFn: (status) => api.reviewExcuseRequest(excuse.id, {
+      status,
+      reviewNote: reviewNote.trim() || undefined,
+    }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['excuse-requests']);
+      queryClient.invalidateQueries(['attendance']);
+      addToast(t(response.excuse.status === 'APPROVED' ? 'excuseApprovedToast' : 'excuseRejectedToast'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const { session, student } = excuse;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.05 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200"
+    >
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-3">
+        <span>{session.course.title}</span>
+        <span>•</span>
+        <span>{session.topic || t('session')}</span>
+        <span>•</span>
+        <span>{new Date(session.date).toLocaleDateString()}</span>
+        <span className={`px-2 py-1 rounded ${STATUS_STYLES[excuse.status]}`}>
+          {t(statusKey(excuse.status))}
+        </span>
+      </div>
+
+      <div className="flex items-center gap-2 mb-3">
+        <User size={16} className="text-gray-500" />
+        <span className="font-medium text-gray-900">{student.name}</span>
+        <span className="text-sm text-gray-500">{student.email}</span>
+      </div>
+
+      <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg mb-3 whitespace-pre-wrap text-gray-800">
+        {excuse.reason}
+      </div>
+
+      {excuse.attachmentKey && (
+        <div className="mb-4">
+          <ExcuseAttachmentLink excuse={excuse} />
+        </div>
+      )}
+
+      {excuse.status === 'PENDING' ? (
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="flex-1 min-w-[200px]">
+            <label className="block text-xs text-gray-500 mb-1">{t('reviewNote')}</label>
+            <input
+              type="text"
+              value={reviewNote}
+              onChange={(e) => setReviewNote(e.target.value)}
+              maxLength={1000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <button
+            onClick={() => reviewExcuse('REJECTED')}
+            disabled={isPending}
+            className="flex items-center gap-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+          >
+            <XCircle size={16} />
+            {t('rejectExcuse')}
+          </button>
+          <button
+            onClick={() => reviewExcuse('APPROVED')}
+            disabled={isPending}
+            className="flex items-center gap-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+          >
+            <CheckCircle size={16} />
+            {t('approveExcuse')}
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          {t('excuseReviewedBy', {
+            name: excuse.reviewer?.name || '—',
+            date: new Date(excuse.reviewedAt).toLocaleDateString(),
+          })}
+          {excuse.reviewNote && ` — ${excuse.reviewNote}`}
+        </p>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { useToast } from '../context/ToastContext';
+import { api } from '../utils/api';
+import { Mail, Send, CheckCircle } from 'lucide-react';
+
+export default function ForgotPassword() {
+  const { t, i18n } = useTranslation();
+  const { addToast } = useToast();
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const toggleLanguage = () => {
+    const newLang = i18n.language === 'ar' ? 'en' : 'ar';
+    i18n.changeLanguage(newLang);
+    document.documentElement.setAttribute('dir', newLang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', newLang);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await api.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      addToast(error.message || t('error'), 'error');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-500 to-primary-700 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-md"
+      >
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-2xl font-bold text-gray-900">BatTechno Model</h1>
+            <button
+              onClick={toggleLanguage}
+              className="px-3 py-1 text-sm bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+            >
+              {i18n.language === 'ar' ? 'EN' : 'AR'}
+            </button>
+          </div>
+
+          <h2 className="text-3xl font-bold mb-2 text-gray-900">{t('forgotPassword')}</h2>
+
+          {sent ? (
+            <div className="mt-6 flex items-start gap-3 p-4 bg-green-50 border border-green-200 rounded-lg text-green-800">
+              <CheckCircle size={20} className="flex-shrink-0 mt-0.5" />
+              <p className="text-sm">{t('resetLinkSent')}</p>
+            </div>
+          ) : (
+            <>
+              <p className="text-gray-600 mb-6">{t('forgotPasswordHint')}</p>
+
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('email')}
+                  </label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                      required
+                    />
+                  </div>
+                </div>
+
+                <motion.button
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  disabled={loading}
+                  className="w-full bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {loading ? (
+                    <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-white"></div>
+                  ) : (
+                    <>
+                      <Send size={20} />
+                      {t('sendResetLink')}
+                    </>
+                  )}
+                </motion.button>
+              </form>
+            </>
+          )}
+
+          <Link to="/login" className="block mt-6 text-center text-sm text-primary-600 font-semibold hover:underline">
+            ← {t('backToLogin')}
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import Skeleton from '../components/Skeleton';
+import { ArrowLeft, ClipboardCheck, User, CheckCircle } from 'lucide-react';
+
+export default function GradingQueue() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [courseId, setCourseId] = useState('');
+
+  const { data: coursesData } = useQuery({
+    queryKey: ['courses'],
+    queryFn: () => api.getCourses(),
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['grading-queue', courseId],
+    queryFn: () => api.getGradingQueue(courseId ? { courseId } : {}),
+  });
+
+  const courses = coursesData?.courses || [];
+  const answers = data?.answers || [];
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-6 pb-24">
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft size={20} />
+        {t('back')}
+      </motion.button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <ClipboardCheck size={24} />
+              {t('gradingQueue')}
+            </h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {t('pendingAnswersCount', { count: answers.length })}
+            </p>
+          </div>
+          <select
+            value={courseId}
+            onChange={(e) => setCourseId(e.target.value)}
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">{t('allCourses')}</option>
+            {courses.map((course) => (
+              <option key={course.id} value={course.id}>{course.title}</option>
+            ))}
+          </select>
+        </div>
+      </motion.div>
+
+      {isLoading ? (
+        <Skeleton className="h-40" count={3} />
+      ) : answers.length === 0 ? (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white rounded-xl p-12 text-center border border-gray-200"
+        >
+          <CheckCircle className="mx-auto text-green-500 mb-4" size={64} />
+          <p className="text-gray-600 text-lg">{t('noPendingAnswers')}</p>
+        </motion.div>
+      ) : (
+        <div className="space-y-4">
+          {answers.map((answer, index) => (
+            <GradeAnswerCard key={answer.id} answer={answer} index={index} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function GradeAnswerCard({ answer, index }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const { question, attempt } = answer;
+  const [earnedPoints, setEarnedPoints] = useState('');
+  const [feedback, setFeedback] = useState('');
+
+  const { mutate: gradeAnswer, isPending } = useMutation({
+    mutationFn: () => api.gradeQuizAnswer(answer.id, {
+      earnedPoints: parseFloat(earnedPoints),
+      feedback: feedback.trim() || null,
+    }),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['grading-queue']);
+      queryClient.invalidateQueries(['quiz-attempts', attempt.quiz.id]);
+      addToast(response.gradingComplete ? t('attemptFullyGraded') : t('answerGraded'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const points = parseFloat(earnedPoints);
+    if (isNaN(points) || points < 0 || points > question.points) {
+      addToast(t('pointsOutOfRange', { max: question.points }), 'error');
+      return;
+    }
+    gradeAnswer();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: index * 0.05 }}
+      className="bg-white rounded-xl p-6 shadow-sm border border-gray-200"
+    >
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-3">
+        <span>{attempt.quiz.course?.title}</span>
+        <span>•</span>
+        <span>{attempt.quiz.session?.topic}</span>
+        <span>•</span>
+        <span className={`px-2 py-1 rounded ${
+          attempt.quiz.type === 'PRE' ? 'bg-blue-100 text-blue-700' : 'bg-green-100 text-green-700'
+        }`}>
+          {attempt.quiz.title}
+        </span>
+      </div>
+
+      <div className="flex items-center gap-2 mb-3">
+        <User size={16} className="text-gray-500" />
+        <span className="font-medium text-gray-900">{attempt.student.name}</span>
+        <span className="text-sm text-gray-500">{attempt.student.email}</span>
+      </div>
+
+      <p className="font-medium text-gray-900 mb-2">{question.prompt}</p>
+      <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg mb-4 whitespace-pre-wrap text-gray-800">
+        {String(answer.answer ?? '')}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">
+            {t('earnedPoints')} (0 - {question.points})
+          </label>
+          <input
+            type="number"
+            min="0"
+            max={question.points}
+            step="0.25"
+            value={earnedPoints}
+            onChange={(e) => setEarnedPoints(e.target.value)}
+            className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            required
+          />
+        </div>
+        <div className="flex-1 min-w-[200px]">
+          <label className="block text-xs text-gray-500 mb-1">{t('feedback')}</label>
+          <input
+            type="text"
+            value={feedback}
+            onChange={(e) => setFeedback(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isPending}
+          className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+        >
+          {t('saveGrade')}
+        </button>
+      </form>
+    </motion.div>
+  );
+}
@@ -0,0 +1,283 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useToast } from '../context/ToastContext';
+import { ArrowLeft, Upload, FileSpreadsheet, Download, Eye, Users } from 'lucide-react';
+
+const TEMPLATE_COLUMNS = [
+  'name', 'email', 'phone', 'fullName4', 'country', 'city', 'nationality',
+  'isStudent', 'university', 'major', 'educationLevel', 'graduationYear',
+];
+
+const STATUS_STYLES = {
+  NEW: 'bg-green-100 text-green-700',
+  EXISTING: 'bg-blue-100 text-blue-700',
+  DUPLICATE: 'bg-yellow-100 text-yellow-800',
+  INVALID: 'bg-red-100 text-red-700',
+};
+
+const statusKey = (status) => `importStatus${status.charAt(0)}${status.slice(1).toLowerCase()}`;
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+const downloadCsv = (filename, rows) => {
+  // BOM so Excel opens Arabic names correctly
+  const csv = `\uFEFF${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+  const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+export default function ImportStudents() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+
+  const [file, setFile] = useState(null);
+  const [courseId, setCourseId] = useState(searchParams.get('course') || '');
+  const [passwordMode, setPasswordMode] = useState('temporary');
+  const [result, setResult] = useState(null);
+
+  const { data: coursesData } = useQuery({
+    queryKey: ['courses'],
+    queryFn: () => api.getCourses(),
+  });
+  const courses = coursesData?.courses || [];
+
+  const { mutate: runImport, isPending } = useMutation({
+    mutationFn: (dryRun) => api.importStudents({ file, dryRun, passwordMode, courseId }),
+    onSuccess: (response) => {
+      setResult(response);
+      if (!response.dryRun) {
+        queryClient.invalidateQueries({ queryKey: ['users'] });
+        if (response.courseId) {
+          queryClient.invalidateQueries({ queryKey: ['course-students', response.courseId] });
+          queryClient.invalidateQueries({ queryKey: ['courses'] });
+        }
+        addToast(t('studentsImported', { count: response.summary.created }), 'success');
+      }
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  // Any change to the input invalidates an earlier preview
+  const resetResult = () => setResult(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    resetResult();
+  };
+
+  const handleDownloadCredentials = () => {
+    downloadCsv('student-credentials.csv', [
+      [t('name'), t('email'), t('temporaryPassword')],
+      ...result.rows.filter((row) => row.temporaryPassword).map((row) => [row.name, row.email, row.temporaryPassword]),
+    ]);
+  };
+
+  const summary = result?.summary;
+  const isPreview = result?.dryRun;
+  const canImport = isPreview && summary.NEW + (result.courseId ? summary.EXISTING : 0) > 0;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-6 pb-24">
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft size={20} />
+        {t('back')}
+      </motion.button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+      >
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <FileSpreadsheet size={24} />
+              {t('importStudents')}
+            </h1>
+            <p className="text-sm text-gray-600 mt-1">{t('importStudentsHint')}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => downloadCsv('students-template.csv', [TEMPLATE_COLUMNS])}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download size={16} />
+            {t('downloadTemplate')}
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('importFile')} *</label>
+            <input
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={handleFileChange}
+              className="w-full text-sm text-gray-700 file:me-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-700"
+            />
+            <p className="text-xs text-gray-500 mt-1">{t('importColumnsHint', { columns: TEMPLATE_COLUMNS.join(', ') })}</p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('enrollInCourse')}</label>
+              <select
+                value={courseId}
+                onChange={(e) => { setCourseId(e.target.value); resetResult(); }}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">{t('noCourseEnrollment')}</option>
+                {courses.map((course) => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('initialPasswords')}</label>
+              <select
+                value={passwordMode}
+                onChange={(e) => { setPasswordMode(e.target.value); resetResult(); }}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="temporary">{t('passwordModeTemporary')}</option>
+                <option value="invite">{t('passwordModeInvite')}</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => runImport(true)}
+              disabled={!file || isPending}
+              className="flex items-center gap-2 px-4 py-2 border border-primary-600 text-primary-700 rounded-lg hover:bg-primary-50 disabled:opacity-50"
+            >
+              <Eye size={18} />
+              {t('previewImport')}
+            </button>
+            <button
+              type="button"
+              onClick={() => runImport(false)}
+              disabled={!canImport || isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Upload size={18} />
+              {isPending ? t('loading') : t('confirmImport')}
+            </button>
+          </div>
+        </div>
+      </motion.div>
+
+      {result && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-xl p-6 shadow-sm border border-gray-200"
+        >
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+              <Users size={20} />
+              {isPreview ? t('importPreview') : t('importResult')}
+            </h2>
+            {!isPreview && result.passwordMode === 'temporary' && summary.created > 0 && (
+              <button
+                type="button"
+                onClick={handleDownloadCredentials}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+              >
+                <Download size={16} />
+                {t('downloadCredentials')}
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-3 text-xs">
+            {Object.keys(STATUS_STYLES).map((status) => (
+              <span key={status} className={`px-2 py-1 rounded-full font-medium ${STATUS_STYLES[status]}`}>
+                {t(statusKey(status))}: {summary[status]}
+              </span>
+            ))}
+            {!isPreview && (
+              <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-700">
+                {t('importCreatedEnrolled', { created: summary.created, enrolled: summary.enrolled })}
+              </span>
+            )}
+          </div>
+
+          {isPreview && (
+            <p className="text-sm text-gray-600 mb-3">
+              {result.courseId ? t('importPreviewHintCourse') : t('importPreviewHint')}
+            </p>
+          )}
+          {!isPreview && result.passwordMode === 'temporary' && summary.created > 0 && (
+            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg p-3 mb-3">
+              {t('temporaryPasswordsWarning')}
+            </p>
+          )}
+          {result.unknownColumns.length > 0 && (
+            <p className="text-xs text-gray-500 mb-3">
+              {t('importUnknownColumns', { columns: result.unknownColumns.join(', ') })}
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-start text-xs font-semibold text-gray-600">{t('importRow')}</th>
+                  <th className="px-3 py-2 text-start text-xs font-semibold text-gray-600">{t('name')}</th>
+                  <th className="px-3 py-2 text-start text-xs font-semibold text-gray-600">{t('email')}</th>
+                  <th className="px-3 py-2 text-start text-xs font-semibold text-gray-600">{t('status')}</th>
+                  <th className="px-3 py-2 text-start text-xs font-semibold text-gray-600">{t('details')}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {result.rows.map((row) => (
+                  <tr key={row.row}>
+                    <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                    <td className="px-3 py-2 text-gray-900">{row.name || '—'}</td>
+                    <td className="px-3 py-2 text-gray-700" dir="ltr">{row.email || '—'}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[row.status]}`}>
+                        {t(statusKey(row.status))}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-xs text-gray-600">
+                      {row.errors.length > 0 && <span className="text-red-600">{row.errors.join('; ')}</span>}
+                      {row.temporaryPassword && (
+                        <code className="px-1.5 py-0.5 bg-gray-100 rounded text-gray-900" dir="ltr">{row.temporaryPassword}</code>
+                      )}
+                      {row.inviteSent === true && t('inviteSent')}
+                      {row.inviteSent === false && <span className="text-red-600">{t('inviteFailed')}</span>}
+                      {row.enrolled && <span className="ms-2 text-green-700">{t('enrolled')}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+      )}
+    </div>
+  );
+}
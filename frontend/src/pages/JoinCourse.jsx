@@ -0,0 +1,147 @@
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import api from '../utils/api';
+import { Ticket, Calendar, LogIn, UserPlus, CheckCircle, Clock } from 'lucide-react';
+
+const STATE_ERRORS = {
+  EXPIRED: 'inviteExpiredMessage',
+  REVOKED: 'inviteRevokedMessage',
+  USED_UP: 'inviteUsedUpMessage',
+};
+
+/**
+ * Landing page of a course invite link or code (/join/:code): students join, visitors register or log in first
+ */
+export default function JoinCourse() {
+  const { t } = useTranslation();
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['course-invite', code],
+    queryFn: () => api.getCourseInvite(code),
+    retry: false,
+  });
+
+  const { mutate: joinCourse, data: joinResult, isPending } = useMutation({
+    mutationFn: () => api.joinCourse(code),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['courses'] });
+      if (result.status === 'ENROLLED' || result.status === 'ALREADY_ENROLLED') {
+        addToast(t('joinedCourse', { title: result.course.title }), 'success');
+        navigate('/courses');
+      }
+    },
+    onError: (err) => {
+      addToast(err.message || t('error'), 'error');
+    },
+  });
+
+  const invite = data?.invite;
+  const redirect = encodeURIComponent(`/join/${code}`);
+
+  const renderAction = () => {
+    if (joinResult?.status === 'PENDING') {
+      return (
+        <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <Clock size={18} className="flex-shrink-0 mt-0.5" />
+          {t('joinRequestPending', { title: invite.course.title })}
+        </div>
+      );
+    }
+    if (invite.state !== 'ACTIVE') {
+      return <p className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{t(STATE_ERRORS[invite.state])}</p>;
+    }
+    if (!user) {
+      return (
+        <div className="space-y-2">
+          <Link
+            to={`/register?invite=${encodeURIComponent(invite.code)}`}
+            className="w-full bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition flex items-center justify-center gap-2"
+          >
+            <UserPlus size={20} />
+            {t('registerToJoin')}
+          </Link>
+          <Link
+            to={`/login?redirect=${redirect}`}
+            className="w-full border border-primary-600 text-primary-700 py-3 rounded-lg font-semibold hover:bg-primary-50 transition flex items-center justify-center gap-2"
+          >
+            <LogIn size={20} />
+            {t('loginToJoin')}
+          </Link>
+        </div>
+      );
+    }
+    if (user.role !== 'STUDENT') {
+      return <p className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-600">{t('inviteStudentsOnly')}</p>;
+    }
+    return (
+      <motion.button
+        whileTap={{ scale: 0.98 }}
+        onClick={() => joinCourse()}
+        disabled={isPending}
+        className="w-full bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        <CheckCircle size={20} />
+        {invite.requiresApproval ? t('requestToJoin') : t('joinCourse')}
+      </motion.button>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-500 to-primary-700 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-md"
+      >
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <h1 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+            <Ticket size={24} className="text-primary-600" />
+            {t('courseInvite')}
+          </h1>
+
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : error || !invite ? (
+            <p className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {error?.status === 404 ? t('inviteNotFound') : error?.message || t('error')}
+            </p>
+          ) : (
+            <>
+              <div className="mb-6">
+                <h2 className="text-xl font-semibold text-gray-900">{invite.course.title}</h2>
+                {invite.course.description && (
+                  <p className="text-sm text-gray-600 mt-1">{invite.course.description}</p>
+                )}
+                <p className="flex items-center gap-1.5 text-xs text-gray-500 mt-2">
+                  <Calendar size={14} />
+                  {new Date(invite.course.startDate).toLocaleDateString()} - {new Date(invite.course.endDate).toLocaleDateString()}
+                </p>
+                {invite.requiresApproval && invite.state === 'ACTIVE' && (
+                  <p className="text-xs text-gray-500 mt-2">{t('inviteNeedsApprovalHint')}</p>
+                )}
+              </div>
+              {renderAction()}
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link to={user ? '/dashboard' : '/'} className="text-sm text-primary-600 hover:underline">
+              {user ? t('dashboard') : t('home')}
+            </Link>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
@@ -9,6 +9,7 @@ import { LogIn, Mail, Lock } from 'lucide-react';
 export default function Login() {
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const { login } = useAuth();
   const { addToast } = useToast();
   const [email, setEmail] = useState('');
@@ -30,7 +31,9 @@ export default function Login() {
     
     if (result.success) {
       addToast(t('success'), 'success');
-      navigate('/dashboard');
+      // Only same-site paths, e.g. back to a course invite at /join/:code
+      const redirect = searchParams.get('redirect');
+      navigate(redirect?.startsWith('/') && !redirect.startsWith('//') ? redirect : '/dashboard');
     } else {
       addToast(result.error || t('error'), 'error');
     }
@@ -89,6 +92,11 @@ export default function Login() {
                   required
                 />
               </div>
+              <div className="mt-2 text-end">
+                <Link to="/forgot-password" className="text-sm text-primary-600 hover:underline">
+                  {t('forgotPasswordLink')}
+                </Link>
+              </div>
             </div>
 
             <motion.button
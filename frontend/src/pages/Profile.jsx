@@ -25,7 +25,7 @@ function getInitials(name) {
 
 export default function Profile() {
   const { t, i18n } = useTranslation();
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll } = useAuth();
   const navigate = useNavigate();
   const { addToast } = useToast();
   const queryClient = useQueryClient();
@@ -205,7 +205,7 @@ export default function Profile() {
         </motion.div>
 
         <div className="flex-1 overflow-y-auto">
-          <ProfileView profile={profileData} user={user} t={t} onEdit={() => setIsEditMode(true)} logout={logout} />
+          <ProfileView profile={profileData} user={user} t={t} onEdit={() => setIsEditMode(true)} logout={logout} logoutAll={logoutAll} />
         </div>
       </div>
     );
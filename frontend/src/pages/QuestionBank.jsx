@@ -0,0 +1,485 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import Skeleton from '../components/Skeleton';
+import { DIFFICULTIES, difficultyLabel } from '../components/QuestionBankPicker';
+import { ArrowLeft, Library, Plus, Edit2, Trash2, Search, X } from 'lucide-react';
+
+const typeLabel = (t, type) =>
+  type === 'MCQ' ? t('mcq') : type === 'TRUE_FALSE' ? t('trueFalse') : t('shortText');
+
+export default function QuestionBank() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const canEdit = user?.role === 'ADMIN';
+  const [filters, setFilters] = useState({ search: '', tag: '', topic: '', difficulty: '', type: '' });
+  const [editingQuestion, setEditingQuestion] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['question-bank', params],
+    queryFn: () => api.getBankQuestions(params),
+  });
+
+  const questions = data?.questions || [];
+
+  const { mutate: deleteQuestion } = useMutation({
+    mutationFn: (id) => api.deleteBankQuestion(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['question-bank']);
+      addToast(t('questionDeleted'), 'success');
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-6 pb-24">
+      <motion.button
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        onClick={() => navigate(-1)}
+        className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+      >
+        <ArrowLeft size={20} />
+        {t('back')}
+      </motion.button>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-6"
+      >
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              <Library size={24} />
+              {t('questionBank')}
+            </h1>
+            <p className="text-sm text-gray-600 mt-1">
+              {t('bankQuestionsCount', { count: questions.length })}
+            </p>
+          </div>
+          {canEdit && (
+            <button
+              onClick={() => {
+                setEditingQuestion(null);
+                setShowForm(true);
+              }}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              <Plus size={20} />
+              {t('newBankQuestion')}
+            </button>
+          )}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+          <div className="relative col-span-2 md:col-span-1">
+            <Search size={16} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              placeholder={t('search')}
+              className={`${selectClass} w-full pl-8`}
+            />
+          </div>
+          <select
+            value={filters.type}
+            onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allTypes')}</option>
+            {['MCQ', 'TRUE_FALSE', 'SHORT_TEXT'].map((type) => (
+              <option key={type} value={type}>{typeLabel(t, type)}</option>
+            ))}
+          </select>
+          <select
+            value={filters.tag}
+            onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allTags')}</option>
+            {(data?.tags || []).map((tag) => (
+              <option key={tag} value={tag}>{tag}</option>
+            ))}
+          </select>
+          <select
+            value={filters.topic}
+            onChange={(e) => setFilters({ ...filters, topic: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allTopics')}</option>
+            {(data?.topics || []).map((topic) => (
+              <option key={topic} value={topic}>{topic}</option>
+            ))}
+          </select>
+          <select
+            value={filters.difficulty}
+            onChange={(e) => setFilters({ ...filters, difficulty: e.target.value })}
+            className={selectClass}
+          >
+            <option value="">{t('allDifficulties')}</option>
+            {DIFFICULTIES.map((difficulty) => (
+              <option key={difficulty} value={difficulty}>{difficultyLabel(t, difficulty)}</option>
+            ))}
+          </select>
+        </div>
+      </motion.div>
+
+      {isLoading ? (
+        <Skeleton className="h-24" count={4} />
+      ) : questions.length === 0 ? (
+        <div className="bg-white rounded-xl p-12 text-center border border-gray-200">
+          <Library className="mx-auto text-gray-400 mb-4" size={64} />
+          <p className="text-gray-600 text-lg">{t('noBankQuestions')}</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {questions.map((question, index) => (
+            <motion.div
+              key={question.id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.03 }}
+              className="bg-white rounded-xl p-4 shadow-sm border border-gray-200 flex items-start justify-between gap-4"
+            >
+              <div className="flex-1">
+                <p className="font-medium text-gray-900">{question.prompt}</p>
+                <div className="flex flex-wrap gap-1 mt-2 text-xs">
+                  <span className="px-2 py-0.5 bg-gray-100 rounded">{typeLabel(t, question.type)}</span>
+                  <span className="px-2 py-0.5 bg-amber-100 text-amber-800 rounded">{difficultyLabel(t, question.difficulty)}</span>
+                  <span className="px-2 py-0.5 bg-gray-100 rounded">{question.points} {t('points')}</span>
+                  {question.topic && (
+                    <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded">{question.topic}</span>
+                  )}
+                  {(question.tags || []).map((tag) => (
+                    <span key={tag} className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded">{tag}</span>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  {t('bankQuestionUsage', {
+                    quizzes: question._count?.quizQuestions || 0,
+                    exams: question._count?.examQuestions || 0,
+                  })}
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      setEditingQuestion(question);
+                      setShowForm(true);
+                    }}
+                    className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                  >
+                    <Edit2 size={18} />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(t('confirmDeleteBankQuestion'))) {
+                        deleteQuestion(question.id);
+                      }
+                    }}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+              )}
+            </motion.div>
+          ))}
+        </div>
+      )}
+
+      <AnimatePresence>
+        {showForm && (
+          <BankQuestionForm
+            question={editingQuestion}
+            onClose={() => {
+              setShowForm(false);
+              setEditingQuestion(null);
+            }}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+const splitLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+function BankQuestionForm({ question, onClose }) {
+  const { t } = useTranslation();
+  const { addToast } = useToast();
+  const queryClient = useQueryClient();
+  const shortTextKey = question?.type === 'SHORT_TEXT' ? question.correctAnswer || {} : {};
+
+  const [formData, setFormData] = useState({
+    type: question?.type || 'MCQ',
+    prompt: question?.prompt || '',
+    choices: question?.type === 'MCQ' && Array.isArray(question.choices) ? question.choices : ['', '', '', ''],
+    correctIndex: question?.type === 'MCQ' ? Number(question.correctAnswer) : 0,
+    correctBoolean: question?.type === 'TRUE_FALSE' ? question.correctAnswer === true : true,
+    acceptedAnswers: (shortTextKey.acceptedAnswers || []).join('\n'),
+    manualGrading: shortTextKey.manualGrading === true,
+    points: question?.points || 1,
+    explanation: question?.explanation || '',
+    tags: (question?.tags || []).join(', '),
+    topic: question?.topic || '',
+    difficulty: question?.difficulty || 'MEDIUM',
+  });
+
+  const { mutate: saveQuestion, isPending } = useMutation({
+    mutationFn: (data) => question ? api.updateBankQuestion(question.id, data) : api.createBankQuestion(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['question-bank']);
+      addToast(t('saved'), 'success');
+      onClose();
+    },
+    onError: (error) => {
+      addToast(error.message || t('error'), 'error');
+    },
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    let correctAnswer;
+    let choices = null;
+    if (formData.type === 'MCQ') {
+      choices = formData.choices.map((choice) => choice.trim()).filter(Boolean);
+      if (choices.length < 2 || formData.correctIndex >= choices.length) {
+        addToast(t('mcqNeedsChoices'), 'error');
+        return;
+      }
+      correctAnswer = formData.correctIndex;
+    } else if (formData.type === 'TRUE_FALSE') {
+      correctAnswer = formData.correctBoolean;
+    } else {
+      correctAnswer = {
+        ...shortTextKey,
+        acceptedAnswers: splitLines(formData.acceptedAnswers),
+        manualGrading: formData.manualGrading,
+      };
+    }
+
+    saveQuestion({
+      type: formData.type,
+      prompt: formData.prompt.trim(),
+      choices,
+      correctAnswer,
+      points: formData.points,
+      explanation: formData.explanation.trim() || null,
+      tags: formData.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+      topic: formData.topic.trim() || null,
+      difficulty: formData.difficulty,
+    });
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white rounded-xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">{question ? t('editBankQuestion') : t('newBankQuestion')}</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('questionType')}</label>
+              <select
+                value={formData.type}
+                onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                className={inputClass}
+              >
+                {['MCQ', 'TRUE_FALSE', 'SHORT_TEXT'].map((type) => (
+                  <option key={type} value={type}>{typeLabel(t, type)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('difficulty')}</label>
+              <select
+                value={formData.difficulty}
+                onChange={(e) => setFormData({ ...formData, difficulty: e.target.value })}
+                className={inputClass}
+              >
+                {DIFFICULTIES.map((difficulty) => (
+                  <option key={difficulty} value={difficulty}>{difficultyLabel(t, difficulty)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('questionPrompt')}</label>
+            <textarea
+              value={formData.prompt}
+              onChange={(e) => setFormData({ ...formData, prompt: e.target.value })}
+              className={inputClass}
+              rows={3}
+              required
+            />
+          </div>
+
+          {formData.type === 'MCQ' && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">{t('choices')}</label>
+              {formData.choices.map((choice, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="correctIndex"
+                    checked={formData.correctIndex === index}
+                    onChange={() => setFormData({ ...formData, correctIndex: index })}
+                    className="w-4 h-4"
+                  />
+                  <input
+                    type="text"
+                    value={choice}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      choices: formData.choices.map((c, i) => (i === index ? e.target.value : c)),
+                    })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+
+          {formData.type === 'TRUE_FALSE' && (
+            <div className="flex gap-4">
+              {[true, false].map((value) => (
+                <label key={String(value)} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="correctBoolean"
+                    checked={formData.correctBoolean === value}
+                    onChange={() => setFormData({ ...formData, correctBoolean: value })}
+                    className="w-4 h-4"
+                  />
+                  {value ? t('true') : t('false')}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {formData.type === 'SHORT_TEXT' && (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">{t('acceptedAnswers')}</label>
+              <textarea
+                value={formData.acceptedAnswers}
+                onChange={(e) => setFormData({ ...formData, acceptedAnswers: e.target.value })}
+                className={inputClass}
+                rows={3}
+                placeholder={t('onePerLine')}
+              />
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={formData.manualGrading}
+                  onChange={(e) => setFormData({ ...formData, manualGrading: e.target.checked })}
+                  className="w-4 h-4"
+                />
+                {t('manualGradingFallback')}
+              </label>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('points')}</label>
+              <input
+                type="number"
+                min="1"
+                value={formData.points}
+                onChange={(e) => setFormData({ ...formData, points: parseInt(e.target.value) || 1 })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('topic')}</label>
+              <input
+                type="text"
+                value={formData.topic}
+                onChange={(e) => setFormData({ ...formData, topic: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('tags')}</label>
+            <input
+              type="text"
+              value={formData.tags}
+              onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+              className={inputClass}
+              placeholder="React, API, SQL"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('explanation')}</label>
+            <textarea
+              value={formData.explanation}
+              onChange={(e) => setFormData({ ...formData, explanation: e.target.value })}
+              className={inputClass}
+              rows={2}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={isPending}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+            >
+              {t('save')}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -168,6 +168,11 @@ export default function QuizResults() {
                       <div className="text-xs text-gray-500 mt-1">
                         {attempt.totalScore || 0} / {attempt.maxScore || 0} {t('points')}
                       </div>
+                      {attempt.pendingGradingCount > 0 && (
+                        <div className="text-xs text-amber-700 mt-1">
+                          {t('pendingAnswersCount', { count: attempt.pendingGradingCount })}
+                        </div>
+                      )}
                       {attempt.submittedAt && (
                         <div className="text-xs text-gray-400 mt-2">
                           {new Date(attempt.submittedAt).toLocaleString('ar-SA')}
@@ -5,7 +5,7 @@ import { useAuth } from '../context/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import api from '../utils/api';
 import Skeleton from '../components/Skeleton';
-import { HelpCircle, FileText, Calendar, Clock, TrendingUp, Eye, BarChart3, Users } from 'lucide-react';
+import { HelpCircle, FileText, Calendar, Clock, TrendingUp, Eye, BarChart3, Users, ClipboardCheck, Library } from 'lucide-react';
 
 export default function QuizzesExams() {
   const { t } = useTranslation();
@@ -61,17 +61,41 @@ export default function QuizzesExams() {
             >
               {t('quizzes')} & {t('exams')}
             </motion.h1>
-            <motion.button
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={() => navigate('/quiz-results/all')}
-              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
-            >
-              <Users size={20} />
-              {t('viewAllResults') || 'عرض النتائج'}
-            </motion.button>
+            <div className="flex items-center gap-2">
+              <motion.button
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/question-bank')}
+                className="flex items-center gap-2 border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors font-medium"
+              >
+                <Library size={20} />
+                {t('questionBank')}
+              </motion.button>
+              <motion.button
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/grading-queue')}
+                className="flex items-center gap-2 border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors font-medium"
+              >
+                <ClipboardCheck size={20} />
+                {t('gradingQueue')}
+              </motion.button>
+              <motion.button
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate('/quiz-results/all')}
+                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors font-medium"
+              >
+                <Users size={20} />
+                {t('viewAllResults') || 'عرض النتائج'}
+              </motion.button>
+            </div>
           </div>
           {/* Help Guide */}
           <p className="text-gray-500 text-[10px] leading-relaxed">
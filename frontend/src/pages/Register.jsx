@@ -1,14 +1,18 @@
 import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useTranslation } from 'react-i18next';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
-import { UserPlus, Mail, Lock, User, Phone } from 'lucide-react';
+import api from '../utils/api';
+import { UserPlus, Mail, Lock, User, Phone, Ticket } from 'lucide-react';
 
 export default function Register() {
   const { t, i18n } = useTranslation();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const inviteCode = searchParams.get('invite');
   const { register } = useAuth();
   const { addToast } = useToast();
   const [formData, setFormData] = useState({
@@ -16,10 +20,18 @@ export default function Register() {
     email: '',
     password: '',
     phone: '',
-    role: 'STUDENT',
   });
   const [loading, setLoading] = useState(false);
 
+  // Registering from a course invite link joins that course too
+  const { data: inviteData } = useQuery({
+    queryKey: ['course-invite', inviteCode],
+    queryFn: () => api.getCourseInvite(inviteCode),
+    enabled: !!inviteCode,
+    retry: false,
+  });
+  const invite = inviteData?.invite?.state === 'ACTIVE' ? inviteData.invite : null;
+
   const toggleLanguage = () => {
     const newLang = i18n.language === 'ar' ? 'en' : 'ar';
     i18n.changeLanguage(newLang);
@@ -31,11 +43,19 @@ export default function Register() {
     e.preventDefault();
     setLoading(true);
 
-    const result = await register(formData);
+    const result = await register(invite ? { ...formData, inviteCode: invite.code } : formData);
     
     if (result.success) {
       addToast(t('success'), 'success');
-      navigate('/dashboard');
+      const joinStatus = result.courseInvite?.status;
+      if (joinStatus === 'ENROLLED') {
+        addToast(t('joinedCourse', { title: invite.course.title }), 'success');
+      } else if (joinStatus === 'PENDING') {
+        addToast(t('joinRequestPending', { title: invite.course.title }), 'warning');
+      } else if (joinStatus === 'FAILED') {
+        addToast(result.courseInvite.error, 'error');
+      }
+      navigate(joinStatus === 'ENROLLED' ? '/courses' : '/dashboard');
     } else {
       addToast(result.error || t('error'), 'error');
     }
@@ -63,6 +83,15 @@ export default function Register() {
 
           <h2 className="text-3xl font-bold mb-6 text-gray-900">{t('register')}</h2>
 
+          {invite && (
+            <div className="flex items-start gap-2 p-3 mb-4 bg-primary-50 border border-primary-200 rounded-lg text-sm text-primary-800">
+              <Ticket size={18} className="flex-shrink-0 mt-0.5" />
+              <span>
+                {t(invite.requiresApproval ? 'registerInviteApproval' : 'registerInvite', { title: invite.course.title })}
+              </span>
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
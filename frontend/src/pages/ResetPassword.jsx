@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useTranslation } from 'react-i18next';
+import { useToast } from '../context/ToastContext';
+import { api } from '../utils/api';
+import { Lock, KeyRound } from 'lucide-react';
+
+export default function ResetPassword() {
+  const { t, i18n } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { addToast } = useToast();
+  const token = searchParams.get('token');
+  // Invite links from the bulk student import set the first password
+  const isInvite = searchParams.get('invite') === '1';
+  const title = isInvite ? t('setYourPassword') : t('resetPassword');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const toggleLanguage = () => {
+    const newLang = i18n.language === 'ar' ? 'en' : 'ar';
+    i18n.changeLanguage(newLang);
+    document.documentElement.setAttribute('dir', newLang === 'ar' ? 'rtl' : 'ltr');
+    document.documentElement.setAttribute('lang', newLang);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      addToast(t('passwordsDoNotMatch'), 'error');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await api.resetPassword(token, password);
+      addToast(t('passwordResetSuccess'), 'success');
+      navigate('/login');
+    } catch (error) {
+      addToast(error.message || t('error'), 'error');
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-500 to-primary-700 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="w-full max-w-md"
+      >
+        <div className="bg-white rounded-2xl shadow-xl p-8">
+          <div className="flex justify-between items-center mb-8">
+            <h1 className="text-2xl font-bold text-gray-900">BatTechno Model</h1>
+            <button
+              onClick={toggleLanguage}
+              className="px-3 py-1 text-sm bg-gray-100 rounded-lg hover:bg-gray-200 transition"
+            >
+              {i18n.language === 'ar' ? 'EN' : 'AR'}
+            </button>
+          </div>
+
+          <h2 className="text-3xl font-bold mb-6 text-gray-900">{title}</h2>
+
+          {!token ? (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+              {t('resetLinkInvalid')}
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('newPassword')}
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    required
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{t('passwordRequirements')}</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('confirmPassword')}
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    autoComplete="new-password"
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    required
+                  />
+                </div>
+              </div>
+
+              <motion.button
+                whileTap={{ scale: 0.98 }}
+                type="submit"
+                disabled={loading}
+                className="w-full bg-primary-600 text-white py-3 rounded-lg font-semibold hover:bg-primary-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {loading ? (
+                  <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-white"></div>
+                ) : (
+                  <>
+                    <KeyRound size={20} />
+                    {title}
+                  </>
+                )}
+              </motion.button>
+            </form>
+          )}
+
+          <Link to="/login" className="block mt-6 text-center text-sm text-primary-600 font-semibold hover:underline">
+            ← {t('backToLogin')}
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -2,10 +2,22 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useTranslation } from 'react-i18next';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import api from '../utils/api';
+import { diffLines, diffAssets } from '../utils/diff';
 import { useToast } from '../context/ToastContext';
-import { ArrowLeft, CheckCircle, XCircle, Download } from 'lucide-react';
+import SubmissionAssetLink from '../components/SubmissionAssetLink';
+import RubricGrid from '../components/RubricGrid';
+import RubricFeedback from '../components/RubricFeedback';
+import { isRubric, computeRubricScore } from '../utils/rubric';
+import { ArrowLeft, CheckCircle, XCircle, Download, History } from 'lucide-react';
+
+const DIFF_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-700 line-through',
+  same: 'text-gray-600',
+};
+const DIFF_PREFIX = { added: '+ ', removed: '- ', same: '  ' };
 
 export default function ReviewSubmission() {
   const { t } = useTranslation();
@@ -16,6 +28,9 @@ export default function ReviewSubmission() {
 
   const [score, setScore] = useState('');
   const [feedback, setFeedback] = useState('');
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
+  const [compareVersionId, setCompareVersionId] = useState('');
+  const [rubricSelections, setRubricSelections] = useState({});
 
   const { data, isLoading } = useQuery({
     queryKey: ['submission', id],
@@ -24,19 +39,51 @@ export default function ReviewSubmission() {
 
   const submission = data?.submission;
 
-  // Update score and feedback when submission loads
+  // Versions come newest first; submissions from before versioning have none
+  const versions = submission?.versions || [];
+  const selectedVersion = versions.find((v) => v.id === selectedVersionId) || versions[0] || null;
+  const olderVersions = selectedVersion
+    ? versions.filter((v) => v.versionNumber < selectedVersion.versionNumber)
+    : [];
+  const compareVersion = olderVersions.find((v) => v.id === compareVersionId) || null;
+  const versionReviews = selectedVersion ? selectedVersion.reviews || [] : submission?.reviews || [];
+  const rubric = isRubric(submission?.assignment?.rubric) ? submission.assignment.rubric : null;
+  const usesRubric = !!rubric && Object.keys(rubricSelections).some((cid) => rubricSelections[cid]?.levelId);
+  const rubricScore = usesRubric
+    ? computeRubricScore(rubric, rubricSelections, submission.assignment.maxScore)
+    : null;
+
+  // Compare with the previous version by default whenever another version is selected
+  useEffect(() => {
+    setCompareVersionId(olderVersions[0]?.id || '');
+  }, [selectedVersion?.id]);
+
+  // Update score and feedback when submission or selected version loads
   useEffect(() => {
     if (submission) {
-      const latestReview = submission.reviews?.[0];
+      const latestReview = versionReviews[0];
       if (latestReview) {
         setScore(latestReview.score?.toString() || '');
         setFeedback(latestReview.feedback || '');
-      } else if (submission.note) {
-        // Load note from submission if no review exists
-        setFeedback(submission.note);
+        setRubricSelections(latestReview.rubricResult?.criteria || {});
+      } else {
+        setScore('');
+        setRubricSelections({});
+        // Start from the last status note if this version has no review yet
+        setFeedback(submission.statusNote || '');
       }
     }
-  }, [submission]);
+  }, [submission, selectedVersion?.id]);
+
+  const noteDiff = useMemo(
+    () => (compareVersion ? diffLines(compareVersion.note, selectedVersion.note) : []),
+    [compareVersion, selectedVersion]
+  );
+  const assetDiff = useMemo(
+    () => (compareVersion ? diffAssets(compareVersion.assets, selectedVersion.assets) : []),
+    [compareVersion, selectedVersion]
+  );
+  const hasChanges = noteDiff.some((l) => l.type !== 'same') || assetDiff.some((a) => a.type !== 'same');
 
   // Mutation for updating submission status
   const { mutate: updateStatus, isPending: isUpdatingStatus } = useMutation({
@@ -84,12 +131,36 @@ export default function ReviewSubmission() {
 
   const handleSubmit = (e) => {
     e.preventDefault();
+
+    // Once a rubric level is picked the score comes from the rubric, so every criterion needs a level
+    if (usesRubric) {
+      if (rubric.criteria.some((c) => !rubricSelections[c.id]?.levelId)) {
+        addToast(t('rubricIncomplete'), 'warning');
+        return;
+      }
+      createReview({
+        submissionId: id,
+        versionId: selectedVersion?.id,
+        rubricResult: {
+          criteria: Object.fromEntries(
+            rubric.criteria.map((c) => [c.id, {
+              levelId: rubricSelections[c.id].levelId,
+              ...(rubricSelections[c.id].feedback?.trim() && { feedback: rubricSelections[c.id].feedback.trim() }),
+            }])
+          ),
+        },
+        feedback,
+      });
+      return;
+    }
+
     if (!score && !feedback.trim()) {
       addToast(t('pleaseAddScoreOrFeedback'), 'warning');
       return;
     }
     createReview({
       submissionId: id,
+      versionId: selectedVersion?.id,
       score: score ? parseInt(score) : null,
       feedback,
     });
@@ -127,39 +198,152 @@ export default function ReviewSubmission() {
           <p className="text-gray-600">{submission.student.name} - {submission.assignment.title}</p>
         </div>
 
-        {submission.note && (
+        {versions.length > 0 && (
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <History size={16} className="inline me-1" />
+                {t('versionHistory')}
+              </label>
+              <select
+                value={selectedVersion.id}
+                onChange={(e) => setSelectedVersionId(e.target.value)}
+                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                {versions.map((v) => (
+                  <option key={v.id} value={v.id}>
+                    {t('versionNumber', { number: v.versionNumber })} - {new Date(v.submittedAt).toLocaleString()}
+                    {v.versionNumber === submission.currentVersion ? ` (${t('currentVersion')})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {olderVersions.length > 0 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">{t('compareWith')}</label>
+                <select
+                  value={compareVersionId}
+                  onChange={(e) => setCompareVersionId(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">{t('noComparison')}</option>
+                  {olderVersions.map((v) => (
+                    <option key={v.id} value={v.id}>
+                      {t('versionNumber', { number: v.versionNumber })}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
+        {submission.statusNote && (
+          <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+            <h3 className="font-semibold text-gray-900 mb-1">{t('reviewerNote')}</h3>
+            <p className="text-gray-700 whitespace-pre-wrap">{submission.statusNote}</p>
+          </div>
+        )}
+
+        {compareVersion ? (
           <div>
-            <h3 className="font-semibold text-gray-900 mb-2">{t('note')}</h3>
-            <p className="text-gray-600">{submission.note}</p>
+            <h3 className="font-semibold text-gray-900 mb-2">
+              {t('changesSince', { number: compareVersion.versionNumber })}
+            </h3>
+            {!hasChanges && <p className="text-gray-500 text-sm mb-2">{t('noChanges')}</p>}
+            <pre className="text-sm font-mono rounded-lg border border-gray-200 overflow-x-auto" dir="auto">
+              {noteDiff.map((line, index) => (
+                <div key={index} className={`px-3 whitespace-pre-wrap ${DIFF_STYLES[line.type]}`}>
+                  {DIFF_PREFIX[line.type]}{line.text}
+                </div>
+              ))}
+            </pre>
           </div>
+        ) : (
+          (selectedVersion ? selectedVersion.note : submission.note) && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-2">{t('note')}</h3>
+              <p className="text-gray-600 whitespace-pre-wrap">
+                {selectedVersion ? selectedVersion.note : submission.note}
+              </p>
+            </div>
+          )
         )}
 
         <div>
           <h3 className="font-semibold text-gray-900 mb-2">{t('submission')}</h3>
           <div className="space-y-2">
-            {submission.assets?.map((asset) => (
-              <a
+            {compareVersion && assetDiff.map(({ type, asset }) => (
+              <SubmissionAssetLink
+                key={`${type}-${asset.id}`}
+                asset={asset}
+                className={`flex items-center gap-2 p-3 rounded-lg transition ${
+                  type === 'added' ? 'bg-green-50 hover:bg-green-100' :
+                  type === 'removed' ? 'bg-red-50 hover:bg-red-100' :
+                  'bg-gray-50 hover:bg-gray-100'
+                }`}
+              >
+                {asset.type === 'FILE' ? <Download size={20} /> : <CheckCircle size={20} />}
+                <span className={type === 'removed' ? 'text-red-700 line-through' : 'text-primary-600'}>
+                  {asset.name}
+                </span>
+                {type !== 'same' && (
+                  <span className="ms-auto text-xs font-semibold text-gray-500">
+                    {type === 'added' ? t('added') : t('removed')}
+                  </span>
+                )}
+              </SubmissionAssetLink>
+            ))}
+            {!compareVersion && (selectedVersion ? selectedVersion.assets : submission.assets)?.map((asset) => (
+              <SubmissionAssetLink
                 key={asset.id}
-                href={asset.url}
-                target="_blank"
-                rel="noopener noreferrer"
+                asset={asset}
                 className="flex items-center gap-2 p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition"
               >
                 {asset.type === 'FILE' ? <Download size={20} /> : <CheckCircle size={20} />}
                 <span className="text-primary-600">{asset.name}</span>
-              </a>
+              </SubmissionAssetLink>
             ))}
           </div>
         </div>
 
+        {versionReviews.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-2">{t('reviews')}</h3>
+            <div className="space-y-2">
+              {versionReviews.map((review) => (
+                <div key={review.id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                  <div className="flex items-center justify-between text-gray-700">
+                    <span className="font-semibold">{review.reviewer?.name}</span>
+                    {review.score !== null && (
+                      <span>{t('score')}: {review.score}/{submission.assignment.maxScore}</span>
+                    )}
+                  </div>
+                  {review.feedback && <p className="text-gray-600 mt-1 whitespace-pre-wrap">{review.feedback}</p>}
+                  <RubricFeedback rubric={rubric} rubricResult={review.rubricResult} className="mt-2 text-gray-600" />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="space-y-4">
+          {rubric && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-2">{t('rubric')}</h3>
+              <RubricGrid rubric={rubric} selections={rubricSelections} onChange={setRubricSelections} />
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               {t('score')} (0-{submission.assignment.maxScore})
+              {usesRubric && <span className="ms-2 text-xs text-gray-500">{t('scoreFromRubric')}</span>}
             </label>
             <input
               type="number"
-              value={score}
+              value={usesRubric ? rubricScore : score}
+              readOnly={usesRubric}
               onChange={(e) => setScore(e.target.value)}
               min="0"
               max={submission.assignment.maxScore}
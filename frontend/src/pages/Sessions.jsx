@@ -10,6 +10,7 @@ import { ArrowLeft, Calendar, Clock, Plus, Edit, Trash2, BookOpen, Eye, ChevronD
 import { useState } from 'react';
 import QuizBuilder from '../components/QuizBuilder';
 import GoogleFormsQuestionBuilder from '../components/GoogleFormsQuestionBuilder';
+import CalendarSubscribe from '../components/CalendarSubscribe';
 
 export default function Sessions() {
   const { t } = useTranslation();
@@ -121,16 +122,19 @@ export default function Sessions() {
         >
           {t('sessions')}
         </motion.h1>
-        {canCreate && (
-          <motion.button
-            whileTap={{ scale: 0.95 }}
-            onClick={() => navigate(`/sessions/${courseId}/create`)}
-            className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
-          >
-            <Plus size={16} />
-            {t('create')}
-          </motion.button>
-        )}
+        <div className="flex items-center gap-2">
+          <CalendarSubscribe courseId={courseId} />
+          {canCreate && (
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate(`/sessions/${courseId}/create`)}
+              className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
+            >
+              <Plus size={16} />
+              {t('create')}
+            </motion.button>
+          )}
+        </div>
       </div>
 
       {isLoading ? (
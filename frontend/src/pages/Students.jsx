@@ -7,7 +7,7 @@ import { useState } from 'react';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
 import Skeleton from '../components/Skeleton';
-import { Search, UserPlus, Users, Edit, Trash2, CheckCircle, UserCheck } from 'lucide-react';
+import { Search, UserPlus, Users, Edit, Trash2, CheckCircle, UserCheck, FileSpreadsheet } from 'lucide-react';
 
 export default function Students() {
   const { t } = useTranslation();
@@ -103,14 +103,24 @@ export default function Students() {
           {t('students')}
         </motion.h1>
         {canManage && (
-          <motion.button
-            whileTap={{ scale: 0.95 }}
-            onClick={handleAdd}
-            className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
-          >
-            <UserPlus size={16} />
-            {t('addStudent')}
-          </motion.button>
+          <div className="flex gap-2">
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              onClick={() => navigate(courseId ? `/students/import?course=${courseId}` : '/students/import')}
+              className="flex items-center gap-1.5 border border-primary-600 text-primary-700 px-3 py-1.5 rounded-lg hover:bg-primary-50 transition text-sm font-semibold"
+            >
+              <FileSpreadsheet size={16} />
+              {t('importStudents')}
+            </motion.button>
+            <motion.button
+              whileTap={{ scale: 0.95 }}
+              onClick={handleAdd}
+              className="flex items-center gap-1.5 bg-primary-600 text-white px-3 py-1.5 rounded-lg hover:bg-primary-700 transition text-sm font-semibold"
+            >
+              <UserPlus size={16} />
+              {t('addStudent')}
+            </motion.button>
+          </div>
         )}
       </div>
 
@@ -5,7 +5,7 @@ import { useTranslation } from 'react-i18next';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import api from '../utils/api';
 import { useToast } from '../context/ToastContext';
-import { ArrowLeft, Save } from 'lucide-react';
+import { ArrowLeft, Save, Paperclip, Link2, Plus, X } from 'lucide-react';
 
 export default function SubmitAssignment() {
   const { t } = useTranslation();
@@ -15,6 +15,8 @@ export default function SubmitAssignment() {
   const queryClient = useQueryClient();
 
   const [note, setNote] = useState('');
+  const [files, setFiles] = useState([]);
+  const [links, setLinks] = useState([]);
 
   const { mutate: submitAssignment, isPending } = useMutation({
     mutationFn: (data) => {
@@ -37,13 +39,30 @@ export default function SubmitAssignment() {
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!note || note.trim().length === 0) {
-      addToast(t('submissionTextRequired') || 'Submission text is required', 'error');
+    const validLinks = links
+      .filter((link) => link.url.trim())
+      .map((link) => ({ url: link.url.trim(), ...(link.name.trim() && { name: link.name.trim() }) }));
+
+    if (!note.trim() && files.length === 0 && validLinks.length === 0) {
+      addToast(t('submissionContentRequired'), 'error');
       return;
     }
-    submitAssignment({ note: note.trim() });
+    submitAssignment({ note: note.trim(), files, links: validLinks });
+  };
+
+  const handleFilesSelected = (e) => {
+    const selected = Array.from(e.target.files || []);
+    setFiles((prev) => [...prev, ...selected]);
+    e.target.value = '';
   };
 
+  const updateLink = (index, field, value) => {
+    setLinks((prev) => prev.map((link, i) => (i === index ? { ...link, [field]: value } : link)));
+  };
+
+  const formatSize = (bytes) =>
+    bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
   return (
     <div className="max-w-2xl mx-auto px-4 py-6">
       <motion.button
@@ -66,19 +85,84 @@ export default function SubmitAssignment() {
         <form onSubmit={handleSubmit} className="space-y-6">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              {t('submissionText') || 'Submission Text'}
+              {t('submissionText')}
             </label>
             <textarea
               value={note}
               onChange={(e) => setNote(e.target.value)}
               rows={12}
               className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-              placeholder={t('enterSubmissionText') || 'Enter your assignment submission here...'}
-              required
+              placeholder={t('enterSubmissionText')}
             />
-            <p className="mt-2 text-sm text-gray-500">
-              {t('textOnlySubmission') || 'Please write your assignment submission in the text area above.'}
-            </p>
+            <p className="mt-2 text-sm text-gray-500">{t('submissionHint')}</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('attachFiles')}</label>
+            <label className="flex items-center justify-center gap-2 w-full px-4 py-3 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-primary-500 hover:text-primary-600 cursor-pointer transition">
+              <Paperclip size={18} />
+              {t('chooseFiles')}
+              <input type="file" multiple onChange={handleFilesSelected} className="hidden" />
+            </label>
+            {files.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {files.map((file, index) => (
+                  <li key={`${file.name}-${index}`} className="flex items-center justify-between px-3 py-2 bg-gray-50 rounded-lg text-sm">
+                    <span className="truncate">{file.name}</span>
+                    <span className="flex items-center gap-2 text-gray-500">
+                      {formatSize(file.size)}
+                      <button
+                        type="button"
+                        onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      >
+                        <X size={14} />
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">{t('links')}</label>
+            <div className="space-y-2">
+              {links.map((link, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <Link2 size={18} className="text-gray-400 shrink-0" />
+                  <input
+                    type="url"
+                    value={link.url}
+                    onChange={(e) => updateLink(index, 'url', e.target.value)}
+                    placeholder="https://github.com/..."
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                  <input
+                    type="text"
+                    value={link.name}
+                    onChange={(e) => updateLink(index, 'name', e.target.value)}
+                    placeholder={t('linkName')}
+                    className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setLinks((prev) => prev.filter((_, i) => i !== index))}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setLinks((prev) => [...prev, { url: '', name: '' }])}
+                className="flex items-center gap-1 text-sm text-primary-600 hover:text-primary-700"
+              >
+                <Plus size={16} />
+                {t('addLink')}
+              </button>
+            </div>
           </div>
 
           <motion.button
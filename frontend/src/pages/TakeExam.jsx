@@ -25,8 +25,9 @@ export default function TakeExam() {
     mutationFn: () => api.startExamAttempt(examId),
     onSuccess: (response) => {
       setAttempt(response.attempt);
-      if (response.attempt.exam.timeLimitMinutes) {
-        setTimeRemaining(response.attempt.exam.timeLimitMinutes * 60);
+      // The server owns the deadline; the countdown only displays it
+      if (typeof response.remainingSeconds === 'number') {
+        setTimeRemaining(response.remainingSeconds);
       }
     },
     onError: (error) => {
@@ -45,8 +46,17 @@ export default function TakeExam() {
   // Auto-save answers
   const { mutate: saveAnswer } = useMutation({
     mutationFn: ({ questionId, answer }) => api.submitExamAnswer(attempt.id, questionId, answer),
+    onSuccess: (response) => {
+      if (typeof response.remainingSeconds === 'number') {
+        setTimeRemaining(response.remainingSeconds);
+      }
+    },
     onError: (error) => {
       console.error('Failed to save answer:', error);
+      if (error.message === 'Time limit exceeded') {
+        addToast(t('timeLimitExceeded'), 'error');
+        setTimeRemaining(0);
+      }
     },
   });
 
@@ -89,16 +99,17 @@ export default function TakeExam() {
     if (timeRemaining === null || timeRemaining <= 0 || !attempt) return;
 
     const timer = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          handleSubmit();
-          return 0;
-        }
-        return prev - 1;
-      });
+      setTimeRemaining((prev) => Math.max(0, prev - 1));
     }, 1000);
 
     return () => clearInterval(timer);
+  }, [timeRemaining, attempt]);
+
+  // Submit once time is up (also when resuming an attempt that has no time left)
+  useEffect(() => {
+    if (timeRemaining === 0 && attempt) {
+      handleSubmit();
+    }
   }, [timeRemaining, attempt, handleSubmit]);
 
   if (isStarting || !attempt) {
@@ -33,8 +33,9 @@ export default function TakeQuiz() {
     mutationFn: () => api.startQuizAttempt(quizId),
     onSuccess: (response) => {
       queryClient.setQueryData(['attempt', response.attempt.id], response.attempt);
-      if (quiz?.timeLimitMinutes) {
-        setTimeRemaining(quiz.timeLimitMinutes * 60);
+      // The server owns the deadline; the countdown only displays it
+      if (typeof response.remainingSeconds === 'number') {
+        setTimeRemaining(response.remainingSeconds);
       }
     },
     onError: (error) => {
@@ -50,23 +51,33 @@ export default function TakeQuiz() {
     if (timeRemaining === null || timeRemaining <= 0) return;
 
     const timer = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          handleSubmit();
-          return 0;
-        }
-        return prev - 1;
-      });
+      setTimeRemaining((prev) => Math.max(0, prev - 1));
     }, 1000);
 
     return () => clearInterval(timer);
   }, [timeRemaining]);
 
+  // Submit once time is up (also when resuming an attempt that has no time left)
+  useEffect(() => {
+    if (timeRemaining === 0 && attempt) {
+      handleSubmit();
+    }
+  }, [timeRemaining, attempt]);
+
   // Auto-save answers
   const { mutate: saveAnswer } = useMutation({
     mutationFn: ({ questionId, answer }) => api.submitAnswer(attempt.id, questionId, answer),
+    onSuccess: (response) => {
+      if (typeof response.remainingSeconds === 'number') {
+        setTimeRemaining(response.remainingSeconds);
+      }
+    },
     onError: (error) => {
       console.error('Failed to save answer:', error);
+      if (error.message === 'Time limit exceeded') {
+        addToast(t('timeLimitExceeded'), 'error');
+        setTimeRemaining(0);
+      }
     },
   });
 
@@ -261,6 +272,7 @@ export default function TakeQuiz() {
                 onChange={(e) => handleAnswerChange(currentQuestion.id, e.target.value)}
                 className="w-full px-4 py-3 border-2 border-gray-200 rounded-lg focus:border-primary-600 focus:ring-2 focus:ring-primary-500"
                 rows={4}
+                maxLength={1000}
                 placeholder={t('enterYourAnswer')}
               />
             )}
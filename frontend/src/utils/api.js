@@ -289,6 +289,25 @@ export const api = {
   
   getMe: () => request('/auth/me'),
   
+  logout: (refreshToken) => request('/auth/logout', {
+    method: 'POST',
+    body: { refreshToken },
+  }),
+  
+  logoutAll: () => request('/auth/logout-all', {
+    method: 'POST',
+  }),
+  
+  forgotPassword: (email) => request('/auth/forgot-password', {
+    method: 'POST',
+    body: { email },
+  }),
+  
+  resetPassword: (token, password) => request('/auth/reset-password', {
+    method: 'POST',
+    body: { token, password },
+  }),
+  
   // Users
   getUsers: (params) => {
     const query = new URLSearchParams(params).toString();
@@ -299,6 +318,20 @@ export const api = {
     method: 'POST',
     body: data,
   }),
+
+  // Bulk student import; with dryRun only the per-row preview is returned
+  importStudents: ({ file, dryRun, passwordMode, courseId }) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    formData.append('passwordMode', passwordMode);
+    if (courseId) formData.append('courseId', courseId);
+
+    return request('/users/import', {
+      method: 'POST',
+      body: formData,
+    });
+  },
   
   getUser: (id) => request(`/users/${id}`),
   
@@ -311,6 +344,12 @@ export const api = {
     method: 'DELETE',
   }),
   
+  getUserSessions: (id) => request(`/users/${id}/sessions`),
+  
+  revokeUserSessions: (id) => request(`/users/${id}/sessions/revoke`, {
+    method: 'POST',
+  }),
+  
   // Courses
   getCourses: () => request('/courses'),
   
@@ -338,6 +377,54 @@ export const api = {
   }),
   
   getCourseStudents: (courseId) => request(`/courses/${courseId}/students`),
+
+  getCourseRubricAnalytics: (courseId) => request(`/courses/${courseId}/rubric-analytics`),
+
+  getCourseSkills: (courseId) => request(`/courses/${courseId}/skills`),
+
+  // Early-warning cohort and intervention log (instructors/admins)
+  getCourseRiskCohort: (courseId) => request(`/courses/${courseId}/at-risk`),
+
+  getInterventions: (courseId, studentId) => request(`/courses/${courseId}/interventions?studentId=${encodeURIComponent(studentId)}`),
+
+  createIntervention: (courseId, data) => request(`/courses/${courseId}/interventions`, {
+    method: 'POST',
+    body: data,
+  }),
+
+  updateIntervention: (courseId, interventionId, data) => request(`/courses/${courseId}/interventions/${interventionId}`, {
+    method: 'PATCH',
+    body: data,
+  }),
+
+  // Weekly metric snapshots; staff pass the student
+  getMetricHistory: (courseId, params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/courses/${courseId}/metrics/history${query ? `?${query}` : ''}`);
+  },
+
+  // Enrollment codes and invite links
+  getCourseInvites: (courseId) => request(`/courses/${courseId}/invites`),
+
+  createCourseInvite: (courseId, data) => request(`/courses/${courseId}/invites`, {
+    method: 'POST',
+    body: data,
+  }),
+
+  revokeCourseInvite: (courseId, inviteId) => request(`/courses/${courseId}/invites/${inviteId}`, {
+    method: 'DELETE',
+  }),
+
+  reviewJoinRequest: (courseId, requestId, status) => request(`/courses/${courseId}/join-requests/${requestId}`, {
+    method: 'PATCH',
+    body: { status },
+  }),
+
+  getCourseInvite: (code) => request(`/course-invites/${encodeURIComponent(code)}`),
+
+  joinCourse: (code) => request(`/course-invites/${encodeURIComponent(code)}/join`, {
+    method: 'POST',
+  }),
   
   // Sessions
   getSessions: (courseId) => request(`/sessions/course/${courseId}`),
@@ -364,6 +451,49 @@ export const api = {
   deleteSession: (id) => request(`/sessions/${id}`, {
     method: 'DELETE',
   }),
+
+  getSessionSchedule: (courseId) => request(`/sessions/course/${courseId}/schedule`),
+
+  previewSessionSchedule: (courseId, rule) => request(`/sessions/course/${courseId}/schedule/preview`, {
+    method: 'POST',
+    body: rule,
+  }),
+
+  applySessionSchedule: (courseId, rule) => request(`/sessions/course/${courseId}/schedule`, {
+    method: 'PUT',
+    body: rule,
+  }),
+
+  // Dashboards (one aggregated request per role)
+  getStudentDashboard: () => request('/dashboard/student'),
+
+  getInstructorDashboard: () => request('/dashboard/instructor'),
+
+  getAdminDashboard: () => request('/dashboard/admin'),
+
+  // Calendar feeds
+  getCalendarFeedUrl: (courseId) => request(`/calendar/feed-url${courseId ? `?courseId=${courseId}` : ''}`),
+
+  resetCalendarFeedUrl: () => request('/calendar/feed-url/reset', {
+    method: 'POST',
+  }),
+
+  // Notifications
+  getNotifications: (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params?.unread) queryParams.append('unread', 'true');
+    if (params?.before) queryParams.append('before', params.before);
+    if (params?.limit) queryParams.append('limit', params.limit);
+    const query = queryParams.toString();
+    return request(`/notifications${query ? `?${query}` : ''}`);
+  },
+
+  getUnreadNotificationCount: () => request('/notifications/unread-count'),
+
+  markNotificationsRead: (ids) => request('/notifications/read', {
+    method: 'POST',
+    body: ids ? { ids } : {},
+  }),
   
   // Attendance
   getAttendance: (sessionId) => request(`/attendance/session/${sessionId}`),
@@ -372,6 +502,49 @@ export const api = {
     method: 'POST',
     body: data,
   }),
+
+  getCheckIn: (sessionId) => request(`/attendance/session/${sessionId}/check-in`),
+
+  openCheckIn: (sessionId, data) => request(`/attendance/session/${sessionId}/check-in`, {
+    method: 'POST',
+    body: data,
+  }),
+
+  closeCheckIn: (sessionId) => request(`/attendance/session/${sessionId}/check-in/close`, {
+    method: 'POST',
+  }),
+
+  checkIn: (data) => request('/attendance/check-in', {
+    method: 'POST',
+    body: data,
+  }),
+
+  // Excuse requests
+  createExcuseRequest: ({ sessionId, reason, attachment }) => {
+    const formData = new FormData();
+    formData.append('sessionId', sessionId);
+    formData.append('reason', reason);
+    if (attachment) formData.append('attachment', attachment);
+
+    return request('/attendance/excuses', {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  getMyExcuseRequests: (courseId) => request(`/attendance/excuses/mine${courseId ? `?courseId=${courseId}` : ''}`),
+
+  getExcuseRequests: (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/attendance/excuses${query ? `?${query}` : ''}`);
+  },
+
+  reviewExcuseRequest: (id, data) => request(`/attendance/excuses/${id}`, {
+    method: 'PATCH',
+    body: data,
+  }),
+
+  getExcuseAttachmentUrl: (id) => request(`/attendance/excuses/${id}/attachment`),
   
   getAttendanceSummary: (studentId, courseId) => request(`/attendance/student/${studentId}/course/${courseId}`),
   
@@ -402,6 +575,17 @@ export const api = {
   deleteAssignment: (id) => request(`/assignments/${id}`, {
     method: 'DELETE',
   }),
+
+  getAssignmentExtensions: (assignmentId) => request(`/assignments/${assignmentId}/extensions`),
+
+  saveAssignmentExtension: (assignmentId, studentId, data) => request(`/assignments/${assignmentId}/extensions/${studentId}`, {
+    method: 'PUT',
+    body: data,
+  }),
+
+  deleteAssignmentExtension: (assignmentId, studentId) => request(`/assignments/${assignmentId}/extensions/${studentId}`, {
+    method: 'DELETE',
+  }),
   
   // Assignment Resources
   getAssignmentResources: (assignmentId) => request(`/assignment-resources/assignment/${assignmentId}`),
@@ -438,19 +622,27 @@ export const api = {
       return Promise.reject(new Error('Assignment ID is required'));
     }
     
-    if (!data.note || data.note.trim().length === 0) {
-      return Promise.reject(new Error('Submission text is required'));
+    const files = data.files || [];
+    const links = data.links || [];
+    const note = data.note?.trim() || '';
+    if (!note && files.length === 0 && links.length === 0) {
+      return Promise.reject(new Error('Submission text, a file or a link is required'));
     }
     
+    const formData = new FormData();
+    formData.append('assignmentId', assignmentId);
+    formData.append('note', note);
+    formData.append('links', JSON.stringify(links));
+    files.forEach((file) => formData.append('files', file));
+    
     return request('/submissions', {
       method: 'POST',
-      body: {
-        assignmentId,
-        note: data.note.trim(),
-      },
+      body: formData,
     });
   },
   
+  getSubmissionAssetUrl: (assetId) => request(`/submissions/assets/${assetId}/download`),
+  
   updateSubmissionStatus: (id, status, note) => request(`/submissions/${id}/status`, {
     method: 'PATCH',
     body: { status, note },
@@ -514,6 +706,47 @@ export const api = {
     body: { questionIds },
   }),
   
+  // Manual grading (SHORT_TEXT answers)
+  getGradingQueue: (params) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/quiz-answers/pending${query ? `?${query}` : ''}`);
+  },
+  
+  gradeQuizAnswer: (answerId, data) => request(`/quiz-answers/${answerId}/grade`, {
+    method: 'PUT',
+    body: data,
+  }),
+  
+  // Question bank
+  getBankQuestions: (params) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/question-bank${query ? `?${query}` : ''}`);
+  },
+  
+  createBankQuestion: (data) => request('/question-bank', {
+    method: 'POST',
+    body: data,
+  }),
+  
+  updateBankQuestion: (id, data) => request(`/question-bank/${id}`, {
+    method: 'PUT',
+    body: data,
+  }),
+  
+  deleteBankQuestion: (id) => request(`/question-bank/${id}`, {
+    method: 'DELETE',
+  }),
+  
+  importBankQuestionsToQuiz: (quizId, questionIds) => request(`/question-bank/import/quiz/${quizId}`, {
+    method: 'POST',
+    body: { questionIds },
+  }),
+  
+  importBankQuestionsToExam: (examId, questionIds) => request(`/question-bank/import/exam/${examId}`, {
+    method: 'POST',
+    body: { questionIds },
+  }),
+  
   // Student quiz attempts
   getMyQuizzes: () => request('/my/quizzes'),
   
@@ -668,6 +901,28 @@ export const api = {
   }),
   
   getProfileOptions: () => request('/profile/options'),
+
+  getEmailPreferences: () => request('/profile/email-preferences'),
+
+  updateEmailPreferences: (data) => request('/profile/email-preferences', {
+    method: 'PUT',
+    body: data,
+  }),
+  
+  changePassword: async (currentPassword, newPassword) => {
+    const data = await request('/profile/password', {
+      method: 'PUT',
+      body: { currentPassword, newPassword },
+    });
+    // Other sessions were revoked; keep this one signed in with the new pair
+    if (data.accessToken) {
+      localStorage.setItem('accessToken', data.accessToken);
+    }
+    if (data.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+    return data;
+  },
   
   
   // Suggestions
@@ -696,9 +951,10 @@ export const api = {
   // Admin - Student Report
   getStudentReport: (studentId) => request(`/admin/students/${studentId}/report`),
   
-  downloadStudentReportPDF: (studentId) => {
+  // The report is written in `lang` (ar or en)
+  downloadStudentReportPDF: (studentId, lang) => {
     const token = localStorage.getItem('accessToken');
-    return fetch(`${API_URL}/admin/students/${studentId}/report.pdf`, {
+    return fetch(`${API_URL}/admin/students/${studentId}/report.pdf?lang=${lang}`, {
       headers: {
         'Authorization': `Bearer ${token}`,
       },
@@ -717,6 +973,19 @@ export const api = {
     });
   },
 
+  // Admin - Audit log
+  getAuditLogs: (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params?.userId) queryParams.append('userId', params.userId);
+    if (params?.courseId) queryParams.append('courseId', params.courseId);
+    if (params?.entityType) queryParams.append('entityType', params.entityType);
+    if (params?.from) queryParams.append('from', params.from);
+    if (params?.to) queryParams.append('to', params.to);
+    if (params?.page) queryParams.append('page', params.page);
+    if (params?.limit) queryParams.append('limit', params.limit);
+    return request(`/admin/audit-logs?${queryParams.toString()}`);
+  },
+
   // Admin - Subscribers
   getAdminSubscribers: (params = {}) => {
     const queryParams = new URLSearchParams();
@@ -0,0 +1,50 @@
+/**
+ * Line diff of two texts (longest common subsequence).
+ * Returns [{ type: 'same' | 'added' | 'removed', text }] in reading order.
+ */
+export function diffLines(before = '', after = '') {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+  return result;
+}
+
+/**
+ * Files/links added, removed or kept between two versions.
+ * Files are matched by name, links by URL.
+ */
+export function diffAssets(before = [], after = []) {
+  const keyOf = (asset) => (asset.type === 'FILE' ? `FILE:${asset.name}` : `LINK:${asset.url}`);
+  const beforeKeys = new Set(before.map(keyOf));
+  const afterKeys = new Set(after.map(keyOf));
+
+  return [
+    ...after.map((asset) => ({ type: beforeKeys.has(keyOf(asset)) ? 'same' : 'added', asset })),
+    ...before.filter((asset) => !afterKeys.has(keyOf(asset))).map((asset) => ({ type: 'removed', asset })),
+  ];
+}
@@ -0,0 +1,49 @@
+// Mirrors backend/utils/messages.js: metric alerts and recommendations are stored as { key, params }
+// messages (alerts also carry their `code`) and translated here. Metrics computed before that hold bare
+// alert codes and English recommendation sentences.
+
+const ALERT_LABELS = {
+  HIGH_ABSENCE: 'highAbsence',
+  MISSING_ASSIGNMENTS: 'missingAssignments',
+  LOW_EXAMS: 'lowExams',
+  NO_ACTIVITY_14_DAYS: 'noActivity14Days',
+  DECLINING_TREND: 'decliningTrend',
+};
+
+const LEGACY_RECOMMENDATIONS = {
+  'Schedule reminder and attend next sessions': 'recAttendNextSessions',
+  'Focus on next assignment and create a checklist': 'recNextAssignmentChecklist',
+  'Create a review plan for exam topics': 'recExamReviewPlan',
+};
+
+/**
+ * Code of a stored alert (message or legacy code)
+ */
+export const alertCode = (alert) => (typeof alert === 'string' ? alert : alert.code);
+
+/**
+ * Short label of an alert
+ */
+export const alertLabel = (t, alert) => {
+  const code = alertCode(alert);
+  return ALERT_LABELS[code] ? t(ALERT_LABELS[code]) : code;
+};
+
+/**
+ * Details of an alert (the values behind it), empty for legacy codes
+ */
+export const alertDetails = (t, alert) => (typeof alert === 'string' ? '' : t(alert.key, alert.params));
+
+/**
+ * Stored recommendation as a message; unknown legacy strings are kept as they are
+ */
+export const normalizeRecommendation = (rec) => {
+  if (typeof rec === 'string') {
+    return LEGACY_RECOMMENDATIONS[rec] ? { key: LEGACY_RECOMMENDATIONS[rec], params: {} } : rec;
+  }
+  // Skill recommendations stored without their title message
+  if (!rec.key && rec.tag) {
+    return { key: 'recReviewSkill', params: { tag: rec.tag, mastery: Math.round(rec.mastery * 100) }, ...rec };
+  }
+  return rec;
+};
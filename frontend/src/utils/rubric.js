@@ -0,0 +1,50 @@
+// Mirrors backend/utils/rubric.js so the review form can show the score before saving
+
+export const newRubricId = () => Math.random().toString(36).slice(2, 10);
+
+/**
+ * True when the assignment rubric is in the criteria/levels format
+ */
+export function isRubric(rubric) {
+  return Array.isArray(rubric?.criteria) && rubric.criteria.length > 0;
+}
+
+/**
+ * Share (0..1) of a criterion's best level earned by the selected level, or null if none is selected
+ */
+export function getCriterionRatio(criterion, levelId) {
+  const level = criterion.levels.find((l) => l.id === levelId);
+  if (!level) {
+    return null;
+  }
+  const best = Math.max(...criterion.levels.map((l) => Number(l.points) || 0));
+  return best > 0 ? (Number(level.points) || 0) / best : 0;
+}
+
+/**
+ * Weighted score out of maxScore from the selected levels ({ [criterionId]: { levelId } })
+ */
+export function computeRubricScore(rubric, selections, maxScore) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  rubric.criteria.forEach((criterion) => {
+    const weight = Number(criterion.weight) || 1;
+    weighted += (getCriterionRatio(criterion, selections[criterion.id]?.levelId) ?? 0) * weight;
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? Math.round((weighted / totalWeight) * maxScore) : 0;
+}
+
+export function createEmptyCriterion() {
+  return {
+    id: newRubricId(),
+    title: '',
+    weight: 1,
+    levels: [
+      { id: newRubricId(), label: '', points: 0 },
+      { id: newRubricId(), label: '', points: 1 },
+    ],
+  };
+}